@@ -3,9 +3,11 @@
  * Top-down dungeon crawler with custom engine
  */
 
-import { Engine, Scene } from './engine/core/Engine.js';
+import { Engine, Scene, snapshotPositions, renderInterpolated } from './engine/core/Engine.js';
+import { ABILITY_SLOTS } from './engine/core/InputBindings.js';
+import { PAD_BUTTONS, VirtualGamepad } from './engine/core/Gamepad.js';
 import { Entity, SpriteComponent, AnimationComponent, HealthComponent, ColliderComponent } from './engine/core/Entity.js';
-import { Vector2, randomFloat, randomInt, clamp } from './engine/core/Utils.js';
+import { Utils, Vector2, randomFloat, randomInt, clamp } from './engine/core/Utils.js';
 import { SoundManager, FLOOR_THEMES, FLOOR_ORDER } from './engine/core/SoundManager.js';
 import { Character } from './classes/Character.js';
 import { ClassDefinitions } from './classes/ClassDefinitions.js';
@@ -13,12 +15,27 @@ import { SkillTree, SkillTreeDefinitions } from './classes/SkillTree.js';
 import { WeaponTypes, WeaponRarities, generateWeaponDrop, generateBossWeapon } from './combat/Weapon.js';
 import { CombatManager } from './combat/Combat.js';
 import { Enemy, EnemyTypes, BossTypes, FloorEnemies, generateEnemyDrop } from './combat/Enemy.js';
-import { DungeonGenerator, DungeonRenderer, TILE_TYPES } from './dungeon/DungeonGenerator.js';
+import { rollEliteAffixes, applyEliteAffixes, getEliteLootBonus, renderEliteAura } from './combat/EliteAffixes.js';
+import { PackManager, renderPackMarkers } from './combat/PackTactics.js';
+import { getAffinity } from './combat/Elements.js';
+import { applyTileStatus } from './combat/Reactions.js';
+import { renderStatusIcons } from './combat/StatusEffects.js';
+import { applyImpact, getWallSlam } from './combat/Poise.js';
+import { getMeleeWeaponType } from './combat/Combos.js';
+import { DungeonGenerator, DungeonRenderer, TILE_TYPES, SOLID_TILES, KEY_COLORS, SEALED_LOCK } from './dungeon/DungeonGenerator.js';
+import { Pathfinder } from './dungeon/Pathfinding.js';
+import { getAmbientLight, VISIBILITY_THRESHOLD } from './dungeon/Lighting.js';
 import { PuzzleFactory } from './dungeon/Puzzles.js';
 import { PuzzleUI } from './ui/PuzzleUI.js';
 import { UIManager, HUD, SkillTreePanel, InventoryPanel, ClassSelectionUI, PauseMenu } from './ui/UI.js';
 import { MarketLayout, MarketBuilding, MarketNPC, Mercenary, FortuneReading, ArenaChallenge, GuildQuest, BUILDING_TYPES, NPC_TYPES } from './market/Market.js';
 import MarketUI from './ui/MarketUI.js';
+import { SaveManager, applyCharacterSave, applyMarketSave } from './save/SaveManager.js';
+import { RNG } from './engine/core/Random.js';
+import { createDailyChallenge, DailyLeaderboard } from './modes/DailyChallenge.js';
+import { parseReplay, downloadReplay } from './engine/core/Replay.js';
+import { CollisionBenchmarkScene } from './modes/CollisionBenchmark.js';
+import { BossPracticeScene } from './modes/BossPractice.js';
 
 // Game states
 const GameState = {
@@ -28,9 +45,22 @@ const GameState = {
     PAUSED: 'paused',
     DEAD: 'dead',
     VICTORY: 'victory',
-    MARKET: 'market'
+    MARKET: 'market',
+    BENCHMARK: 'benchmark',
+    PRACTICE: 'practice'
 };
 
+// How far ahead of the player stick aiming places the target point
+const STICK_AIM_DISTANCE = 200;
+
+// Left stick tilt that sprints (the stick click lights a torch)
+const STICK_SPRINT_TILT = 0.95;
+
+// Player light radius (px); a lit Torch item widens it for a while
+const PLAYER_LIGHT_RADIUS = 190;
+const TORCH_LIGHT_BONUS = 150;
+const TORCH_BURN_TIME = 120;
+
 // Player Controller - handles input and controls the character
 class PlayerController {
     constructor(character, engine) {
@@ -39,25 +69,32 @@ class PlayerController {
         this.moveDirection = { x: 0, y: 0 };
         this.aimDirection = { x: 1, y: 0 };
         this.lastMouse = { x: 0, y: 0 };
+        this.stickAiming = false; // Right stick owns aim until the mouse moves again
     }
     
     update(dt, camera) {
         // Movement input
         this.moveDirection = { x: 0, y: 0 };
         
-        if (this.engine.isKeyPressed('KeyW') || this.engine.isKeyPressed('ArrowUp')) {
+        if (this.engine.isActionDown('moveUp')) {
             this.moveDirection.y = -1;
         }
-        if (this.engine.isKeyPressed('KeyS') || this.engine.isKeyPressed('ArrowDown')) {
+        if (this.engine.isActionDown('moveDown')) {
             this.moveDirection.y = 1;
         }
-        if (this.engine.isKeyPressed('KeyA') || this.engine.isKeyPressed('ArrowLeft')) {
+        if (this.engine.isActionDown('moveLeft')) {
             this.moveDirection.x = -1;
         }
-        if (this.engine.isKeyPressed('KeyD') || this.engine.isKeyPressed('ArrowRight')) {
+        if (this.engine.isActionDown('moveRight')) {
             this.moveDirection.x = 1;
         }
         
+        // Left stick takes over from the keys while tilted
+        const moveStick = this.engine.input.gamepad.leftStick;
+        if (moveStick.x !== 0 || moveStick.y !== 0) {
+            this.moveDirection = { x: moveStick.x, y: moveStick.y };
+        }
+        
         // Normalize diagonal movement
         const len = Math.sqrt(this.moveDirection.x ** 2 + this.moveDirection.y ** 2);
         if (len > 0) {
@@ -65,40 +102,64 @@ class PlayerController {
             this.moveDirection.y /= len;
         }
         
-        // Calculate aim direction from mouse
+        // Calculate aim direction from mouse, or from the right stick
         const mouse = this.engine.getMousePosition();
-        const worldMouse = camera.screenToWorld(mouse.x, mouse.y);
-        
-        const dx = worldMouse.x - this.character.x;
-        const dy = worldMouse.y - this.character.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        
-        if (dist > 0) {
-            this.aimDirection = { x: dx / dist, y: dy / dist };
+        const aimStick = this.engine.input.gamepad.rightStick;
+        if (aimStick.x !== 0 || aimStick.y !== 0) {
+            this.stickAiming = true;
+        } else if (mouse.x !== this.lastMouse.x || mouse.y !== this.lastMouse.y) {
+            this.stickAiming = false;
+        }
+        this.lastMouse = { x: mouse.x, y: mouse.y };
+        
+        let worldMouse;
+        if (this.stickAiming) {
+            const stickLen = Math.sqrt(aimStick.x ** 2 + aimStick.y ** 2);
+            if (stickLen > 0) {
+                this.aimDirection = { x: aimStick.x / stickLen, y: aimStick.y / stickLen };
+            }
+            // Abilities and attacks target a point out along the aim
+            worldMouse = {
+                x: this.character.x + this.aimDirection.x * STICK_AIM_DISTANCE,
+                y: this.character.y + this.aimDirection.y * STICK_AIM_DISTANCE
+            };
+        } else {
+            worldMouse = camera.screenToWorld(mouse.x, mouse.y);
+            
+            const dx = worldMouse.x - this.character.x;
+            const dy = worldMouse.y - this.character.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            
+            if (dist > 0) {
+                this.aimDirection = { x: dx / dist, y: dy / dist };
+            }
         }
         
-        // Sprint (hold Shift)
-        const isSprinting = this.engine.isKeyPressed('ShiftLeft') || this.engine.isKeyPressed('ShiftRight');
+        // Sprint (hold, or the left stick pushed all the way)
+        const isSprinting = this.engine.isActionDown('sprint') ||
+                            Math.hypot(moveStick.x, moveStick.y) >= STICK_SPRINT_TILT;
         
-        // Dash, Teleport, or Parry (Space)
-        if (this.engine.wasKeyJustPressed('Space')) {
-            // Mages teleport, dash classes dash, others parry
+        // Dash or Teleport - mages teleport, dash classes dash
+        if (this.engine.wasActionJustPressed('dash')) {
             if (this.character.canTeleport) {
                 this.character.teleport(this.moveDirection.x, this.moveDirection.y);
             } else if (this.character.canDash) {
                 this.character.dash(this.moveDirection.x, this.moveDirection.y);
-            } else if (this.character.canParry) {
-                // Parry for non-dash/non-teleport classes
-                this.character.startParry();
             }
         }
-        // Also allow holding Space for dash (for dash chaining)
-        else if (this.engine.isKeyPressed('Space')) {
+        // Also allow holding dash (for dash chaining)
+        else if (this.engine.isActionDown('dash')) {
             if (this.character.canDash && !this.character.canTeleport) {
                 this.character.dash(this.moveDirection.x, this.moveDirection.y);
             }
         }
         
+        // Parry for non-dash/non-teleport classes
+        if (this.engine.wasActionJustPressed('parry') &&
+            this.character.canParry && !this.character.canDash && !this.character.canTeleport) {
+            this.character.startParry();
+        }
+        
         // Movement
         this.character.move(this.moveDirection.x, this.moveDirection.y, dt, isSprinting);
         
@@ -106,27 +167,43 @@ class PlayerController {
         this.character.facingX = this.aimDirection.x;
         this.character.facingY = this.aimDirection.y;
         
-        // Ability keys (1-8)
-        for (let i = 0; i < 8; i++) {
-            if (this.engine.isKeyPressed(`Digit${i + 1}`)) {
+        // Ability slots
+        for (let i = 0; i < ABILITY_SLOTS; i++) {
+            if (this.engine.isActionDown(`ability${i + 1}`)) {
                 this.character.useAbility(i, worldMouse.x, worldMouse.y);
             }
         }
         
-        // Basic attack (left mouse)
-        if (this.engine.isMousePressed(0)) {
+        // Basic attack
+        if (this.engine.isActionDown('attack')) {
             this.character.attack(worldMouse.x, worldMouse.y);
         }
+        
+        // Heavy attack; charged heavies are held and fire when let go
+        if (this.character.chargingMove) {
+            if (!this.engine.isActionDown('heavyAttack')) {
+                this.character.releaseCharge(worldMouse.x, worldMouse.y);
+            }
+        } else if (this.engine.isActionDown('heavyAttack')) {
+            this.character.attack(worldMouse.x, worldMouse.y, 'H');
+        }
     }
 }
 
 // Main Game Scene
 class GameScene extends Scene {
-    constructor(engine, selectedClass) {
+    constructor(engine, selectedClass, dailyChallenge = null) {
         super();
         this.engine = engine;
         this.selectedClass = selectedClass;
         
+        // Daily challenge run (locked modifiers + leaderboard stats), null for normal runs
+        this.dailyChallenge = dailyChallenge;
+        this.runStats = { kills: 0, time: 0 };
+        
+        // Seed of the current run (RNG is seeded before the scene is created)
+        this.runSeed = RNG.seed;
+        
         // Initialize systems
         this.combatManager = new CombatManager();
         this.uiManager = new UIManager(engine.ctx, engine.canvas);
@@ -150,7 +227,7 @@ class GameScene extends Scene {
         // Inventory panel
         this.inventoryPanel = new InventoryPanel(engine.canvas, this.player);
         
-        // Puzzle UI (for torch puzzles etc - kept for future use)
+        // Puzzle UI for shrines and runed vault seals
         this.puzzleUI = new PuzzleUI(engine.canvas);
         
         // Pause menu
@@ -161,27 +238,35 @@ class GameScene extends Scene {
             screenShake: true,
             hitFreeze: true,
             screenFlash: true,
-            particles: true
+            particles: this.pauseMenu.settings.particles
         };
+        this.combatManager.setParticleQuality(this.visualSettings.particles);
         
         // Gameplay settings (controlled by pause menu)
         this.gameplaySettings = {
             difficulty: 1.0, // 1.0 = Normal, 0.0 = Little Bitch Mode
-            marketsEnabled: true
+            marketsEnabled: true,
+            ...this.getLockedGameplaySettings()
         };
         
         // Dungeon
         this.dungeonGenerator = new DungeonGenerator();
         this.dungeonRenderer = new DungeonRenderer();
+        this.pathfinder = new Pathfinder();
+        this.packManager = new PackManager();
         this.dungeon = null;
         this.currentFloor = 1;
+        this.dungeonFloor = 1; // Floor this.dungeon was built for
+        
+        // Floors the player has left, by floor number, restored when they come back (see saveFloorState)
+        this.visitedFloors = new Map();
         
         // Floor theme system
         this.currentFloorTheme = FLOOR_ORDER[0]; // Start with egypt
         this.floorThemeIndex = 0;
         
         // Sound manager
-        this.soundManager = new SoundManager();
+        this.soundManager = new SoundManager({ silent: engine.headless });
         this.footstepTimer = 0;
         this.footstepInterval = 0.5; // seconds between footsteps
         this.enemySoundTimer = 0;
@@ -210,7 +295,6 @@ class GameScene extends Scene {
             flashColor: null,
             flashAlpha: 0,
             flashDecay: 0,
-            hitFreeze: 0,     // Brief pause on big hits
             bloomIntensity: 0,
             bloomDecay: 0
         };
@@ -236,8 +320,9 @@ class GameScene extends Scene {
         // Fullscreen map toggle
         this.showFullscreenMap = false;
         
-        // Quit to main menu flag (checked by Game class)
+        // Quit to main menu and boss practice flags (checked by Game class)
         this.quitToMenu = false;
+        this.openBossPractice = false;
         
         // Dev mode - invulnerability and other debug features
         this.devMode = false;
@@ -253,6 +338,27 @@ class GameScene extends Scene {
         this.generateDungeon();
     }
     
+    // Settings forced by the run mode; the pause menu can't override these
+    getLockedGameplaySettings() {
+        return this.dailyChallenge ? this.dailyChallenge.gameplay : {};
+    }
+    
+    // Apply run modifiers to a freshly spawned enemy
+    applyEnemyModifiers(enemy) {
+        const settings = this.gameplaySettings;
+        if (enemy.isBoss && settings.bossHealthMultiplier) {
+            enemy.health *= settings.bossHealthMultiplier;
+            enemy.maxHealth *= settings.bossHealthMultiplier;
+        }
+        if (settings.enemyDamageMultiplier) {
+            enemy.damage *= settings.enemyDamageMultiplier;
+        }
+        if (settings.enemySpeedMultiplier) {
+            enemy.maxSpeed *= settings.enemySpeedMultiplier;
+        }
+        return enemy;
+    }
+    
     createPlayer(className) {
         const classData = ClassDefinitions[className];
         
@@ -271,7 +377,7 @@ class GameScene extends Scene {
         return player;
     }
     
-    generateDungeon() {
+    applyFloorTheme() {
         // Determine floor theme based on current floor
         // Each floor gets a unique boss before cycling through again
         this.floorThemeIndex = (this.currentFloor - 1) % FLOOR_ORDER.length;
@@ -280,6 +386,96 @@ class GameScene extends Scene {
         
         // Apply floor theme colors to renderer
         this.dungeonRenderer.setFloorTheme(theme.colors);
+        this.dungeonRenderer.lightMap.ambient = getAmbientLight(this.currentFloorTheme);
+    }
+    
+    // Point the renderer, HUD, combat and pathfinding at this.dungeon
+    attachDungeon() {
+        // Update renderer with dungeon reference (needed for core rendering)
+        this.dungeonRenderer.setDungeon(this.dungeon);
+        
+        // Update HUD with dungeon reference for minimap
+        this.hud.setDungeon(this.dungeon);
+        
+        // Update CombatManager with dungeon reference for wall collision
+        this.combatManager.setDungeon(this.dungeon);
+        
+        // Enemy navigation grid
+        this.pathfinder.setDungeon(this.dungeon);
+    }
+    
+    // Move to another floor: a floor visited before comes back as it was left,
+    // a new one is generated. Coming up from below puts the player where they left it.
+    enterFloor(floor) {
+        const fromBelow = floor < this.dungeonFloor;
+        this.saveFloorState();
+        this.combatManager.clear();
+        this.currentFloor = floor;
+        
+        const state = this.visitedFloors.get(floor);
+        if (state) {
+            this.restoreFloorState(state, fromBelow);
+        } else {
+            this.generateDungeon();
+        }
+    }
+    
+    // Keep the current floor in memory - the dungeon object carries its own tiles
+    // (opened chests, lit torches), destructibles and discovered fog-of-war
+    saveFloorState() {
+        // A resumed run (or the floor command) moves currentFloor without generating it;
+        // the dungeon in hand is then not the floor being left, so it isn't kept
+        if (!this.dungeon || this.dungeonFloor !== this.currentFloor) return;
+        
+        // Leaving mid-fight: the boss stays on the floor and the fight restarts on return
+        if (this.inBossFight) this.endBossFight();
+        
+        this.visitedFloors.set(this.dungeonFloor, {
+            dungeon: this.dungeon,
+            enemies: this.enemies,
+            items: this.items,
+            packs: this.packManager.packs,
+            corePosition: this.corePosition,
+            coreBossDefeated: this.coreBossDefeated,
+            dungeonCoreActivated: this.dungeonCoreActivated,
+            entrance: this.floorEntrance,
+            exit: { x: this.player.x, y: this.player.y }
+        });
+    }
+    
+    restoreFloorState(state, fromBelow) {
+        this.applyFloorTheme();
+        
+        this.dungeon = state.dungeon;
+        this.dungeonFloor = this.currentFloor;
+        this.attachDungeon();
+        
+        this.corePosition = state.corePosition;
+        this.coreBossDefeated = state.coreBossDefeated;
+        this.dungeonCoreActivated = state.dungeonCoreActivated;
+        this.floorEntrance = state.entrance;
+        
+        this.enemies = state.enemies;
+        this.items = state.items;
+        this.packManager.packs = state.packs;
+        this.packManager.pendingAlerts = [];
+        
+        const arrival = fromBelow ? state.exit : state.entrance;
+        this.player.x = arrival.x;
+        this.player.y = arrival.y;
+        this.player.prevX = this.player.x;
+        this.player.prevY = this.player.y;
+        this.camera.centerOn(this.player.x, this.player.y);
+        
+        this.soundManager.startAmbient();
+        this.uiManager.addNotification(`Returned to floor ${this.currentFloor}`, 'info');
+    }
+    
+    generateDungeon() {
+        this.applyFloorTheme();
+        
+        // Restart the gameplay RNG streams so this floor replays identically for the run seed
+        RNG.beginFloor(this.currentFloor);
         
         // Reset core boss tracking for new floor
         this.coreBossDefeated = false;
@@ -288,6 +484,7 @@ class GameScene extends Scene {
         // Increase difficulty with floor
         const config = {
             floor: this.currentFloor,
+            theme: this.currentFloorTheme,
             width: 80 + this.currentFloor * 10,
             height: 80 + this.currentFloor * 10,
             roomCount: 8 + this.currentFloor * 2,
@@ -300,15 +497,8 @@ class GameScene extends Scene {
         };
         
         this.dungeon = this.dungeonGenerator.generate(config);
-        
-        // Update renderer with dungeon reference (needed for core rendering)
-        this.dungeonRenderer.setDungeon(this.dungeon);
-        
-        // Update HUD with dungeon reference for minimap
-        this.hud.setDungeon(this.dungeon);
-        
-        // Update CombatManager with dungeon reference for wall collision
-        this.combatManager.setDungeon(this.dungeon);
+        this.dungeonFloor = this.currentFloor;
+        this.attachDungeon();
         
         // Store core position from dungeon generation (torch system removed)
         this.corePosition = this.dungeon.corePosition || null;
@@ -352,14 +542,21 @@ class GameScene extends Scene {
         this.player.prevX = this.player.x;
         this.player.prevY = this.player.y;
         
+        // Coming back down to this floor later starts here again
+        this.floorEntrance = { x: this.player.x, y: this.player.y };
+        
         // Center camera on player
         this.camera.centerOn(this.player.x, this.player.y);
         
         // Start ambient sound
         this.soundManager.startAmbient();
         
+        // Fresh item list (the previous floor keeps its own in visitedFloors)
+        this.items = [];
+        
         // Spawn enemies
         this.spawnEnemies();
+        this.assignKeyCarriers();
         
         // Notification
         this.uiManager.addNotification(`Floor ${this.currentFloor}`, 'info');
@@ -423,12 +620,34 @@ class GameScene extends Scene {
             // Store sound type for enemy sounds
             enemy.soundType = enemyData.soundType || 'smallMonsterAttack';
             
+            this.applyEnemyModifiers(enemy);
+            
+            // Some mobs roll as elites - more often on deeper floors and at higher difficulty
+            applyEliteAffixes(enemy, rollEliteAffixes(this.currentFloor, this.gameplaySettings.difficulty ?? 1));
             this.enemies.push(enemy);
         }
         
+        // Mobs sharing a room band together into packs
+        this.packManager.setup(this.enemies, this.dungeon.rooms);
+        
         console.log(`Spawned ${this.enemies.length} enemies`);
     }
     
+    // Add enemies that other enemies asked for (see EliteAffixes.js)
+    spawnPendingEnemies() {
+        const spawned = [];
+        for (const enemy of this.enemies) {
+            if (!enemy.pendingSpawns) continue;
+            spawned.push(...enemy.pendingSpawns);
+            enemy.pendingSpawns = null;
+        }
+        for (const enemy of spawned) {
+            enemy.prevX = enemy.x;
+            enemy.prevY = enemy.y;
+            this.enemies.push(enemy);
+        }
+    }
+    
     spawnBoss() {
         // Find the largest room that isn't the spawn room
         const bossRoom = this.dungeon.rooms
@@ -444,6 +663,7 @@ class GameScene extends Scene {
             boss.x = (bossRoom.x + bossRoom.width / 2) * 32;
             boss.y = (bossRoom.y + bossRoom.height / 2) * 32;
             
+            this.applyEnemyModifiers(boss);
             this.enemies.push(boss);
         }
     }
@@ -479,36 +699,12 @@ class GameScene extends Scene {
                 bossData = BossTypes[bossType];
             }
             
-            // Create a stronger boss for the core
-            const boss = new Enemy(bossType, bossData, this.currentFloor + 2, true);
-            boss.x = (coreRoom.x + coreRoom.width / 2) * 32;
-            boss.y = (coreRoom.y + coreRoom.height / 2) * 32;
-            
-            // Make core boss even stronger
-            boss.health *= 1.5;
-            boss.maxHealth *= 1.5;
-            boss.damage *= 1.25;
-            
-            // Apply difficulty modifiers
-            const diff = this.gameplaySettings?.difficulty ?? 1.0;
-            if (diff < 1.0) {
-                // Scale boss health: at diff 0.0 = 50% HP, at diff 0.5 = 75% HP, at diff 1.0 = 100% HP
-                const healthMult = 0.5 + (diff * 0.5);
-                boss.health *= healthMult;
-                boss.maxHealth *= healthMult;
-                
-                // Scale boss damage: at diff 0.0 = 50% damage, at diff 1.0 = 100% damage
-                const damageMult = 0.5 + (diff * 0.5);
-                boss.baseDamageMultiplier = damageMult;
-                
-                // Store difficulty for damage cap calculation
-                boss.difficultyLevel = diff;
-            }
-            
-            // Mark this as the core boss for tracking
-            boss.isCoreBoss = true;
-            boss.soundType = bossData.soundType || 'largeMagic';
-            
+            const boss = this.createCoreBoss(
+                bossType,
+                bossData,
+                (coreRoom.x + coreRoom.width / 2) * 32,
+                (coreRoom.y + coreRoom.height / 2) * 32
+            );
             this.enemies.push(boss);
             
             // NOTE: Keep the core tile as DUNGEON_CORE so player can interact to descend after boss defeat
@@ -518,7 +714,48 @@ class GameScene extends Scene {
         }
     }
     
+    // Core bosses are a stronger version of the floor boss (also used by the boss practice room)
+    createCoreBoss(bossType, bossData, x, y) {
+        const boss = new Enemy(bossType, bossData, this.currentFloor + 2, true);
+        boss.x = x;
+        boss.y = y;
+        
+        // Make core boss even stronger
+        boss.health *= 1.5;
+        boss.maxHealth *= 1.5;
+        boss.damage *= 1.25;
+        
+        // Apply difficulty modifiers
+        const diff = this.gameplaySettings?.difficulty ?? 1.0;
+        if (diff < 1.0) {
+            // Scale boss health: at diff 0.0 = 50% HP, at diff 0.5 = 75% HP, at diff 1.0 = 100% HP
+            const healthMult = 0.5 + (diff * 0.5);
+            boss.health *= healthMult;
+            boss.maxHealth *= healthMult;
+            
+            // Scale boss damage: at diff 0.0 = 50% damage, at diff 1.0 = 100% damage
+            const damageMult = 0.5 + (diff * 0.5);
+            boss.baseDamageMultiplier = damageMult;
+            
+            // Store difficulty for damage cap calculation
+            boss.difficultyLevel = diff;
+        }
+        
+        // Mark this as the core boss for tracking
+        boss.isCoreBoss = true;
+        boss.soundType = bossData.soundType || 'largeMagic';
+        
+        this.applyEnemyModifiers(boss);
+        return boss;
+    }
+    
     advanceToNextFloor() {
+        // Heading back down to a floor already cleared once - no market on the way
+        if (this.visitedFloors.has(this.currentFloor + 1)) {
+            this.enterFloor(this.currentFloor + 1);
+            return;
+        }
+        
         // Check if markets are enabled
         if (this.gameplaySettings?.marketsEnabled !== false) {
             // Signal transition to market floor
@@ -527,8 +764,7 @@ class GameScene extends Scene {
             this.camera.shake(10, 0.5);
         } else {
             // Skip market, go directly to next floor
-            this.currentFloor++;
-            this.generateDungeon();
+            this.enterFloor(this.currentFloor + 1);
             this.uiManager.addNotification(`Descended to floor ${this.currentFloor}!`, 'legendary');
             this.camera.shake(10, 0.5);
             // Restore player health/mana when skipping market
@@ -539,11 +775,10 @@ class GameScene extends Scene {
     
     // Called when returning from market to continue to next floor
     continueFromMarket() {
-        this.currentFloor++;
         this.goToMarket = false;
         
         // Generate new dungeon (this will set new floor theme)
-        this.generateDungeon();
+        this.enterFloor(this.currentFloor + 1);
         
         this.uiManager.addNotification(`Descended to floor ${this.currentFloor}!`, 'legendary');
     }
@@ -552,12 +787,26 @@ class GameScene extends Scene {
         // Play chest sound
         this.soundManager.playChest();
         
+        // Key chests hold only their vault key
+        const keyChest = this.dungeon.keyChests.find(chest => chest.x === tileX && chest.y === tileY);
+        if (keyChest) {
+            this.dungeon.keyChests.splice(this.dungeon.keyChests.indexOf(keyChest), 1);
+            this.collectKey(keyChest.color);
+            this.clearChest(tileX, tileY);
+            return;
+        }
+        if (this.dungeon.vaults.some(vault => vault.room.contains(tileX, tileY))) {
+            this.openVaultChest(tileX, tileY);
+            this.clearChest(tileX, tileY);
+            return;
+        }
+        
         // Generate loot
-        const roll = Math.random();
+        const roll = RNG.loot.next();
         
         if (roll < 0.3) {
             // Gold
-            const goldAmount = randomInt(20 + this.currentFloor * 10, 50 + this.currentFloor * 25);
+            const goldAmount = randomInt(20 + this.currentFloor * 10, 50 + this.currentFloor * 25, 'loot');
             this.player.gold = (this.player.gold || 0) + goldAmount;
             this.uiManager.addNotification(`Found ${goldAmount} gold!`, 'gold');
             this.soundManager.playCoin();
@@ -584,25 +833,217 @@ class GameScene extends Scene {
             this.uiManager.addNotification(`Found mana potion! +${manaAmount} MP`, 'mana');
         }
         
+        this.clearChest(tileX, tileY);
+    }
+    
+    // Vault chests always pay out: a heap of gold and a weapon from deeper down
+    openVaultChest(tileX, tileY) {
+        const goldAmount = randomInt(60 + this.currentFloor * 20, 120 + this.currentFloor * 40, 'loot');
+        this.player.gold = (this.player.gold || 0) + goldAmount;
+        this.uiManager.addNotification(`Found ${goldAmount} gold!`, 'gold');
+        this.soundManager.playCoin();
+        
+        const weapon = generateWeaponDrop(this.currentFloor + 2, this.player.stats.luck + 40);
+        this.items.push({
+            x: tileX * 32 + 16,
+            y: tileY * 32 + 16,
+            item: weapon
+        });
+        this.uiManager.addNotification(`Found ${weapon.name}!`, 'item');
+    }
+    
+    clearChest(tileX, tileY) {
         // Convert chest to floor
         this.dungeon.tiles[tileY][tileX] = TILE_TYPES.FLOOR;
         this.dungeonRenderer.updateTile(tileX, tileY, TILE_TYPES.FLOOR);
+        this.pathfinder.refreshTile(tileX, tileY);
         
         // Effects
         this.camera.shake(2, 0.1);
     }
     
+    // Some vault keys are carried by elites instead of sitting in their chest.
+    // Only elites outside vaults and hidden rooms qualify, so the key stays reachable.
+    assignKeyCarriers() {
+        for (const keyChest of [...this.dungeon.keyChests]) {
+            const carriers = this.enemies.filter(enemy => {
+                if (enemy.isBoss || enemy.isIllusion || enemy.affixes.length === 0 || enemy.keyColor) return false;
+                const room = this.dungeon.rooms.find(r => r.contains(Math.floor(enemy.x / 32), Math.floor(enemy.y / 32)));
+                return room && !room.isVault && !room.isHidden;
+            });
+            if (carriers.length === 0 || RNG.loot.next() >= 0.5) continue;
+            
+            // The chest stays, but as an ordinary one
+            carriers[Math.floor(RNG.loot.next() * carriers.length)].keyColor = keyChest.color;
+            this.dungeon.keyChests.splice(this.dungeon.keyChests.indexOf(keyChest), 1);
+        }
+    }
+    
+    collectKey(color) {
+        this.dungeon.heldKeys.add(color);
+        this.uiManager.addNotification(`Found the ${KEY_COLORS[color].name} Key!`, 'legendary');
+        this.soundManager.playCoin();
+    }
+    
+    // Prompt at a vault door next to the player, and open it with the matching key
+    checkLockedDoors(tileX, tileY) {
+        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            if (this.dungeon.getTile(tileX + dx, tileY + dy) !== TILE_TYPES.LOCKED_DOOR) continue;
+            
+            const wrapped = this.dungeon.wrapPosition((tileX + dx) * 32, (tileY + dy) * 32);
+            const color = this.dungeon.lockedDoors.get(`${wrapped.x / 32},${wrapped.y / 32}`);
+            if (color === SEALED_LOCK) {
+                this.interactionPrompt = `Press ${this.engine.getActionLabel('interact')} to break the runed seal`;
+                if (this.engine.wasActionJustPressed('interact')) {
+                    this.openSealPuzzle(this.dungeon.vaults.find(vault => vault.color === SEALED_LOCK));
+                }
+                return;
+            }
+            
+            const keyName = KEY_COLORS[color]?.name || 'matching';
+            if (!this.dungeon.heldKeys.has(color)) {
+                this.interactionPrompt = `Locked - find the ${keyName} Key`;
+                return;
+            }
+            
+            this.interactionPrompt = `Press ${this.engine.getActionLabel('interact')} to unlock with the ${keyName} Key`;
+            if (this.engine.wasActionJustPressed('interact')) {
+                this.unlockVault(color);
+            }
+            return;
+        }
+    }
+    
+    unlockVault(color) {
+        for (const [key, doorColor] of this.dungeon.lockedDoors) {
+            if (doorColor !== color) continue;
+            const [x, y] = key.split(',').map(Number);
+            this.dungeonRenderer.updateTile(x, y, TILE_TYPES.DOOR);
+            this.pathfinder.refreshTile(x, y);
+            this.dungeon.lockedDoors.delete(key);
+        }
+        this.dungeon.heldKeys.delete(color);
+        
+        // Projectiles can fly through the doorway now
+        this.combatManager.buildWallCells();
+        
+        this.uiManager.addNotification('The vault door swings open!', 'legendary');
+        this.soundManager.playChest();
+        this.camera.shake(4, 0.2);
+    }
+    
+    // A shrine keeps its puzzle, so closing the panel and coming back doesn't reroll it
+    openShrinePuzzle(shrine) {
+        shrine.puzzle = shrine.puzzle || PuzzleFactory.createForFloor(this.currentFloor);
+        this.showPuzzle(shrine.puzzle, () => {
+            shrine.state = 'solved';
+            this.dungeonRenderer.updateTile(shrine.x, shrine.y, TILE_TYPES.SHRINE);
+            this.grantShrineReward(shrine);
+        }, () => {
+            shrine.state = 'broken';
+            this.dungeonRenderer.updateTile(shrine.x, shrine.y, TILE_TYPES.SHRINE);
+            this.punishPuzzleFailure(shrine.x * 32 + 16, shrine.y * 32 + 16, false);
+        });
+    }
+    
+    // Runed seals are a floor harder than shrines and roll a new puzzle after each
+    // failure, so a vault is never lost for good
+    openSealPuzzle(vault) {
+        vault.puzzle = vault.puzzle || PuzzleFactory.createForFloor(this.currentFloor + 1);
+        this.showPuzzle(vault.puzzle, () => this.unlockVault(vault.color), () => {
+            vault.puzzle = null;
+            this.punishPuzzleFailure(this.player.x, this.player.y, true);
+        });
+    }
+    
+    showPuzzle(puzzle, onSolved, onFailed) {
+        this.puzzleUI.show(puzzle, onSolved, null, this.engine.canvas.width, this.engine.canvas.height, onFailed);
+    }
+    
+    grantShrineReward(shrine) {
+        this.uiManager.addNotification('The shrine accepts your offering!', 'legendary');
+        this.soundManager.playChest();
+        
+        const roll = RNG.loot.next();
+        if (roll < 0.4) {
+            const weapon = generateWeaponDrop(this.currentFloor + 1, this.player.stats.luck + 25);
+            this.items.push({
+                x: shrine.x * 32 + 16,
+                y: shrine.y * 32 + 16,
+                item: weapon
+            });
+            this.uiManager.addNotification(`Found ${weapon.name}!`, 'item');
+        } else if (roll < 0.7) {
+            const goldAmount = randomInt(40 + this.currentFloor * 15, 80 + this.currentFloor * 30, 'loot');
+            this.player.gold = (this.player.gold || 0) + goldAmount;
+            this.uiManager.addNotification(`Found ${goldAmount} gold!`, 'gold');
+            this.soundManager.playCoin();
+        } else {
+            // Blessing: fully restored
+            this.player.health = this.player.maxHealth;
+            this.player.mana = this.player.maxMana;
+            this.uiManager.addNotification('You feel blessed - fully restored!', 'heal');
+            this.soundManager.playHeal();
+        }
+    }
+    
+    // Failed puzzles wake guardians; a broken shrine may curse the player instead
+    punishPuzzleFailure(x, y, alwaysGuardians) {
+        this.camera.shake(8, 0.3);
+        
+        if (!alwaysGuardians && RNG.loot.next() < 0.5) {
+            const damage = Math.floor(this.player.maxHealth * 0.2);
+            this.player.takeDamage(damage, null, 'dark');
+            this.uiManager.addDamageNumber(this.player.x, this.player.y - 20, damage, false);
+            this.uiManager.addNotification('The shrine curses you!', 'warning');
+            this.soundManager.playHurt();
+            return;
+        }
+        
+        this.spawnPuzzleGuardians(x, y, 2 + Math.floor(this.currentFloor / 3));
+        this.uiManager.addNotification('Guardians answer the failed ritual!', 'danger');
+    }
+    
+    spawnPuzzleGuardians(x, y, count) {
+        const floorData = FloorEnemies[this.currentFloorTheme];
+        const enemyPool = floorData && floorData.enemies ? floorData.enemies : EnemyTypes;
+        const types = Object.keys(enemyPool).filter(type => enemyPool[type].type !== 'boss');
+        
+        for (let i = 0; i < count; i++) {
+            // Ring around the spot, falling back to the spot itself where a wall is in the way
+            const angle = (i / count) * Math.PI * 2;
+            let spawnX = x + Math.cos(angle) * 96;
+            let spawnY = y + Math.sin(angle) * 96;
+            if (!this.dungeon.isWalkable(Math.floor(spawnX / 32), Math.floor(spawnY / 32))) {
+                spawnX = x;
+                spawnY = y;
+            }
+            
+            const type = types[Math.floor(RNG.ai.next() * types.length)];
+            const enemy = new Enemy(type, enemyPool[type], this.currentFloor);
+            enemy.x = enemy.prevX = spawnX;
+            enemy.y = enemy.prevY = spawnY;
+            enemy.soundType = enemyPool[type].soundType || 'smallMonsterAttack';
+            
+            this.applyEnemyModifiers(enemy);
+            this.enemies.push(enemy);
+        }
+    }
+    
     update(dt) {
         // Sync difficulty settings to player for damage calculations
         if (this.player && this.gameplaySettings) {
             this.player.setDifficultySettings?.(this.gameplaySettings);
         }
         
-        // Update screen effects (may cause hit freeze)
-        if (this.updateScreenEffects(dt)) {
-            // In hit freeze - skip most updates but keep rendering
-            return;
-        }
+        // Positions before this step, for interpolated rendering
+        snapshotPositions(this.getInterpolatedObjects());
+        
+        // Update screen effects
+        this.updateScreenEffects(dt);
+        
+        // Click-driven menus take a stick-controlled cursor on gamepad
+        this.engine.padCursorEnabled = this.pauseMenu.visible || this.puzzleUI.visible;
         
         // Level up screen - freezes game world
         if (this.levelUpScreenActive) {
@@ -610,31 +1051,41 @@ class GameScene extends Scene {
             return; // Don't update anything else while allocating stats
         }
         
-        // Handle UI toggles
-        if (this.engine.wasKeyJustPressed('KeyK')) {
+        // Rebinding a control swallows the next key or click
+        if (this.pauseMenu.isCapturingBinding()) {
+            this.pauseMenu.captureBinding(this.engine.input);
+            return;
+        }
+        
+        // Handle UI toggles (while a panel is open the d-pad and bumpers navigate it)
+        const inPanel = this.skillTreePanel.visible || this.inventoryPanel.visible;
+        if (this.engine.wasActionJustPressed('skillTree', inPanel)) {
             this.skillTreePanel.toggle();
         }
-        if (this.engine.wasKeyJustPressed('KeyI')) {
+        if (this.engine.wasActionJustPressed('inventory', inPanel)) {
             this.inventoryPanel.toggle();
         }
-        if (this.engine.wasKeyJustPressed('KeyM')) {
+        if (this.engine.wasActionJustPressed('map', inPanel)) {
             this.showFullscreenMap = !this.showFullscreenMap;
         }
-        // Spell cycling for mage classes (Q key or mouse wheel)
-        if (this.engine.wasKeyJustPressed('KeyQ')) {
+        // Spell cycling for mage classes (the only ones whose basic attack is the active spell)
+        if (this.player.classData.defaultAttackType === 'projectile' && this.engine.wasActionJustPressed('cycleSpell')) {
             const newSpell = this.player.cycleSpell?.();
             if (newSpell) {
                 this.uiManager.addNotification(`Spell: ${newSpell.name}`, 'info');
             }
         }
         
-        // Potion usage - R for health, F for mana
-        if (this.engine.wasKeyJustPressed('KeyR')) {
+        // Potion usage
+        if (this.engine.wasActionJustPressed('healthPotion', inPanel)) {
             this.useHealthPotion();
         }
-        if (this.engine.wasKeyJustPressed('KeyF')) {
+        if (this.engine.wasActionJustPressed('manaPotion', inPanel)) {
             this.useManaPotion();
         }
+        if (this.engine.wasActionJustPressed('useTorch')) {
+            this.useTorch();
+        }
         
         // Command input mode - press / to open command prompt
         if (this.commandMode) {
@@ -670,8 +1121,8 @@ class GameScene extends Scene {
             return GameState.PLAYING; // Block other input while typing
         }
         
-        // Open command prompt with / key
-        if (this.engine.wasKeyJustPressed('Slash')) {
+        // Open command prompt
+        if (this.engine.wasActionJustPressed('console')) {
             this.commandMode = true;
             this.commandBuffer = '';
             return GameState.PLAYING;
@@ -683,7 +1134,11 @@ class GameScene extends Scene {
             this.player.health = Math.max(this.player.health, 1); // Can't die
         }
         
-        if (this.engine.wasKeyJustPressed('Escape')) {
+        // Escape or Start toggles pause; B also backs out of open panels and menus
+        const panelOpen = this.skillTreePanel.visible || this.inventoryPanel.visible ||
+                          this.showFullscreenMap || this.pauseMenu.visible;
+        if (this.engine.wasKeyJustPressed('Escape') || this.engine.wasPadButtonJustPressed(PAD_BUTTONS.START) ||
+            (panelOpen && this.engine.wasPadButtonJustPressed(PAD_BUTTONS.B))) {
             // If any panel is open, close it
             if (this.skillTreePanel.visible || this.inventoryPanel.visible || 
                 this.showFullscreenMap) {
@@ -735,7 +1190,7 @@ class GameScene extends Scene {
             // Handle keyboard navigation
             for (const key of ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 
                                'KeyW', 'KeyA', 'KeyS', 'KeyD', 'Enter', 'Space']) {
-                if (this.engine.wasKeyJustPressed(key)) {
+                if (this.engine.wasMenuKeyJustPressed(key)) {
                     this.skillTreePanel.handleKeyDown(key);
                     break;
                 }
@@ -755,7 +1210,7 @@ class GameScene extends Scene {
             // Handle keyboard navigation for inventory
             for (const key of ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 
                                'KeyW', 'KeyA', 'KeyS', 'KeyD', 'Enter', 'Space', 'Tab']) {
-                if (this.engine.wasKeyJustPressed(key)) {
+                if (this.engine.wasMenuKeyJustPressed(key)) {
                     this.inventoryPanel.handleKeyDown(key);
                     break;
                 }
@@ -772,14 +1227,17 @@ class GameScene extends Scene {
                 this.puzzleUI.handleClick(mouse.x, mouse.y);
             }
             
-            // Allow escape to close puzzle
-            if (this.engine.wasKeyJustPressed('Escape')) {
+            // Allow escape (or B) to close puzzle
+            if (this.engine.wasMenuKeyJustPressed('Escape')) {
                 this.puzzleUI.close();
             }
             
             return; // Block other input while puzzle is active
         }
         
+        // Run timer only counts while the world is simulating
+        this.runStats.time += dt;
+        
         // Update player controller
         this.controller.update(dt, this.camera);
         
@@ -893,6 +1351,14 @@ class GameScene extends Scene {
             }
         }
         
+        // Carried torch burns down
+        if (this.player.torchTime > 0) {
+            this.player.torchTime -= dt;
+            if (this.player.torchTime <= 0) {
+                this.uiManager.addNotification('Your torch burned out', 'info');
+            }
+        }
+        
         // Update and spawn player afterimages for cinematic effect
         this.updatePlayerAfterimages(dt);
         
@@ -917,6 +1383,11 @@ class GameScene extends Scene {
                 // Melee swing sound
                 this.soundManager.playAttackSound(false);
             }
+            
+            // Combo finishers call out their name
+            if (attack.finisher) {
+                this.uiManager.addFloatingText(this.player.x, this.player.y - 50, attack.moveName, '#ffdd88');
+            }
         }
         
         // Handle player abilities
@@ -925,9 +1396,6 @@ class GameScene extends Scene {
             this.player.pendingAbility = null;
         }
         
-        // Update player status effects
-        this.player.updateStatusEffects?.(dt);
-        
         // Non-Euclidean space: wrap player position FIRST (before wall collision)
         // This ensures the player is in valid world coordinates before collision checks
         this.wrapEntityPosition(this.player);
@@ -948,9 +1416,25 @@ class GameScene extends Scene {
             this.dungeon.discoverArea(this.player.x, this.player.y, 8);
         }
         
+        // Keep packs from stacking on top of each other (walls are resolved per enemy below)
+        this.combatManager.separateEnemies(this.enemies, dt);
+        
+        // Packs chasing the player share a flow field; the rest path individually
+        let chasers = 0;
+        for (const enemy of this.enemies) {
+            if (enemy.target === this.player && enemy.state === 'chase') chasers++;
+        }
+        this.pathfinder.update(this.player, chasers);
+        
+        // Pack alerts, rallying and formation patrols
+        this.packManager.update(dt, this.player, this.enemies);
+        
         // Update enemies
         for (const enemy of this.enemies) {
-            enemy.update(dt, this.player, this.dungeon);
+            enemy.update(dt, this.player, this.dungeon, this.pathfinder, this.enemies);
+            
+            // Pools soak or burn whatever wades through them (see Reactions.js)
+            applyTileStatus(enemy, this.dungeon.getTile(Math.floor(enemy.x / 32), Math.floor(enemy.y / 32)));
             
             // Boss dash sound trigger
             if (enemy.playDashSound) {
@@ -1014,16 +1498,16 @@ class GameScene extends Scene {
                     // Spawn in rings around the arena with better spacing
                     const minionsPerRing = 8; // Fewer per ring = more spread out
                     const ring = Math.floor(i / minionsPerRing);
-                    const angleOffset = ring * 0.4 + Math.random() * 0.2; // Offset each ring with randomness
+                    const angleOffset = ring * 0.4 + RNG.ai.next() * 0.2; // Offset each ring with randomness
                     const angle = (Math.PI * 2 / minionsPerRing) * (i % minionsPerRing) + angleOffset;
-                    const spawnRadius = 120 + ring * 90 + Math.random() * 50; // Rings at 120, 210, 300, etc. - more spread
+                    const spawnRadius = 120 + ring * 90 + RNG.ai.next() * 50; // Rings at 120, 210, 300, etc. - more spread
                     
                     // Clamp to arena bounds
                     const clampedRadius = Math.min(spawnRadius, arenaRadius);
                     const spawnX = arenaCenter.x + Math.cos(angle) * clampedRadius;
                     const spawnY = arenaCenter.y + Math.sin(angle) * clampedRadius;
                     
-                    const type = availableTypes[Math.floor(Math.random() * availableTypes.length)];
+                    const type = availableTypes[Math.floor(RNG.ai.next() * availableTypes.length)];
                     const enemyData = enemyPool[type];
                     
                     const minion = new Enemy(type, enemyData, this.currentFloor);
@@ -1039,6 +1523,7 @@ class GameScene extends Scene {
                     minion.attackRange = Math.max(minion.attackRange || 40, 60); // Slightly increased attack range
                     minion.speed = (minion.speed || 80) * 1.2; // 20% faster
                     
+                    this.applyEnemyModifiers(minion);
                     this.enemies.push(minion);
                     enemy.addHealingMinion(minion); // Register with boss
                 }
@@ -1083,14 +1568,26 @@ class GameScene extends Scene {
         // Update combat
         const combatResults = this.combatManager.update(dt, [...this.enemies, this.player]);
         
+        // Pools frozen or thawed by ice and fire attacks
+        for (const change of this.combatManager.tileChanges) {
+            this.dungeonRenderer.updateTile(change.x, change.y, change.tile);
+        }
+        this.combatManager.tileChanges.length = 0;
+        
         // Process combat results
         for (const result of combatResults) {
+            if (result.reaction) {
+                this.uiManager.addFloatingText(result.target.x, result.target.y - 44, `${result.reaction.name}!`, result.reaction.color);
+            }
             if (result.damage > 0) {
                 this.uiManager.addDamageNumber(
                     result.target.x,
                     result.target.y - 20,
                     result.damage,
-                    result.isCrit
+                    result.isCrit,
+                    false,
+                    result.element,
+                    getAffinity(result.target, result.element)
                 );
                 
                 // Play attack hit sound
@@ -1106,14 +1603,15 @@ class GameScene extends Scene {
                 // If player took damage, play hurt sound
                 if (result.target === this.player) {
                     this.soundManager.playHurt();
+                    result.source?.onDealtDamage?.(result.damage, result.target);
                 }
                 
                 // Cinematic effects on hits - with cooldown to prevent spam
                 if (!this.lastHitEffectTime) this.lastHitEffectTime = 0;
-                const hitEffectCooldown = Date.now() - this.lastHitEffectTime > 100; // 100ms cooldown
+                const hitEffectCooldown = Utils.now() - this.lastHitEffectTime > 100; // 100ms cooldown
                 
                 if (result.isCrit && hitEffectCooldown) {
-                    this.lastHitEffectTime = Date.now();
+                    this.lastHitEffectTime = Utils.now();
                     // Critical hit effects
                     this.camera.shake(8, 0.15);
                     this.camera.impactEffect(1.08, 0.12);
@@ -1121,23 +1619,33 @@ class GameScene extends Scene {
                     this.triggerScreenFlash('#fff', 0.2, 0.06);
                     this.triggerBloom(0.3, 0.1);
                 } else if (result.damage > 50 && hitEffectCooldown) {
-                    this.lastHitEffectTime = Date.now();
+                    this.lastHitEffectTime = Utils.now();
                     // Screen shake on big hits
                     this.camera.shake(5, 0.1);
                     this.camera.impactEffect(1.05, 0.08);
                     this.triggerScreenFlash('#fff', 0.12, 0.05);
                 } else if (result.damage > 20 && hitEffectCooldown) {
-                    this.lastHitEffectTime = Date.now();
+                    this.lastHitEffectTime = Utils.now();
                     // Smaller effect on medium hits
                     this.camera.shake(2, 0.05);
                 }
             }
         }
         
+        // Enemies queued by elite affixes (splitting on death, mirror images)
+        this.spawnPendingEnemies();
+        
         // Check for dead enemies
         for (let i = this.enemies.length - 1; i >= 0; i--) {
             const enemy = this.enemies[i];
+            if (enemy.health <= 0 && enemy.isIllusion) {
+                // Mirror images vanish without rewards
+                this.enemies.splice(i, 1);
+                continue;
+            }
             if (enemy.health <= 0) {
+                this.runStats.kills++;
+                
                 // Award experience
                 this.player.gainExperience(enemy.expReward);
                 
@@ -1152,7 +1660,7 @@ class GameScene extends Scene {
                         item: bossWeapon
                     });
                     this.uiManager.addNotification(`${bossWeapon.name} dropped!`, 'legendary');
-                } else if (Math.random() < enemy.dropChance) {
+                } else if (RNG.loot.next() < enemy.dropChance) {
                     const weapon = generateEnemyDrop(enemy, this.currentFloor);
                     if (weapon && weapon.name) {
                         this.items.push({
@@ -1163,8 +1671,19 @@ class GameScene extends Scene {
                     }
                 }
                 
+                // Elites carrying a vault key always drop it
+                if (enemy.keyColor) {
+                    this.items.push({
+                        x: enemy.x,
+                        y: enemy.y,
+                        item: { type: 'key', keyColor: enemy.keyColor, name: `${KEY_COLORS[enemy.keyColor].name} Key`, color: KEY_COLORS[enemy.keyColor].color }
+                    });
+                    this.uiManager.addNotification(`The ${KEY_COLORS[enemy.keyColor].name} Key dropped!`, 'legendary');
+                }
+                
                 // Drop gold
-                const goldAmount = randomInt(enemy.level * 5, enemy.level * 15);
+                const goldAmount = Math.floor(randomInt(enemy.level * 5, enemy.level * 15, 'loot') *
+                    (this.gameplaySettings.goldMultiplier || 1) * (1 + getEliteLootBonus(enemy).gold));
                 this.player.gold = (this.player.gold || 0) + goldAmount;
                 this.soundManager.playCoin();
                 
@@ -1253,6 +1772,13 @@ class GameScene extends Scene {
                     continue;
                 }
                 
+                // Vault keys go on the floor's key ring, not in the inventory
+                if (item.item.type === 'key') {
+                    this.collectKey(item.item.keyColor);
+                    this.items.splice(i, 1);
+                    continue;
+                }
+                
                 // Auto-pickup
                 if (this.player.addToInventory(item.item)) {
                     this.uiManager.addNotification(`Picked up ${item.item.name}`, 'info');
@@ -1272,28 +1798,27 @@ class GameScene extends Scene {
         if (currentTile === TILE_TYPES.STAIRS_DOWN) {
             // Stairs down - only allow after boss is defeated
             if (this.coreBossDefeated) {
-                this.interactionPrompt = 'Press E to descend';
-                if (this.engine.wasKeyJustPressed('KeyE')) {
+                this.interactionPrompt = `Press ${this.engine.getActionLabel('interact')} to descend`;
+                if (this.engine.wasActionJustPressed('interact')) {
                     this.advanceToNextFloor();
                 }
             } else {
                 this.interactionPrompt = 'Defeat the floor boss to proceed';
             }
         } else if (currentTile === TILE_TYPES.STAIRS_UP && this.currentFloor > 1) {
-            this.interactionPrompt = 'Press E to ascend';
-            if (this.engine.wasKeyJustPressed('KeyE')) {
-                this.currentFloor--;
-                this.generateDungeon();
+            this.interactionPrompt = `Press ${this.engine.getActionLabel('interact')} to ascend`;
+            if (this.engine.wasActionJustPressed('interact')) {
+                this.enterFloor(this.currentFloor - 1);
             }
         } else if (currentTile === TILE_TYPES.CHEST) {
-            this.interactionPrompt = 'Press E to open chest';
-            if (this.engine.wasKeyJustPressed('KeyE')) {
+            this.interactionPrompt = `Press ${this.engine.getActionLabel('interact')} to open chest`;
+            if (this.engine.wasActionJustPressed('interact')) {
                 this.openChest(playerTileX, playerTileY);
             }
         } else if (currentTile === TILE_TYPES.TRAP) {
             // Trapped chest - looks like a chest but triggers trap when interacted
-            this.interactionPrompt = 'Press E to open chest';
-            if (this.engine.wasKeyJustPressed('KeyE')) {
+            this.interactionPrompt = `Press ${this.engine.getActionLabel('interact')} to open chest`;
+            if (this.engine.wasActionJustPressed('interact')) {
                 // Trigger trap damage
                 const trapDamage = 15 + this.currentFloor * 8;
                 this.player.takeDamage(trapDamage);
@@ -1302,7 +1827,7 @@ class GameScene extends Scene {
                 this.soundManager.playHit();
                 this.camera.shake(8, 0.2);
                 // Still give some loot as consolation
-                if (Math.random() < 0.5) {
+                if (RNG.loot.next() < 0.5) {
                     const goldAmount = Math.floor(10 + this.currentFloor * 5);
                     this.player.gold = (this.player.gold || 0) + goldAmount;
                     this.uiManager.addNotification(`Found ${goldAmount} gold anyway!`, 'gold');
@@ -1310,29 +1835,46 @@ class GameScene extends Scene {
                 // Convert trap to floor after triggering
                 this.dungeon.tiles[playerTileY][playerTileX] = TILE_TYPES.FLOOR;
                 this.dungeonRenderer.updateTile(playerTileX, playerTileY, TILE_TYPES.FLOOR);
+                this.pathfinder.refreshTile(playerTileX, playerTileY);
+            }
+        } else if (currentTile === TILE_TYPES.SHRINE) {
+            const shrine = this.dungeon.shrines.find(s => s.x === playerTileX && s.y === playerTileY);
+            if (shrine && shrine.state === 'active') {
+                this.interactionPrompt = `Press ${this.engine.getActionLabel('interact')} to attempt the shrine's trial`;
+                if (this.engine.wasActionJustPressed('interact')) {
+                    this.openShrinePuzzle(shrine);
+                }
+            }
+        } else if (currentTile === TILE_TYPES.TORCH_UNLIT) {
+            this.interactionPrompt = `Press ${this.engine.getActionLabel('interact')} to light torch`;
+            if (this.engine.wasActionJustPressed('interact')) {
+                this.dungeonRenderer.updateTile(playerTileX, playerTileY, TILE_TYPES.TORCH_LIT);
+                this.soundManager.playTorchLight();
             }
         } else if (currentTile === TILE_TYPES.WATER) {
-            // Slow movement in water
+            // Slow movement in water, and it soaks you (see Reactions.js)
             this.player.maxSpeed = this.player.baseSpeed * 0.6;
+            applyTileStatus(this.player, currentTile);
         } else if (currentTile === TILE_TYPES.LAVA) {
             // Lava damage over time
+            applyTileStatus(this.player, currentTile);
             if (!this.player.invulnerable) {
                 const lavaDamage = Math.floor(5 + this.currentFloor * 2);
-                this.player.takeDamage(lavaDamage);
+                this.player.takeDamage(lavaDamage, null, 'fire');
             }
         } else if (currentTile === TILE_TYPES.DUNGEON_CORE) {
             // Dungeon core - triggers boss fight or advance if defeated
             if (this.coreBossDefeated) {
-                this.interactionPrompt = 'Press E to descend to the next floor';
-                if (this.engine.wasKeyJustPressed('KeyE')) {
+                this.interactionPrompt = `Press ${this.engine.getActionLabel('interact')} to descend to the next floor`;
+                if (this.engine.wasActionJustPressed('interact')) {
                     this.advanceToNextFloor();
                 }
             } else if (this.dungeonCoreActivated) {
                 // Core has been activated, boss is spawned but not yet defeated
                 this.interactionPrompt = 'Defeat the Core Guardian to proceed';
             } else {
-                this.interactionPrompt = 'Press E to activate the Dungeon Core';
-                if (this.engine.wasKeyJustPressed('KeyE')) {
+                this.interactionPrompt = `Press ${this.engine.getActionLabel('interact')} to activate the Dungeon Core`;
+                if (this.engine.wasActionJustPressed('interact')) {
                     this.activateDungeonCore();
                 }
             }
@@ -1341,6 +1883,10 @@ class GameScene extends Scene {
             this.player.maxSpeed = this.player.baseSpeed;
         }
         
+        if (!this.interactionPrompt) {
+            this.checkLockedDoors(playerTileX, playerTileY);
+        }
+        
         // Update UI
         this.uiManager.update(dt);
         
@@ -1406,7 +1952,7 @@ class GameScene extends Scene {
         this.enemySoundTimer += dt;
         if (this.enemySoundTimer >= this.enemySoundInterval) {
             if (this.enemies.length > 0) {
-                const randomEnemy = this.enemies[randomInt(0, this.enemies.length - 1)];
+                const randomEnemy = this.enemies[randomInt(0, this.enemies.length - 1, 'cosmetic')];
                 // Only play if enemy is near player
                 const dist = Math.sqrt((randomEnemy.x - this.player.x) ** 2 + (randomEnemy.y - this.player.y) ** 2);
                 if (dist < 300) {
@@ -1415,7 +1961,7 @@ class GameScene extends Scene {
             }
             this.enemySoundTimer = 0;
             // Randomize next interval
-            this.enemySoundInterval = 2 + Math.random() * 4;
+            this.enemySoundInterval = 2 + RNG.cosmetic.next() * 4;
         }
         
         // Check player death (skip in dev mode)
@@ -1461,6 +2007,9 @@ class GameScene extends Scene {
             case 'heal':
                 this.executeHealAbility(ability, owner);
                 break;
+            case 'cleanse':
+                this.executeCleanseAbility(ability, owner);
+                break;
             case 'movement':
             case 'dash':
                 this.executeMovementAbility(ability, targetX, targetY, owner);
@@ -1560,6 +2109,7 @@ class GameScene extends Scene {
             range: ability.range || 60,
             element: ability.element || 'physical',
             knockback: ability.knockback || 80,
+            poiseDamage: ability.poiseDamage,
             effects: ability.effects,
             isAbility: true
         }, owner);
@@ -1593,7 +2143,9 @@ class GameScene extends Scene {
             hitInterval: 0.2,
             lastHitTime: 0,
             hitEntities: new Set(),
-            effects: ability.effects
+            effects: ability.effects,
+            knockback: ability.knockback || 0,
+            poiseDamage: ability.poiseDamage
         });
         
         // Visual burst
@@ -1627,20 +2179,13 @@ class GameScene extends Scene {
         
         if (target) {
             // Deal damage
-            target.takeDamage(ability.damage || 40);
+            this.combatManager.damageTarget(target, ability.damage || 40, ability.element);
             
             // Lightning visual - line from player to target
-            this.combatManager.particles.push({
-                x: owner.x,
-                y: owner.y,
-                vx: 0, vy: 0,
+            this.combatManager.addLightning(owner.x, owner.y, target.x, target.y, {
                 size: 3,
                 color: color,
                 lifetime: 0.15,
-                maxLifetime: 0.15,
-                isLightning: true,
-                targetX: target.x,
-                targetY: target.y,
                 glow: true
             });
             
@@ -1679,20 +2224,13 @@ class GameScene extends Scene {
         }
         
         if (closest) {
-            closest.takeDamage(damage);
+            this.combatManager.damageTarget(closest, damage, 'lightning');
             
             // Lightning visual
-            this.combatManager.particles.push({
-                x: source.x,
-                y: source.y,
-                vx: 0, vy: 0,
+            this.combatManager.addLightning(source.x, source.y, closest.x, closest.y, {
                 size: 2,
                 color: color,
                 lifetime: 0.1,
-                maxLifetime: 0.1,
-                isLightning: true,
-                targetX: closest.x,
-                targetY: closest.y,
                 glow: true
             });
             
@@ -1740,17 +2278,17 @@ class GameScene extends Scene {
     executeHealAbility(ability, owner) {
         // Healing light particles rising up
         for (let i = 0; i < 20; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const dist = Math.random() * 25;
+            const angle = RNG.cosmetic.next() * Math.PI * 2;
+            const dist = RNG.cosmetic.next() * 25;
             this.combatManager.addParticle(
                 owner.x + Math.cos(angle) * dist,
                 owner.y + Math.sin(angle) * dist,
                 {
-                    vx: (Math.random() - 0.5) * 30,
-                    vy: -80 - Math.random() * 60,
+                    vx: (RNG.cosmetic.next() - 0.5) * 30,
+                    vy: -80 - RNG.cosmetic.next() * 60,
                     color: '#88ff88',
-                    size: 5 + Math.random() * 4,
-                    lifetime: 0.8 + Math.random() * 0.4,
+                    size: 5 + RNG.cosmetic.next() * 4,
+                    lifetime: 0.8 + RNG.cosmetic.next() * 0.4,
                     glow: true
                 }
             );
@@ -1777,6 +2315,18 @@ class GameScene extends Scene {
         this.soundManager.playHealSound?.();
     }
     
+    // Execute cleanse ability (Purity) - the debuffs were already stripped by the caster
+    executeCleanseAbility(ability, owner) {
+        this.combatManager.createParticleBurst(owner.x, owner.y, 16, {
+            color: '#ffffcc',
+            speed: 120,
+            size: 4,
+            lifetime: 0.5,
+            glow: true
+        });
+        this.uiManager.addFloatingText(owner.x, owner.y - 30, 'Cleansed', '#ffffcc');
+    }
+    
     // Execute movement ability (dash, teleport, etc.)
     executeMovementAbility(ability, targetX, targetY, owner) {
         const dx = targetX - owner.x;
@@ -1804,11 +2354,11 @@ class GameScene extends Scene {
                 startX + dirX * moveDist * t,
                 startY + dirY * moveDist * t,
                 {
-                    vx: (Math.random() - 0.5) * 50,
-                    vy: (Math.random() - 0.5) * 50,
+                    vx: (RNG.cosmetic.next() - 0.5) * 50,
+                    vy: (RNG.cosmetic.next() - 0.5) * 50,
                     color: color,
                     size: 6 - t * 4,
-                    lifetime: 0.3 + Math.random() * 0.2,
+                    lifetime: 0.3 + RNG.cosmetic.next() * 0.2,
                     glow: true
                 }
             );
@@ -1950,16 +2500,16 @@ class GameScene extends Scene {
             
             // Extra dramatic particles for ultimate
             for (let i = 0; i < 30; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const dist = Math.random() * ability.radius;
+                const angle = RNG.cosmetic.next() * Math.PI * 2;
+                const dist = RNG.cosmetic.next() * ability.radius;
                 this.combatManager.addParticle(
                     targetX + Math.cos(angle) * dist,
                     targetY + Math.sin(angle) * dist,
                     {
                         vx: Math.cos(angle) * 100,
-                        vy: -80 + Math.random() * 60,
+                        vy: -80 + RNG.cosmetic.next() * 60,
                         color: color,
-                        size: 6 + Math.random() * 4,
+                        size: 6 + RNG.cosmetic.next() * 4,
                         lifetime: 0.8,
                         glow: true
                     }
@@ -1987,13 +2537,13 @@ class GameScene extends Scene {
             // Extra particles rising
             for (let i = 0; i < 20; i++) {
                 this.combatManager.addParticle(
-                    owner.x + (Math.random() - 0.5) * 40,
-                    owner.y + (Math.random() - 0.5) * 40,
+                    owner.x + (RNG.cosmetic.next() - 0.5) * 40,
+                    owner.y + (RNG.cosmetic.next() - 0.5) * 40,
                     {
-                        vx: (Math.random() - 0.5) * 60,
-                        vy: -100 - Math.random() * 80,
+                        vx: (RNG.cosmetic.next() - 0.5) * 60,
+                        vy: -100 - RNG.cosmetic.next() * 80,
                         color: color,
-                        size: 5 + Math.random() * 3,
+                        size: 5 + RNG.cosmetic.next() * 3,
                         lifetime: 1.0,
                         glow: true
                     }
@@ -2043,7 +2593,7 @@ class GameScene extends Scene {
             const tileY = Math.floor(oldY / tileSize + (point.y - entity.y) / tileSize);
             const tile = this.dungeon.getTile(tileX, tileY);
             
-            if (tile === TILE_TYPES.WALL || tile === TILE_TYPES.EMPTY) {
+            if (SOLID_TILES.has(tile)) {
                 collidedX = true;
                 break;
             }
@@ -2055,7 +2605,7 @@ class GameScene extends Scene {
             const tileY = Math.floor(point.y / tileSize);
             const tile = this.dungeon.getTile(tileX, tileY);
             
-            if (tile === TILE_TYPES.WALL || tile === TILE_TYPES.EMPTY) {
+            if (SOLID_TILES.has(tile)) {
                 collidedY = true;
                 break;
             }
@@ -2109,13 +2659,45 @@ class GameScene extends Scene {
             const tileY = Math.floor(point.y / tileSize);
             const tile = this.dungeon.getTile(tileX, tileY);
             
-            if (tile === TILE_TYPES.WALL || tile === TILE_TYPES.EMPTY) {
+            if (SOLID_TILES.has(tile)) {
                 // Find nearest valid floor tile
                 entity.x = oldX;
                 entity.y = oldY;
                 break;
             }
         }
+        
+        // Knocked into the wall (see combat/Poise.js)
+        if ((collidedX || collidedY) && entity.knockback) {
+            this.handleWallSlam(entity, collidedX, collidedY);
+        }
+    }
+    
+    handleWallSlam(entity, collidedX, collidedY) {
+        const slam = getWallSlam(entity, collidedX, collidedY);
+        if (!slam || entity.health <= 0) return;
+        
+        // The wall lands on top of the blow's brief invulnerability (player i-frames still count)
+        if (entity !== this.player) entity.invulnerable = false;
+        const damage = entity.takeDamage(slam.damage, null, 'physical');
+        if (damage <= 0) return;
+        applyImpact(entity, entity.x, entity.y, { poiseDamage: slam.poiseDamage });
+        
+        this.combatManager.combatResults.push({
+            target: entity,
+            source: null,
+            damage: damage,
+            isCrit: false,
+            element: 'physical'
+        });
+        this.uiManager.addFloatingText(entity.x, entity.y - 44, 'Wall Slam!', '#ffcc33');
+        this.combatManager.createParticleBurst(entity.x, entity.y, 12, {
+            color: '#aa9977',
+            speed: 120,
+            lifetime: 0.3,
+            size: 4
+        });
+        this.camera.shake(4, 0.15);
     }
     
     // Handle collisions with boss room obstacles
@@ -2165,8 +2747,8 @@ class GameScene extends Scene {
                                     // Add destruction particles
                                     for (let j = 0; j < 8; j++) {
                                         this.combatManager.addEffect({
-                                            x: obstacle.x + (Math.random() - 0.5) * 30,
-                                            y: obstacle.y + (Math.random() - 0.5) * 30,
+                                            x: obstacle.x + (RNG.cosmetic.next() - 0.5) * 30,
+                                            y: obstacle.y + (RNG.cosmetic.next() - 0.5) * 30,
                                             type: 'debris',
                                             duration: 0.5,
                                             color: '#666'
@@ -2363,7 +2945,7 @@ class GameScene extends Scene {
             const tileY = Math.floor(point.y / tileSize);
             const tile = this.dungeon.getTile(tileX, tileY);
             
-            if (tile === TILE_TYPES.WALL || tile === TILE_TYPES.EMPTY) {
+            if (SOLID_TILES.has(tile)) {
                 return true;
             }
         }
@@ -2401,6 +2983,7 @@ class GameScene extends Scene {
         // If we found a boss room, lock it
         if (this.bossRoom) {
             this.bossRoomLocked = true;
+            this.pathfinder.setSealedRoom(this.bossRoom);
             this.uiManager.addNotification('The room seals behind you!', 'warning');
             this.camera.shake(10, 0.5);
             
@@ -2445,11 +3028,11 @@ class GameScene extends Scene {
         }
         
         // Add themed hazards based on floor type
-        const hazardCount = 2 + Math.floor(Math.random() * 3);
+        const hazardCount = 2 + Math.floor(RNG.layout.next() * 3);
         for (let i = 0; i < hazardCount; i++) {
             // Random position within room but not too close to center or edges
-            const angle = (i / hazardCount) * Math.PI * 2 + Math.random() * 0.5;
-            const dist = roomW / 4 + Math.random() * roomW / 6;
+            const angle = (i / hazardCount) * Math.PI * 2 + RNG.layout.next() * 0.5;
+            const dist = roomW / 4 + RNG.layout.next() * roomW / 6;
             const hx = centerX + Math.cos(angle) * dist;
             const hy = centerY + Math.sin(angle) * dist;
             
@@ -2496,10 +3079,10 @@ class GameScene extends Scene {
                 hazardType: hazardType,
                 x: hx,
                 y: hy,
-                radius: 24 + Math.random() * 16,
+                radius: 24 + RNG.layout.next() * 16,
                 damage: damage,
                 color: color,
-                pulsePhase: Math.random() * Math.PI * 2,
+                pulsePhase: RNG.layout.next() * Math.PI * 2,
                 theme: theme
             });
         }
@@ -2510,6 +3093,7 @@ class GameScene extends Scene {
         this.inBossFight = false;
         this.bossRoomLocked = false;
         this.bossRoom = null;
+        this.pathfinder.setSealedRoom(null);
         this.bossObstacles = []; // Clear obstacles when fight ends
         this.hud.setBoss(null); // Clear boss health bar
     }
@@ -2530,7 +3114,21 @@ class GameScene extends Scene {
         entity.y = Math.max(minY, Math.min(maxY, entity.y));
     }
     
+    // Moving things that render between simulation steps
+    getInterpolatedObjects() {
+        return [
+            this.camera,
+            this.player,
+            ...this.enemies,
+            ...this.combatManager.projectiles
+        ];
+    }
+    
     render(ctx) {
+        renderInterpolated(this.getInterpolatedObjects(), this.engine.renderAlpha, () => this.renderFrame(ctx));
+    }
+    
+    renderFrame(ctx) {
         // Clear with dark background
         ctx.fillStyle = '#0a0a0f';
         ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
@@ -2545,6 +3143,10 @@ class GameScene extends Scene {
         // Render dungeon
         this.dungeonRenderer.render(ctx, this.dungeon, this.camera);
         
+        // Light the visible tiles first so enemies in the dark can be skipped
+        this.dungeonRenderer.updateLighting(this.camera, ctx.canvas.width, ctx.canvas.height, this.getLightSources());
+        const lightMap = this.dungeonRenderer.lightMap;
+        
         // Render items with floating animation
         const time = Date.now() / 1000;
         for (const item of this.items) {
@@ -2579,8 +3181,9 @@ class GameScene extends Scene {
             this.renderBossObstacles(ctx);
         }
         
-        // Render enemies
+        // Render enemies (bosses are always visible, mobs only in the light)
         for (const enemy of this.enemies) {
+            if (!enemy.isBoss && lightMap.getLightAt(enemy.x, enemy.y) < VISIBILITY_THRESHOLD) continue;
             this.renderEnemy(ctx, enemy);
         }
         
@@ -2598,6 +3201,9 @@ class GameScene extends Scene {
         // Render combat effects
         this.combatManager.render(ctx);
         
+        // Darkness over everything the light doesn't reach
+        this.dungeonRenderer.renderLighting(ctx);
+        
         // Render world UI (damage numbers)
         this.uiManager.renderWorldUI(ctx, this.camera);
         
@@ -2732,11 +3338,12 @@ class GameScene extends Scene {
         }
     }
     
-    // Trigger hit freeze (brief pause for impact)
+    // Trigger hit freeze (brief pause for impact) - stops the simulation through the engine's time scale
     triggerHitFreeze(duration = 0.03) {
         // Check if hit freeze is enabled in settings
         if (!this.visualSettings.hitFreeze) return;
-        this.screenEffects.hitFreeze = duration;
+        // Only freeze for very short durations to avoid perceived lag
+        this.engine.hitStop(Math.min(duration, 0.05));
     }
     
     // Trigger screen shake (respects settings)
@@ -2764,18 +3371,6 @@ class GameScene extends Scene {
             this.screenEffects.bloomIntensity -= this.screenEffects.bloomDecay * dt;
             if (this.screenEffects.bloomIntensity < 0) this.screenEffects.bloomIntensity = 0;
         }
-        
-        // Hit freeze (returns true if should pause game) - skip if disabled
-        if (this.screenEffects.hitFreeze > 0 && this.visualSettings.hitFreeze) {
-            this.screenEffects.hitFreeze -= dt;
-            // Only freeze for very short durations to avoid perceived lag
-            if (this.screenEffects.hitFreeze > 0.05) {
-                this.screenEffects.hitFreeze = 0.05; // Cap at 50ms
-            }
-            return true; // Pause update while in hit freeze
-        }
-        this.screenEffects.hitFreeze = 0;
-        return false;
     }
     
     // Level up screen - allows player to allocate stat points
@@ -2907,7 +3502,7 @@ class GameScene extends Scene {
         if (this.player.skillPoints > 0) {
             ctx.fillStyle = '#aaffaa';
             ctx.font = '16px Arial';
-            ctx.fillText(`Skill Points: ${this.player.skillPoints} (Press K to open skill tree)`, centerX, panelY + panelHeight - 10);
+            ctx.fillText(`Skill Points: ${this.player.skillPoints} (Press ${this.engine.getActionLabel('skillTree')} to open skill tree)`, centerX, panelY + panelHeight - 10);
         }
     }
     
@@ -3025,19 +3620,19 @@ class GameScene extends Scene {
         ctx.translate(mouse.x, mouse.y);
         ctx.rotate(angle);
         
-        // Swing animation
-        if (isAttacking) {
+        // Swing animation (combo moves animate their own shape in drawWeaponShape)
+        if (isAttacking && !p.currentMove) {
             ctx.rotate(-swingPhase + Math.PI / 4);
         }
         
-        const weaponType = weapon?.type || classData.weaponTypes?.[0] || 'sword';
+        const weaponType = getMeleeWeaponType(weapon, classData);
         const weaponColor = weapon?.color || '#aaaaaa';
         
         // Scale up the weapon for cursor visibility
         ctx.scale(1.2, 1.2);
         
         // Draw weapon based on type
-        this.drawWeaponShape(ctx, weaponType, weaponColor, classData, isAttacking);
+        this.drawWeaponShape(ctx, weaponType, weaponColor, classData, isAttacking, p.currentMove, p.chargingMove);
         
         ctx.restore();
         
@@ -3053,7 +3648,30 @@ class GameScene extends Scene {
     }
     
     // Shared weapon drawing function
-    drawWeaponShape(ctx, weaponType, weaponColor, classData, isAttacking) {
+    // move is the combo move being swung and charge a held heavy (see combat/Combos.js)
+    drawWeaponShape(ctx, weaponType, weaponColor, classData, isAttacking, move = null, charge = null) {
+        // Thrusts jab forward, spins turn all the way round, arcs sweep across their width
+        if (move) {
+            const t = Math.min(1, move.time / Math.min(move.duration, 0.3));
+            if (move.shape === 'line') {
+                ctx.translate(Math.sin(t * Math.PI) * 18, 0);
+            } else if (move.shape === 'circle') {
+                ctx.rotate(t * Math.PI * 2);
+            } else {
+                ctx.rotate((t - 0.5) * (move.arc || Math.PI));
+            }
+        }
+        
+        // A held charge draws the weapon back, trembling, in a glow that grows until full
+        if (charge) {
+            const level = Math.min(1, charge.time / charge.move.charge);
+            ctx.translate(-6 * level, Math.sin(Date.now() / 25) * level);
+            ctx.fillStyle = level >= 1 ? 'rgba(255, 255, 255, 0.6)' : `rgba(255, 220, 120, ${0.2 + level * 0.3})`;
+            ctx.beginPath();
+            ctx.arc(12, 0, 6 + level * 10, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
         switch (weaponType) {
             case 'sword':
             case 'enchanted_sword':
@@ -3375,10 +3993,10 @@ class GameScene extends Scene {
                     const crackAmount = 1 - obstacle.health / 100;
                     for (let i = 0; i < Math.floor(crackAmount * 5); i++) {
                         ctx.beginPath();
-                        const cx = obstacle.x - hw + Math.random() * obstacle.width;
-                        const cy = obstacle.y - hh + Math.random() * obstacle.height;
+                        const cx = obstacle.x - hw + RNG.cosmetic.next() * obstacle.width;
+                        const cy = obstacle.y - hh + RNG.cosmetic.next() * obstacle.height;
                         ctx.moveTo(cx, cy);
-                        ctx.lineTo(cx + (Math.random() - 0.5) * 15, cy + Math.random() * 10);
+                        ctx.lineTo(cx + (RNG.cosmetic.next() - 0.5) * 15, cy + RNG.cosmetic.next() * 10);
                         ctx.stroke();
                     }
                 }
@@ -3648,11 +4266,7 @@ class GameScene extends Scene {
             const shieldRadius = Math.max(bodyW, bodyH) * 0.9 + 8;
             
             // Get shield hits remaining for visual intensity
-            let shieldHits = 0;
-            if (p.hasStatusEffect('shield_active') && p.statusEffects instanceof Map) {
-                const shield = p.statusEffects.get('shield_active');
-                shieldHits = shield ? shield.value : 0;
-            }
+            const shieldHits = p.getStatusEffectValue('shield_active');
             
             // Color based on shield type - spell shield is more purple/magical
             const isSpellShield = p.hasStatusEffect('shield_active');
@@ -3723,16 +4337,8 @@ class GameScene extends Scene {
         ctx.closePath();
         ctx.fill();
         
-        // Status effect indicators with pulse
-        let effectIndex = 0;
-        for (const [name, effect] of p.statusEffects) {
-            const pulse = 0.7 + Math.sin(time * 4 + effectIndex) * 0.3;
-            ctx.globalAlpha = pulse;
-            ctx.fillStyle = effect.color || '#ffaa00';
-            ctx.fillRect(p.x - 20 + effectIndex * 8, p.y - p.height/2 - 20 + bobOffset, 6, 6);
-            effectIndex++;
-        }
-        ctx.globalAlpha = 1;
+        // Status effect icons
+        renderStatusIcons(ctx, p.statusEffects, p.x, p.y - p.height/2 - 14 + bobOffset);
         
         // Sprint indicator
         if (p.isSprinting) {
@@ -4398,6 +5004,16 @@ class GameScene extends Scene {
         const isMoving = speed > 5;
         const bobOffset = isMoving ? Math.sin(time * 10 + enemy.x) * 2 : Math.sin(time * 2 + enemy.x) * 1;
         
+        // Lurking ambushers are just a faint shimmer - no shadow, aura or health bar
+        if (enemy.ambushHidden) {
+            ctx.save();
+            ctx.globalAlpha = 0.15 + Math.sin(time * 2 + enemy.x) * 0.05;
+            ctx.translate(enemy.x, enemy.y);
+            this.renderMobSprite(ctx, enemy, time, false);
+            ctx.restore();
+            return;
+        }
+        
         // Render boss dash afterimages
         if (enemy.bossDashTrail && enemy.bossDashTrail.length > 0) {
             for (const trail of enemy.bossDashTrail) {
@@ -4409,20 +5025,20 @@ class GameScene extends Scene {
                 const crackle = Math.sin(time * 50 + trail.x) * 3;
                 ctx.fillStyle = trail.color;
                 ctx.shadowColor = '#ffffff';
-                ctx.shadowBlur = 10 + Math.random() * 10;
+                ctx.shadowBlur = 10 + RNG.cosmetic.next() * 10;
                 
                 // Draw distorted afterimage
                 ctx.fillRect(-enemy.width/2 + crackle, -enemy.height/2, enemy.width, enemy.height);
                 
                 // Crackling lightning lines
                 ctx.strokeStyle = '#ffffff';
-                ctx.lineWidth = 1 + Math.random();
+                ctx.lineWidth = 1 + RNG.cosmetic.next();
                 ctx.beginPath();
-                const startX = -enemy.width/2 + Math.random() * enemy.width;
-                const startY = -enemy.height/2 + Math.random() * enemy.height;
+                const startX = -enemy.width/2 + RNG.cosmetic.next() * enemy.width;
+                const startY = -enemy.height/2 + RNG.cosmetic.next() * enemy.height;
                 ctx.moveTo(startX, startY);
                 for (let i = 0; i < 3; i++) {
-                    ctx.lineTo(startX + (Math.random() - 0.5) * 30, startY + (Math.random() - 0.5) * 30);
+                    ctx.lineTo(startX + (RNG.cosmetic.next() - 0.5) * 30, startY + (RNG.cosmetic.next() - 0.5) * 30);
                 }
                 ctx.stroke();
                 
@@ -4439,6 +5055,10 @@ class GameScene extends Scene {
         ctx.save();
         ctx.translate(enemy.x, enemy.y + bobOffset);
         
+        // Elite affix auras (under the sprite)
+        renderEliteAura(ctx, enemy, time);
+        renderPackMarkers(ctx, enemy);
+        
         // Boss-specific rendering based on theme/type
         if (enemy.isBoss) {
             this.renderBossSprite(ctx, enemy, time, isMoving);
@@ -4682,9 +5302,9 @@ class GameScene extends Scene {
             ctx.fillRect(-w/3, -h/4, w * 0.66, 4);
             
             // Glitch effect
-            if (Math.random() < 0.05) {
+            if (RNG.cosmetic.next() < 0.05) {
                 ctx.fillStyle = '#00bcd4';
-                ctx.fillRect(-w/2, -h/2 + Math.random() * h, w, 3);
+                ctx.fillRect(-w/2, -h/2 + RNG.cosmetic.next() * h, w, 3);
             }
             
         } else if (bossType.includes('stone') || bossType.includes('golem') || bossType.includes('titan')) {
@@ -4823,15 +5443,53 @@ class GameScene extends Scene {
                 this.advanceToNextFloor();
                 this.uiManager.addNotification(`Skipping to floor ${targetFloor}...`, 'legendary');
                 break;
+            case 'practice':
+                // Leaves this run for the boss practice room (handled by IntoTheDeluge)
+                this.openBossPractice = true;
+                break;
             case 'help':
             case '?':
-                this.uiManager.addNotification('Commands: devmode, heal, kill, gold [n], level [n], floor [n]', 'info');
+                this.uiManager.addNotification('Commands: devmode, heal, kill, gold [n], level [n], floor [n], practice', 'info');
                 break;
             default:
                 this.uiManager.addNotification(`Unknown command: ${cmd}`, 'error');
         }
     }
     
+    // Things that light up the dungeon this frame, for the light map (see Lighting.js)
+    getLightSources() {
+        const torchBonus = this.player.torchTime > 0 ? TORCH_LIGHT_BONUS : 0;
+        const sources = [{ x: this.player.x, y: this.player.y, radius: PLAYER_LIGHT_RADIUS + torchBonus, intensity: 0.9 }];
+        
+        for (const proj of this.combatManager.projectiles) {
+            const bright = proj.element === 'fire' || proj.element === 'lightning' || proj.element === 'holy';
+            sources.push({ x: proj.x, y: proj.y, radius: bright ? 110 : 70, intensity: bright ? 0.7 : 0.45 });
+        }
+        for (const zone of this.combatManager.aoeZones) {
+            sources.push({ x: zone.centerX, y: zone.centerY, radius: zone.radius + 40, intensity: 0.6 });
+        }
+        for (const enemy of this.enemies) {
+            // Bosses glow with their element so the arena is never pitch black
+            if (enemy.isBoss) sources.push({ x: enemy.x, y: enemy.y, radius: 220, intensity: 0.5 });
+        }
+        return sources;
+    }
+    
+    // Light a Torch bought at the market (T key) - widens the player's light for a while
+    useTorch() {
+        const consumables = this.player.consumables || [];
+        const index = consumables.findIndex(item => item.effect === 'light');
+        if (index < 0) {
+            this.uiManager.addNotification('No torches!', 'warning');
+            return;
+        }
+        
+        const torch = consumables.splice(index, 1)[0];
+        this.player.torchTime = Math.max(this.player.torchTime || 0, 0) + TORCH_BURN_TIME * (torch.value || 1);
+        this.uiManager.addNotification('Torch lit', 'info');
+        this.soundManager.playTorchLight();
+    }
+    
     // Use a health potion (R key)
     useHealthPotion() {
         if (!this.player.potions) {
@@ -4917,6 +5575,10 @@ class MarketScene extends Scene {
         // Sound manager
         this.soundManager = new SoundManager();
         
+        // Saving at the Inn (slot is assigned by the game when the market opens)
+        this.saveManager = new SaveManager();
+        this.saveSlot = 1;
+        
         // Create market layout themed after previous floor
         this.marketLayout = new MarketLayout(floorTheme);
         
@@ -5019,24 +5681,25 @@ class MarketScene extends Scene {
                 building.type === BUILDING_TYPES.GUILD ? NPC_TYPES.GUILD_MASTER :
                 building.type === BUILDING_TYPES.MERCENARY_CAMP ? NPC_TYPES.MERCENARY :
                 building.type === BUILDING_TYPES.CLASS_HALL ? NPC_TYPES.CLASS_TRAINER :
+                building.type === BUILDING_TYPES.INN ? NPC_TYPES.INNKEEPER :
                 NPC_TYPES.MERCHANT,
                 building.gridX * this.tileSize + this.tileSize * 2,
                 building.gridY * this.tileSize + this.tileSize * 2,
                 building
             );
-            npc.isFemale = Math.random() > 0.5;
+            npc.isFemale = RNG.cosmetic.next() > 0.5;
             this.npcs.push(npc);
         }
         
         // Add wandering NPCs
         for (let i = 0; i < 8; i++) {
-            const x = randomInt(5, this.marketWidth - 5) * this.tileSize;
-            const y = randomInt(5, this.marketHeight - 5) * this.tileSize;
+            const x = randomInt(5, this.marketWidth - 5, 'cosmetic') * this.tileSize;
+            const y = randomInt(5, this.marketHeight - 5, 'cosmetic') * this.tileSize;
             const npc = new MarketNPC(
-                Math.random() > 0.7 ? NPC_TYPES.GUARD : NPC_TYPES.WANDERER,
+                RNG.cosmetic.next() > 0.7 ? NPC_TYPES.GUARD : NPC_TYPES.WANDERER,
                 x, y, null
             );
-            npc.isFemale = Math.random() > 0.5;
+            npc.isFemale = RNG.cosmetic.next() > 0.5;
             npc.isWanderer = true;
             this.npcs.push(npc);
         }
@@ -5052,10 +5715,13 @@ class MarketScene extends Scene {
             return GameState.MARKET;
         }
         
+        // Click-driven market panels take a stick-controlled cursor on gamepad
+        this.engine.padCursorEnabled = this.marketUI.hasActivePanel();
+        
         // Handle active UI panels
         if (this.marketUI.hasActivePanel()) {
-            // Check for escape to close
-            if (this.engine.wasKeyJustPressed('Escape')) {
+            // Check for escape (or B) to close
+            if (this.engine.wasMenuKeyJustPressed('Escape')) {
                 this.marketUI.closeAllPanels();
             }
             
@@ -5071,19 +5737,25 @@ class MarketScene extends Scene {
         // Movement input
         this.moveDirection = { x: 0, y: 0 };
         
-        if (this.engine.isKeyPressed('KeyW') || this.engine.isKeyPressed('ArrowUp')) {
+        if (this.engine.isActionDown('moveUp')) {
             this.moveDirection.y = -1;
         }
-        if (this.engine.isKeyPressed('KeyS') || this.engine.isKeyPressed('ArrowDown')) {
+        if (this.engine.isActionDown('moveDown')) {
             this.moveDirection.y = 1;
         }
-        if (this.engine.isKeyPressed('KeyA') || this.engine.isKeyPressed('ArrowLeft')) {
+        if (this.engine.isActionDown('moveLeft')) {
             this.moveDirection.x = -1;
         }
-        if (this.engine.isKeyPressed('KeyD') || this.engine.isKeyPressed('ArrowRight')) {
+        if (this.engine.isActionDown('moveRight')) {
             this.moveDirection.x = 1;
         }
         
+        // Left stick takes over from the keys while tilted
+        const moveStick = this.engine.input.gamepad.leftStick;
+        if (moveStick.x !== 0 || moveStick.y !== 0) {
+            this.moveDirection = { x: moveStick.x, y: moveStick.y };
+        }
+        
         // Normalize diagonal movement
         const len = Math.sqrt(this.moveDirection.x ** 2 + this.moveDirection.y ** 2);
         if (len > 0) {
@@ -5115,7 +5787,7 @@ class MarketScene extends Scene {
             // Mercenary periodic dialogue
             if (!this.mercenary.dialogueTimer) this.mercenary.dialogueTimer = 0;
             this.mercenary.dialogueTimer += dt;
-            if (this.mercenary.dialogueTimer > 8 + Math.random() * 5) {
+            if (this.mercenary.dialogueTimer > 8 + RNG.cosmetic.next() * 5) {
                 this.mercenary.dialogueTimer = 0;
                 this.mercenary.speak();
             }
@@ -5146,11 +5818,11 @@ class MarketScene extends Scene {
         
         if (nearestNPC) {
             this.interactionPrompt = {
-                text: `Press E to ${this.getInteractionText(nearestNPC)}`,
+                text: `Press ${this.engine.getActionLabel('interact')} to ${this.getInteractionText(nearestNPC)}`,
                 npc: nearestNPC
             };
             
-            if (this.engine.wasKeyJustPressed('KeyE')) {
+            if (this.engine.wasActionJustPressed('interact')) {
                 this.interactWithNPC(nearestNPC);
             }
         }
@@ -5163,12 +5835,12 @@ class MarketScene extends Scene {
             
             if (!this.interactionPrompt) {
                 this.interactionPrompt = {
-                    text: 'Press E to descend to next floor',
+                    text: `Press ${this.engine.getActionLabel('interact')} to descend to next floor`,
                     npc: null
                 };
             }
             
-            if (this.engine.wasKeyJustPressed('KeyE') && !nearestNPC) {
+            if (this.engine.wasActionJustPressed('interact') && !nearestNPC) {
                 this.transitioning = true;
                 this.uiManager.addNotification('Descending...', 'legendary');
             }
@@ -5196,6 +5868,7 @@ class MarketScene extends Scene {
             case NPC_TYPES.GUILD_MASTER: return 'View Quests';
             case NPC_TYPES.MERCENARY: return 'Hire Mercenary';
             case NPC_TYPES.CLASS_TRAINER: return 'Get Advice';
+            case NPC_TYPES.INNKEEPER: return 'Rest & Save';
             case NPC_TYPES.GUARD: return 'Talk';
             case NPC_TYPES.WANDERER: return 'Talk';
             default: return 'Interact';
@@ -5229,6 +5902,9 @@ class MarketScene extends Scene {
             case NPC_TYPES.CLASS_TRAINER:
                 this.showClassAdvice(npc);
                 break;
+            case NPC_TYPES.INNKEEPER:
+                this.restAtInn();
+                break;
             case NPC_TYPES.GUARD:
             case NPC_TYPES.WANDERER:
                 this.showRandomDialogue(npc);
@@ -5250,6 +5926,32 @@ class MarketScene extends Scene {
         }
     }
     
+    // The Inn is the save point - rest to full and write the run to the active slot
+    restAtInn() {
+        this.player.health = this.player.maxHealth;
+        this.player.mana = this.player.maxMana;
+        
+        // No slot during replay playback - replays must never overwrite the viewer's saves
+        if (this.saveSlot === null) {
+            this.soundManager.play('save', 0.6);
+            return;
+        }
+        
+        const saved = this.saveManager.save(this.saveSlot, {
+            player: this.player,
+            floor: this.currentFloor,
+            floorTheme: this.floorTheme,
+            marketLayout: this.marketLayout
+        });
+        
+        if (saved) {
+            this.soundManager.play('save', 0.6);
+            this.uiManager.addNotification(`Progress saved to slot ${this.saveSlot}`, 'success');
+        } else {
+            this.uiManager.addNotification('Could not save progress', 'error');
+        }
+    }
+    
     showClassAdvice(npc) {
         const advice = this.getClassAdvice();
         this.uiManager.addNotification(advice, 'info');
@@ -5266,7 +5968,7 @@ class MarketScene extends Scene {
             "Some enemies are weak to certain damage types.",
             "Dodge rolling can avoid most attacks."
         ];
-        return adviceList[Math.floor(Math.random() * adviceList.length)];
+        return adviceList[Math.floor(RNG.cosmetic.next() * adviceList.length)];
     }
     
     showRandomDialogue(npc) {
@@ -5280,7 +5982,7 @@ class MarketScene extends Scene {
             "A good mercenary is worth their weight in gold.",
             "May fortune favor your journey!"
         ];
-        const dialogue = dialogues[Math.floor(Math.random() * dialogues.length)];
+        const dialogue = dialogues[Math.floor(RNG.cosmetic.next() * dialogues.length)];
         this.uiManager.addNotification(`"${dialogue}"`, 'info');
     }
     
@@ -5364,7 +6066,7 @@ class MarketScene extends Scene {
                 ctx.fillRect(tileX, tileY, this.tileSize, this.tileSize);
                 
                 // Occasional decorative tiles
-                if (Math.random() < 0.02) {
+                if (RNG.cosmetic.next() < 0.02) {
                     ctx.fillStyle = accentColor + '33';
                     ctx.fillRect(tileX + 4, tileY + 4, this.tileSize - 8, this.tileSize - 8);
                 }
@@ -5557,6 +6259,9 @@ class MarketScene extends Scene {
         ctx.fillRect(this.mercenary.x - 15, this.mercenary.y + 18, 30, 4);
         ctx.fillStyle = '#4ade80';
         ctx.fillRect(this.mercenary.x - 15, this.mercenary.y + 18, 30 * healthPercent, 4);
+        
+        // Status effect icons above the name tag
+        this.mercenary.renderStatusEffects?.(ctx);
     }
     
     renderPlayer(ctx) {
@@ -5627,11 +6332,13 @@ class MarketScene extends Scene {
 
 // Death Screen Scene - Dark Souls inspired
 class DeathScene extends Scene {
-    constructor(engine, floor, level) {
+    constructor(engine, floor, level, seed = null, hasReplay = false) {
         super();
         this.engine = engine;
         this.floor = floor;
         this.level = level;
+        this.seed = seed;
+        this.hasReplay = hasReplay;
         
         // Fade-in animation state
         this.fadeProgress = 0;
@@ -5654,11 +6361,11 @@ class DeathScene extends Scene {
         this.bloodDrops = [];
         for (let i = 0; i < 5; i++) {
             this.bloodDrops.push({
-                x: Math.random() * engine.canvas.width,
-                y: -Math.random() * 100,
-                speed: 30 + Math.random() * 50,
-                size: 2 + Math.random() * 4,
-                delay: Math.random() * 3
+                x: RNG.cosmetic.next() * engine.canvas.width,
+                y: -RNG.cosmetic.next() * 100,
+                speed: 30 + RNG.cosmetic.next() * 50,
+                size: 2 + RNG.cosmetic.next() * 4,
+                delay: RNG.cosmetic.next() * 3
             });
         }
         
@@ -5701,13 +6408,13 @@ class DeathScene extends Scene {
                 drop.y += drop.speed * dt;
                 if (drop.y > this.engine.canvas.height + 20) {
                     drop.y = -20;
-                    drop.x = Math.random() * this.engine.canvas.width;
+                    drop.x = RNG.cosmetic.next() * this.engine.canvas.width;
                 }
             }
         }
         
         // Only allow restart after delay
-        if (this.canRestart && this.engine.wasKeyJustPressed('Space')) {
+        if (this.canRestart && (this.engine.wasKeyJustPressed('Space') || this.engine.wasPadButtonJustPressed(PAD_BUTTONS.A))) {
             return 'restart';
         }
         return GameState.DEAD;
@@ -5811,6 +6518,10 @@ class DeathScene extends Scene {
             ctx.shadowColor = 'transparent';
             ctx.shadowBlur = 0;
             ctx.fillText(`Floor ${this.floor}  •  Level ${this.level}`, w / 2, h / 2 + 60);
+            if (this.seed) {
+                ctx.font = '14px "Times New Roman", Georgia, serif';
+                ctx.fillText(`Seed ${this.seed}`, w / 2, h / 2 + 85);
+            }
         }
         
         // Restart prompt with slow pulse
@@ -5820,6 +6531,10 @@ class DeathScene extends Scene {
             ctx.font = '16px "Times New Roman", Georgia, serif';
             ctx.textAlign = 'center';
             ctx.fillText('Press SPACE to try again', w / 2, h / 2 + 120);
+            if (this.hasReplay) {
+                ctx.font = '14px "Times New Roman", Georgia, serif';
+                ctx.fillText('Press R to save replay', w / 2, h / 2 + 145);
+            }
         }
         
         ctx.textAlign = 'left';
@@ -5840,12 +6555,28 @@ class IntoTheDeluge {
         this.currentScene = null;
         this.selectedClass = null;
         this.menuSoundManager = null;
+        
+        // Save slots
+        this.saveManager = new SaveManager();
+        this.activeSaveSlot = 1;
+        
+        // Daily challenge
+        this.dailyLeaderboard = new DailyLeaderboard();
+        
+        // Replay of the last finished run (offered for download on the death screen)
+        this.lastReplay = null;
     }
     
     async init() {
         // Create and initialize engine
         this.engine = new Engine('gameCanvas');
         
+        // ?virtualpad swaps hardware for a scriptable pad, e.g. virtualGamepad.press(PAD_BUTTONS.A)
+        if (new URLSearchParams(window.location.search).has('virtualpad')) {
+            window.virtualGamepad = this.engine.gamepad.attachVirtual(new VirtualGamepad());
+            window.PAD_BUTTONS = PAD_BUTTONS;
+        }
+        
         // Create menu sound manager
         this.menuSoundManager = new SoundManager();
         
@@ -5856,6 +6587,9 @@ class IntoTheDeluge {
             (className) => this.onClassSelected(className),
             this.menuSoundManager
         );
+        this.refreshSaveSlots();
+        this.refreshDailyChallenge();
+        this.classSelectUI.setPracticeHandler((classKey) => this.startBossPractice(classKey));
         
         // Set up input handlers for class selection
         this.engine.canvas.addEventListener('click', (e) => {
@@ -5878,17 +6612,167 @@ class IntoTheDeluge {
             }
         });
         
+        // Dropping a replay file on the class select screen plays it back
+        this.engine.canvas.addEventListener('dragover', (e) => e.preventDefault());
+        this.engine.canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer?.files?.[0];
+            if (!file || this.state !== GameState.CLASS_SELECT) return;
+            
+            file.text().then(text => {
+                this.startReplay(parseReplay(text));
+            }).catch(err => {
+                console.warn('Failed to load replay:', err);
+            });
+        });
+        
         this.state = GameState.CLASS_SELECT;
         
         // Show cursor during class selection
         this.engine.canvas.style.cursor = 'default';
         
+        // ?benchmark opens the collision stress scene instead of the menu
+        if (new URLSearchParams(window.location.search).has('benchmark')) {
+            this.currentScene = new CollisionBenchmarkScene(this.engine);
+            this.state = GameState.BENCHMARK;
+        }
+        
+        // ?practice opens the boss practice room
+        if (new URLSearchParams(window.location.search).has('practice')) {
+            this.startBossPractice(this.classSelectUI.classNames[this.classSelectUI.currentIndex]);
+        }
+        
         // Start game loop
         this.engine.start((dt) => this.update(dt), (ctx) => this.render(ctx));
     }
     
+    refreshSaveSlots() {
+        this.classSelectUI.setSaveSlots(
+            this.saveManager.listSlots(),
+            (slot) => this.continueFromSave(slot)
+        );
+    }
+    
+    refreshDailyChallenge() {
+        const challenge = createDailyChallenge();
+        this.classSelectUI.setDailyChallenge(
+            challenge,
+            this.dailyLeaderboard.getEntries(challenge.dateKey),
+            () => this.startDailyRun(challenge)
+        );
+    }
+    
+    // Return to class select, refreshing slot and leaderboard info
+    returnToClassSelect() {
+        this.engine.stopRecording();
+        this.state = GameState.CLASS_SELECT;
+        this.currentScene = null;
+        this.gameScene = null;
+        this.refreshSaveSlots();
+        this.refreshDailyChallenge();
+        this.engine.canvas.style.cursor = 'default';
+    }
+    
+    // Practice runs on its own fixed-seed floor and is never recorded or saved
+    startBossPractice(classKey) {
+        this.selectedClass = classKey;
+        RNG.setSeed('PRACTICE');
+        this.gameScene = null;
+        this.currentScene = new BossPracticeScene(this.engine, new GameScene(this.engine, classKey));
+        this.state = GameState.PRACTICE;
+        this.engine.canvas.style.cursor = 'none';
+    }
+    
+    // Daily runs use the date's seed, class and modifiers and are never saved
+    startDailyRun(challenge) {
+        this.selectedClass = challenge.classKey;
+        RNG.setSeed(challenge.seed);
+        this.currentScene = new GameScene(this.engine, challenge.classKey, challenge);
+        this.state = GameState.PLAYING;
+        this.engine.canvas.style.cursor = 'none';
+        this.currentScene.soundManager.play('save', 0.6);
+        
+        this.beginRecording({ mode: 'daily', classKey: challenge.classKey, dateKey: challenge.dateKey });
+    }
+    
+    // Record every run from its first frame; start describes how to rebuild the run for playback
+    beginRecording(start) {
+        const scene = this.gameScene || this.currentScene;
+        this.engine.startRecording({
+            seed: RNG.seed,
+            start,
+            bindings: this.engine.bindings.toJSON(),
+            settings: {
+                difficulty: scene.pauseMenu.settings.difficulty,
+                marketsEnabled: scene.pauseMenu.settings.marketsEnabled
+            }
+        });
+    }
+    
+    finishRecording() {
+        // A watched replay is already on disk, so there is nothing new to offer
+        this.lastReplay = this.engine.isPlayingReplay() ? null : this.engine.stopRecording();
+    }
+    
+    // Rebuild the recorded run the same way it was started, then feed it the recorded input
+    startReplay(replay) {
+        const start = replay.start || {};
+        if (!ClassDefinitions[start.classKey]) {
+            console.warn('Replay has an unknown class:', start.classKey);
+            return;
+        }
+        
+        // Playback starts first so the rebuilt run knows it is a replay (no saves, no leaderboard)
+        this.engine.startPlayback(replay, () => {
+            // Stay on the death screen if the replay ended there; otherwise head back to the menu
+            if (this.state !== GameState.DEAD && this.state !== GameState.CLASS_SELECT) {
+                this.returnToClassSelect();
+            }
+        });
+        
+        this.gameScene = null;
+        if (start.mode === 'daily') {
+            this.startDailyRun(createDailyChallenge(new Date(start.dateKey)));
+        } else if (start.mode === 'continue') {
+            this.resumeRun(start.save);
+        } else {
+            RNG.setSeed(replay.seed);
+            this.startNewRun(start.classKey);
+        }
+        
+        // Use the recorded run's controls and gameplay settings rather than this player's
+        // (the next run's pause menu loads the player's own bindings again)
+        this.engine.bindings.resetDefaults();
+        this.engine.bindings.load(replay.bindings);
+        const scene = this.gameScene || this.currentScene;
+        Object.assign(scene.pauseMenu.settings, replay.settings);
+        scene.gameplaySettings = { ...scene.gameplaySettings, ...replay.settings, ...scene.getLockedGameplaySettings() };
+    }
+    
+    // Store a finished daily run on the leaderboard
+    recordDailyResult(scene) {
+        if (!scene?.dailyChallenge || this.engine.isPlayingReplay()) return;
+        
+        this.dailyLeaderboard.record(scene.dailyChallenge.dateKey, {
+            floor: scene.currentFloor,
+            time: scene.runStats.time,
+            kills: scene.runStats.kills,
+            className: scene.player.className
+        });
+    }
+    
     onClassSelected(className) {
+        this.activeSaveSlot = this.classSelectUI.selectedSlot;
         this.selectedClass = className;
+        
+        // Seed the run from the class select field (a blank field rolls a random seed)
+        RNG.setSeed(this.classSelectUI.seedInput);
+        this.gameScene = null;
+        this.startNewRun(className);
+        this.beginRecording({ mode: 'new', classKey: className });
+    }
+    
+    startNewRun(className) {
         this.currentScene = new GameScene(this.engine, className);
         this.state = GameState.PLAYING;
         
@@ -5899,19 +6783,81 @@ class IntoTheDeluge {
         this.currentScene.soundManager.play('save', 0.6);
     }
     
+    // Resume a saved run - saves are made at the Inn, so the run resumes in the market
+    continueFromSave(slot) {
+        const data = this.saveManager.load(slot);
+        if (!data || !ClassDefinitions[data.character.classKey]) {
+            console.warn(`Save slot ${slot} could not be loaded`);
+            this.refreshSaveSlots();
+            return;
+        }
+        
+        this.activeSaveSlot = slot;
+        this.resumeRun(data);
+        
+        // The save itself goes into the replay so playback can rebuild the run without the slot
+        this.beginRecording({ mode: 'continue', classKey: data.character.classKey, save: data });
+    }
+    
+    resumeRun(data) {
+        this.selectedClass = data.character.classKey;
+        RNG.setSeed(data.run.seed);
+        
+        this.gameScene = new GameScene(this.engine, data.character.classKey);
+        applyCharacterSave(this.gameScene.player, data.character);
+        this.gameScene.currentFloor = data.run.floor;
+        this.gameScene.currentFloorTheme = data.run.floorTheme;
+        
+        this.enterMarket(data.market);
+        this.currentScene.soundManager.play('save', 0.6);
+    }
+    
+    // Swap from the stored game scene to a market floor
+    enterMarket(marketSave = null) {
+        this.currentScene = new MarketScene(
+            this.engine,
+            this.gameScene.player,
+            this.gameScene.currentFloor,
+            this.gameScene.currentFloorTheme
+        );
+        this.currentScene.saveSlot = this.engine.isPlayingReplay() ? null : this.activeSaveSlot;
+        if (marketSave) {
+            applyMarketSave(this.currentScene.marketLayout, marketSave);
+        }
+        this.state = GameState.MARKET;
+        
+        // Show cursor in market
+        this.engine.canvas.style.cursor = 'default';
+    }
+    
     update(dt) {
         switch (this.state) {
             case GameState.CLASS_SELECT:
-                // Class selection is handled by click events
+                // Class selection is handled by click events; keys only feed the seed field
+                for (const key of this.engine.input.keysJustPressed) {
+                    this.classSelectUI.handleKeyDown(key);
+                }
+                for (const button of this.engine.input.gamepad.justPressed) {
+                    this.classSelectUI.handlePadButton(button);
+                    if (this.state !== GameState.CLASS_SELECT) break;
+                }
                 break;
                 
             case GameState.PLAYING:
                 if (this.currentScene) {
                     // Check if quit to menu was requested
                     if (this.currentScene.quitToMenu) {
-                        this.state = GameState.CLASS_SELECT;
-                        this.currentScene = null;
-                        this.engine.canvas.style.cursor = 'default';
+                        this.recordDailyResult(this.currentScene);
+                        this.finishRecording();
+                        this.returnToClassSelect();
+                        return;
+                    }
+                    
+                    // The practice console command ends the run and opens the practice room
+                    if (this.currentScene.openBossPractice) {
+                        this.recordDailyResult(this.currentScene);
+                        this.finishRecording();
+                        this.startBossPractice(this.currentScene.selectedClass);
                         return;
                     }
                     
@@ -5921,25 +6867,20 @@ class IntoTheDeluge {
                         this.gameScene = this.currentScene;
                         
                         // Create market scene
-                        this.currentScene = new MarketScene(
-                            this.engine,
-                            this.gameScene.player,
-                            this.gameScene.currentFloor,
-                            this.gameScene.currentFloorTheme
-                        );
-                        this.state = GameState.MARKET;
-                        
-                        // Show cursor in market
-                        this.engine.canvas.style.cursor = 'default';
+                        this.enterMarket();
                         return;
                     }
                     
                     const result = this.currentScene.update(dt);
                     if (result === GameState.DEAD) {
+                        this.recordDailyResult(this.currentScene);
+                        this.finishRecording();
                         this.currentScene = new DeathScene(
                             this.engine,
                             this.currentScene.currentFloor,
-                            this.currentScene.player.level
+                            this.currentScene.player.level,
+                            this.currentScene.runSeed,
+                            !!this.lastReplay
                         );
                         this.state = GameState.DEAD;
                     }
@@ -5971,14 +6912,19 @@ class IntoTheDeluge {
                 if (this.currentScene) {
                     const result = this.currentScene.update(dt);
                     if (result === 'restart') {
-                        this.state = GameState.CLASS_SELECT;
-                        this.currentScene = null;
-                        this.gameScene = null;
-                        // Show cursor when returning to class selection
-                        this.engine.canvas.style.cursor = 'default';
+                        this.returnToClassSelect();
+                    } else if (this.lastReplay && this.engine.wasKeyJustPressed('KeyR')) {
+                        downloadReplay(this.lastReplay);
                     }
                 }
                 break;
+                
+            case GameState.BENCHMARK:
+            case GameState.PRACTICE:
+                if (this.currentScene && this.currentScene.update(dt) === 'exit') {
+                    this.returnToClassSelect();
+                }
+                break;
         }
     }
     
@@ -5991,6 +6937,8 @@ class IntoTheDeluge {
             case GameState.PLAYING:
             case GameState.DEAD:
             case GameState.MARKET:
+            case GameState.BENCHMARK:
+            case GameState.PRACTICE:
                 if (this.currentScene) {
                     this.currentScene.render(ctx);
                 }
@@ -6008,7 +6956,8 @@ class IntoTheDeluge {
     }
 }
 
-// Export game
+// Export game (scenes are exported for headless simulation)
+export { GameScene, PlayerController, GameState };
 export default IntoTheDeluge;
 
 // Initialize game when DOM is ready
@@ -4,6 +4,14 @@
 
 import { Entity, HealthComponent, SpriteComponent } from '../engine/core/Entity.js';
 import { Utils } from '../engine/core/Utils.js';
+import { RNG } from '../engine/core/Random.js';
+import { buildResistances, applyResistance } from '../combat/Elements.js';
+import { StatusEffects } from '../combat/StatusEffects.js';
+import { updatePoise, applyImpact } from '../combat/Poise.js';
+import { WeaponTypes } from '../combat/Weapon.js';
+import {
+    getMeleeWeaponType, getMoveset, getNextMove, getMoveTiming, getChargeMultiplier, CHARGE_MOVE_SPEED
+} from '../combat/Combos.js';
 
 export class Character extends Entity {
     constructor(classData, skillTree = null) {
@@ -65,9 +73,16 @@ export class Character extends Entity {
         this.defense = 5 + this.stats.vitality;
         this.critChance = 5 + this.stats.luck * 0.5;
         this.critMultiplier = 1.5;
+        this.resistances = buildResistances(classData.resistances); // Per-element, see Elements.js
         this.attackCooldown = 0;
         this.pendingAttack = null;
         
+        // Melee combos (see combat/Combos.js)
+        this.comboChain = '';       // Inputs so far, e.g. 'LL'
+        this.comboTimer = 0;        // Chain resets when this runs out
+        this.chargingMove = null;   // Heavy move being held: { chain, move, weaponType, time }
+        this.currentMove = null;    // Move being swung, for the weapon animation
+        
         // Class-specific combat bonuses
         const className = classData.name?.toLowerCase();
         if (className === 'assassin') {
@@ -112,8 +127,11 @@ export class Character extends Entity {
         this.maxInventorySize = 20;
         this.gold = 0;
         
-        // Status effects
-        this.statusEffects = new Map();
+        // Status effects (see combat/StatusEffects.js)
+        this.statusEffects = new StatusEffects(this, classData.statusImmunities);
+        
+        // Knockback from hits (see combat/Poise.js); players get shoved but have no poise
+        this.knockback = { x: 0, y: 0, slamDamage: 0 };
         
         // Direction facing (for attacks/abilities)
         this.facing = { x: 0, y: 1 };
@@ -317,6 +335,9 @@ export class Character extends Entity {
     update(dt) {
         super.update(dt);
         
+        // Knockback from hits
+        updatePoise(this, dt);
+        
         // Regeneration
         this.regenerate(dt);
         
@@ -332,6 +353,23 @@ export class Character extends Entity {
             this.attackCooldown -= dt;
         }
         
+        // Combo chain and charging
+        if (this.comboTimer > 0) {
+            this.comboTimer -= dt;
+            if (this.comboTimer <= 0) {
+                this.comboChain = '';
+            }
+        }
+        if (this.chargingMove) {
+            this.chargingMove.time += dt;
+        }
+        if (this.currentMove) {
+            this.currentMove.time += dt;
+            if (this.currentMove.time >= this.currentMove.duration) {
+                this.currentMove = null;
+            }
+        }
+        
         // Dash cooldown
         if (this.dashCooldown > 0) {
             this.dashCooldown -= dt;
@@ -466,65 +504,9 @@ export class Character extends Entity {
         }
     }
     
-    updateStatusEffects(dt) {
-        // Support both array and Map formats
-        if (this.statusEffects instanceof Map) {
-            for (const [name, effect] of this.statusEffects) {
-                effect.duration -= dt;
-                
-                if (effect.tickTimer !== undefined) {
-                    effect.tickTimer -= dt;
-                    if (effect.tickTimer <= 0) {
-                        effect.tickTimer = effect.tickRate || 1;
-                        if (effect.tickDamage) {
-                            this.takeDamage(effect.tickDamage, effect.source);
-                        }
-                        if (effect.tickHeal) {
-                            this.heal(effect.tickHeal);
-                        }
-                    }
-                }
-                
-                if (effect.duration <= 0) {
-                    this.statusEffects.delete(name);
-                }
-            }
-        }
-    }
-    
-    addStatusEffect(effect) {
-        if (this.statusEffects instanceof Map) {
-            const existing = this.statusEffects.get(effect.type);
-            if (existing) {
-                existing.duration = Math.max(existing.duration, effect.duration);
-            } else {
-                this.statusEffects.set(effect.type, { ...effect });
-                // Flag for visual effects
-                this.pendingStatusVisual = effect.type;
-            }
-        }
-    }
-    
-    removeStatusEffect(name) {
-        if (this.statusEffects instanceof Map) {
-            this.statusEffects.delete(name);
-        }
-    }
-    
-    applyStatusEffectModifiers(effect, apply) {
-        const multiplier = apply ? 1 : -1;
-        
-        if (effect.speedModifier) {
-            this.maxSpeed += this.baseSpeed * effect.speedModifier * multiplier;
-        }
-        if (effect.damageModifier) {
-            this.attackDamage += this.attackDamage * effect.damageModifier * multiplier;
-        }
-    }
-    
     // Movement methods (can be overridden by class)
     move(dx, dy, dt, isSprinting = false) {
-        if (this.state === 'stunned' || this.state === 'attacking') return;
+        if (this.state === 'stunned' || this.state === 'attacking' || this.hasStatusEffect('stun')) return;
         
         // Store previous position for collision
         this.prevX = this.x;
@@ -538,7 +520,15 @@ export class Character extends Entity {
             this.isSprinting = false;
         }
         
-        const speed = this.isSprinting ? this.maxSpeed * this.sprintMultiplier : this.maxSpeed;
+        let speed = this.isSprinting ? this.maxSpeed * this.sprintMultiplier : this.maxSpeed;
+        
+        // Chilled, slowed and other slowing effects
+        speed *= this.statusEffects.getSpeedMultiplier();
+        
+        // Holding a charged attack
+        if (this.chargingMove) {
+            speed *= CHARGE_MOVE_SPEED;
+        }
         
         // Normalize diagonal movement
         const length = Math.sqrt(dx * dx + dy * dy);
@@ -769,19 +759,38 @@ export class Character extends Entity {
     }
     
     // Combat methods
-    attack(targetX, targetY) {
-        if (this.state === 'attacking' || this.attackCooldown > 0) return;
+    // input is 'L' (light) or 'H' (heavy); melee attacks run through the weapon's
+    // moveset, other attacks ignore heavy inputs. charge is a released charged move.
+    attack(targetX, targetY, input = 'L', charge = null) {
+        if (this.state === 'attacking' || this.attackCooldown > 0 || this.chargingMove) return;
+        
+        const combo = charge || this.getComboMove(input);
+        if (!combo && input === 'H') return;
+        
+        // Charged moves wait for the input to be let go (releaseCharge)
+        if (combo?.move.charge && !charge) {
+            this.chargingMove = { ...combo, time: 0 };
+            return;
+        }
         
         this.state = 'attacking';
-        this.stateTimer = 0.3;
-        this.attackCooldown = 0.5;
+        if (combo) {
+            const timing = getMoveTiming(combo.move);
+            this.stateTimer = timing.swing;
+            this.attackCooldown = combo.move.recovery;
+            this.comboChain = combo.move.finisher ? '' : combo.chain;
+            this.comboTimer = timing.window;
+        } else {
+            this.stateTimer = 0.3;
+            this.attackCooldown = 0.5;
+        }
         
         // Calculate damage
         let damage = this.attackDamage;
         let isCrit = false;
         
         // Critical hit
-        if (Math.random() * 100 < this.critChance) {
+        if (RNG.combat.next() * 100 < this.critChance) {
             damage *= this.critMultiplier;
             isCrit = true;
         }
@@ -796,7 +805,7 @@ export class Character extends Entity {
         // Priority: active spell (for mages) > weapon attackType > class defaultAttackType > 'melee'
         let attackType = weapon?.attackType || this.classData?.defaultAttackType || 'melee';
         let attackRange = weapon?.range || this.classData?.defaultAttackRange || 70;
-        let attackElement = weapon?.element || this.classData?.defaultAttackElement || 'physical';
+        let attackElement = weapon?.damageType || this.classData?.defaultAttackElement || 'physical';
         let attackSpeed = this.classData?.defaultAttackSpeed || 400;
         let attackRadius = this.classData?.defaultAttackRadius || 80;
         let attackHoming = this.classData?.defaultAttackHoming || false;
@@ -813,6 +822,28 @@ export class Character extends Entity {
             if (isCrit) damage *= this.critMultiplier;
         }
         
+        let knockback = weapon?.knockback || 0;
+        let poiseDamage = weapon?.poiseDamage || 0;
+        
+        // Combo moves scale the swing and set its shape
+        if (combo) {
+            const move = combo.move;
+            const base = WeaponTypes[combo.weaponType];
+            const power = getChargeMultiplier(move, combo.time || 0);
+            damage *= (move.damage ?? 1) * power;
+            attackRange *= move.range ?? 1;
+            knockback = (weapon?.knockback ?? base?.knockback ?? 0) * (move.knockback ?? 1);
+            poiseDamage = (weapon?.poiseDamage ?? base?.poiseDamage ?? 0) * (move.poise ?? 1) * power;
+            
+            if (move.lunge) {
+                const dx = targetX - this.x;
+                const dy = targetY - this.y;
+                const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+                applyImpact(this, this.x - dx / dist, this.y - dy / dist, { force: move.lunge });
+            }
+            this.currentMove = { ...move, time: 0, duration: move.recovery };
+        }
+        
         // Create pending attack for combat manager
         // Player position (this.x, this.y) is already the center point
         this.pendingAttack = {
@@ -830,12 +861,38 @@ export class Character extends Entity {
             attackSound: this.classData?.defaultAttackSound || null,
             radius: attackRadius,
             homing: attackHoming,
+            knockback: knockback,
+            poiseDamage: poiseDamage,
+            shape: combo?.move.shape,
+            arc: combo?.move.arc,
+            width: combo?.move.width,
+            moveName: combo?.move.name,
+            finisher: combo?.move.finisher || false,
             activeSpell: this.activeSpell // Pass spell info for visual effects
         };
         
         return damage;
     }
     
+    // Let go of a held heavy attack
+    releaseCharge(targetX, targetY) {
+        const charge = this.chargingMove;
+        if (!charge) return;
+        this.chargingMove = null;
+        this.attack(targetX, targetY, 'H', charge);
+    }
+    
+    // Next move of the melee combo for an input, or null for non-melee attacks
+    getComboMove(input) {
+        const weapon = this.equipment.weapon;
+        const attackType = weapon?.attackType || this.classData?.defaultAttackType || 'melee';
+        if (attackType !== 'melee') return null;
+        
+        const weaponType = getMeleeWeaponType(weapon, this.classData);
+        const next = getNextMove(getMoveset(weaponType), this.comboChain, input);
+        return next && { ...next, weaponType: weaponType };
+    }
+    
     useAbility(abilityIndex, targetX = null, targetY = null) {
         const ability = this.abilities[abilityIndex];
         if (!ability) return null;
@@ -898,6 +955,11 @@ export class Character extends Entity {
         if (ability.type === 'heal') {
             this.applyAbilityHeal(ability);
         }
+        
+        // Cleansing abilities (Purity) strip debuffs
+        if (ability.type === 'cleanse') {
+            this.cleanseStatusEffects();
+        }
     }
     
     // Apply buff ability to self
@@ -924,46 +986,14 @@ export class Character extends Entity {
         this.healEffectTimer = 0.5;
     }
     
-    // Add a status effect
+    // Add a status effect (stacking and immunities are handled by combat/StatusEffects.js)
     addStatusEffect(effect) {
-        // Ensure statusEffects is a Map
-        if (!this.statusEffects || !(this.statusEffects instanceof Map)) {
-            this.statusEffects = new Map();
-        }
-        
-        // Check if we already have this effect type
-        const existing = this.statusEffects.get(effect.type);
-        if (existing) {
-            // Refresh duration
-            existing.duration = Math.max(existing.duration, effect.duration);
-            existing.value = effect.value; // Update value too
-        } else {
-            this.statusEffects.set(effect.type, {...effect});
-        }
+        return this.statusEffects.add(effect);
     }
     
     // Update status effects
     updateStatusEffects(dt) {
-        if (!this.statusEffects) return;
-        
-        // Handle Map-based status effects
-        if (this.statusEffects instanceof Map) {
-            for (const [type, effect] of this.statusEffects) {
-                effect.duration -= dt;
-                if (effect.duration <= 0) {
-                    this.statusEffects.delete(type);
-                }
-            }
-        } else {
-            // Fallback for array (legacy)
-            for (let i = this.statusEffects.length - 1; i >= 0; i--) {
-                const effect = this.statusEffects[i];
-                effect.duration -= dt;
-                if (effect.duration <= 0) {
-                    this.statusEffects.splice(i, 1);
-                }
-            }
-        }
+        this.statusEffects.update(dt);
         
         // Update heal effect timer
         if (this.healEffectTimer > 0) {
@@ -976,20 +1006,21 @@ export class Character extends Entity {
     
     // Check if status effect is active
     hasStatusEffect(type) {
-        if (this.statusEffects instanceof Map) {
-            return this.statusEffects.has(type);
-        }
-        return this.statusEffects?.some?.(e => e.type === type) || false;
+        return this.statusEffects.has(type);
     }
     
     // Get status effect value
     getStatusEffectValue(type) {
-        if (this.statusEffects instanceof Map) {
-            const effect = this.statusEffects.get(type);
-            return effect ? effect.value : 0;
-        }
-        const effect = this.statusEffects?.find?.(e => e.type === type);
-        return effect ? effect.value : 0;
+        return this.statusEffects.getValue(type);
+    }
+    
+    removeStatusEffect(type) {
+        return this.statusEffects.remove(type);
+    }
+    
+    // Remove every debuff (Purity); returns how many were removed
+    cleanseStatusEffects() {
+        return this.statusEffects.cleanse();
     }
     
     // Set difficulty settings for damage calculations
@@ -997,7 +1028,7 @@ export class Character extends Entity {
         this.difficultySettings = settings;
     }
     
-    takeDamage(amount, source = null) {
+    takeDamage(amount, source = null, element = 'physical') {
         if (this.invulnerable) return 0;
         
         // Apply difficulty-based damage reduction and cap for player
@@ -1034,67 +1065,64 @@ export class Character extends Entity {
         // Check for active shield (blocks hits completely)
         if (this.hasStatusEffect && this.hasStatusEffect('shield_active')) {
             // Get the shield effect and decrement hits
-            if (this.statusEffects instanceof Map) {
-                const shield = this.statusEffects.get('shield_active');
-                if (shield && shield.value > 0) {
-                    shield.value--;
-                    if (shield.value <= 0) {
-                        this.statusEffects.delete('shield_active');
-                    }
-                    // Shield absorbed the hit
-                    this.pendingStatusVisual = { type: 'shield_block' };
-                    return 0;
+            const shield = this.statusEffects.get('shield_active');
+            if (shield && shield.value > 0) {
+                shield.value--;
+                if (shield.value <= 0) {
+                    this.removeStatusEffect('shield_active');
                 }
+                // Shield absorbed the hit
+                this.pendingStatusVisual = { type: 'shield_block' };
+                return 0;
             }
         }
         
         // Check for damage absorption shield (absorbs % of damage)
         if (this.hasStatusEffect && this.hasStatusEffect('shield_absorb')) {
-            if (this.statusEffects instanceof Map) {
-                const absorbShield = this.statusEffects.get('shield_absorb');
-                if (absorbShield && absorbShield.value > 0) {
-                    // Absorb damage from shield pool
-                    const absorbed = Math.min(absorbShield.value, amount);
-                    absorbShield.value -= absorbed;
-                    amount -= absorbed;
-                    
-                    if (absorbShield.value <= 0) {
-                        this.statusEffects.delete('shield_absorb');
-                    }
-                    
-                    // Show partial block visual
-                    if (amount <= 0) {
-                        this.pendingStatusVisual = { type: 'shield_block' };
-                        return 0;
-                    }
+            const absorbShield = this.statusEffects.get('shield_absorb');
+            if (absorbShield && absorbShield.value > 0) {
+                // Absorb damage from shield pool
+                const absorbed = Math.min(absorbShield.value, amount);
+                absorbShield.value -= absorbed;
+                amount -= absorbed;
+                
+                if (absorbShield.value <= 0) {
+                    this.removeStatusEffect('shield_absorb');
+                }
+                
+                // Show partial block visual
+                if (amount <= 0) {
+                    this.pendingStatusVisual = { type: 'shield_block' };
+                    return 0;
                 }
             }
         }
         
         // Check for mana shield (uses mana to block damage)
         if (this.hasStatusEffect && this.hasStatusEffect('mana_shield')) {
-            if (this.statusEffects instanceof Map) {
-                const manaShield = this.statusEffects.get('mana_shield');
-                if (manaShield && this.mana > 0) {
-                    // Convert damage to mana cost at ratio
-                    const ratio = manaShield.value || 0.5; // 0.5 = 1 damage costs 0.5 mana
-                    const manaCost = amount * ratio;
-                    
-                    if (this.mana >= manaCost) {
-                        // Full block
-                        this.mana -= manaCost;
-                        this.pendingStatusVisual = { type: 'mana_shield_block' };
-                        return 0;
-                    } else {
-                        // Partial block - use remaining mana
-                        const blockedDamage = this.mana / ratio;
-                        amount -= blockedDamage;
-                        this.mana = 0;
-                    }
+            const manaShield = this.statusEffects.get('mana_shield');
+            if (manaShield && this.mana > 0) {
+                // Convert damage to mana cost at ratio
+                const ratio = manaShield.value || 0.5; // 0.5 = 1 damage costs 0.5 mana
+                const manaCost = amount * ratio;
+                
+                if (this.mana >= manaCost) {
+                    // Full block
+                    this.mana -= manaCost;
+                    this.pendingStatusVisual = { type: 'mana_shield_block' };
+                    return 0;
+                } else {
+                    // Partial block - use remaining mana
+                    const blockedDamage = this.mana / ratio;
+                    amount -= blockedDamage;
+                    this.mana = 0;
                 }
             }
         }
         
+        // Class resistances and weaknesses to the hit's element
+        amount = applyResistance(this, amount, element);
+        
         // Apply defense
         const defense = this.defense + (this.equipment.armor?.defense || 0);
         const reducedDamage = Math.max(1, Math.floor(amount - defense * 0.5));
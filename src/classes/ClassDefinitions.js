@@ -15,6 +15,8 @@ export const ClassDefinitions = {
         defaultAttackType: 'melee',
         defaultAttackRange: 180, // Large melee strike radius
         defaultAttackElement: 'physical',
+        // Per-element damage resistance (negative is a weakness, see combat/Elements.js)
+        resistances: { physical: 0.15, lightning: -0.2 },
         
         baseStats: {
             strength: 14,
@@ -43,13 +45,14 @@ export const ClassDefinitions = {
         abilities: [
             {
                 name: 'Shield Bash',
-                description: 'Bash enemy with shield, stunning them',
+                description: 'Bash enemy with shield, shoving them back and breaking their poise',
                 damage: 15,
                 staminaCost: 20,
                 cooldown: 3,
                 range: 40,
                 type: 'melee',
-                effects: [{ type: 'stun', duration: 1 }]
+                knockback: 220,
+                poiseDamage: 60 // Staggers most heavy mobs outright, bosses in two (see Poise.js)
             },
             {
                 name: 'Defensive Stance',
@@ -84,6 +87,7 @@ export const ClassDefinitions = {
         defaultAttackType: 'melee',
         defaultAttackRange: 170, // Large melee strike radius
         defaultAttackElement: 'physical',
+        resistances: { ice: 0.3, fire: -0.15 },
         
         baseStats: {
             strength: 18,
@@ -129,7 +133,9 @@ export const ClassDefinitions = {
                 staminaCost: 35,
                 cooldown: 5,
                 range: 60,
-                type: 'aoe'
+                type: 'aoe',
+                knockback: 150,
+                poiseDamage: 15
             },
             {
                 name: 'War Cry',
@@ -156,6 +162,7 @@ export const ClassDefinitions = {
         defaultAttackType: 'melee',
         defaultAttackRange: 190, // Long katana reach
         defaultAttackElement: 'physical',
+        resistances: { physical: 0.1 },
         
         baseStats: {
             strength: 15,
@@ -231,6 +238,7 @@ export const ClassDefinitions = {
         defaultAttackType: 'melee',
         defaultAttackRange: 150, // Extended dagger reach
         defaultAttackElement: 'poison',
+        resistances: { poison: 0.3, holy: -0.15 },
         
         baseStats: {
             strength: 10,
@@ -313,6 +321,7 @@ export const ClassDefinitions = {
         defaultAttackType: 'melee',
         defaultAttackRange: 160, // Extended kunai reach
         defaultAttackElement: 'physical',
+        resistances: { fire: 0.15, poison: 0.15 },
         
         baseStats: {
             strength: 12,
@@ -399,6 +408,7 @@ export const ClassDefinitions = {
         defaultAttackRange: 350,
         defaultAttackElement: 'physical',
         defaultAttackSpeed: 550,
+        resistances: { earth: 0.15 },
         
         baseStats: {
             strength: 8,
@@ -487,6 +497,7 @@ export const ClassDefinitions = {
         defaultAttackElement: 'physical',
         defaultAttackSpeed: 650,
         defaultAttackSound: 'musketShot',
+        resistances: { fire: 0.1 },
         
         baseStats: {
             strength: 12,
@@ -572,6 +583,7 @@ export const ClassDefinitions = {
         defaultAttackRange: 250,
         defaultAttackElement: 'arcane',
         defaultAttackSpeed: 450,
+        resistances: { fire: 0.15, ice: 0.15, lightning: 0.15 },
         
         baseStats: {
             strength: 4,
@@ -662,6 +674,7 @@ export const ClassDefinitions = {
         defaultAttackElement: 'arcane',
         defaultAttackSpeed: 500,
         defaultAttackHoming: true,
+        resistances: { arcane: 0.3 },
         
         baseStats: {
             strength: 3,
@@ -753,6 +766,7 @@ export const ClassDefinitions = {
         defaultAttackRange: 280,
         defaultAttackElement: 'dark',
         defaultAttackSpeed: 400,
+        resistances: { dark: 0.3, holy: -0.25 },
         
         baseStats: {
             strength: 5,
@@ -840,6 +854,7 @@ export const ClassDefinitions = {
         defaultAttackRange: 280,
         defaultAttackElement: 'dark',
         defaultAttackSpeed: 400,
+        resistances: { dark: 0.3, poison: 0.2, holy: -0.25 },
         
         baseStats: {
             strength: 4,
@@ -924,6 +939,7 @@ export const ClassDefinitions = {
         defaultAttackRange: 220,
         defaultAttackElement: 'holy',
         defaultAttackSpeed: 380,
+        resistances: { holy: 0.4, dark: -0.2 },
         
         baseStats: {
             strength: 4,
@@ -1004,6 +1020,7 @@ export const ClassDefinitions = {
         name: 'Magical Knight',
         description: 'A warrior who combines martial prowess with arcane magic.',
         color: '#6b8e23',
+        resistances: { physical: 0.1, arcane: 0.15 },
         
         baseStats: {
             strength: 10, // Reduced from 12
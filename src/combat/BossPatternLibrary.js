@@ -0,0 +1,1958 @@
+/**
+ * Boss Pattern Library - Declarative definitions of every boss attack
+ * Each entry is a list of stages interpreted by BossPatterns.js. `unlockPhase` puts a
+ * pattern in every boss's shared pool from that phase on; patterns without it are only
+ * used as a boss's `signature`, or once `patternTuning` gives them an unlockPhase.
+ * Attacks share one slot per frame, so only the last shot of a burst fires, unless the
+ * pattern is a `volley` (every shot fires).
+ *
+ * Stage fields: move, telegraph, ringIndicator, advance, drift, face, regen,
+ *               enter / emit / exit actions, every, times, duration, until, loop, update
+ * Emitters:     origin, count, layout (ring | fan | arc), angle, rotate, jitter,
+ *               distance(+Step), offset(+Step), points, aim(+Spread); damage is a
+ *               multiple of the boss's damage, any other field is copied onto the attack
+ */
+
+import { RNG } from '../engine/core/Random.js';
+
+const TAU = Math.PI * 2;
+
+// Angle from the boss to its target
+const aimAngle = (ctx) => Math.atan2(ctx.target.y - ctx.boss.y, ctx.target.x - ctx.boss.x);
+
+// Alternating +1 / -1 by emission count
+const alternate = (ctx) => (ctx.count % 2 === 0 ? 1 : -1);
+
+// ============================================
+// SHAPES
+// ============================================
+
+// 5x5 grid of directions around the boss, minus the centre
+const OVERLOAD_GRID = [];
+for (let x = -2; x <= 2; x++) {
+    for (let y = -2; y <= 2; y++) {
+        if (x !== 0 || y !== 0) OVERLOAD_GRID.push([x * 100, y * 100]);
+    }
+}
+
+// Edges of a diamond around the target, five points per edge
+const DIAMOND_CAGE = [];
+const DIAMOND_CORNERS = [[0, -180], [180, 0], [0, 180], [-180, 0]];
+for (let i = 0; i < 4; i++) {
+    const [x1, y1] = DIAMOND_CORNERS[i];
+    const [x2, y2] = DIAMOND_CORNERS[(i + 1) % 4];
+    for (let t = 0; t < 1; t += 0.2) {
+        DIAMOND_CAGE.push([x1 + (x2 - x1) * t, y1 + (y2 - y1) * t]);
+    }
+}
+
+// Hex lattice, three rings out
+const HEX_GRID = [];
+for (let q = -3; q <= 3; q++) {
+    for (let r = Math.max(-3, -q - 3); r <= Math.min(3, -q + 3); r++) {
+        HEX_GRID.push([70 * (1.5 * q), 70 * (Math.sqrt(3) / 2 * q + Math.sqrt(3) * r)]);
+    }
+}
+
+const CORNERS = [[-250, -200], [250, -200], [-250, 200], [250, 200]];
+
+// Five points of a star around the target
+function pentagramPoints(ctx) {
+    const points = [];
+    for (let i = 0; i < 5; i++) {
+        const angle = (i / 5) * TAU - Math.PI / 2;
+        points.push({ x: ctx.target.x + Math.cos(angle) * 180, y: ctx.target.y + Math.sin(angle) * 180 });
+    }
+    return points;
+}
+
+// Shots along each line of the star
+function pentagramLines(ctx) {
+    const star = ctx.data.star;
+    const points = [];
+    for (let i = 0; i < 5; i++) {
+        const from = star[i];
+        const to = star[(i + 2) % 5];
+        for (let s = 0; s < 5; s++) {
+            points.push({ x: from.x + (to.x - from.x) * (s / 5), y: from.y + (to.y - from.y) * (s / 5) });
+        }
+    }
+    return points;
+}
+
+// Checkerboard squares around the target, flipping parity each wave
+function checkerCells(ctx) {
+    const cells = [];
+    for (let gx = -3; gx <= 3; gx++) {
+        for (let gy = -3; gy <= 3; gy++) {
+            if ((gx + gy + ctx.count) % 2 === 0) cells.push([gx * 60, gy * 60]);
+        }
+    }
+    return cells;
+}
+
+// A wall of shots perpendicular to the boss's aim, each aimed at the matching point past the target
+function boneWallPoints(ctx) {
+    const perp = ctx.data.wallAngle + Math.PI / 2;
+    const points = [];
+    for (let i = -4; i <= 4; i++) {
+        const dx = Math.cos(perp) * i * 30;
+        const dy = Math.sin(perp) * i * 30;
+        points.push({ x: ctx.boss.x + dx, y: ctx.boss.y + dy, aim: { x: ctx.target.x + dx, y: ctx.target.y + dy } });
+    }
+    return points;
+}
+
+// Orb layouts for orbGridStrike, scaled by 80px around the target
+const ORB_GRIDS = [
+    [[-1, -1], [0, -1], [1, -1], [-1, 0], [0, 0], [1, 0], [-1, 1], [0, 1], [1, 1]],
+    [[0, -2], [0, -1], [0, 0], [0, 1], [0, 2], [-2, 0], [-1, 0], [1, 0], [2, 0]],
+    [[0, -1.4], [1, -0.7], [1.4, 0], [1, 0.7], [0, 1.4], [-1, 0.7], [-1.4, 0], [-1, -0.7], [0, 0]]
+];
+
+function pickOrbGrid(ctx) {
+    const grid = ORB_GRIDS[Math.floor(RNG.ai.next() * ORB_GRIDS.length)];
+    return grid.map(([gx, gy]) => ({ x: ctx.target.x + gx * 80, y: ctx.target.y + gy * 80 }));
+}
+
+// Beam segments between neighbouring orbs
+function orbBeamPoints(ctx) {
+    const orbs = ctx.data.orbs;
+    const points = [];
+    for (let i = 0; i < orbs.length; i++) {
+        for (let j = i + 1; j < orbs.length; j++) {
+            const dx = orbs[j].x - orbs[i].x;
+            const dy = orbs[j].y - orbs[i].y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist >= 120) continue;
+            const steps = Math.ceil(dist / 20);
+            for (let s = 0; s <= steps; s++) {
+                const t = s / steps;
+                points.push({
+                    x: orbs[i].x + dx * t,
+                    y: orbs[i].y + dy * t,
+                    aim: { x: orbs[j].x + dx * 0.1, y: orbs[j].y + dy * 0.1 }
+                });
+            }
+        }
+    }
+    return points;
+}
+
+// ============================================
+// SCRIPTED PATTERNS
+// ============================================
+
+const SHADOW_CLONE_COUNT = 5;
+const CLONE_SHOT = { do: 'projectile', origin: 'marker', aim: 'target', damage: 0.25, speed: 300 };
+
+// Split into clones around the boss; only one is real and the boss moves into it
+function spawnShadowClones(ctx) {
+    const { boss, data } = ctx;
+    const realIndex = Math.floor(RNG.ai.next() * SHADOW_CLONE_COUNT);
+    data.clones = [];
+    boss.shadowClones = [];
+    boss.shadowCloneActive = true;
+
+    for (let i = 0; i < SHADOW_CLONE_COUNT; i++) {
+        const angle = (i / SHADOW_CLONE_COUNT) * TAU;
+        const clone = {
+            x: boss.x + Math.cos(angle) * 150,
+            y: boss.y + Math.sin(angle) * 150,
+            isReal: i === realIndex,
+            alive: true,
+            alpha: 1,
+            attackTimer: 0.5 + RNG.ai.next() * 0.5
+        };
+        data.clones.push(clone);
+        boss.shadowClones.push({ x: clone.x, y: clone.y, isReal: clone.isReal, alive: true, alpha: 1 });
+    }
+
+    const real = data.clones[realIndex];
+    boss.x = real.x;
+    boss.y = real.y;
+}
+
+function updateShadowClones(ctx, dt) {
+    const { boss, data } = ctx;
+    data.clones.forEach((clone, i) => {
+        if (!clone.alive) return;
+        clone.attackTimer -= dt;
+        if (clone.attackTimer <= 0) {
+            clone.attackTimer = 0.8 + RNG.ai.next() * 0.4;
+            ctx.run([CLONE_SHOT], clone);
+        }
+        // Keep the render copies in sync (takeDamage kills fakes through patternData)
+        boss.shadowClones[i].alive = clone.alive;
+        boss.shadowClones[i].alpha = clone.alpha;
+    });
+}
+
+function clearShadowClones(ctx) {
+    ctx.boss.shadowCloneActive = false;
+    ctx.boss.shadowClones = [];
+}
+
+const BOUNCE_LIMIT = 300;
+const ORB_TRAIL_INTERVAL = 0.05;
+const ORB_TRAIL = {
+    do: 'projectile', origin: 'marker', damage: 0.3, speed: 0, width: 16, height: 16, duration: 0.1,
+    aim: (ctx) => ({ x: ctx.marker.x + ctx.marker.vx * 0.1, y: ctx.marker.y + ctx.marker.vy * 0.1 })
+};
+
+function launchBouncingOrbs(ctx) {
+    ctx.data.orbs = [];
+    for (let i = 0; i < 8; i++) {
+        const angle = (i / 8) * TAU;
+        ctx.data.orbs.push({
+            x: ctx.boss.x,
+            y: ctx.boss.y,
+            vx: Math.cos(angle) * 200,
+            vy: Math.sin(angle) * 200,
+            bounces: 0,
+            trailTimer: 0,
+            alive: true
+        });
+    }
+}
+
+// Orbs bounce off an invisible box around the boss, leaving damaging trails
+function updateBouncingOrbs(ctx, dt) {
+    const { boss, data } = ctx;
+    for (const orb of data.orbs) {
+        if (!orb.alive) continue;
+        orb.x += orb.vx * dt;
+        orb.y += orb.vy * dt;
+        if (Math.abs(orb.x - boss.x) > BOUNCE_LIMIT) {
+            orb.vx *= -1;
+            orb.bounces++;
+        }
+        if (Math.abs(orb.y - boss.y) > BOUNCE_LIMIT) {
+            orb.vy *= -1;
+            orb.bounces++;
+        }
+        if (orb.bounces >= 4) orb.alive = false;
+        orb.trailTimer += dt;
+        if (orb.trailTimer >= ORB_TRAIL_INTERVAL) {
+            orb.trailTimer = 0;
+            ctx.run([ORB_TRAIL], orb);
+        }
+    }
+}
+
+// ============================================
+// PATTERNS
+// ============================================
+
+export const BossPatternLibrary = {
+    // ---------- Phase 1 ----------
+    circleAttack: {
+        unlockPhase: 1,
+        stages: [{
+            move: { type: 'orbit', radius: 150, speed: 3, gain: 3 },
+            every: 0.15,
+            emit: [{ do: 'projectile', aim: 'target', damage: 0.5, speed: 400 }],
+            until: (ctx) => ctx.data.orbitAngle > TAU
+        }]
+    },
+
+    chargeAttack: {
+        unlockPhase: 1,
+        stages: [
+            { move: 'stop', enter: [{ do: 'mark', name: 'chargeTarget', at: 'target' }], duration: 0.8 },
+            {
+                move: { type: 'dash', to: '@chargeTarget', speed: 4, arrive: 20 },
+                until: 'arrived',
+                exit: [{ do: 'aoe', damage: 1.5, radius: 80 }]
+            }
+        ]
+    },
+
+    projectileBarrage: {
+        unlockPhase: 1,
+        stages: [{
+            move: 'stop',
+            every: 0.06,
+            times: 20,
+            emit: [{ do: 'projectile', count: 2, layout: 'fan', spread: 0.3, jitter: 0.2, damage: 0.35, speed: 450 }]
+        }]
+    },
+
+    trackingOrbCircle: {
+        unlockPhase: 1,
+        stages: [
+            {
+                move: 'stop',
+                ringIndicator: { radius: 120, count: { base: 8, perPhase: 4 } },
+                duration: 1.5,
+                exit: [{
+                    do: 'orb', mode: 'locked', count: { base: 8, perPhase: 4 }, layout: 'ring', angle: 0, distance: 120,
+                    aim: 'target', damage: 0.5, speed: { base: 200, perPhase: 40 }, timer: 4,
+                    launchDelay: (ctx) => ctx.i * 0.05
+                }]
+            },
+            { until: 'orbsCleared', duration: 6 }
+        ]
+    },
+
+    meleeDashStrike: {
+        unlockPhase: 1,
+        stages: [
+            { move: 'stop', enter: [{ do: 'mark', name: 'start', at: 'self' }] },
+            {
+                move: { type: 'dash', to: 'target', speed: 5, arrive: 40 },
+                until: 'arrived',
+                duration: 0.8,
+                exit: [{ do: 'melee', damage: 1.3, range: 60, knockback: 150 }]
+            },
+            { move: 'stop', telegraph: { radius: 60 }, duration: 0.3 },
+            { move: { type: 'dash', to: '@start', speed: 4, arrive: 30 }, until: 'arrived', duration: 0.6 }
+        ]
+    },
+
+    spiralProjectiles: {
+        unlockPhase: 1,
+        stages: [{
+            move: 'stop',
+            advance: { spin: 5 },
+            every: 0.05,
+            times: 50,
+            emit: [{ do: 'projectile', count: 3, layout: 'ring', angle: '@spin', damage: 0.25, speed: 280 }]
+        }]
+    },
+
+    crossPattern: {
+        unlockPhase: 1,
+        stages: [{
+            move: 'stop',
+            advance: { rotation: 0.8 },
+            every: 0.25,
+            times: 8,
+            emit: [{ do: 'projectile', count: 8, layout: 'ring', angle: '@rotation', damage: 0.4, speed: 320, width: 14, height: 14 }]
+        }]
+    },
+
+    multiProjectile: {
+        unlockPhase: 1,
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'projectile', count: { base: 16, perPhase: 8 }, layout: 'ring', angle: 0, damage: 0.4, speed: 350 }]
+        }]
+    },
+
+    ringCollapse: {
+        unlockPhase: 1,
+        volley: true,
+        stages: [{
+            move: 'stop',
+            enter: [
+                { do: 'mark', name: 'lockedTarget', at: 'target' },
+                { do: 'set', values: { ringRadius: [100, 150], shotCount: () => 16 + Math.floor(RNG.ai.next() * 8) } }
+            ],
+            telegraph: { radius: '@ringRadius', color: 'rgba(255, 100, 100, 0.3)' },
+            duration: 0.8,
+            exit: [{
+                do: 'projectile', count: '@shotCount', layout: 'ring', angle: 0, distance: '@ringRadius',
+                aim: '@lockedTarget', damage: 0.3, speed: 280, element: (ctx) => ctx.boss.bossElement || 'fire'
+            }]
+        }]
+    },
+
+    groundSlam: {
+        unlockPhase: 1,
+        stages: [{
+            move: 'stop',
+            duration: 0.4,
+            exit: [{ do: 'projectile', count: 16, layout: 'ring', angle: 0, damage: 0.6, speed: 250, width: 24, height: 24 }]
+        }]
+    },
+
+    teleportStrike: {
+        unlockPhase: 1,
+        stages: [
+            {
+                move: 'stop',
+                enter: [{ do: 'mark', name: 'teleportTo', at: { from: 'target', angle: 'away', distance: 60 } }],
+                telegraph: { radius: 40 },
+                duration: 0.4,
+                exit: [{ do: 'dashing' }]
+            },
+            {
+                move: { type: 'glide', to: '@teleportTo', time: 0.2, trail: { chance: 0.5, alpha: 1, time: 0.3, color: 'element' } },
+                until: 'arrived',
+                exit: [{ do: 'dashing', value: false }]
+            },
+            { move: 'stop', telegraph: { radius: 80 }, duration: 0.35, exit: [{ do: 'melee', damage: 1.2, range: 80 }] }
+        ]
+    },
+
+    vortexPull: {
+        unlockPhase: 1,
+        stages: [{ move: 'stop', duration: 1.5, exit: [{ do: 'aoe', damage: 1.5, radius: 150 }] }]
+    },
+
+    laserSweep: {
+        unlockPhase: 1,
+        stages: [{
+            move: 'stop',
+            telegraph: { radius: 40 },
+            advance: { sweepAngle: 1.5 },
+            every: 0.03,
+            emit: [{
+                do: 'projectile', count: 9, angle: '@sweepAngle', distance: 30, distanceStep: 25,
+                damage: 0.2, speed: 50, width: 12, height: 12, duration: 0.1
+            }],
+            until: (ctx) => ctx.data.sweepAngle > TAU * 2
+        }]
+    },
+
+    // ---------- Phase 2 ----------
+    waveProjectiles: {
+        unlockPhase: 2,
+        stages: [{
+            move: 'stop',
+            every: 0.4,
+            times: 5,
+            emit: [{ do: 'projectile', count: 5, layout: 'fan', spread: 0.25, damage: 0.35, speed: (ctx) => 300 + Math.abs(ctx.i - 2) * 30 }]
+        }]
+    },
+
+    scatterShot: {
+        unlockPhase: 2,
+        stages: [{
+            move: 'stop',
+            every: 0.03,
+            times: 40,
+            emit: [{ do: 'projectile', jitter: 1.2, damage: 0.2, speed: [350, 500] }]
+        }]
+    },
+
+    ricochetBurst: {
+        unlockPhase: 2,
+        stages: [{
+            every: 0.5,
+            times: 4,
+            emit: [{ do: 'projectile', count: 6, layout: 'ring', angle: 0, damage: 0.5, speed: 280, splits: true }]
+        }]
+    },
+
+    arcingVolley: {
+        unlockPhase: 2,
+        stages: [{
+            every: 0.6,
+            times: 5,
+            emit: [{
+                do: 'projectile', count: 3, aim: { from: 'target', x: (ctx) => (ctx.i - 1) * 40 },
+                damage: 0.6, speed: 200, arc: true
+            }]
+        }]
+    },
+
+    seekerMissiles: {
+        unlockPhase: 2,
+        stages: [{
+            move: { type: 'strafe', speed: 0.8 },
+            every: 0.4,
+            times: 8,
+            emit: [{ do: 'projectile', aim: 'target', damage: 0.7, speed: 150, homing: true }]
+        }]
+    },
+
+    wallBarrage: {
+        unlockPhase: 2,
+        stages: [{
+            move: 'stop',
+            every: 0.4,
+            times: 4,
+            emit: [
+                { do: 'projectile', count: 5, origin: { from: 'target', x: -120, y: -225 }, offsetStep: { x: 60 }, angle: Math.PI / 2, damage: 0.3, speed: 300 },
+                { do: 'projectile', count: 5, origin: { from: 'target', x: -120, y: 225 }, offsetStep: { x: 60 }, angle: -Math.PI / 2, damage: 0.3, speed: 300 },
+                { do: 'projectile', count: 5, origin: { from: 'target', x: -300, y: -120 }, offsetStep: { y: 60 }, angle: 0, damage: 0.3, speed: 300 },
+                { do: 'projectile', count: 5, origin: { from: 'target', x: 300, y: -120 }, offsetStep: { y: 60 }, angle: Math.PI, damage: 0.3, speed: 300 }
+            ]
+        }]
+    },
+
+    ceilingRain: {
+        unlockPhase: 2,
+        stages: [{
+            move: 'stop',
+            every: 0.08,
+            times: 50,
+            emit: [{ do: 'projectile', origin: { from: 'target', x: [-200, 200], y: -300 }, angle: Math.PI / 2, damage: 0.25, speed: [350, 500] }]
+        }]
+    },
+
+    floorEruption: {
+        unlockPhase: 2,
+        stages: [{
+            move: 'stop',
+            every: 0.3,
+            times: 4,
+            emit: [{
+                do: 'projectile', count: 8, offset: { y: 20 }, distance: 50, distanceStep: 50,
+                aim: (ctx) => ({ x: ctx.shot.x + (RNG.ai.next() - 0.5) * 60, y: ctx.shot.y - 170 }),
+                damage: 0.35, speed: 250
+            }]
+        }]
+    },
+
+    cornerTrap: {
+        unlockPhase: 2,
+        stages: [{
+            move: 'stop',
+            every: 0.5,
+            times: 5,
+            emit: CORNERS.map(([x, y]) => ({
+                do: 'projectile', origin: { from: 'target', x, y }, count: 3, layout: 'fan', spread: 0.15, damage: 0.3, speed: 350
+            }))
+        }]
+    },
+
+    zigzagVolley: {
+        unlockPhase: 2,
+        stages: [{
+            every: 0.15,
+            times: 25,
+            emit: [{ do: 'projectile', rotate: (ctx) => Math.sin(ctx.count * 0.5) * 0.4, damage: 0.35, speed: 320 }]
+        }]
+    },
+
+    sineWave: {
+        unlockPhase: 2,
+        stages: [{
+            every: 0.08,
+            times: 40,
+            emit: [{
+                do: 'projectile', origin: { from: 'self', x: -50, y: (ctx) => Math.sin(ctx.count * 0.4) * 80 },
+                angle: 0, damage: 0.3, speed: 300
+            }]
+        }]
+    },
+
+    snakePattern: {
+        unlockPhase: 2,
+        stages: [{
+            enter: [{ do: 'set', values: { baseAngle: aimAngle } }],
+            every: 0.06,
+            times: 50,
+            emit: [{ do: 'projectile', angle: '@baseAngle', rotate: (ctx) => Math.sin(ctx.count * 0.3) * 0.5, damage: 0.25, speed: 280 }]
+        }]
+    },
+
+    arrowRain: {
+        unlockPhase: 2,
+        stages: [{
+            enter: [{ do: 'set', values: { arrowAngle: -Math.PI / 4 } }],
+            every: 0.08,
+            times: 40,
+            emit: [
+                {
+                    do: 'projectile', origin: { from: 'target', angle: '@arrowAngle', distance: 300, x: [-50, 50] },
+                    aim: 'target', aimSpread: 80, damage: 0.3, speed: 400
+                },
+                { do: 'set', values: { arrowAngle: (ctx) => ctx.data.arrowAngle + 0.02 } }
+            ]
+        }]
+    },
+
+    bulletHellSpiral: {
+        unlockPhase: 2,
+        stages: [{
+            move: 'stop',
+            every: 0.05,
+            times: 60,
+            emit: [
+                {
+                    do: 'projectile', count: 3, layout: 'ring', angle: '@spiralAngle',
+                    damage: 0.25, speed: (ctx) => 200 + ctx.count * 3, width: 10, height: 10
+                },
+                { do: 'set', values: { spiralAngle: (ctx) => (ctx.data.spiralAngle || 0) + 0.15 } }
+            ]
+        }]
+    },
+
+    bouncingOrbs: {
+        unlockPhase: 2,
+        stages: [{
+            move: 'stop',
+            enter: [launchBouncingOrbs],
+            update: updateBouncingOrbs,
+            until: (ctx) => ctx.data.orbs.every(orb => !orb.alive),
+            duration: 6
+        }]
+    },
+
+    shadowClones: {
+        unlockPhase: 2,
+        stages: [{
+            move: 'stop',
+            enter: [spawnShadowClones],
+            update: updateShadowClones,
+            until: (ctx) => ctx.data.clones.every(clone => clone.isReal || !clone.alive),
+            duration: 8,
+            exit: [clearShadowClones]
+        }]
+    },
+
+    homingBarrage: {
+        unlockPhase: 2,
+        stages: [{
+            move: 'stop',
+            every: 0.15,
+            times: 20,
+            emit: [{ do: 'projectile', jitter: Math.PI, damage: 0.3, speed: 200, homing: true }]
+        }]
+    },
+
+    novaBlast: {
+        unlockPhase: 2,
+        stages: [{
+            move: 'stop',
+            duration: 1.5,
+            exit: [{ do: 'projectile', count: 24, layout: 'ring', angle: 0, damage: 0.6, speed: 400, width: 16, height: 16 }]
+        }]
+    },
+
+    chainLightning: {
+        unlockPhase: 2,
+        stages: [{
+            every: 0.3,
+            times: 10,
+            emit: [{ do: 'projectile', aim: 'target', aimSpread: 80, damage: 0.5, speed: 500, element: 'lightning' }]
+        }]
+    },
+
+    convergeExpand: {
+        unlockPhase: 2,
+        stages: [{
+            move: 'stop',
+            enter: [
+                { do: 'mark', name: 'center', at: 'midpoint' },
+                { do: 'projectile', origin: '@center', count: 16, layout: 'ring', angle: 0, distance: 200, aim: '@center', damage: 0.25, speed: 200 }
+            ],
+            duration: 1.0,
+            exit: [{ do: 'projectile', origin: '@center', count: 24, layout: 'ring', angle: 0, damage: 0.3, speed: 350 }]
+        }]
+    },
+
+    mirrorImage: {
+        unlockPhase: 2,
+        stages: [{
+            every: 0.12,
+            times: 20,
+            emit: [
+                { do: 'set', values: { spread: [-0.3, 0.3] } },
+                { do: 'projectile', rotate: '@spread', damage: 0.3, speed: 300 },
+                {
+                    do: 'projectile', origin: (ctx) => ({ x: ctx.target.x * 2 - ctx.boss.x, y: ctx.target.y * 2 - ctx.boss.y }),
+                    rotate: '@spread', damage: 0.3, speed: 300
+                }
+            ]
+        }]
+    },
+
+    pulseWave: {
+        unlockPhase: 2,
+        stages: [{
+            every: 0.4,
+            times: 5,
+            emit: [{
+                do: 'projectile', count: (ctx) => 16 + ctx.count * 4, layout: 'ring', angle: 0, rotate: (ctx) => ctx.count * 0.1,
+                damage: 0.25, speed: (ctx) => 200 + ctx.count * 30
+            }]
+        }]
+    },
+
+    triangleFormation: {
+        unlockPhase: 2,
+        stages: [{
+            advance: { rotation: 2 },
+            every: 0.3,
+            times: 10,
+            emit: [{ do: 'projectile', count: 3, layout: 'ring', angle: '@rotation', distance: 120, aim: 'target', damage: 0.35, speed: 320 }]
+        }]
+    },
+
+    crossfireTrap: {
+        unlockPhase: 2,
+        stages: [
+            {
+                move: 'stop',
+                duration: 0.6,
+                exit: [
+                    { do: 'projectile', count: 8, origin: { from: 'target', x: -300, y: -105 }, offsetStep: { y: 30 }, angle: 0, damage: 0.3, speed: 400 },
+                    { do: 'projectile', count: 8, origin: { from: 'target', x: 300, y: -105 }, offsetStep: { y: 30 }, angle: Math.PI, damage: 0.3, speed: 400 }
+                ]
+            },
+            {
+                move: 'stop',
+                duration: 0.6,
+                exit: [
+                    { do: 'projectile', count: 8, origin: { from: 'target', x: -105, y: -250 }, offsetStep: { x: 30 }, angle: Math.PI / 2, damage: 0.3, speed: 400 },
+                    { do: 'projectile', count: 8, origin: { from: 'target', x: -105, y: 250 }, offsetStep: { x: 30 }, angle: -Math.PI / 2, damage: 0.3, speed: 400 }
+                ]
+            }
+        ]
+    },
+
+    encircle: {
+        unlockPhase: 2,
+        stages: [{
+            every: 0.5,
+            times: 5,
+            emit: [{
+                do: 'projectile', origin: 'target', count: 16, layout: 'ring', angle: 0,
+                distance: (ctx) => 200 - ctx.count * 30, aim: 'target', damage: 0.3, speed: 200
+            }]
+        }]
+    },
+
+    laserFence: {
+        unlockPhase: 2,
+        stages: [{
+            enter: [{ do: 'set', values: { horizontal: () => RNG.ai.next() > 0.5 } }],
+            every: 0.3,
+            times: 6,
+            emit: [
+                {
+                    do: 'projectile', when: (ctx) => ctx.data.horizontal, count: 17,
+                    origin: { from: 'target', x: -250, y: (ctx) => -100 * alternate(ctx) }, offsetStep: { x: 30 },
+                    angle: (ctx) => alternate(ctx) * Math.PI / 2, damage: 0.2, speed: 300
+                },
+                {
+                    do: 'projectile', when: (ctx) => !ctx.data.horizontal, count: 14,
+                    origin: { from: 'target', x: (ctx) => -100 * alternate(ctx), y: -200 }, offsetStep: { y: 30 },
+                    angle: (ctx) => (alternate(ctx) > 0 ? 0 : Math.PI), damage: 0.2, speed: 300
+                }
+            ]
+        }]
+    },
+
+    // ---------- Phase 3 ----------
+    rageDash: {
+        unlockPhase: 3,
+        stages: [
+            {
+                name: 'windup',
+                move: 'stop',
+                enter: [{ do: 'dashing' }],
+                duration: 0.15,
+                exit: [
+                    { do: 'mark', name: 'dashTarget', at: { from: 'self', angle: [0, TAU], distance: [100, 180] } },
+                    { do: 'trail', alpha: 1, time: 0.4 },
+                    { do: 'sound', name: 'dash' }
+                ]
+            },
+            {
+                move: { type: 'dash', to: '@dashTarget', speed: 8, arrive: 20, face: true, trail: { chance: 0.5, alpha: 0.6, time: 0.25 } },
+                until: 'arrived',
+                exit: [{ do: 'melee', damage: 1.3, range: 60, knockback: 130 }],
+                loop: { to: 'windup', times: 5 }
+            }
+        ]
+    },
+
+    spinSlash: {
+        unlockPhase: 3,
+        stages: [{
+            move: 'stop',
+            advance: { spinAngle: 8 },
+            every: 0.2,
+            times: 12,
+            emit: [{
+                do: 'projectile', count: 2, layout: 'ring', angle: '@spinAngle', distance: 40,
+                damage: 0.6, speed: 350, width: 30, height: 10
+            }]
+        }]
+    },
+
+    circleDashStrike: {
+        unlockPhase: 3,
+        stages: [
+            {
+                move: 'stop',
+                enter: [
+                    { do: 'dashing' },
+                    { do: 'set', values: { circleAngle: (ctx) => Math.atan2(ctx.boss.y - ctx.target.y, ctx.boss.x - ctx.target.x) } }
+                ]
+            },
+            {
+                move: 'stop',
+                every: 0.12,
+                times: 5,
+                emit: [
+                    { do: 'set', values: { circleAngle: (ctx) => ctx.data.circleAngle + Math.PI / 3 + RNG.ai.next() * Math.PI / 6 } },
+                    { do: 'trail', alpha: 0.8, time: 0.3 },
+                    { do: 'teleport', to: (ctx) => ({
+                        x: ctx.target.x + Math.cos(ctx.data.circleAngle) * 180,
+                        y: ctx.target.y + Math.sin(ctx.data.circleAngle) * 180
+                    }) },
+                    { do: 'sound', name: 'dash' },
+                    { do: 'face' }
+                ]
+            },
+            { move: 'stop', duration: 0.25, exit: [{ do: 'mark', name: 'strikeTarget', at: 'target' }] },
+            {
+                move: { type: 'dash', to: '@strikeTarget', speed: 10, arrive: 30, face: true, trail: { chance: 0.6, alpha: 0.5, time: 0.2, color: '#ff4444' } },
+                until: 'arrived',
+                exit: [{ do: 'melee', damage: 1.8, range: 80, knockback: 200 }]
+            }
+        ]
+    },
+
+    ultimateBlast: {
+        unlockPhase: 3,
+        stages: [{
+            move: 'stop',
+            telegraph: { radius: 200, color: 'rgba(255, 0, 0, 0.3)', pulse: [20, 8] },
+            duration: 2.5,
+            exit: [{ do: 'aoe', damage: 1.2, radius: 200 }]
+        }]
+    },
+
+    omniDirectional: {
+        unlockPhase: 3,
+        volley: true,
+        stages: [{
+            move: 'stop',
+            every: 0.25,
+            times: 7,
+            emit: [{ do: 'projectile', count: 20, layout: 'ring', angle: (ctx) => ctx.count * 0.15, damage: 0.35, speed: 300 }]
+        }]
+    },
+
+    trackingSwarm: {
+        unlockPhase: 3,
+        stages: [{
+            move: 'stop',
+            every: 0.15,
+            times: 20,
+            emit: [{ do: 'orb', angle: [0, TAU], distance: [80, 140], damage: 0.35, speed: 180, timer: 4, lockRadius: 40 }],
+            until: 'orbsCleared'
+        }]
+    },
+
+    deathRay: {
+        unlockPhase: 3,
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'set', values: { rayAngle: aimAngle } }],
+            advance: { rayAngle: 1.5 },
+            every: 0.03,
+            times: 80,
+            emit: [{ do: 'projectile', angle: '@rayAngle', damage: 0.2, speed: 600, width: 8, height: 8 }]
+        }]
+    },
+
+    meteorStorm: {
+        unlockPhase: 3,
+        stages: [{
+            move: { type: 'strafe', speed: 0.5 },
+            every: 0.12,
+            times: 25,
+            emit: [{ do: 'aoe', origin: { from: 'target', x: [-125, 125], y: [-125, 125] }, damage: 0.5, radius: 45, duration: 0.2 }]
+        }]
+    },
+
+    bulletHellFlower: {
+        unlockPhase: 3,
+        stages: [{
+            move: 'stop',
+            every: 0.08,
+            times: 50,
+            emit: [
+                {
+                    do: 'projectile', count: 5, layout: 'ring', angle: '@flowerAngle',
+                    rotate: (ctx) => Math.sin(ctx.count * 0.2) * (ctx.i % 2 === 0 ? 1 : -1) * 0.5,
+                    damage: 0.2, speed: 180, width: 8, height: 8
+                },
+                { do: 'set', values: { flowerAngle: (ctx) => (ctx.data.flowerAngle || 0) + 0.08 } }
+            ]
+        }]
+    },
+
+    homingMissileBarrage: {
+        unlockPhase: 3,
+        stages: [{
+            move: { type: 'retreat', speed: 0.8, within: 200 },
+            every: 0.25,
+            times: 12,
+            emit: [{ do: 'orb', angle: [0, TAU], distance: 40, damage: 0.4, speed: [250, 350], timer: 4, lockRadius: 30 }]
+        }]
+    },
+
+    voidRift: {
+        unlockPhase: 3,
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'mark', name: 'rift', at: 'target' }],
+            every: 0.25,
+            emit: [
+                { do: 'projectile', origin: '@rift', count: 12, layout: 'ring', angle: (ctx) => ctx.elapsed, damage: 0.3, speed: 150, width: 14, height: 14 },
+                { do: 'aoe', when: (ctx) => ctx.elapsed > 0.5 && ctx.count % 2 === 0, origin: '@rift', damage: 0.4, radius: 60 }
+            ],
+            duration: 4
+        }]
+    },
+
+    annihilationBeam: {
+        unlockPhase: 3,
+        stages: [{
+            move: 'stop',
+            face: 'target',
+            every: 0.05,
+            emit: [{ do: 'projectile', damage: 0.15, speed: 600, width: 20, height: 20 }],
+            duration: 3
+        }]
+    },
+
+    pillarsOfDoom: {
+        unlockPhase: 3,
+        stages: [{
+            enter: [{ do: 'set', values: { pillarX: (ctx) => ctx.boss.x - 200 } }],
+            every: 0.15,
+            emit: [
+                {
+                    do: 'projectile', count: 9, origin: (ctx) => ({ x: ctx.data.pillarX, y: ctx.boss.y - 360 }),
+                    offsetStep: { y: 40 }, angle: Math.PI / 2, damage: 0.25, speed: 350
+                },
+                { do: 'set', values: { pillarX: (ctx) => ctx.data.pillarX + 40 } }
+            ],
+            until: (ctx) => ctx.data.pillarX > ctx.boss.x + 200
+        }]
+    },
+
+    chaosOrbs: {
+        unlockPhase: 3,
+        stages: [{
+            every: 0.1,
+            times: 30,
+            emit: [{
+                do: 'projectile', origin: { from: 'target', angle: [0, TAU], distance: [150, 250] },
+                aim: 'target', aimSpread: 60, damage: 0.3, speed: [250, 400]
+            }]
+        }]
+    },
+
+    galaxyArms: {
+        unlockPhase: 3,
+        stages: [{
+            every: 0.05,
+            times: 60,
+            emit: [
+                { do: 'set', values: { armAngle: (ctx) => (ctx.data.armAngle || 0) + 0.1 } },
+                { do: 'projectile', count: 4, layout: 'ring', angle: '@armAngle', damage: 0.2, speed: 220 }
+            ]
+        }]
+    },
+
+    pinwheel: {
+        unlockPhase: 3,
+        stages: [{
+            advance: { rotation: 3 },
+            every: 0.08,
+            times: 40,
+            emit: [{
+                do: 'projectile', count: 6, layout: 'ring', angle: '@rotation',
+                rotate: (ctx) => Math.sin(ctx.count * 0.3) * 0.3, damage: 0.2, speed: 250
+            }]
+        }]
+    },
+
+    checkerboard: {
+        unlockPhase: 3,
+        stages: [{
+            every: 0.6,
+            times: 4,
+            emit: [{ do: 'aoe', origin: 'target', points: checkerCells, damage: 0.35, radius: 25, duration: 0.3 }]
+        }]
+    },
+
+    crescentMoon: {
+        unlockPhase: 3,
+        stages: [{
+            every: 0.5,
+            times: 5,
+            emit: [{
+                do: 'projectile', count: 9, layout: 'fan', spread: 0.15,
+                distance: (ctx) => 60 + Math.abs(ctx.i - 4) * 10, damage: 0.3, speed: 280
+            }]
+        }]
+    },
+
+    vortexSuck: {
+        unlockPhase: 3,
+        stages: [{
+            enter: [{ do: 'mark', name: 'vortex', at: 'target' }],
+            telegraph: { radius: (ctx) => 100 - ctx.elapsed * 50, color: 'rgba(100, 0, 150, 0.4)' },
+            duration: 1.5,
+            exit: [{ do: 'projectile', origin: '@vortex', count: 20, layout: 'ring', angle: 0, damage: 0.35, speed: 350 }]
+        }]
+    },
+
+    // ---------- Boss-only geometry ----------
+    summonMinions: {
+        stages: [{
+            move: 'stop',
+            duration: 0.6,
+            exit: [{
+                do: 'orb', count: { base: 4, perPhase: 2 }, layout: 'ring', angle: 0, distance: 60,
+                damage: 0.4, speed: 120, timer: 8, lockRadius: 30
+            }]
+        }]
+    },
+
+    pentagramStrike: {
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'set', values: { star: pentagramPoints } }],
+            duration: 0.8,
+            exit: [
+                { do: 'projectile', points: '@star', aim: 'target', damage: 0.5, speed: 400 },
+                { do: 'projectile', points: pentagramLines, aim: 'target', damage: 0.2, speed: (ctx) => 200 + (ctx.i % 5) * 40 }
+            ]
+        }]
+    },
+
+    hexagonalGrid: {
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'mark', name: 'hexCenter', at: 'target' }],
+            duration: 1.2,
+            exit: [{
+                do: 'projectile', origin: '@hexCenter', aim: 'target', damage: 0.25, speed: 280,
+                points: (ctx) => HEX_GRID.filter(([x, y]) => Math.hypot(ctx.data.hexCenter.x + x - ctx.target.x, ctx.data.hexCenter.y + y - ctx.target.y) > 20)
+            }]
+        }]
+    },
+
+    spiralGalaxy: {
+        stages: [{
+            move: 'stop',
+            every: 0.04,
+            times: 80,
+            emit: [
+                { do: 'set', values: { galaxyAngle: (ctx) => (ctx.data.galaxyAngle || 0) + 0.12 } },
+                {
+                    do: 'projectile', count: 2, layout: 'ring', angle: '@galaxyAngle',
+                    distance: (ctx) => 40 + ctx.count * 2, damage: 0.2, speed: 180
+                }
+            ]
+        }]
+    },
+
+    orbitalBombardment: {
+        stages: [{
+            move: 'stop',
+            advance: { orbitAngle: 4 },
+            duration: 1.5,
+            exit: [{ do: 'projectile', count: 12, layout: 'ring', angle: '@orbitAngle', distance: 100, aim: 'target', damage: 0.4, speed: 400 }]
+        }]
+    },
+
+    diamondCage: {
+        stages: [{
+            move: 'stop',
+            duration: 1.0,
+            exit: [{ do: 'projectile', origin: 'target', points: DIAMOND_CAGE, aim: 'target', damage: 0.3, speed: 300 }]
+        }]
+    },
+
+    starBurst: {
+        stages: [{
+            move: 'stop',
+            every: 0.2,
+            times: 4,
+            emit: [{ do: 'projectile', count: 16, layout: 'ring', angle: 0, damage: 0.25, speed: (ctx) => (ctx.i % 2 === 0 ? 350 : 250) }]
+        }]
+    },
+
+    clockworkSpiral: {
+        stages: [{
+            move: 'stop',
+            every: 0.15,
+            times: 36,
+            emit: [{
+                do: 'projectile', aim: 'target', damage: 0.35, speed: 350,
+                origin: { from: 'self', angle: (ctx) => ((ctx.count % 12) / 12) * TAU - Math.PI / 2, distance: 150 }
+            }]
+        }]
+    },
+
+    // ---------- Skeleton King ----------
+    boneStorm: {
+        stages: [{
+            move: 'stop',
+            every: 0.08,
+            times: 40,
+            emit: [
+                { do: 'set', values: { boneAngle: (ctx) => (ctx.data.boneAngle || 0) + 0.3 } },
+                { do: 'projectile', angle: '@boneAngle', damage: 0.35, speed: (ctx) => 200 + ctx.count * 3, element: 'dark' }
+            ]
+        }]
+    },
+
+    graveRise: {
+        stages: [{
+            move: 'stop',
+            every: 0.3,
+            times: 5,
+            emit: [{
+                do: 'aoe', count: 8, layout: 'ring', angle: 0, distance: (ctx) => 50 + ctx.count * 40,
+                damage: 0.4, radius: 35, duration: 0.3, element: 'dark'
+            }]
+        }]
+    },
+
+    royalExecution: {
+        stages: [{
+            enter: [{ do: 'mark', name: 'dashTarget', at: 'target' }],
+            telegraph: { radius: 100, color: 'rgba(200, 180, 140, 0.5)' },
+            move: { type: 'dash', to: '@dashTarget', speed: 4, arrive: 40 },
+            until: 'arrived',
+            exit: [
+                { do: 'melee', damage: 1.3, radius: 80, element: 'dark' },
+                { do: 'projectile', count: 8, layout: 'ring', angle: 0, damage: 0.4, speed: 300, element: 'dark' }
+            ]
+        }]
+    },
+
+    boneWall: {
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'set', values: { wallAngle: aimAngle } }],
+            duration: 0.1,
+            exit: [{
+                do: 'projectile', points: boneWallPoints, aim: (ctx) => ctx.shot.point.aim,
+                damage: 0.35, speed: 280, element: 'dark'
+            }]
+        }]
+    },
+
+    skeletonRush: {
+        stages: [{
+            enter: [{ do: 'mark', name: 'rushEnd', at: { from: 'target', angle: 'target', distance: 150 } }],
+            move: { type: 'dash', to: '@rushEnd', speed: 5, arrive: 30 },
+            every: 0,
+            emit: [{
+                do: 'projectile', chance: 0.3, count: 2, layout: 'ring',
+                angle: (ctx) => Math.atan2(ctx.data.rushEnd.y - ctx.boss.y, ctx.data.rushEnd.x - ctx.boss.x) + Math.PI / 2,
+                damage: 0.25, speed: 200, element: 'dark'
+            }],
+            until: 'arrived'
+        }]
+    },
+
+    curseOfDeath: {
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'mark', name: 'curse', at: 'target' }],
+            telegraph: { radius: (ctx) => 80 + ctx.count * 40, color: 'rgba(100, 0, 100, 0.4)' },
+            every: 0.3,
+            times: 5,
+            emit: [{ do: 'aoe', origin: '@curse', damage: 0.3, radius: (ctx) => 80 + ctx.count * 40, element: 'dark' }]
+        }]
+    },
+
+    signatureSkeletonKing: {
+        stages: [
+            {
+                move: 'stop',
+                telegraph: { radius: 180, color: 'rgba(200, 180, 140, 0.4)' },
+                every: 0.3,
+                times: 8,
+                emit: [{ do: 'summon', type: 'skeleton', at: { from: 'self', angle: (ctx) => (ctx.count / 8) * TAU, distance: 120 } }]
+            },
+            {
+                move: 'stop',
+                telegraph: { radius: 180, color: 'rgba(200, 180, 140, 0.4)', pulse: [30, 10] },
+                duration: 1,
+                exit: [{ do: 'aoe', damage: 1.5, radius: 180, element: 'dark' }]
+            }
+        ]
+    },
+
+    // ---------- Dragon Lord ----------
+    fireBreathSweep: {
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'set', values: { breathAngle: (ctx) => aimAngle(ctx) - Math.PI / 4 } }],
+            every: 0.05,
+            emit: [
+                { do: 'set', values: { breathAngle: (ctx) => ctx.data.breathAngle + 0.08 } },
+                { do: 'projectile', count: 3, layout: 'fan', spread: 0.1, angle: '@breathAngle', damage: 0.25, speed: 350, element: 'fire' }
+            ],
+            until: (ctx) => ctx.data.breathAngle >= aimAngle(ctx) + Math.PI / 4
+        }]
+    },
+
+    wingBlast: {
+        stages: [{
+            move: 'stop',
+            telegraph: { radius: 150, color: 'rgba(255, 100, 0, 0.3)', pulse: [20, 8] },
+            duration: 0.8,
+            exit: [
+                { do: 'aoe', damage: 0.6, radius: 150, knockback: 200, element: 'fire' },
+                {
+                    do: 'aoe', count: 16, angle: (ctx) => Math.floor(ctx.i / 4) / 4 * TAU + Math.PI / 4,
+                    distance: (ctx) => (ctx.i % 4 + 1) * 50, damage: 0.3, radius: 30,
+                    duration: (ctx) => 0.1 + (ctx.i % 4 + 1) * 0.15, element: 'fire'
+                }
+            ]
+        }]
+    },
+
+    dragonFury: {
+        stages: [{
+            move: { type: 'strafe', speed: 0.6 },
+            every: 0.12,
+            times: 15,
+            emit: [{ do: 'projectile', aim: 'target', aimSpread: 60, damage: 0.35, speed: 400, element: 'fire' }],
+            exit: [{ do: 'aoe', damage: 0.8, radius: 100, element: 'fire' }]
+        }]
+    },
+
+    meteorRain: {
+        stages: [{
+            move: 'stop',
+            enter: [{
+                do: 'schedule', count: 12, at: { from: 'target', x: [-200, 200], y: [-200, 200] },
+                delay: (ctx) => ctx.i * 0.2,
+                actions: [{ do: 'aoe', origin: 'marker', damage: 0.5, radius: 60, element: 'fire' }]
+            }],
+            until: 'scheduled'
+        }]
+    },
+
+    flameVortex: {
+        stages: [{
+            enter: [{ do: 'mark', name: 'vortex', at: 'self' }],
+            drift: { vortex: 100 },
+            advance: { vortexAngle: 8 },
+            every: 1 / 15,
+            emit: [{ do: 'projectile', origin: '@vortex', count: 3, layout: 'ring', angle: '@vortexAngle', damage: 0.25, speed: 180, element: 'fire' }],
+            duration: 4
+        }]
+    },
+
+    dragonRoar: {
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'set', values: { roarAngle: aimAngle } }],
+            telegraph: { radius: 200, color: 'rgba(255, 100, 0, 0.3)' },
+            duration: 0.8,
+            exit: [
+                { do: 'projectile', count: 15, layout: 'arc', arc: Math.PI / 3, angle: '@roarAngle', damage: 0.4, speed: 350, element: 'fire' },
+                { do: 'aoe', damage: 0.6, radius: 120, element: 'fire' }
+            ]
+        }]
+    },
+
+    signatureDragonLord: {
+        stages: [
+            {
+                move: 'stop',
+                enter: [{ do: 'shift', y: -50 }],
+                every: 0.2,
+                times: 12,
+                emit: [{ do: 'zone', origin: { from: 'target', x: [-200, 200], y: [-100, 100] }, delay: 0.8, radius: 80 }]
+            },
+            {
+                move: 'stop',
+                enter: [{ do: 'set', values: { breathAngle: (ctx) => aimAngle(ctx) - Math.PI / 3 } }],
+                every: 0.05,
+                emit: [
+                    { do: 'set', values: { breathAngle: (ctx) => ctx.data.breathAngle + 0.1 } },
+                    { do: 'projectile', count: 3, layout: 'fan', spread: 0.1, angle: '@breathAngle', damage: 0.4, speed: 400, element: 'fire' }
+                ],
+                until: (ctx) => ctx.data.breathAngle > aimAngle(ctx) + Math.PI / 3,
+                exit: [{ do: 'shift', y: 50 }]
+            }
+        ]
+    },
+
+    // ---------- Lich King ----------
+    soulDrain: {
+        stages: [{
+            move: 'stop',
+            every: 0.15,
+            times: 12,
+            emit: [{ do: 'projectile', aim: 'target', damage: 0.2, speed: 500, element: 'dark', slow: 0.3, slowDuration: 2 }],
+            exit: [{ do: 'heal', amount: 0.03 }]
+        }]
+    },
+
+    frostTomb: {
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'mark', name: 'prison', at: 'target' }],
+            telegraph: { radius: 80, color: 'rgba(100, 200, 255, 0.4)' },
+            duration: 1,
+            exit: [{
+                do: 'projectile', origin: '@prison', count: 12, layout: 'ring', angle: 0, distance: 100,
+                aim: '@prison', damage: 0.3, speed: 200, element: 'ice'
+            }]
+        }]
+    },
+
+    deathCoil: {
+        stages: [{
+            move: { type: 'retreat', speed: 0.5, within: 200 },
+            every: 0.25,
+            times: 6,
+            emit: [{ do: 'orb', damage: 0.4, speed: 180, timer: 4, lockRadius: 40, element: 'dark' }]
+        }]
+    },
+
+    iceSpikes: {
+        stages: [{
+            move: 'stop',
+            every: 0.3,
+            times: 4,
+            emit: [{
+                do: 'aoe', origin: 'target', count: (ctx) => 8 + ctx.count * 2, layout: 'ring', angle: 0,
+                distance: (ctx) => 10 + ctx.count * 50, damage: 0.35, radius: 25, element: 'ice'
+            }]
+        }]
+    },
+
+    phantomGrasp: {
+        stages: [{
+            move: 'stop',
+            enter: [{
+                do: 'schedule', count: 8, delay: (ctx) => ctx.i * 0.15,
+                at: { from: 'target', angle: (ctx) => (ctx.i / 8) * TAU, distance: [80, 140] },
+                actions: [
+                    { do: 'aoe', origin: 'marker', damage: 0.3, radius: 35, element: 'dark' },
+                    { do: 'projectile', origin: 'marker', aim: 'target', damage: 0.25, speed: 250, element: 'dark' }
+                ]
+            }],
+            until: 'scheduled'
+        }]
+    },
+
+    necromanticRift: {
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'mark', name: 'rift', at: 'midpoint' }],
+            every: 0.4,
+            times: 8,
+            emit: [
+                { do: 'orb', origin: { from: '@rift', x: [-20, 20], y: [-20, 20] }, damage: 0.35, speed: 160, timer: 5, lockRadius: 30, element: 'dark' },
+                { do: 'projectile', origin: '@rift', angle: [0, TAU], damage: 0.2, speed: 200, element: 'dark' }
+            ]
+        }]
+    },
+
+    signatureLichKing: {
+        stages: [
+            {
+                move: 'stop',
+                telegraph: { radius: 250, color: 'rgba(80, 0, 120, 0.4)' },
+                every: 0.1,
+                times: 24,
+                emit: [{
+                    do: 'orb', mode: 'locked', angle: (ctx) => (ctx.count / 24) * TAU * 2,
+                    damage: 0.3, speed: 200, timer: 3, element: 'dark'
+                }]
+            },
+            {
+                move: 'stop',
+                telegraph: { radius: (ctx) => 250 - ctx.elapsed * 200, color: 'rgba(80, 0, 120, 0.4)' },
+                duration: 1,
+                exit: [{ do: 'aoe', damage: 1.2, radius: 250, element: 'dark' }, { do: 'heal', amount: 0.05 }]
+            }
+        ]
+    },
+
+    // ---------- Pharaoh ----------
+    lightningChain: {
+        stages: [{
+            enter: [{ do: 'mark', name: 'dashTarget', at: 'target' }],
+            move: { type: 'dash', to: '@dashTarget', speed: 5, arrive: 30 },
+            every: 0.08,
+            emit: [{ do: 'zone', delay: 0.3, radius: 50 }],
+            until: 'arrived'
+        }]
+    },
+
+    sandstormLightning: {
+        stages: [{
+            move: { type: 'strafe', speed: 0.8 },
+            every: 0.2,
+            times: 15,
+            emit: [{ do: 'zone', origin: { from: 'target', angle: [0, TAU], distance: [50, 200] }, delay: 0.4, radius: 60 }]
+        }]
+    },
+
+    pyramidStrike: {
+        stages: [{
+            move: 'stop',
+            duration: 0.4,
+            exit: [
+                { do: 'zone', origin: 'target', count: 3, layout: 'ring', angle: -Math.PI / 2, distance: 100, delay: 0.5, radius: 70 },
+                { do: 'zone', origin: 'target', delay: 0.6, radius: 50 }
+            ]
+        }]
+    },
+
+    scarabSwarm: {
+        stages: [{
+            move: 'stop',
+            every: 0.15,
+            times: 12,
+            emit: [{
+                do: 'orb', angle: [0, TAU], distance: [30, 60], damage: 0.25, speed: [140, 200],
+                timer: 4, lockRadius: 35, element: 'lightning'
+            }]
+        }]
+    },
+
+    sandTornado: {
+        stages: [{
+            move: { type: 'strafe', speed: 1 },
+            advance: { spin: 6 },
+            every: 0.08,
+            times: 40,
+            emit: [{ do: 'projectile', count: 2, layout: 'ring', angle: '@spin', damage: 0.25, speed: 280, element: 'lightning' }],
+            exit: [{ do: 'velocity', x: 0, y: 0 }]
+        }]
+    },
+
+    curseOfTheSun: {
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'mark', name: 'sun', at: 'target' }],
+            telegraph: { radius: 120, color: 'rgba(255, 200, 0, 0.4)' },
+            duration: 1.2,
+            exit: [
+                { do: 'aoe', origin: '@sun', damage: 0.7, radius: 120, element: 'fire' },
+                { do: 'projectile', origin: '@sun', count: 16, layout: 'ring', angle: 0, damage: 0.3, speed: 300, element: 'lightning' }
+            ]
+        }]
+    },
+
+    signatureAnkh: {
+        stages: [{
+            move: 'stop',
+            every: 0.15,
+            times: 12,
+            emit: [
+                {
+                    do: 'zone', origin: { from: 'target', x: [-100, 100], y: [-100, 100] },
+                    delay: (ctx) => ctx.boss.lightningStrikeDelay, radius: 70
+                },
+                {
+                    do: 'projectile', when: (ctx) => ctx.count === 6, aim: 'target', damage: 0.8, speed: 250,
+                    width: 48, height: 48, element: 'lightning', effects: [{ type: 'stun', duration: 1.5 }]
+                }
+            ]
+        }]
+    },
+
+    // ---------- Cerberus ----------
+    hellfireBreath: {
+        stages: [{
+            move: 'stop',
+            every: 0.05,
+            times: 25,
+            emit: [{ do: 'projectile', count: 5, layout: 'fan', spread: 0.15, damage: 0.25, speed: 400, element: 'fire' }]
+        }]
+    },
+
+    tripleChomp: {
+        stages: [
+            { name: 'windup', move: 'stop', duration: 0.2, exit: [{ do: 'mark', name: 'dashTarget', at: 'target' }] },
+            {
+                move: { type: 'dash', to: '@dashTarget', speed: 6, arrive: 30 },
+                until: 'arrived',
+                duration: 0.2,
+                exit: [{ do: 'melee', damage: 1.2, range: 70, element: 'fire' }],
+                loop: { to: 'windup', times: 3 }
+            }
+        ]
+    },
+
+    infernoCircle: {
+        stages: [{
+            move: 'stop',
+            duration: 0.5,
+            exit: [0, 1, 2].map(ring => ({
+                do: 'projectile', count: 12 + ring * 4, layout: 'ring', angle: 0, damage: 0.35, speed: 200 + ring * 50, element: 'fire'
+            }))
+        }]
+    },
+
+    spiralBounce: {
+        stages: [{
+            move: 'stop',
+            every: 0.06,
+            times: 36,
+            emit: [
+                { do: 'set', values: { bounceAngle: (ctx) => (ctx.data.bounceAngle || 0) + 0.25 } },
+                { do: 'projectile', angle: '@bounceAngle', damage: 0.3, speed: 350, element: 'fire', bounces: 3 }
+            ]
+        }]
+    },
+
+    splittingFlame: {
+        stages: [{
+            move: 'stop',
+            every: 0.5,
+            times: 4,
+            emit: [{
+                do: 'projectile', aim: 'target', damage: 0.6, speed: 280, element: 'fire',
+                bounces: 1, splitsRemaining: 5, width: 20, height: 20
+            }]
+        }]
+    },
+
+    fireWave: {
+        stages: [{
+            move: 'stop',
+            enter: [
+                { do: 'set', values: { waveDirection: () => (RNG.ai.next() > 0.5 ? 1 : -1) } },
+                { do: 'set', values: { waveAngle: (ctx) => -ctx.data.waveDirection * Math.PI / 2 } }
+            ],
+            telegraph: { radius: 300, color: 'rgba(255, 100, 0, 0.2)' },
+            every: 0.04,
+            emit: [
+                { do: 'set', values: { waveAngle: (ctx) => ctx.data.waveAngle + 0.05 * ctx.data.waveDirection } },
+                {
+                    do: 'projectile', count: 7, angle: '@waveAngle', distance: 50, distanceStep: 40,
+                    damage: 0.25, speed: 150, width: 16, height: 16, element: 'fire'
+                }
+            ],
+            until: (ctx) => Math.abs(ctx.data.waveAngle) > Math.PI * 1.5
+        }]
+    },
+
+    hellShockwave: {
+        stages: [{
+            move: 'stop',
+            telegraph: { radius: 200, color: 'rgba(255, 60, 0, 0.4)', pulse: [30, 12] },
+            duration: 0.8,
+            exit: [
+                { do: 'aoe', damage: 0.8, radius: 200, knockback: 150, element: 'fire' },
+                { do: 'projectile', count: 24, layout: 'ring', angle: 0, damage: 0.35, speed: 300, width: 18, height: 18, element: 'fire' }
+            ]
+        }]
+    },
+
+    lavaPools: {
+        stages: [{
+            move: { type: 'strafe', speed: 0.7 },
+            every: 0.25,
+            times: 10,
+            emit: [{ do: 'zone', origin: { from: 'target', lead: 0.5 }, delay: 0.6, radius: 60 }]
+        }]
+    },
+
+    signatureCerberus: {
+        stages: [{
+            move: 'stop',
+            every: 0.06,
+            times: 30,
+            emit: [{
+                do: 'projectile', count: 3, layout: 'fan', spread: 0.4, distance: 30,
+                damage: 0.3, speed: 450, element: 'lightning'
+            }]
+        }]
+    },
+
+    // ---------- Spider Queen ----------
+    webTrap: {
+        stages: [{
+            move: 'stop',
+            every: 0.3,
+            times: 6,
+            emit: [{
+                do: 'aoe', origin: { from: 'target', angle: [0, TAU], distance: [80, 200] },
+                damage: 0.3, radius: 50, duration: 3, element: 'poison',
+                effects: [{ type: 'slow', amount: 0.5, duration: 2 }]
+            }]
+        }]
+    },
+
+    venomSpray: {
+        stages: [{
+            move: 'stop',
+            every: 0.08,
+            times: 20,
+            emit: [{
+                do: 'projectile', rotate: (ctx) => alternate(ctx) * 0.3, damage: 0.3, speed: 350, element: 'poison',
+                effects: [{ type: 'poison', damage: 5, duration: 3 }]
+            }]
+        }]
+    },
+
+    spiderSwarm: {
+        stages: [{
+            move: 'stop',
+            enter: [{
+                do: 'orb', count: 8, angle: [0, TAU], distance: [50, 100], damage: 0.25,
+                speed: [100, 150], timer: 6, lockRadius: 25
+            }]
+        }]
+    },
+
+    cocoonBomb: {
+        stages: [{
+            move: 'stop',
+            every: 0.25,
+            times: 6,
+            emit: [{
+                do: 'schedule', delay: 1.5, at: { from: 'target', angle: [0, TAU], distance: [60, 160] },
+                actions: [
+                    { do: 'aoe', origin: 'marker', damage: 0.5, radius: 60, element: 'poison' },
+                    { do: 'projectile', origin: 'marker', count: 6, layout: 'ring', angle: 0, damage: 0.2, speed: 200, element: 'poison' }
+                ]
+            }],
+            until: 'scheduled'
+        }]
+    },
+
+    silkLine: {
+        stages: [{
+            move: 'stop',
+            every: 0.12,
+            times: 16,
+            emit: [{
+                do: 'projectile', rotate: (ctx) => alternate(ctx) * 0.4, damage: 0.3, speed: 320, element: 'poison',
+                effects: [{ type: 'slow', amount: 0.6, duration: 1.5 }]
+            }]
+        }]
+    },
+
+    toxicBurst: {
+        stages: [{
+            move: 'stop',
+            telegraph: { radius: 100, color: 'rgba(100, 200, 50, 0.4)' },
+            duration: 0.7,
+            exit: [
+                {
+                    do: 'aoe', damage: 0.6, radius: 100, element: 'poison',
+                    effects: [{ type: 'poison', damage: 8, duration: 4 }]
+                },
+                { do: 'aoe', count: 8, layout: 'ring', angle: 0, distance: 80, damage: 0.3, radius: 40, duration: 2, element: 'poison' }
+            ]
+        }]
+    },
+
+    signatureWebPrison: {
+        stages: [{
+            move: 'stop',
+            duration: 0.8,
+            exit: [{
+                do: 'projectile', origin: 'target', count: 16, layout: 'ring', angle: 0, distance: 150, aim: 'target',
+                damage: 0.4, speed: 180, element: 'poison', effects: [{ type: 'slow', duration: 3, amount: 0.5 }]
+            }]
+        }]
+    },
+
+    // ---------- Archangel ----------
+    holyRain: {
+        stages: [{
+            move: { type: 'strafe', speed: 0.6 },
+            every: 0.15,
+            times: 18,
+            emit: [{ do: 'aoe', origin: { from: 'target', x: [-100, 100], y: [-100, 100] }, damage: 0.4, radius: 40, element: 'holy' }]
+        }]
+    },
+
+    divineBeam: {
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'set', values: { beamAngle: aimAngle } }],
+            duration: 0.8,
+            exit: [{
+                do: 'projectile', count: 30, angle: '@beamAngle', distanceStep: 15,
+                damage: 0.3, speed: 500, element: 'holy'
+            }]
+        }]
+    },
+
+    purifyingLight: {
+        stages: [{
+            move: 'stop',
+            every: 0.4,
+            times: 4,
+            emit: [{ do: 'projectile', count: 16, layout: 'ring', angle: 0, damage: 0.35, speed: 200, element: 'holy' }]
+        }]
+    },
+
+    lightPillars: {
+        stages: [{
+            move: 'stop',
+            enter: [
+                {
+                    do: 'schedule', count: 8, delay: (ctx) => ctx.i * 0.15,
+                    at: { from: 'target', angle: (ctx) => (ctx.i / 8) * TAU, distance: [80, 140] },
+                    actions: [{ do: 'zone', origin: 'marker', delay: 0.6, radius: 45 }]
+                },
+                {
+                    do: 'schedule', delay: 1.2, at: 'target',
+                    actions: [{ do: 'zone', origin: 'marker', delay: 0.6, radius: 45 }]
+                }
+            ],
+            duration: 2
+        }]
+    },
+
+    orbGridStrike: {
+        stages: [
+            {
+                move: 'stop',
+                enter: [{ do: 'set', values: { orbs: pickOrbGrid } }],
+                every: 0.12,
+                times: (ctx) => ctx.data.orbs.length,
+                emit: [{
+                    do: 'aoe', origin: (ctx) => ctx.data.orbs[ctx.count - 1],
+                    damage: 0, radius: 15, duration: 1.5, element: 'holy'
+                }]
+            },
+            {
+                move: 'stop',
+                duration: 0.5,
+                exit: [{
+                    do: 'projectile', points: orbBeamPoints, aim: (ctx) => ctx.shot.point.aim,
+                    damage: 0.2, speed: 50, width: 12, height: 12, element: 'holy'
+                }]
+            }
+        ]
+    },
+
+    celestialCross: {
+        stages: [{
+            move: 'stop',
+            every: 0.15,
+            times: 20,
+            emit: [{
+                do: 'projectile', count: 4, layout: 'ring',
+                angle: (ctx) => (Math.floor((ctx.count - 1) / 4) % 2 === 0 ? 0 : Math.PI / 4),
+                damage: 0.3, speed: 350, element: 'holy'
+            }]
+        }]
+    },
+
+    angelicDescent: {
+        stages: [
+            {
+                enter: [{ do: 'mark', name: 'start', at: 'self' }],
+                move: { type: 'velocity', y: -100 },
+                every: 0.2,
+                emit: [{
+                    do: 'projectile', angle: Math.PI / 2, damage: 0.25, speed: 400, element: 'holy',
+                    origin: (ctx) => ({ x: ctx.target.x + (RNG.ai.next() - 0.5) * 150, y: ctx.boss.y - 100 })
+                }],
+                until: (ctx) => ctx.boss.y < ctx.data.start.y - 80,
+                exit: [{ do: 'mark', name: 'slam', at: 'target' }]
+            },
+            {
+                move: 'stop',
+                telegraph: { radius: 120, color: 'rgba(255, 255, 200, 0.4)' },
+                duration: 0.4,
+                exit: [
+                    { do: 'teleport', to: '@slam' },
+                    { do: 'aoe', damage: 1.2, radius: 120, element: 'holy' },
+                    { do: 'projectile', count: 12, layout: 'ring', angle: 0, damage: 0.3, speed: 250, element: 'holy' }
+                ]
+            }
+        ]
+    },
+
+    radiantNova: {
+        volley: true,
+        stages: [{
+            move: 'stop',
+            telegraph: { radius: (ctx) => 50 + ctx.count * 70, color: 'rgba(255, 255, 150, 0.3)' },
+            every: 0.3,
+            times: 5,
+            emit: [{
+                do: 'projectile', count: (ctx) => 8 + ctx.count * 4, layout: 'ring', angle: 0,
+                rotate: (ctx) => (ctx.count % 2) * Math.PI / (8 + ctx.count * 4),
+                damage: 0.25, speed: (ctx) => 180 + ctx.count * 30, element: 'holy'
+            }]
+        }]
+    },
+
+    signatureDivineJudgment: {
+        stages: [{
+            move: 'stop',
+            every: 0.15,
+            times: 15,
+            emit: [{
+                do: 'aoe', origin: { from: 'target', x: [-100, 100], y: [-100, 100] },
+                damage: 0.6, radius: 50, duration: 0.3, element: 'holy'
+            }]
+        }]
+    },
+
+    // ---------- Master AI ----------
+    laserGrid: {
+        volley: true,
+        stages: [{
+            move: 'stop',
+            duration: 0.3,
+            exit: [
+                { do: 'projectile', count: 7, offset: { x: -300, y: -180 }, offsetStep: { y: 60 }, angle: 0, damage: 0.3, speed: 400, element: 'electric' },
+                { do: 'projectile', count: 7, offset: { x: -180, y: -300 }, offsetStep: { x: 60 }, angle: Math.PI / 2, damage: 0.3, speed: 400, element: 'electric' }
+            ]
+        }]
+    },
+
+    droneSwarm: {
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'orb', count: 6, layout: 'ring', angle: 0, distance: 80, damage: 0.35, speed: 150, timer: 5, lockRadius: 40 }]
+        }]
+    },
+
+    systemHack: {
+        stages: [{
+            every: 0.5,
+            times: 5,
+            emit: [
+                { do: 'dashTo', to: { from: 'target', angle: [0, TAU], distance: [100, 180] }, speed: 900 },
+                {
+                    do: 'schedule', delay: 0.15,
+                    actions: [{ do: 'projectile', count: 4, layout: 'fan', spread: 0.2, damage: 0.3, speed: 450, element: 'electric' }]
+                }
+            ],
+            until: 'scheduled'
+        }]
+    },
+
+    dataStorm: {
+        stages: [{
+            move: 'stop',
+            every: 0.05,
+            times: 30,
+            emit: [{ do: 'projectile', count: 3, angle: [0, TAU], damage: 0.2, speed: [250, 450], element: 'electric' }]
+        }]
+    },
+
+    firewall: {
+        stages: [{
+            move: 'stop',
+            every: 0.4,
+            times: 6,
+            emit: [{
+                do: 'aoe', origin: 'target', count: 12, layout: 'ring', angle: 0,
+                distance: (ctx) => 285 - ctx.count * 35, damage: 0.35, radius: 35, element: 'electric'
+            }]
+        }]
+    },
+
+    virusInfection: {
+        stages: [{
+            move: 'stop',
+            every: 0.3,
+            times: 8,
+            emit: [
+                { do: 'orb', angle: [0, TAU], distance: 40, damage: 0.35, speed: 130, timer: 4, lockRadius: 45, element: 'electric' },
+                { do: 'projectile', jitter: 1, damage: 0.25, speed: 280, element: 'electric' }
+            ]
+        }]
+    },
+
+    signatureSystemOverload: {
+        stages: [{
+            move: 'stop',
+            duration: 0.5,
+            exit: [{
+                do: 'projectile', count: OVERLOAD_GRID.length,
+                aim: (ctx) => ({ x: ctx.boss.x + OVERLOAD_GRID[ctx.i][0], y: ctx.boss.y + OVERLOAD_GRID[ctx.i][1] }),
+                damage: 0.35, speed: 350, element: 'lightning'
+            }]
+        }]
+    },
+
+    // ---------- Ancient Golem ----------
+    earthquakeWave: {
+        stages: [{
+            move: 'stop',
+            every: 0.5,
+            times: 4,
+            emit: [{
+                do: 'aoe', count: 5, distance: 60, distanceStep: 60, damage: 0.4, radius: 50,
+                duration: (ctx) => 0.1 + (ctx.i + 1) * 0.1, element: 'earth'
+            }]
+        }]
+    },
+
+    boulderToss: {
+        stages: [{
+            move: 'stop',
+            every: 0.6,
+            times: 4,
+            emit: [{ do: 'projectile', aim: 'target', damage: 1.5, speed: 200, width: 40, height: 40, element: 'earth' }]
+        }]
+    },
+
+    stoneSkin: {
+        stages: [{
+            move: 'stop',
+            enter: [{ do: 'invulnerable', time: 2 }],
+            regen: 0.01,
+            duration: 2,
+            exit: [{ do: 'projectile', count: 12, layout: 'ring', angle: 0, damage: 0.5, speed: 250, element: 'earth' }]
+        }]
+    },
+
+    crystalSpikes: {
+        stages: [{
+            move: 'stop',
+            every: 0.3,
+            times: 4,
+            emit: [{
+                do: 'aoe', count: (ctx) => 10 + ctx.count * 2, layout: 'ring', angle: 0,
+                distance: (ctx) => 60 + ctx.count * 50, damage: 0.4, radius: 30, element: 'earth'
+            }]
+        }]
+    },
+
+    rockyBarrier: {
+        stages: [{
+            move: 'stop',
+            advance: { barrierAngle: 2 },
+            every: 0.2,
+            times: 12,
+            emit: [{ do: 'projectile', count: 4, layout: 'ring', angle: '@barrierAngle', distance: 80, damage: 0.3, speed: 220, element: 'earth' }]
+        }]
+    },
+
+    seismicStomp: {
+        stages: [{
+            move: 'stop',
+            telegraph: { radius: 150, color: 'rgba(139, 90, 43, 0.5)' },
+            duration: 0.8,
+            exit: [
+                { do: 'aoe', damage: 0.7, radius: 100, element: 'earth' },
+                {
+                    do: 'projectile', count: 32, angle: (ctx) => Math.floor(ctx.i / 4) / 8 * TAU,
+                    distance: (ctx) => (ctx.i % 4 + 1) * 40, damage: 0.3,
+                    speed: (ctx) => 200 + (ctx.i % 4 + 1) * 30, element: 'earth'
+                }
+            ]
+        }]
+    },
+
+    signatureSeismicSlam: {
+        stages: [{
+            enter: [{ do: 'velocity', y: -200 }],
+            duration: 0.5,
+            exit: [
+                { do: 'teleport', to: 'target' },
+                { do: 'velocity', x: 0, y: 0 },
+                {
+                    do: 'aoe', count: 3, damage: (ctx) => 1.5 - (ctx.i + 1) * 0.3, radius: (ctx) => 60 * (ctx.i + 1),
+                    duration: (ctx) => 0.3 + (ctx.i + 1) * 0.2, element: 'earth'
+                }
+            ]
+        }]
+    }
+};
+
+export default BossPatternLibrary;
@@ -0,0 +1,690 @@
+/**
+ * Boss Pattern Runtime - Interprets the declarative boss attack patterns
+ * A pattern is a list of stages. Each frame the active stage can move the boss, show a
+ * telegraph and fire its emitters on an interval; entry/exit actions run once, and the
+ * stage ends on its time, count or `until` condition. Definitions live in
+ * BossPatternLibrary.js and bosses choose theirs with the `patterns`, `signature` and
+ * `patternTuning` fields of their type config, so moves are composed and tuned as data.
+ *
+ * Values in a definition can be a number, a [min, max] range (rolled on RNG.ai),
+ * { base, perPhase }, '$param', '@dataKey' or a function of the pattern context.
+ */
+
+import { RNG } from '../engine/core/Random.js';
+import { BossPatternLibrary } from './BossPatternLibrary.js';
+
+const TAU = Math.PI * 2;
+
+// Distance used to turn a shot angle into a target point (only the direction matters)
+const SHOT_REACH = 300;
+
+// Emitter fields that place shots; everything else is copied onto the attack or orb
+const LAYOUT_KEYS = new Set([
+    'do', 'when', 'chance', 'damage', 'origin', 'points', 'count', 'layout', 'angle', 'rotate',
+    'spread', 'arc', 'jitter', 'distance', 'distanceStep', 'offset', 'offsetStep', 'aim', 'aimSpread'
+]);
+
+// ============================================
+// VALUE RESOLUTION
+// ============================================
+
+export function resolveValue(value, ctx) {
+    if (typeof value === 'function') return value(ctx);
+    if (typeof value === 'string') {
+        if (value[0] === '$') return resolveValue(ctx.params[value.slice(1)], ctx);
+        if (value[0] === '@') return ctx.data[value.slice(1)];
+        return value;
+    }
+    if (Array.isArray(value)) {
+        // [min, max] is a random range; any other array (effects lists) passes through
+        if (value.length === 2 && typeof value[0] === 'number' && typeof value[1] === 'number') {
+            return value[0] + RNG.ai.next() * (value[1] - value[0]);
+        }
+        return value;
+    }
+    if (value && typeof value === 'object' && 'perPhase' in value) {
+        return (value.base || 0) + (ctx.boss.bossPhase || 1) * value.perPhase;
+    }
+    return value;
+}
+
+// 'target' aims from `from` at the target, 'away' the opposite way; anything else is a value
+function resolveAngle(spec, from, ctx) {
+    if (spec === 'target' || spec === 'away') {
+        const angle = Math.atan2(ctx.target.y - from.y, ctx.target.x - from.x);
+        return spec === 'away' ? angle + Math.PI : angle;
+    }
+    return resolveValue(spec, ctx) || 0;
+}
+
+// Points: 'self', 'target', 'midpoint', 'marker', '@dataKey', a function, or
+// { from, angle, distance, x, y, lead } offset from another point
+export function resolvePoint(spec, ctx) {
+    const boss = ctx.boss;
+    if (spec === undefined || spec === 'self') return { x: boss.x, y: boss.y };
+    if (spec === 'target') return { x: ctx.target.x, y: ctx.target.y };
+    if (spec === 'midpoint') return { x: (boss.x + ctx.target.x) / 2, y: (boss.y + ctx.target.y) / 2 };
+    if (spec === 'marker') return { x: ctx.marker.x, y: ctx.marker.y };
+    if (typeof spec === 'string' || typeof spec === 'function') {
+        const point = resolveValue(spec, ctx);
+        return { x: point.x, y: point.y };
+    }
+
+    const base = resolvePoint(spec.from, ctx);
+    let x = base.x;
+    let y = base.y;
+    if (spec.distance !== undefined) {
+        // Angles are measured from the boss, so 'target' continues along the boss's line of attack
+        const angle = resolveAngle(spec.angle ?? 0, boss, ctx);
+        const distance = resolveValue(spec.distance, ctx);
+        x += Math.cos(angle) * distance;
+        y += Math.sin(angle) * distance;
+    }
+    if (spec.lead !== undefined) {
+        // Predict where a moving entity will be
+        const entity = spec.from === 'self' || spec.from === undefined ? boss : ctx.target;
+        const lead = resolveValue(spec.lead, ctx);
+        x += (entity.velocity?.x || 0) * lead;
+        y += (entity.velocity?.y || 0) * lead;
+    }
+    if (spec.x !== undefined) x += resolveValue(spec.x, ctx);
+    if (spec.y !== undefined) y += resolveValue(spec.y, ctx);
+    return { x, y };
+}
+
+// Point lists: [dx, dy] pairs are relative to the origin, { x, y } objects are absolute
+function resolvePoints(spec, origin, ctx) {
+    const list = resolveValue(spec, ctx) || [];
+    return list.map(point => Array.isArray(point)
+        ? { x: origin.x + point[0], y: origin.y + point[1], source: point }
+        : { x: point.x, y: point.y, source: point });
+}
+
+// ============================================
+// EMITTERS
+// ============================================
+
+// Angle of shot i within its layout, relative to the base angle
+function layoutAngle(spec, i, count, ctx) {
+    switch (spec.layout) {
+        case 'ring':
+            return (i / count) * TAU;
+        case 'fan':
+            return (i - (count - 1) / 2) * resolveValue(spec.spread ?? 0, ctx);
+        case 'arc':
+            return count > 1 ? (i / (count - 1) - 0.5) * resolveValue(spec.arc ?? 0, ctx) : 0;
+        default:
+            return 0;
+    }
+}
+
+// Place every shot of an emitter: a position plus the angle it travels along
+function layoutShots(spec, ctx) {
+    const origin = resolvePoint(spec.origin, ctx);
+    const points = spec.points !== undefined ? resolvePoints(spec.points, origin, ctx) : null;
+    const count = points ? points.length : Math.max(0, Math.round(resolveValue(spec.count ?? 1, ctx)));
+    const shots = [];
+
+    for (let i = 0; i < count; i++) {
+        ctx.i = i;
+        let x = points ? points[i].x : origin.x;
+        let y = points ? points[i].y : origin.y;
+
+        if (spec.offset) {
+            x += resolveValue(spec.offset.x ?? 0, ctx);
+            y += resolveValue(spec.offset.y ?? 0, ctx);
+        }
+        if (spec.offsetStep) {
+            x += i * resolveValue(spec.offsetStep.x ?? 0, ctx);
+            y += i * resolveValue(spec.offsetStep.y ?? 0, ctx);
+        }
+
+        let angle = resolveAngle(spec.angle ?? 'target', { x, y }, ctx) + layoutAngle(spec, i, count, ctx);
+        if (spec.rotate !== undefined) angle += resolveValue(spec.rotate, ctx);
+        if (spec.jitter !== undefined) angle += (RNG.ai.next() - 0.5) * resolveValue(spec.jitter, ctx);
+
+        if (spec.distance !== undefined || spec.distanceStep !== undefined) {
+            const distance = resolveValue(spec.distance ?? 0, ctx) + i * resolveValue(spec.distanceStep ?? 0, ctx);
+            x += Math.cos(angle) * distance;
+            y += Math.sin(angle) * distance;
+        }
+
+        shots.push({ x, y, angle, index: i, point: points ? points[i].source : null });
+    }
+    return shots;
+}
+
+// Where a shot is headed: its aim point if it has one, otherwise along its angle
+function aimShot(shot, aim, spec, ctx) {
+    if (aim === undefined) {
+        return { x: shot.x + Math.cos(shot.angle) * SHOT_REACH, y: shot.y + Math.sin(shot.angle) * SHOT_REACH };
+    }
+    const point = resolvePoint(aim, ctx);
+    if (spec.aimSpread !== undefined) {
+        const spread = resolveValue(spec.aimSpread, ctx);
+        point.x += (RNG.ai.next() - 0.5) * spread;
+        point.y += (RNG.ai.next() - 0.5) * spread;
+    }
+    return point;
+}
+
+// Copy the non-layout fields of an emitter onto an attack/orb, resolving each value
+function copyFields(spec, into, ctx) {
+    for (const key in spec) {
+        if (!LAYOUT_KEYS.has(key)) into[key] = resolveValue(spec[key], ctx);
+    }
+    return into;
+}
+
+// projectile / aoe / melee emitters; damage is a multiplier of the boss's damage
+function fireAttacks(spec, ctx) {
+    const { boss, scale } = ctx;
+    const type = spec.do;
+    const aim = spec.aim ?? (type === 'melee' ? 'target' : undefined);
+    const volley = ctx.pattern.volley;
+    if (volley && !boss.pendingAttacks) boss.pendingAttacks = [];
+
+    for (const shot of layoutShots(spec, ctx)) {
+        ctx.i = shot.index;
+        ctx.shot = shot;
+        const attack = copyFields(spec, { type }, ctx);
+        attack.damage = boss.damage * resolveValue(spec.damage ?? 0, ctx) * scale.damage;
+        attack.x = shot.x;
+        attack.y = shot.y;
+        if (type === 'aoe') {
+            attack.targetX = shot.x;
+            attack.targetY = shot.y;
+        } else {
+            const point = aimShot(shot, aim, spec, ctx);
+            attack.targetX = point.x;
+            attack.targetY = point.y;
+        }
+        if (attack.speed !== undefined) attack.speed *= scale.speed;
+        attack.owner = boss;
+        // Outside volleys each shot takes the single attack slot, so the last one fires
+        if (volley) {
+            boss.pendingAttacks.push(attack);
+        } else {
+            boss.pendingAttack = attack;
+        }
+    }
+}
+
+// Tracking orbs: 'tracking' home in until lockRadius, 'locked' fly straight along their aim
+function spawnOrbs(spec, ctx) {
+    const { boss, scale } = ctx;
+    const fields = { ...spec };
+    const mode = fields.mode || 'tracking';
+    delete fields.mode;
+
+    for (const shot of layoutShots(spec, ctx)) {
+        ctx.i = shot.index;
+        ctx.shot = shot;
+        const orb = copyFields(fields, { x: shot.x, y: shot.y, vx: 0, vy: 0 }, ctx);
+        orb.damage = boss.damage * resolveValue(spec.damage ?? 0, ctx) * scale.damage;
+        orb.speed = (orb.speed || 0) * scale.speed;
+        orb.phase = mode;
+        if (mode === 'locked') {
+            const point = aimShot(shot, spec.aim, spec, ctx);
+            const angle = Math.atan2(point.y - shot.y, point.x - shot.x);
+            orb.vx = Math.cos(angle) * orb.speed;
+            orb.vy = Math.sin(angle) * orb.speed;
+        }
+        boss.trackingOrbs.push(orb);
+    }
+}
+
+// Delayed lightning strikes (Enemy.spawnLightningZone)
+function spawnZones(spec, ctx) {
+    for (const shot of layoutShots(spec, ctx)) {
+        ctx.i = shot.index;
+        ctx.shot = shot;
+        ctx.boss.spawnLightningZone(shot.x, shot.y, resolveValue(spec.delay ?? 0.5, ctx), resolveValue(spec.radius ?? 60, ctx));
+    }
+}
+
+// Queue actions to run later; `origin: 'marker'` inside them refers to the scheduled point
+function scheduleActions(spec, ctx) {
+    const count = Math.max(0, Math.round(resolveValue(spec.count ?? 1, ctx)));
+    if (!ctx.data.scheduled) ctx.data.scheduled = [];
+    for (let i = 0; i < count; i++) {
+        ctx.i = i;
+        ctx.data.scheduled.push({
+            time: ctx.data.time + resolveValue(spec.delay ?? 0, ctx),
+            marker: resolvePoint(spec.at, ctx),
+            actions: spec.actions
+        });
+    }
+}
+
+function addTrail(spec, ctx) {
+    const boss = ctx.boss;
+    const color = spec.color === 'element' ? boss.getElementColor(boss.bossElement) : (spec.color || boss.color);
+    boss.bossDashTrail.push({ x: boss.x, y: boss.y, alpha: spec.alpha ?? 1, time: spec.time ?? 0.3, color });
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+function runAction(action, ctx) {
+    const { boss, data } = ctx;
+    switch (action.do) {
+        case 'projectile':
+        case 'aoe':
+        case 'melee':
+            fireAttacks(action, ctx);
+            break;
+        case 'orb':
+            spawnOrbs(action, ctx);
+            break;
+        case 'zone':
+            spawnZones(action, ctx);
+            break;
+        case 'schedule':
+            scheduleActions(action, ctx);
+            break;
+        case 'mark':
+            // Remember a point (a locked target position, a rift centre, ...)
+            data[action.name] = resolvePoint(action.at, ctx);
+            break;
+        case 'set':
+            for (const key in action.values) {
+                data[key] = resolveValue(action.values[key], ctx);
+            }
+            break;
+        case 'teleport': {
+            const point = resolvePoint(action.to, ctx);
+            boss.x = point.x;
+            boss.y = point.y;
+            break;
+        }
+        case 'shift':
+            boss.x += resolveValue(action.x ?? 0, ctx);
+            boss.y += resolveValue(action.y ?? 0, ctx);
+            break;
+        case 'velocity':
+            boss.velocity.x = resolveValue(action.x ?? 0, ctx);
+            boss.velocity.y = resolveValue(action.y ?? 0, ctx);
+            break;
+        case 'dashTo': {
+            const point = resolvePoint(action.to, ctx);
+            boss.doBossDashTo(point.x, point.y, resolveValue(action.speed ?? 600, ctx), action.afterimages !== false);
+            break;
+        }
+        case 'face': {
+            const point = resolvePoint(action.at ?? 'target', ctx);
+            const angle = Math.atan2(point.y - boss.y, point.x - boss.x);
+            boss.facing.x = Math.cos(angle);
+            boss.facing.y = Math.sin(angle);
+            break;
+        }
+        case 'heal':
+            // Fraction of max health
+            boss.health = Math.min(boss.maxHealth, boss.health + boss.maxHealth * resolveValue(action.amount, ctx));
+            break;
+        case 'invulnerable':
+            boss.invulnerable = true;
+            boss.invulnerabilityTime = resolveValue(action.time, ctx);
+            break;
+        case 'summon': {
+            const point = resolvePoint(action.at, ctx);
+            boss.pendingMobSpawn = { type: action.type, count: resolveValue(action.count ?? 1, ctx), x: point.x, y: point.y };
+            break;
+        }
+        case 'dashing':
+            boss.isBossDashing = action.value !== false;
+            break;
+        case 'trail':
+            addTrail(action, ctx);
+            break;
+        case 'sound':
+            if (action.name === 'dash') boss.playDashSound = true;
+            break;
+        default:
+            console.warn(`Unknown boss pattern action "${action.do}" in ${boss.currentPattern}`);
+    }
+}
+
+export function runActions(actions, ctx) {
+    if (!actions) return;
+    for (const action of actions) {
+        if (typeof action === 'function') {
+            action(ctx);
+            continue;
+        }
+        if (action.when && !action.when(ctx)) continue;
+        if (action.chance !== undefined && RNG.ai.next() >= action.chance) continue;
+        runAction(action, ctx);
+    }
+}
+
+// ============================================
+// MOVEMENT
+// ============================================
+
+// Applies a stage's movement; returns true once a point-to-point move has arrived
+function applyMove(move, ctx, state, dt) {
+    const { boss, data } = ctx;
+    if (move === 'stop') {
+        boss.velocity.x = 0;
+        boss.velocity.y = 0;
+        return false;
+    }
+
+    switch (move.type) {
+        case 'orbit': {
+            // Circle the target, steering towards the moving orbit point
+            data.orbitAngle = (data.orbitAngle || 0) + resolveValue(move.speed, ctx) * dt;
+            const radius = resolveValue(move.radius, ctx);
+            const gain = resolveValue(move.gain ?? 3, ctx);
+            boss.velocity.x = (ctx.target.x + Math.cos(data.orbitAngle) * radius - boss.x) * gain;
+            boss.velocity.y = (ctx.target.y + Math.sin(data.orbitAngle) * radius - boss.y) * gain;
+            return false;
+        }
+        case 'strafe': {
+            const angle = Math.atan2(ctx.target.y - boss.y, ctx.target.x - boss.x) + Math.PI / 2 * (move.direction ?? 1);
+            const speed = boss.maxSpeed * resolveValue(move.speed ?? 1, ctx);
+            boss.velocity.x = Math.cos(angle) * speed;
+            boss.velocity.y = Math.sin(angle) * speed;
+            return false;
+        }
+        case 'retreat': {
+            // Back off while the target is inside `within`
+            const dx = boss.x - ctx.target.x;
+            const dy = boss.y - ctx.target.y;
+            const len = Math.sqrt(dx * dx + dy * dy);
+            if (len > 0 && len < resolveValue(move.within ?? Infinity, ctx)) {
+                const speed = boss.maxSpeed * resolveValue(move.speed ?? 1, ctx);
+                boss.velocity.x = (dx / len) * speed;
+                boss.velocity.y = (dy / len) * speed;
+            }
+            return false;
+        }
+        case 'velocity':
+            boss.velocity.x = resolveValue(move.x ?? 0, ctx);
+            boss.velocity.y = resolveValue(move.y ?? 0, ctx);
+            return false;
+        case 'dash': {
+            // Run at a point at a multiple of max speed
+            const point = resolvePoint(move.to, ctx);
+            const dx = point.x - boss.x;
+            const dy = point.y - boss.y;
+            const len = Math.sqrt(dx * dx + dy * dy);
+            if (len <= resolveValue(move.arrive ?? 20, ctx)) {
+                boss.velocity.x = 0;
+                boss.velocity.y = 0;
+                return true;
+            }
+            const speed = boss.maxSpeed * resolveValue(move.speed, ctx);
+            boss.velocity.x = (dx / len) * speed;
+            boss.velocity.y = (dy / len) * speed;
+            if (move.face) {
+                boss.facing.x = dx / len;
+                boss.facing.y = dy / len;
+            }
+            if (move.trail && RNG.ai.next() < (move.trail.chance ?? 1)) {
+                addTrail(move.trail, ctx);
+            }
+            return false;
+        }
+        case 'glide': {
+            // Slide from where the stage started to a point over a fixed time
+            const point = resolvePoint(move.to, ctx);
+            const progress = Math.min(state.elapsed / resolveValue(move.time, ctx), 1);
+            if (move.trail && RNG.ai.next() < (move.trail.chance ?? 1)) {
+                addTrail(move.trail, ctx);
+            }
+            boss.x = state.start.x + (point.x - state.start.x) * progress;
+            boss.y = state.start.y + (point.y - state.start.y) * progress;
+            return progress >= 1;
+        }
+        default:
+            console.warn(`Unknown boss pattern move "${move.type}" in ${boss.currentPattern}`);
+            return false;
+    }
+}
+
+// ============================================
+// STAGES
+// ============================================
+
+function checkUntil(until, ctx, arrived) {
+    if (until === 'arrived') return arrived;
+    if (until === 'orbsCleared') return ctx.boss.trackingOrbs.length === 0;
+    if (until === 'scheduled') return !ctx.data.scheduled || ctx.data.scheduled.length === 0;
+    return !!until(ctx);
+}
+
+// A stage ends when its `until` holds (after `times` emissions if it has both), when
+// `times` emissions have fired, or when `duration` runs out. A stage with none of these
+// is instant.
+function isStageComplete(stage, state, ctx, arrived) {
+    if (stage.duration !== undefined && state.elapsed > state.duration) return true;
+    const emitted = state.times === null || state.count >= state.times;
+    if (stage.until !== undefined) return emitted && checkUntil(stage.until, ctx, arrived);
+    if (state.times !== null) return emitted;
+    return stage.duration === undefined;
+}
+
+function enterStage(stage, ctx) {
+    const boss = ctx.boss;
+    const state = { elapsed: 0, timer: 0, count: 0, start: { x: boss.x, y: boss.y } };
+    ctx.data.stage = state;
+    ctx.state = state;
+    runActions(stage.enter, ctx);
+
+    // Resolved after the entry actions, which may set up what these depend on
+    state.times = stage.times !== undefined ? resolveValue(stage.times, ctx) : null;
+    state.every = stage.every !== undefined ? resolveValue(stage.every, ctx) : null;
+    state.duration = stage.duration !== undefined ? resolveValue(stage.duration, ctx) : null;
+
+    if (stage.ringIndicator) {
+        // The ring renderer reads its size from patternData
+        ctx.data.orbRadius = resolveValue(stage.ringIndicator.radius, ctx);
+        ctx.data.orbCount = resolveValue(stage.ringIndicator.count, ctx);
+        boss.showRingIndicator = true;
+        boss.ringIndicatorProgress = 0;
+    }
+    return state;
+}
+
+function exitStage(stage, ctx) {
+    const boss = ctx.boss;
+    runActions(stage.exit, ctx);
+    if (stage.telegraph) boss.showTelegraph = false;
+    if (stage.ringIndicator) boss.showRingIndicator = false;
+    ctx.data.stage = null;
+
+    // Loop back to an earlier stage (chained dashes, repeated bites)
+    if (stage.loop) {
+        const key = `loop${boss.patternStep}`;
+        ctx.data[key] = (ctx.data[key] || 0) + 1;
+        if (ctx.data[key] < resolveValue(stage.loop.times, ctx)) {
+            boss.patternStep = ctx.pattern.stages.findIndex(s => s.name === stage.loop.to);
+            return;
+        }
+    }
+    boss.patternStep++;
+}
+
+function updateTelegraph(spec, ctx) {
+    const boss = ctx.boss;
+    let radius = resolveValue(spec.radius, ctx);
+    if (spec.pulse) {
+        radius += Math.sin(ctx.state.elapsed * spec.pulse[1]) * spec.pulse[0];
+    }
+    boss.showTelegraph = true;
+    boss.telegraphRadius = radius;
+    if (spec.color) boss.telegraphColor = spec.color;
+}
+
+// Run queued actions whose time has come
+function updateScheduled(ctx) {
+    const scheduled = ctx.data.scheduled;
+    if (!scheduled) return;
+    for (let i = scheduled.length - 1; i >= 0; i--) {
+        const entry = scheduled[i];
+        if (ctx.data.time < entry.time) continue;
+        scheduled.splice(i, 1);
+        const marker = ctx.marker;
+        ctx.marker = entry.marker;
+        runActions(entry.actions, ctx);
+        ctx.marker = marker;
+    }
+}
+
+function updateStage(stage, ctx, dt) {
+    const { boss, data } = ctx;
+    const state = data.stage || enterStage(stage, ctx);
+    ctx.state = state;
+    state.elapsed += dt;
+    ctx.elapsed = state.elapsed;
+    ctx.count = state.count;
+
+    // Per-second accumulators (spin angles) and points drifting towards the target
+    for (const key in stage.advance) {
+        data[key] = (data[key] || 0) + resolveValue(stage.advance[key], ctx) * dt;
+    }
+    for (const key in stage.drift) {
+        const point = data[key];
+        const dx = ctx.target.x - point.x;
+        const dy = ctx.target.y - point.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist > 10) {
+            const speed = resolveValue(stage.drift[key], ctx);
+            point.x += (dx / dist) * speed * dt;
+            point.y += (dy / dist) * speed * dt;
+        }
+    }
+
+    const arrived = stage.move ? applyMove(stage.move, ctx, state, dt) : false;
+    if (stage.face) runAction({ do: 'face', at: stage.face }, ctx);
+    if (stage.regen) {
+        boss.health = Math.min(boss.maxHealth, boss.health + boss.maxHealth * resolveValue(stage.regen, ctx) * dt);
+    }
+    if (stage.telegraph) updateTelegraph(stage.telegraph, ctx);
+    if (stage.ringIndicator) {
+        boss.ringIndicatorProgress = state.duration ? Math.min(1, state.elapsed / state.duration) : 1;
+    }
+
+    // Interval emitters
+    if (stage.emit && state.every !== null && (state.times === null || state.count < state.times)) {
+        state.timer += dt;
+        if (state.timer > state.every / ctx.scale.rate) {
+            state.timer = 0;
+            state.count++;
+            ctx.count = state.count;
+            runActions(stage.emit, ctx);
+            state.every = resolveValue(stage.every, ctx);
+        }
+    }
+    if (stage.update) stage.update(ctx, dt);
+    updateScheduled(ctx);
+
+    if (isStageComplete(stage, state, ctx, arrived)) {
+        exitStage(stage, ctx);
+    }
+}
+
+// ============================================
+// PATTERN BOOK AND SELECTION
+// ============================================
+
+// Merge the shared library with a boss's own patterns and tuning. Boss `patterns` entries
+// are library names or full definitions ({ name, extends?, stages, ... }); `patternTuning`
+// can scale damage/speed/rate, override params, move a pattern's unlockPhase or make it
+// a volley.
+export function createPatternBook(boss) {
+    const book = {};
+    const addPattern = (name, definition) => {
+        const tuning = boss.patternTuning[name] || {};
+        book[name] = {
+            ...definition,
+            unlockPhase: 'unlockPhase' in tuning ? tuning.unlockPhase : definition.unlockPhase,
+            volley: tuning.volley ?? definition.volley ?? false,
+            params: { ...definition.params, ...tuning.params },
+            scale: { damage: tuning.damage ?? 1, speed: tuning.speed ?? 1, rate: tuning.rate ?? 1 }
+        };
+    };
+
+    for (const name in BossPatternLibrary) {
+        addPattern(name, BossPatternLibrary[name]);
+    }
+    for (const entry of boss.bossPatterns) {
+        if (typeof entry === 'string') continue;
+        const base = entry.extends ? BossPatternLibrary[entry.extends] : {};
+        if (!base) {
+            console.warn(`Boss pattern "${entry.name}" extends unknown pattern "${entry.extends}"`);
+            continue;
+        }
+        addPattern(entry.name, { ...base, ...entry, params: { ...base.params, ...entry.params } });
+    }
+    return book;
+}
+
+function getPatternBook(boss) {
+    if (!boss.patternBook) boss.patternBook = createPatternBook(boss);
+    return boss.patternBook;
+}
+
+// Patterns unlocked by the boss's phase. A boss's own moves only join once patternTuning
+// gives them an unlockPhase
+export function getPatternPool(boss, phase = boss.bossPhase) {
+    const book = getPatternBook(boss);
+    return Object.keys(book).filter(name => {
+        const unlockPhase = book[name].unlockPhase;
+        return unlockPhase !== undefined && unlockPhase !== null && phase >= unlockPhase;
+    });
+}
+
+export function hasPattern(boss, name) {
+    return !!getPatternBook(boss)[name];
+}
+
+// ============================================
+// RUNNER
+// ============================================
+
+// Advance the boss's current pattern by one frame; ends it after its last stage
+export function runBossPattern(boss, dt) {
+    const pattern = getPatternBook(boss)[boss.currentPattern];
+    if (!pattern || !boss.target) {
+        boss.endBossPattern();
+        return;
+    }
+
+    const data = boss.patternData;
+    data.time = (data.time || 0) + dt;
+    const ctx = {
+        boss,
+        target: boss.target,
+        data,
+        params: pattern.params,
+        scale: pattern.scale,
+        pattern,
+        phase: boss.bossPhase,
+        elapsed: 0,
+        count: 0,
+        i: 0,
+        shot: null,
+        marker: null,
+        state: null,
+        run: (actions, marker = null) => {
+            const previous = ctx.marker;
+            ctx.marker = marker ?? previous;
+            runActions(actions, ctx);
+            ctx.marker = previous;
+        }
+    };
+
+    const stage = pattern.stages[boss.patternStep];
+    if (stage) updateStage(stage, ctx, dt);
+
+    // The pattern may have been ended by the stage itself (or a timeout) already
+    if (boss.currentPattern && boss.patternStep >= pattern.stages.length) {
+        boss.endBossPattern();
+    }
+}
+
+export default runBossPattern;
@@ -4,6 +4,41 @@
 
 import { Entity } from '../engine/core/Entity.js';
 import { Utils } from '../engine/core/Utils.js';
+import { RNG } from '../engine/core/Random.js';
+import { SpatialHash } from '../engine/core/SpatialHash.js';
+import { ParticleBuffer, PARTICLE_BUDGETS } from '../engine/core/Particles.js';
+import { normalizeElement } from './Elements.js';
+import { applyElementalHit, getElementalTileChange } from './Reactions.js';
+import { applyImpact } from './Poise.js';
+import { isInMeleeShape } from './Combos.js';
+
+// Broadphase grid cell size - a couple of tiles, about the size of a projectile hit check
+const BROADPHASE_CELL_SIZE = 64;
+
+// Enemies closer than this fraction of their combined half-widths get pushed apart
+const SEPARATION_FACTOR = 0.8;
+const SEPARATION_RATE = 8; // Fraction of the overlap resolved per second
+
+const byIndex = (a, b) => a - b;
+
+// Projectile trails keep this many points
+const TRAIL_LENGTH = 10;
+
+// CombatManager projectiles are plain records recycled through a pool. Clearing every
+// field makes a recycled record read exactly like a fresh literal (unset fields are
+// undefined); the trail array is kept and emptied.
+function createProjectileRecord() {
+    return { trail: [] };
+}
+
+function resetProjectileRecord(proj) {
+    const trail = proj.trail || [];
+    for (const key in proj) {
+        proj[key] = undefined;
+    }
+    trail.length = 0;
+    proj.trail = trail;
+}
 
 // Projectile entity for ranged attacks and spells
 export class Projectile extends Entity {
@@ -163,7 +198,7 @@ export class Projectile extends Entity {
             
             // Deal damage
             if (entity.takeDamage) {
-                entity.takeDamage(this.damage, this.owner);
+                entity.takeDamage(this.damage, this.owner, this.element);
             }
             
             // Apply effects
@@ -201,7 +236,7 @@ export class Projectile extends Entity {
                 if (entity === this.owner || entity === this) continue;
                 if (this.distanceTo(entity) <= this.aoeRadius) {
                     if (entity.takeDamage) {
-                        entity.takeDamage(this.damage * 0.7, this.owner);
+                        entity.takeDamage(this.damage * 0.7, this.owner, this.element);
                     }
                 }
             }
@@ -293,6 +328,7 @@ export class MeleeAttack extends Entity {
         
         // Special effects
         this.knockback = config.knockback || 0;
+        this.poiseDamage = config.poiseDamage;
         this.stun = config.stun || 0;
         this.effects = config.effects || [];
         this.cleave = config.cleave || false;
@@ -320,15 +356,14 @@ export class MeleeAttack extends Entity {
             this.hitEntities.add(entity.id);
             
             // Deal damage
+            let damage = 0;
             if (entity.takeDamage) {
-                entity.takeDamage(this.damage, this.owner);
+                damage = entity.takeDamage(this.damage, this.owner, this.damageType);
             }
             
-            // Apply knockback
-            if (this.knockback > 0 && entity.velocity) {
-                const angle = this.owner.angleTo(entity);
-                entity.velocity.x += Math.cos(angle) * this.knockback;
-                entity.velocity.y += Math.sin(angle) * this.knockback;
+            // Apply knockback and poise damage
+            if (damage > 0) {
+                applyImpact(entity, this.owner.x, this.owner.y, { force: this.knockback, poiseDamage: this.poiseDamage, damage });
             }
             
             // Apply stun
@@ -420,7 +455,7 @@ export class AOEZone extends Entity {
                 
                 // Deal damage
                 if (this.damage > 0 && entity.takeDamage) {
-                    entity.takeDamage(this.damage, this.owner);
+                    entity.takeDamage(this.damage, this.owner, this.element);
                 }
                 
                 // Heal (for friendly zones like priest sanctuary)
@@ -532,13 +567,149 @@ export class CombatManager {
         this.meleeAttacks = [];
         this.aoeZones = [];
         this.combatResults = [];
-        this.particles = []; // Visual particles
+        this.targets = []; // This update's targets, for reaction splash (see Reactions.js)
+        this.tileChanges = []; // Pools frozen or thawed by attacks, for the scene to redraw
+        this.particles = new ParticleBuffer(PARTICLE_BUDGETS.high); // Visual particles
+        this.projectilePool = Utils.createPool(createProjectileRecord, 64, resetProjectileRecord);
         this.statusEffectVisuals = []; // Status effect animations
+        
+        // Broadphase: targets are bucketed into a grid once per update so each attack
+        // only tests the targets around it. Turn off to fall back to full scans.
+        this.useBroadphase = true;
+        this.targetIndex = new SpatialHash(BROADPHASE_CELL_SIZE);
+        this.separationIndex = new SpatialHash(BROADPHASE_CELL_SIZE);
+        this.wallCells = null; // Grid cells that touch a wall or void tile
+        this.queryIds = [];
+        this.nearbyTargets = [];
     }
     
     // Set dungeon reference for wall collision
     setDungeon(dungeon) {
         this.dungeon = dungeon;
+        
+        const worldW = dungeon ? dungeon.width * 32 : 0;
+        const worldH = dungeon ? dungeon.height * 32 : 0;
+        this.targetIndex.setWorldSize(worldW, worldH);
+        this.separationIndex.setWorldSize(worldW, worldH);
+        this.buildWallCells();
+    }
+    
+    // Mark every grid cell a wall or void tile overlaps, so projectiles in open cells can
+    // skip the tile lookup. Walls only ever get broken into floor, so this stays conservative.
+    buildWallCells() {
+        this.wallCells = null;
+        if (!this.dungeon || !this.dungeon.tiles || !this.targetIndex.wraps) return;
+        
+        const index = this.targetIndex;
+        this.wallCells = new Uint8Array(index.cellCount);
+        
+        for (let ty = 0; ty < this.dungeon.height; ty++) {
+            const row = this.dungeon.tiles[ty];
+            for (let tx = 0; tx < this.dungeon.width; tx++) {
+                const tile = row ? row[tx] : 0;
+                if (tile !== 2 && tile !== 0 && tile !== 14) continue; // Only WALL, EMPTY and LOCKED_DOOR stop projectiles
+                
+                // A tile can straddle up to four cells
+                const left = tx * 32;
+                const top = ty * 32;
+                this.wallCells[index.getKeyAt(left, top)] = 1;
+                this.wallCells[index.getKeyAt(left + 31, top)] = 1;
+                this.wallCells[index.getKeyAt(left, top + 31)] = 1;
+                this.wallCells[index.getKeyAt(left + 31, top + 31)] = 1;
+            }
+        }
+    }
+    
+    // Whether a point might be inside a wall (false means definitely open floor)
+    mayHitWall(x, y) {
+        if (!this.useBroadphase || !this.wallCells) return true;
+        return this.wallCells[this.targetIndex.getKeyAt(x, y)] === 1;
+    }
+    
+    // Rebuild the target grid for this update (targets don't move until the next one)
+    indexTargets(targets) {
+        this.targetIndex.clear();
+        if (!this.useBroadphase) return;
+        
+        for (let i = 0; i < targets.length; i++) {
+            const target = targets[i];
+            if (!target.health || target.health <= 0) continue;
+            this.targetIndex.insert(i, target.x, target.y);
+        }
+    }
+    
+    // Targets that could be within `radius` of a point, kept in their original order so
+    // hits resolve exactly as a full scan would. The returned array is reused by the next call.
+    getTargetsNear(targets, x, y, radius) {
+        if (!this.useBroadphase) return targets;
+        
+        const ids = this.queryIds;
+        ids.length = 0;
+        this.targetIndex.query(x, y, radius, ids);
+        if (ids.length > 1) ids.sort(byIndex);
+        
+        const nearby = this.nearbyTargets;
+        nearby.length = ids.length;
+        for (let i = 0; i < ids.length; i++) {
+            nearby[i] = targets[ids[i]];
+        }
+        return nearby;
+    }
+    
+    // Push overlapping enemies apart so packs don't stack into a single sprite.
+    // Bosses hold their ground and aren't pushed.
+    separateEnemies(enemies, dt) {
+        const index = this.separationIndex;
+        index.clear();
+        
+        let maxWidth = 0;
+        for (let i = 0; i < enemies.length; i++) {
+            const enemy = enemies[i];
+            if (enemy.isBoss || !enemy.health || enemy.health <= 0) continue;
+            index.insert(i, enemy.x, enemy.y);
+            maxWidth = Math.max(maxWidth, enemy.width || 32);
+        }
+        if (index.count < 2) return;
+        
+        const strength = Math.min(1, SEPARATION_RATE * dt) * 0.5;
+        const ids = this.queryIds;
+        
+        for (let i = 0; i < enemies.length; i++) {
+            const a = enemies[i];
+            if (a.isBoss || !a.health || a.health <= 0) continue;
+            const widthA = a.width || 32;
+            
+            ids.length = 0;
+            if (this.useBroadphase) {
+                index.query(a.x, a.y, (widthA + maxWidth) / 2 * SEPARATION_FACTOR, ids);
+            } else {
+                for (let j = i + 1; j < enemies.length; j++) ids.push(j);
+            }
+            
+            for (const j of ids) {
+                if (j <= i) continue;
+                const b = enemies[j];
+                if (b.isBoss || !b.health || b.health <= 0) continue;
+                
+                const minDist = (widthA + (b.width || 32)) / 2 * SEPARATION_FACTOR;
+                let dx = index.wrapDeltaX(b.x - a.x);
+                let dy = index.wrapDeltaY(b.y - a.y);
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist >= minDist) continue;
+                
+                // Exactly stacked enemies split along x
+                if (dist === 0) {
+                    dx = 1;
+                    dy = 0;
+                }
+                const len = dist || 1;
+                const push = (minDist - dist) * strength;
+                a.x -= dx / len * push;
+                a.y -= dy / len * push;
+                b.x += dx / len * push;
+                b.y += dy / len * push;
+            }
+        }
     }
     
     // Line of sight check - returns true if path between two points is clear of walls
@@ -555,41 +726,86 @@ export class CombatManager {
             const checkX = Math.floor((x1 + dx * i) / 32);
             const checkY = Math.floor((y1 + dy * i) / 32);
             const tile = this.dungeon.getTile ? this.dungeon.getTile(checkX, checkY) : 1;
-            if (tile === 2 || tile === 0) { // WALL or EMPTY
+            if (tile === 2 || tile === 0 || tile === 14) { // WALL, EMPTY or LOCKED_DOOR
                 return false;
             }
         }
         return true;
     }
     
-    // Add particle effect
+    // Particle budget from the "Particles" visual setting ('off', 'low', 'medium', 'high')
+    setParticleQuality(level) {
+        this.particles.setBudget(PARTICLE_BUDGETS[level] ?? PARTICLE_BUDGETS.high);
+    }
+    
+    // Add particle effect (dropped once the particle budget is used up)
     addParticle(x, y, config) {
-        this.particles.push({
-            x: x,
-            y: y,
-            vx: config.vx || (Math.random() - 0.5) * 100,
-            vy: config.vy || (Math.random() - 0.5) * 100,
-            size: config.size || 4,
-            color: config.color || '#ffffff',
-            lifetime: config.lifetime || 0.5,
-            maxLifetime: config.lifetime || 0.5,
-            gravity: config.gravity || 0,
-            friction: config.friction || 0.98,
-            shrink: config.shrink !== false,
-            glow: config.glow || false
-        });
+        if (this.particles.isFull) return;
+        
+        this.particles.spawn(
+            x, y,
+            config.vx || (RNG.cosmetic.next() - 0.5) * 100,
+            config.vy || (RNG.cosmetic.next() - 0.5) * 100,
+            config
+        );
     }
     
     // Create burst of particles
     createParticleBurst(x, y, count, config) {
         for (let i = 0; i < count; i++) {
-            const angle = (i / count) * Math.PI * 2 + Math.random() * 0.5;
-            const speed = (config.speed || 100) * (0.5 + Math.random() * 0.5);
-            this.addParticle(x, y, {
-                ...config,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed
-            });
+            if (this.particles.isFull) return;
+            
+            const angle = (i / count) * Math.PI * 2 + RNG.cosmetic.next() * 0.5;
+            const speed = (config.speed || 100) * (0.5 + RNG.cosmetic.next() * 0.5);
+            this.particles.spawn(x, y, Math.cos(angle) * speed, Math.sin(angle) * speed, config);
+        }
+    }
+    
+    // Jagged lightning bolt between two points (config: color, size, lifetime, glow)
+    addLightning(x, y, targetX, targetY, config) {
+        this.particles.spawnLightning(x, y, targetX, targetY, config);
+    }
+    
+    // Fresh projectile record from the pool; push it onto this.projectiles once filled in
+    acquireProjectile() {
+        return this.projectilePool.get();
+    }
+    
+    // Remove a projectile and hand its record back to the pool
+    removeProjectile(index) {
+        const proj = this.projectiles[index];
+        this.projectiles.splice(index, 1);
+        if (!(proj instanceof Projectile)) {
+            this.projectilePool.release(proj);
+        }
+    }
+    
+    // Kill rewards are handed out by the scene, so these hits don't pass a source.
+    // Landed hits then react with the target's elemental statuses (see Reactions.js).
+    damageTarget(target, amount, element) {
+        if (!target.takeDamage) return amount;
+        element = normalizeElement(element);
+        const damage = target.takeDamage(amount, null, element);
+        if (damage > 0) applyElementalHit(this, target, element, damage);
+        return damage;
+    }
+    
+    // Freeze water or thaw ice within radius of an ice or fire attack
+    affectTiles(x, y, radius, element) {
+        if (!this.dungeon || (element !== 'ice' && element !== 'fire')) return;
+        const { width, height } = this.dungeon;
+        const cx = Math.floor(x / 32);
+        const cy = Math.floor(y / 32);
+        const reach = Math.floor(radius / 32);
+        
+        for (let ty = cy - reach; ty <= cy + reach; ty++) {
+            for (let tx = cx - reach; tx <= cx + reach; tx++) {
+                if ((tx - cx) ** 2 + (ty - cy) ** 2 > reach * reach) continue;
+                const wx = ((tx % width) + width) % width;
+                const wy = ((ty % height) + height) % height;
+                const tile = getElementalTileChange(this.dungeon.tiles[wy][wx], element);
+                if (tile !== null) this.tileChanges.push({ x: wx, y: wy, tile });
+            }
         }
     }
     
@@ -626,7 +842,13 @@ export class CombatManager {
                 swingAngle: 0,
                 element: attackData.element,
                 color: elementColor,
-                knockback: attackData.knockback || 0
+                knockback: attackData.knockback || 0,
+                poiseDamage: attackData.poiseDamage,
+                // Combo move shape (see Combos.js); plain swings hit all around
+                angle: Math.atan2(attackData.targetY - attackData.y, attackData.targetX - attackData.x),
+                shape: attackData.shape,
+                arc: attackData.arc,
+                width: attackData.width
             });
             
             // Slash particles - more particles spread across the arc with element color
@@ -634,7 +856,7 @@ export class CombatManager {
             const slashRange = attackData.range || 100;
             for (let i = 0; i < 10; i++) {
                 const spread = (i - 4.5) * 0.2;
-                const dist = slashRange * (0.4 + Math.random() * 0.6);
+                const dist = slashRange * (0.4 + RNG.cosmetic.next() * 0.6);
                 this.addParticle(
                     attackData.x + Math.cos(slashAngle + spread) * dist * 0.3,
                     attackData.y + Math.sin(slashAngle + spread) * dist * 0.3,
@@ -642,7 +864,7 @@ export class CombatManager {
                         vx: Math.cos(slashAngle + spread) * 350,
                         vy: Math.sin(slashAngle + spread) * 350,
                         color: elementColor,
-                        size: 4 + Math.random() * 3,
+                        size: 4 + RNG.cosmetic.next() * 3,
                         lifetime: 0.25,
                         glow: attackData.element ? true : false
                     }
@@ -660,29 +882,29 @@ export class CombatManager {
             // Check if this is a player projectile (players have className)
             const isPlayerProjectile = owner && owner.className;
             
-            const arrow = {
-                owner: owner,
-                x: attackData.x,
-                y: attackData.y,
-                vx: vx,
-                vy: vy,
-                damage: attackData.damage || 25,
-                range: isPlayerProjectile ? 50000 : (attackData.range || 350), // Infinite range for player
-                distanceTraveled: 0,
-                size: 16,
-                isArrow: true,
-                isPlayerProjectile: isPlayerProjectile,
-                element: 'physical',
-                rotation: Math.atan2(dy, dx),
-                isCrit: attackData.isCrit,
-                trail: []
-            };
+            const arrow = this.acquireProjectile();
+            arrow.owner = owner;
+            arrow.x = attackData.x;
+            arrow.y = attackData.y;
+            arrow.vx = vx;
+            arrow.vy = vy;
+            arrow.damage = attackData.damage || 25;
+            arrow.range = isPlayerProjectile ? 50000 : (attackData.range || 350); // Infinite range for player
+            arrow.distanceTraveled = 0;
+            arrow.size = 16;
+            arrow.isArrow = true;
+            arrow.isPlayerProjectile = isPlayerProjectile;
+            arrow.element = 'physical';
+            arrow.rotation = Math.atan2(dy, dx);
+            arrow.isCrit = attackData.isCrit;
+            arrow.knockback = attackData.knockback || 0;
+            arrow.poiseDamage = attackData.poiseDamage;
             
             // Arrow launch sound effect (visual particles)
             for (let i = 0; i < 4; i++) {
                 this.addParticle(attackData.x, attackData.y, {
-                    vx: -vx * 0.1 + (Math.random() - 0.5) * 30,
-                    vy: -vy * 0.1 + (Math.random() - 0.5) * 30,
+                    vx: -vx * 0.1 + (RNG.cosmetic.next() - 0.5) * 30,
+                    vy: -vy * 0.1 + (RNG.cosmetic.next() - 0.5) * 30,
                     color: '#8b7355',
                     size: 2,
                     lifetime: 0.2
@@ -703,34 +925,34 @@ export class CombatManager {
             // Musketeer always has infinite range
             const isPlayerProjectile = owner && owner.className;
             
-            const bullet = {
-                owner: owner,
-                x: attackData.x + Math.cos(angle) * 20, // Start from muzzle
-                y: attackData.y + Math.sin(angle) * 20,
-                vx: vx,
-                vy: vy,
-                damage: attackData.damage || 40,
-                range: isPlayerProjectile ? 50000 : (attackData.range || 320), // Infinite range for player
-                distanceTraveled: 0,
-                size: 8,
-                isMusketBullet: true,
-                isPlayerProjectile: isPlayerProjectile,
-                element: 'physical',
-                rotation: angle,
-                isCrit: attackData.isCrit,
-                lifetime: isPlayerProjectile ? 60 : 2, // Very long lifetime for player projectiles
-                trail: []
-            };
+            const bullet = this.acquireProjectile();
+            bullet.owner = owner;
+            bullet.x = attackData.x + Math.cos(angle) * 20; // Start from muzzle
+            bullet.y = attackData.y + Math.sin(angle) * 20;
+            bullet.vx = vx;
+            bullet.vy = vy;
+            bullet.damage = attackData.damage || 40;
+            bullet.range = isPlayerProjectile ? 50000 : (attackData.range || 320); // Infinite range for player
+            bullet.distanceTraveled = 0;
+            bullet.size = 8;
+            bullet.isMusketBullet = true;
+            bullet.isPlayerProjectile = isPlayerProjectile;
+            bullet.element = 'physical';
+            bullet.rotation = angle;
+            bullet.isCrit = attackData.isCrit;
+            bullet.knockback = attackData.knockback || 0;
+            bullet.poiseDamage = attackData.poiseDamage;
+            bullet.lifetime = isPlayerProjectile ? 60 : 2; // Very long lifetime for player projectiles
             
             // Muzzle flash - bright yellow/white burst
             for (let i = 0; i < 12; i++) {
-                const flashAngle = angle + (Math.random() - 0.5) * 0.8;
-                const flashSpeed = 100 + Math.random() * 150;
+                const flashAngle = angle + (RNG.cosmetic.next() - 0.5) * 0.8;
+                const flashSpeed = 100 + RNG.cosmetic.next() * 150;
                 this.addParticle(attackData.x + Math.cos(angle) * 15, attackData.y + Math.sin(angle) * 15, {
                     vx: Math.cos(flashAngle) * flashSpeed,
                     vy: Math.sin(flashAngle) * flashSpeed,
-                    color: Math.random() > 0.3 ? '#ffff88' : '#ffffff',
-                    size: 4 + Math.random() * 3,
+                    color: RNG.cosmetic.next() > 0.3 ? '#ffff88' : '#ffffff',
+                    size: 4 + RNG.cosmetic.next() * 3,
                     lifetime: 0.15,
                     glow: true
                 });
@@ -738,13 +960,13 @@ export class CombatManager {
             
             // Smoke cloud
             for (let i = 0; i < 8; i++) {
-                const smokeAngle = angle + (Math.random() - 0.5) * 1.2;
+                const smokeAngle = angle + (RNG.cosmetic.next() - 0.5) * 1.2;
                 this.addParticle(attackData.x + Math.cos(angle) * 10, attackData.y + Math.sin(angle) * 10, {
-                    vx: Math.cos(smokeAngle) * (30 + Math.random() * 40),
-                    vy: Math.sin(smokeAngle) * (30 + Math.random() * 40) - 20,
+                    vx: Math.cos(smokeAngle) * (30 + RNG.cosmetic.next() * 40),
+                    vy: Math.sin(smokeAngle) * (30 + RNG.cosmetic.next() * 40) - 20,
                     color: '#888888',
-                    size: 6 + Math.random() * 4,
-                    lifetime: 0.5 + Math.random() * 0.3,
+                    size: 6 + RNG.cosmetic.next() * 4,
+                    lifetime: 0.5 + RNG.cosmetic.next() * 0.3,
                     friction: 0.95
                 });
             }
@@ -752,8 +974,8 @@ export class CombatManager {
             // Recoil particles (behind shooter)
             for (let i = 0; i < 4; i++) {
                 this.addParticle(attackData.x - Math.cos(angle) * 5, attackData.y - Math.sin(angle) * 5, {
-                    vx: -Math.cos(angle) * 50 + (Math.random() - 0.5) * 30,
-                    vy: -Math.sin(angle) * 50 + (Math.random() - 0.5) * 30,
+                    vx: -Math.cos(angle) * 50 + (RNG.cosmetic.next() - 0.5) * 30,
+                    vy: -Math.sin(angle) * 50 + (RNG.cosmetic.next() - 0.5) * 30,
                     color: '#aaaaaa',
                     size: 3,
                     lifetime: 0.2
@@ -772,29 +994,29 @@ export class CombatManager {
             // Check if this is a magic/elemental projectile
             const isMagic = attackData.element && attackData.element !== 'physical' && attackData.element !== 'none';
             
-            const projectile = {
-                owner: owner,
-                damage: attackData.damage || 10,
-                x: attackData.x,
-                y: attackData.y,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed,
-                angle: angle,
-                lifetime: isPlayerProjectile ? 30 : 2, // Longer lifetime for player
-                width: attackData.width || 12,
-                height: attackData.height || 12,
-                element: attackData.element || 'none',
-                isCrit: attackData.isCrit,
-                trail: [],
-                orbs: [], // Orbiting particles for spells
-                pulseTimer: 0,
-                spin: attackData.spin || 0,
-                // Player magic bounces off 3 walls before disappearing
-                isMagic: isMagic,
-                isPlayerProjectile: isPlayerProjectile,
-                bounces: (isPlayerProjectile && isMagic) ? 3 : 0,
-                maxBounces: (isPlayerProjectile && isMagic) ? 3 : 0
-            };
+            const projectile = this.acquireProjectile();
+            projectile.owner = owner;
+            projectile.damage = attackData.damage || 10;
+            projectile.x = attackData.x;
+            projectile.y = attackData.y;
+            projectile.vx = Math.cos(angle) * speed;
+            projectile.vy = Math.sin(angle) * speed;
+            projectile.angle = angle;
+            projectile.lifetime = isPlayerProjectile ? 30 : 2; // Longer lifetime for player
+            projectile.width = attackData.width || 12;
+            projectile.height = attackData.height || 12;
+            projectile.element = attackData.element || 'none';
+            projectile.isCrit = attackData.isCrit;
+            projectile.knockback = attackData.knockback || 0;
+            projectile.poiseDamage = attackData.poiseDamage;
+            projectile.orbs = []; // Orbiting particles for spells
+            projectile.pulseTimer = 0;
+            projectile.spin = attackData.spin || 0;
+            // Player magic bounces off 3 walls before disappearing
+            projectile.isMagic = isMagic;
+            projectile.isPlayerProjectile = isPlayerProjectile;
+            projectile.bounces = (isPlayerProjectile && isMagic) ? 3 : 0;
+            projectile.maxBounces = (isPlayerProjectile && isMagic) ? 3 : 0;
             
             // Add orbiting orbs for magic projectiles
             if (attackData.element === 'fire') {
@@ -852,7 +1074,7 @@ export class CombatManager {
             } else if (attackData.element === 'earth') {
                 for (let i = 0; i < 4; i++) {
                     projectile.orbs.push({
-                        angle: (i / 4) * Math.PI * 2 + Math.random() * 0.3,
+                        angle: (i / 4) * Math.PI * 2 + RNG.cosmetic.next() * 0.3,
                         distance: 14,
                         size: 5,
                         color: '#8b7355'
@@ -896,7 +1118,7 @@ export class CombatManager {
                 this.addParticle(pulse.x, pulse.y, {
                     vx: Math.cos(angle) * 80,
                     vy: Math.sin(angle) * 80,
-                    color: Math.random() > 0.5 ? '#6622aa' : '#220033',
+                    color: RNG.cosmetic.next() > 0.5 ? '#6622aa' : '#220033',
                     size: 6,
                     lifetime: 0.4,
                     glow: true
@@ -905,7 +1127,7 @@ export class CombatManager {
             
             // Add some skull/spirit particles
             for (let i = 0; i < 5; i++) {
-                const angle = Math.random() * Math.PI * 2;
+                const angle = RNG.cosmetic.next() * Math.PI * 2;
                 this.addParticle(pulse.x, pulse.y, {
                     vx: Math.cos(angle) * 40,
                     vy: Math.sin(angle) * 40 - 30,
@@ -925,28 +1147,27 @@ export class CombatManager {
             const vx = (dx / dist) * (attackData.speed || 400);
             const vy = (dy / dist) * (attackData.speed || 400);
             
-            const boneSpear = {
-                owner: owner,
-                x: attackData.x,
-                y: attackData.y,
-                vx: vx,
-                vy: vy,
-                damage: attackData.damage || 30,
-                range: attackData.range || 280,
-                distanceTraveled: 0,
-                size: 20,
-                isBoneSpear: true,
-                piercing: true, // Goes through multiple enemies
-                hitEntities: new Set(),
-                element: 'dark',
-                rotation: Math.atan2(dy, dx),
-                boneSegments: 5, // Visual segments
-                trailParticles: []
-            };
+            const boneSpear = this.acquireProjectile();
+            boneSpear.owner = owner;
+            boneSpear.x = attackData.x;
+            boneSpear.y = attackData.y;
+            boneSpear.vx = vx;
+            boneSpear.vy = vy;
+            boneSpear.damage = attackData.damage || 30;
+            boneSpear.range = attackData.range || 280;
+            boneSpear.distanceTraveled = 0;
+            boneSpear.size = 20;
+            boneSpear.isBoneSpear = true;
+            boneSpear.piercing = true; // Goes through multiple enemies
+            boneSpear.hitEntities = new Set();
+            boneSpear.element = 'dark';
+            boneSpear.rotation = Math.atan2(dy, dx);
+            boneSpear.boneSegments = 5; // Visual segments
+            boneSpear.trailParticles = [];
             
             // Launch particles
             for (let i = 0; i < 8; i++) {
-                const angle = Math.random() * Math.PI * 2;
+                const angle = RNG.cosmetic.next() * Math.PI * 2;
                 this.addParticle(attackData.x, attackData.y, {
                     vx: Math.cos(angle) * 50 + vx * 0.2,
                     vy: Math.sin(angle) * 50 + vy * 0.2,
@@ -999,7 +1220,7 @@ export class CombatManager {
                 this.addParticle(purge.x, purge.y, {
                     vx: Math.cos(angle) * 120,
                     vy: Math.sin(angle) * 120 - 30,
-                    color: Math.random() > 0.5 ? '#ffffff' : '#ffdd44',
+                    color: RNG.cosmetic.next() > 0.5 ? '#ffffff' : '#ffdd44',
                     size: 5,
                     lifetime: 0.6,
                     glow: true
@@ -1008,9 +1229,9 @@ export class CombatManager {
             
             // Rising light particles
             for (let i = 0; i < 10; i++) {
-                this.addParticle(purge.x + (Math.random() - 0.5) * 60, purge.y + (Math.random() - 0.5) * 60, {
-                    vx: (Math.random() - 0.5) * 30,
-                    vy: -80 - Math.random() * 60,
+                this.addParticle(purge.x + (RNG.cosmetic.next() - 0.5) * 60, purge.y + (RNG.cosmetic.next() - 0.5) * 60, {
+                    vx: (RNG.cosmetic.next() - 0.5) * 30,
+                    vy: -80 - RNG.cosmetic.next() * 60,
                     color: '#ffffcc',
                     size: 4,
                     lifetime: 0.8,
@@ -1035,6 +1256,7 @@ export class CombatManager {
                 pulseTimer: 0,
                 particles: []
             };
+            this.affectTiles(zone.x, zone.y, zone.radius, normalizeElement(zone.element));
             
             // Initial burst
             this.createParticleBurst(zone.x, zone.y, 20, {
@@ -1075,21 +1297,11 @@ export class CombatManager {
     }
     
     update(dt, targets = []) {
-        this.combatResults = [];
+        this.targets = targets;
+        this.indexTargets(targets);
         
         // Update particles
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const p = this.particles[i];
-            p.x += p.vx * dt;
-            p.y += p.vy * dt;
-            p.vx *= p.friction;
-            p.vy *= p.friction;
-            p.vy += p.gravity * dt;
-            p.lifetime -= dt;
-            if (p.lifetime <= 0) {
-                this.particles.splice(i, 1);
-            }
-        }
+        this.particles.update(dt);
         
         // Update projectiles
         for (let i = this.projectiles.length - 1; i >= 0; i--) {
@@ -1117,7 +1329,7 @@ export class CombatManager {
                         });
                         // Bone fragment particles
                         for (let j = 0; j < 6; j++) {
-                            const angle = Math.random() * Math.PI * 2;
+                            const angle = RNG.cosmetic.next() * Math.PI * 2;
                             this.addParticle(proj.x, proj.y, {
                                 vx: Math.cos(angle) * 80,
                                 vy: Math.sin(angle) * 80,
@@ -1128,15 +1340,18 @@ export class CombatManager {
                             });
                         }
                     }
-                    this.projectiles.splice(i, 1);
+                    this.removeProjectile(i);
                     continue;
                 }
             }
             
-            // Add trail point
+            // Add trail point (the oldest point is recycled once the trail is full)
             proj.trail = proj.trail || [];
-            proj.trail.push({ x: proj.x, y: proj.y, alpha: 1.0 });
-            if (proj.trail.length > 10) proj.trail.shift();
+            const point = proj.trail.length >= TRAIL_LENGTH ? proj.trail.shift() : {};
+            point.x = proj.x;
+            point.y = proj.y;
+            point.alpha = 1.0;
+            proj.trail.push(point);
             
             // Update orbiting orbs
             if (proj.orbs) {
@@ -1145,18 +1360,21 @@ export class CombatManager {
                 }
             }
             
+            // Ice bolts freeze the water they cross, fire bolts thaw it
+            this.affectTiles(proj.x, proj.y, 0, proj.element);
+            
             // Spawn trail particles based on element
-            if (Math.random() < 0.3) {
+            if (RNG.cosmetic.next() < 0.3) {
                 let color = '#ffff00';
-                if (proj.element === 'fire') color = Math.random() > 0.5 ? '#ff6600' : '#ffcc00';
-                else if (proj.element === 'ice') color = Math.random() > 0.5 ? '#66ccff' : '#ffffff';
+                if (proj.element === 'fire') color = RNG.cosmetic.next() > 0.5 ? '#ff6600' : '#ffcc00';
+                else if (proj.element === 'ice') color = RNG.cosmetic.next() > 0.5 ? '#66ccff' : '#ffffff';
                 else if (proj.element === 'lightning') color = '#ffff88';
                 else if (proj.element === 'poison') color = '#44ff44';
                 else if (proj.element === 'dark' || proj.element === 'shadow') color = '#8844aa';
                 
                 this.addParticle(proj.x, proj.y, {
-                    vx: (Math.random() - 0.5) * 50,
-                    vy: (Math.random() - 0.5) * 50,
+                    vx: (RNG.cosmetic.next() - 0.5) * 50,
+                    vy: (RNG.cosmetic.next() - 0.5) * 50,
                     color: color,
                     size: 3,
                     lifetime: 0.3,
@@ -1172,18 +1390,18 @@ export class CombatManager {
                     lifetime: 0.3,
                     size: 4
                 });
-                this.projectiles.splice(i, 1);
+                this.removeProjectile(i);
                 continue;
             }
             
             // Check wall collision if dungeon is available
-            if (this.dungeon) {
+            if (this.dungeon && this.mayHitWall(proj.x, proj.y)) {
                 const tileX = Math.floor(proj.x / 32);
                 const tileY = Math.floor(proj.y / 32);
                 const tile = this.dungeon.getTile(tileX, tileY);
                 
                 // Check if hit wall or empty space (FLOOR=1, WALL=2, VOID/EMPTY=0)
-                if (tile === 2 || tile === 0) { // WALL or EMPTY
+                if (tile === 2 || tile === 0 || tile === 14) { // WALL, EMPTY or LOCKED_DOOR
                     // Check if this is a bouncing projectile
                     if (proj.bounces && proj.bounces > 0) {
                         proj.bounces--;
@@ -1222,21 +1440,20 @@ export class CombatManager {
                             const angle = Math.atan2(proj.vy, proj.vx);
                             
                             for (let splitAngle of [angle - Math.PI / 4, angle + Math.PI / 4]) {
-                                this.projectiles.push({
-                                    x: proj.x,
-                                    y: proj.y,
-                                    vx: Math.cos(splitAngle) * speed,
-                                    vy: Math.sin(splitAngle) * speed,
-                                    damage: splitDamage,
-                                    owner: proj.owner,
-                                    lifetime: proj.lifetime,
-                                    element: proj.element,
-                                    bounces: 1, // Split projectiles get 1 bounce
-                                    splitsRemaining: proj.splitsRemaining, // Pass remaining splits
-                                    width: proj.width * 0.8,
-                                    height: proj.height * 0.8,
-                                    trail: []
-                                });
+                                const split = this.acquireProjectile();
+                                split.x = proj.x;
+                                split.y = proj.y;
+                                split.vx = Math.cos(splitAngle) * speed;
+                                split.vy = Math.sin(splitAngle) * speed;
+                                split.damage = splitDamage;
+                                split.owner = proj.owner;
+                                split.lifetime = proj.lifetime;
+                                split.element = proj.element;
+                                split.bounces = 1; // Split projectiles get 1 bounce
+                                split.splitsRemaining = proj.splitsRemaining; // Pass remaining splits
+                                split.width = proj.width * 0.8;
+                                split.height = proj.height * 0.8;
+                                this.projectiles.push(split);
                             }
                         }
                         
@@ -1252,13 +1469,13 @@ export class CombatManager {
                         lifetime: 0.3,
                         size: 4
                     });
-                    this.projectiles.splice(i, 1);
+                    this.removeProjectile(i);
                     continue;
                 }
             }
             
             // Check collisions
-            for (const target of targets) {
+            for (const target of this.getTargetsNear(targets, proj.x, proj.y, 30)) {
                 if (target === proj.owner) continue;
                 if (!target.health || target.health <= 0) continue;
                 
@@ -1273,13 +1490,21 @@ export class CombatManager {
                 // Simple distance check
                 const dist = Math.sqrt((target.x - proj.x) ** 2 + (target.y - proj.y) ** 2);
                 if (dist < 30) {
-                    const damage = target.takeDamage ? target.takeDamage(proj.damage) : proj.damage;
+                    const element = normalizeElement(proj.element);
+                    const damage = this.damageTarget(target, proj.damage, element);
                     this.combatResults.push({
                         target: target,
+                        source: proj.owner,
                         damage: damage,
-                        isCrit: proj.isCrit
+                        isCrit: proj.isCrit,
+                        element: element
                     });
                     
+                    // Shove along the flight path
+                    if (damage > 0) {
+                        applyImpact(target, proj.x - proj.vx, proj.y - proj.vy, { force: proj.knockback, poiseDamage: proj.poiseDamage, damage });
+                    }
+                    
                     // Impact explosion
                     this.createParticleBurst(proj.x, proj.y, 15, {
                         color: proj.element === 'fire' ? '#ff6600' : 
@@ -1301,7 +1526,7 @@ export class CombatManager {
                         }
                         // Don't remove projectile, let it continue
                     } else {
-                        this.projectiles.splice(i, 1);
+                        this.removeProjectile(i);
                         break;
                     }
                 }
@@ -1320,7 +1545,7 @@ export class CombatManager {
             }
             
             // Spawn swing particles
-            if (Math.random() < 0.5) {
+            if (RNG.cosmetic.next() < 0.5) {
                 const angle = Math.atan2(attack.targetY - attack.y, attack.targetX - attack.x);
                 this.addParticle(
                     attack.x + Math.cos(angle) * attack.range * 0.5,
@@ -1336,7 +1561,7 @@ export class CombatManager {
             }
             
             // Check collisions
-            for (const target of targets) {
+            for (const target of this.getTargetsNear(targets, attack.x, attack.y, attack.range)) {
                 if (target === attack.owner) continue;
                 if (!target.health || target.health <= 0) continue;
                 if (attack.hitEntities.has(target)) continue;
@@ -1346,27 +1571,27 @@ export class CombatManager {
                 const targetIsPlayer = target.hasTag?.('player') || target.className;
                 if (ownerIsPlayer === targetIsPlayer) continue;
                 
-                // Distance check from attack origin towards target
-                const dist = Math.sqrt((target.x - attack.x) ** 2 + (target.y - attack.y) ** 2);
-                if (dist < attack.range) {
+                // Distance and shape check from attack origin towards target
+                if (isInMeleeShape(attack, target)) {
                     // Line of sight check - can't hit through walls
                     if (!this.hasLineOfSight(attack.x, attack.y, target.x, target.y)) {
                         continue;
                     }
                     
                     attack.hitEntities.add(target);
-                    const damage = target.takeDamage ? target.takeDamage(attack.damage) : attack.damage;
+                    const element = normalizeElement(attack.element);
+                    const damage = this.damageTarget(target, attack.damage, element);
                     this.combatResults.push({
                         target: target,
+                        source: attack.owner,
                         damage: damage,
-                        isCrit: attack.isCrit
+                        isCrit: attack.isCrit,
+                        element: element
                     });
                     
-                    // Apply knockback if present
-                    if (attack.knockback > 0 && target.velocity) {
-                        const knockbackAngle = Math.atan2(target.y - attack.y, target.x - attack.x);
-                        target.velocity.x += Math.cos(knockbackAngle) * attack.knockback;
-                        target.velocity.y += Math.sin(knockbackAngle) * attack.knockback;
+                    // Apply knockback and poise damage (see Poise.js)
+                    if (damage > 0) {
+                        applyImpact(target, attack.x, attack.y, { force: attack.knockback, poiseDamage: attack.poiseDamage, damage });
                     }
                     
                     // Hit particles
@@ -1397,22 +1622,22 @@ export class CombatManager {
                 zone.currentRadius += zone.expandSpeed * dt;
                 
                 // Spawn particles along the ring edge
-                if (Math.random() < 0.8) {
-                    const angle = Math.random() * Math.PI * 2;
+                if (RNG.cosmetic.next() < 0.8) {
+                    const angle = RNG.cosmetic.next() * Math.PI * 2;
                     const edgeX = zone.x + Math.cos(angle) * zone.currentRadius;
                     const edgeY = zone.y + Math.sin(angle) * zone.currentRadius;
                     this.addParticle(edgeX, edgeY, {
                         vx: Math.cos(angle) * 30,
                         vy: Math.sin(angle) * 30 - 20,
-                        color: Math.random() > 0.3 ? '#6622aa' : '#220044',
-                        size: 4 + Math.random() * 3,
+                        color: RNG.cosmetic.next() > 0.3 ? '#6622aa' : '#220044',
+                        size: 4 + RNG.cosmetic.next() * 3,
                         lifetime: 0.3,
                         glow: true
                     });
                 }
                 
                 // Check collision with targets in the ring
-                for (const target of targets) {
+                for (const target of this.getTargetsNear(targets, zone.x, zone.y, zone.currentRadius)) {
                     if (target === zone.owner) continue;
                     if (!target.health || target.health <= 0) continue;
                     if (zone.hitEntities.has(target)) continue;
@@ -1426,11 +1651,13 @@ export class CombatManager {
                     // Hit if target is within the ring (between currentRadius - ringWidth and currentRadius)
                     if (dist < zone.currentRadius && dist > zone.currentRadius - zone.ringWidth * 2) {
                         zone.hitEntities.add(target);
-                        const damage = target.takeDamage ? target.takeDamage(zone.damage) : zone.damage;
+                        const damage = this.damageTarget(target, zone.damage, 'dark');
                         this.combatResults.push({
                             target: target,
+                            source: zone.owner,
                             damage: damage,
-                            isCrit: false
+                            isCrit: false,
+                            element: 'dark'
                         });
                         
                         // Dark impact particles
@@ -1450,22 +1677,22 @@ export class CombatManager {
                 zone.currentRadius += zone.expandSpeed * dt;
                 
                 // Spawn holy particles along the ring edge
-                if (Math.random() < 0.7) {
-                    const angle = Math.random() * Math.PI * 2;
+                if (RNG.cosmetic.next() < 0.7) {
+                    const angle = RNG.cosmetic.next() * Math.PI * 2;
                     const edgeX = zone.x + Math.cos(angle) * zone.currentRadius;
                     const edgeY = zone.y + Math.sin(angle) * zone.currentRadius;
                     this.addParticle(edgeX, edgeY, {
                         vx: Math.cos(angle) * 20,
-                        vy: -40 - Math.random() * 30,
-                        color: Math.random() > 0.3 ? '#ffee88' : '#ffffff',
-                        size: 3 + Math.random() * 2,
+                        vy: -40 - RNG.cosmetic.next() * 30,
+                        color: RNG.cosmetic.next() > 0.3 ? '#ffee88' : '#ffffff',
+                        size: 3 + RNG.cosmetic.next() * 2,
                         lifetime: 0.4,
                         glow: true
                     });
                 }
                 
                 // Check collision with targets in the ring
-                for (const target of targets) {
+                for (const target of this.getTargetsNear(targets, zone.x, zone.y, zone.currentRadius)) {
                     if (target === zone.owner) continue;
                     if (!target.health || target.health <= 0) continue;
                     if (zone.hitEntities.has(target)) continue;
@@ -1486,11 +1713,13 @@ export class CombatManager {
                             damageMultiplier = 1.5; // 50% bonus damage to undead
                         }
                         
-                        const damage = target.takeDamage ? target.takeDamage(zone.damage * damageMultiplier) : zone.damage * damageMultiplier;
+                        const damage = this.damageTarget(target, zone.damage * damageMultiplier, 'holy');
                         this.combatResults.push({
                             target: target,
+                            source: zone.owner,
                             damage: damage,
-                            isCrit: false
+                            isCrit: false,
+                            element: 'holy'
                         });
                         
                         // Holy impact particles - golden burst
@@ -1503,9 +1732,9 @@ export class CombatManager {
                         
                         // Rising light effect
                         for (let j = 0; j < 5; j++) {
-                            this.addParticle(target.x + (Math.random() - 0.5) * 20, target.y, {
-                                vx: (Math.random() - 0.5) * 20,
-                                vy: -60 - Math.random() * 40,
+                            this.addParticle(target.x + (RNG.cosmetic.next() - 0.5) * 20, target.y, {
+                                vx: (RNG.cosmetic.next() - 0.5) * 20,
+                                vy: -60 - RNG.cosmetic.next() * 40,
                                 color: '#ffffff',
                                 size: 3,
                                 lifetime: 0.5,
@@ -1518,13 +1747,13 @@ export class CombatManager {
             }
             
             // Spawn zone particles
-            if (Math.random() < 0.3) {
-                const angle = Math.random() * Math.PI * 2;
-                const dist = Math.random() * zone.radius;
+            if (RNG.cosmetic.next() < 0.3) {
+                const angle = RNG.cosmetic.next() * Math.PI * 2;
+                const dist = RNG.cosmetic.next() * zone.radius;
                 let color = '#ff6600';
-                if (zone.element === 'fire') color = Math.random() > 0.5 ? '#ff6600' : '#ffcc00';
-                else if (zone.element === 'ice') color = Math.random() > 0.5 ? '#66ccff' : '#aaeeff';
-                else if (zone.element === 'poison') color = Math.random() > 0.5 ? '#44ff44' : '#88ff88';
+                if (zone.element === 'fire') color = RNG.cosmetic.next() > 0.5 ? '#ff6600' : '#ffcc00';
+                else if (zone.element === 'ice') color = RNG.cosmetic.next() > 0.5 ? '#66ccff' : '#aaeeff';
+                else if (zone.element === 'poison') color = RNG.cosmetic.next() > 0.5 ? '#44ff44' : '#88ff88';
                 else if (zone.element === 'lightning') color = '#ffff88';
                 
                 this.addParticle(
@@ -1532,17 +1761,17 @@ export class CombatManager {
                     zone.y + Math.sin(angle) * dist,
                     {
                         vx: 0,
-                        vy: -50 - Math.random() * 50,
+                        vy: -50 - RNG.cosmetic.next() * 50,
                         color: color,
-                        size: 4 + Math.random() * 3,
-                        lifetime: 0.5 + Math.random() * 0.5,
+                        size: 4 + RNG.cosmetic.next() * 3,
+                        lifetime: 0.5 + RNG.cosmetic.next() * 0.5,
                         friction: 0.95
                     }
                 );
             }
             
             // Check collisions with tick rate
-            for (const target of targets) {
+            for (const target of this.getTargetsNear(targets, zone.x, zone.y, zone.radius)) {
                 if (target === zone.owner) continue;
                 if (!target.health || target.health <= 0) continue;
                 
@@ -1557,13 +1786,22 @@ export class CombatManager {
                 // Distance check
                 const dist = Math.sqrt((target.x - zone.x) ** 2 + (target.y - zone.y) ** 2);
                 if (dist < zone.radius) {
+                    const firstHit = !zone.hitEntities.has(target);
                     zone.hitEntities.set(target, zone.tickTimer);
-                    const damage = target.takeDamage ? target.takeDamage(zone.damage) : zone.damage;
+                    const element = normalizeElement(zone.element);
+                    const damage = this.damageTarget(target, zone.damage, element);
                     this.combatResults.push({
                         target: target,
+                        source: zone.owner,
                         damage: damage,
-                        isCrit: false
+                        isCrit: false,
+                        element: element
                     });
+                    
+                    // Zones shove outward from their centre, once per target
+                    if (firstHit && damage > 0) {
+                        applyImpact(target, zone.x, zone.y, { force: zone.knockback, poiseDamage: zone.poiseDamage, damage });
+                    }
                 }
             }
         }
@@ -1577,7 +1815,10 @@ export class CombatManager {
             }
         }
         
-        return this.combatResults;
+        // Hits dealt since the last update (scene abilities land between updates) are included
+        const results = this.combatResults;
+        this.combatResults = [];
+        return results;
     }
     
     // Add visual for status effect
@@ -1588,7 +1829,8 @@ export class CombatManager {
             bleed: '#ff0000',
             freeze: '#66ccff',
             stun: '#ffff00',
-            slow: '#8888ff'
+            slow: '#8888ff',
+            heal: '#66ff88'
         };
         
         this.statusEffectVisuals.push({
@@ -1609,39 +1851,43 @@ export class CombatManager {
     
     render(ctx) {
         // Render particles first (behind everything)
-        for (const p of this.particles) {
-            const alpha = p.lifetime / p.maxLifetime;
-            const size = p.shrink ? p.size * alpha : p.size;
+        const particles = this.particles;
+        for (let p = 0; p < particles.count; p++) {
+            const alpha = particles.lifetime[p] / particles.maxLifetime[p];
+            const size = particles.isShrinking(p) ? particles.size[p] * alpha : particles.size[p];
+            const color = particles.color[p];
+            const px = particles.x[p];
+            const py = particles.y[p];
             
             ctx.save();
             ctx.globalAlpha = alpha;
             
             // Special lightning bolt rendering
-            if (p.isLightning) {
-                ctx.strokeStyle = p.color;
+            if (particles.isLightning(p)) {
+                ctx.strokeStyle = color;
                 ctx.lineWidth = 3;
-                ctx.shadowColor = p.color;
+                ctx.shadowColor = color;
                 ctx.shadowBlur = 15;
                 
                 // Draw jagged lightning line
                 ctx.beginPath();
-                ctx.moveTo(p.x, p.y);
+                ctx.moveTo(px, py);
                 
-                const dx = p.targetX - p.x;
-                const dy = p.targetY - p.y;
+                const dx = particles.targetX[p] - px;
+                const dy = particles.targetY[p] - py;
                 const segments = 6;
                 
                 for (let i = 1; i <= segments; i++) {
                     const t = i / segments;
-                    let x = p.x + dx * t;
-                    let y = p.y + dy * t;
+                    let x = px + dx * t;
+                    let y = py + dy * t;
                     
                     // Add jagged offset (except for last point)
                     if (i < segments) {
                         const perpX = -dy / Math.sqrt(dx*dx + dy*dy) * 15;
                         const perpY = dx / Math.sqrt(dx*dx + dy*dy) * 15;
-                        x += perpX * (Math.random() - 0.5);
-                        y += perpY * (Math.random() - 0.5);
+                        x += perpX * (RNG.cosmetic.next() - 0.5);
+                        y += perpY * (RNG.cosmetic.next() - 0.5);
                     }
                     
                     ctx.lineTo(x, y);
@@ -1652,14 +1898,14 @@ export class CombatManager {
                 continue;
             }
             
-            if (p.glow) {
-                ctx.shadowColor = p.color;
+            if (particles.isGlowing(p)) {
+                ctx.shadowColor = color;
                 ctx.shadowBlur = 10;
             }
             
-            ctx.fillStyle = p.color;
+            ctx.fillStyle = color;
             ctx.beginPath();
-            ctx.arc(p.x, p.y, size, 0, Math.PI * 2);
+            ctx.arc(px, py, size, 0, Math.PI * 2);
             ctx.fill();
             ctx.restore();
         }
@@ -2117,10 +2363,6 @@ export class CombatManager {
             const progress = 1 - (attack.lifetime / attack.maxLifetime);
             const angle = Math.atan2(attack.targetY - attack.y, attack.targetX - attack.x);
             
-            // Swing arc - wider sweep for more dramatic effect
-            const arcStart = angle - Math.PI / 2 + progress * Math.PI;
-            const arcEnd = arcStart + Math.PI / 2;
-            
             ctx.globalAlpha = 0.9 * (attack.lifetime / attack.maxLifetime);
             ctx.strokeStyle = attack.color || '#ffffff';
             ctx.lineWidth = 10;
@@ -2128,6 +2370,23 @@ export class CombatManager {
             ctx.shadowColor = attack.color || '#ffffff';
             ctx.shadowBlur = 25;
             
+            // Thrusts and spins from combo moves (see Combos.js)
+            if (attack.shape === 'line') {
+                this.renderThrust(ctx, attack, angle, progress);
+                ctx.restore();
+                continue;
+            }
+            if (attack.shape === 'circle') {
+                this.renderSpin(ctx, attack, angle, progress);
+                ctx.restore();
+                continue;
+            }
+            
+            // Swing arc - wider sweep for more dramatic effect (combo arcs sweep their own width)
+            const sweep = attack.shape === 'arc' ? attack.arc : Math.PI;
+            const arcStart = angle - sweep / 2 + progress * sweep;
+            const arcEnd = arcStart + sweep / 2;
+            
             ctx.beginPath();
             ctx.arc(attack.x, attack.y, attack.range * 1.0, arcStart, arcEnd);
             ctx.stroke();
@@ -2168,11 +2427,51 @@ export class CombatManager {
         }
     }
     
+    // Straight streak out to the thrust's reach, as wide as it hits
+    renderThrust(ctx, attack, angle, progress) {
+        const reach = attack.range * Math.min(1, 0.4 + progress * 1.2);
+        const endX = attack.x + Math.cos(angle) * reach;
+        const endY = attack.y + Math.sin(angle) * reach;
+        
+        ctx.lineWidth = attack.width || 30;
+        ctx.globalAlpha *= 0.35;
+        ctx.beginPath();
+        ctx.moveTo(attack.x, attack.y);
+        ctx.lineTo(endX, endY);
+        ctx.stroke();
+        
+        ctx.globalAlpha = 0.9 * (attack.lifetime / attack.maxLifetime);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 4;
+        ctx.shadowBlur = 30;
+        ctx.beginPath();
+        ctx.moveTo(attack.x + Math.cos(angle) * reach * 0.3, attack.y + Math.sin(angle) * reach * 0.3);
+        ctx.lineTo(endX, endY);
+        ctx.stroke();
+    }
+    
+    // Ring swept all the way around
+    renderSpin(ctx, attack, angle, progress) {
+        const start = angle + progress * Math.PI * 2;
+        
+        ctx.beginPath();
+        ctx.arc(attack.x, attack.y, attack.range, start, start + Math.PI * 1.5);
+        ctx.stroke();
+        
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 4;
+        ctx.shadowBlur = 30;
+        ctx.beginPath();
+        ctx.arc(attack.x, attack.y, attack.range * 0.6, start, start + Math.PI * 1.5);
+        ctx.stroke();
+    }
+    
     clear() {
+        this.projectilePool.clear();
         this.projectiles = [];
         this.meleeAttacks = [];
         this.aoeZones = [];
-        this.particles = [];
+        this.particles.clear();
         this.statusEffectVisuals = [];
     }
 }
@@ -0,0 +1,197 @@
+/**
+ * Combos - Melee movesets for each weapon type
+ * A moveset maps combo strings to moves: 'L' is a light attack, 'H' a heavy one, so
+ * 'LLH' is the heavy that follows two lights. An input carries on the chain if the
+ * string so far plus the new input is in the moveset and comes within the last move's
+ * window; otherwise the chain starts over from that input alone. Moves that are
+ * `finisher`s always end the chain. Heavy moves with `charge` are held and let go,
+ * hitting and breaking poise harder the longer they were held.
+ *
+ * Each move sets the shape its swing hits (see isInMeleeShape):
+ *   arc     a sweep `arc` radians wide in front of the attacker
+ *   line    a thrust `width` wide straight ahead
+ *   circle  everything in reach all around
+ * damage, range, knockback and poise scale the weapon's own; lunge shoves the attacker
+ * forward (Poise.js force), recovery is the time before the next input is taken.
+ */
+
+import { WeaponTypes } from './Weapon.js';
+
+// The chain stays open this long after a move recovers, unless the move says otherwise
+const COMBO_WINDOW = 0.5;
+
+// Longest a swing locks the attacker in place
+const SWING_TIME = 0.25;
+
+// A fully charged move deals this much more (partial charges scale linearly)
+const FULL_CHARGE_BONUS = 1;
+
+// Movement speed while holding a charge
+export const CHARGE_MOVE_SPEED = 0.5;
+
+// Targets this close are hit by arcs whatever the angle (they overlap the attacker)
+const POINT_BLANK = 20;
+
+const BLADE = {
+    L: { name: 'Slash', shape: 'arc', arc: 1.6, recovery: 0.4 },
+    LL: { name: 'Backslash', shape: 'arc', arc: 1.6, damage: 1.1, recovery: 0.4 },
+    LLL: { name: 'Piercing Thrust', shape: 'line', width: 30, range: 1.2, damage: 1.5, knockback: 1.5, lunge: 240, recovery: 0.6, finisher: true },
+    H: { name: 'Overhead Cleave', shape: 'arc', arc: 1, damage: 1.8, knockback: 1.5, poise: 2, recovery: 0.8 },
+    LH: { name: 'Rising Cut', shape: 'arc', arc: 1.2, damage: 1.6, poise: 2, recovery: 0.7, finisher: true },
+    LLH: { name: 'Whirling Slash', shape: 'circle', damage: 1.4, knockback: 1.2, recovery: 0.8, finisher: true }
+};
+
+// Iaido: every chain opens and closes with a dashing draw cut
+const KATANA = {
+    L: { name: 'Draw Cut', shape: 'line', width: 26, range: 1.1, damage: 1.3, lunge: 300, recovery: 0.45 },
+    LL: { name: 'Return Cut', shape: 'arc', arc: 2, damage: 0.9, recovery: 0.3 },
+    LLL: { name: 'Crossing Cut', shape: 'arc', arc: 2.4, damage: 1.1, recovery: 0.3 },
+    LLLL: { name: 'Flash Draw', shape: 'line', width: 30, range: 1.4, damage: 2.2, lunge: 420, recovery: 0.7, finisher: true },
+    H: { name: 'Sheathed Draw', shape: 'line', width: 30, range: 1.5, damage: 1.6, lunge: 360, charge: 0.8, recovery: 0.7, finisher: true },
+    LLH: { name: 'Rising Moon', shape: 'arc', arc: 3, damage: 1.5, poise: 2, recovery: 0.7, finisher: true }
+};
+
+const SPEAR = {
+    L: { name: 'Thrust', shape: 'line', width: 24, recovery: 0.35 },
+    LL: { name: 'Thrust', shape: 'line', width: 24, recovery: 0.3 },
+    LLL: { name: 'Lunging Thrust', shape: 'line', width: 28, range: 1.2, damage: 1.6, knockback: 1.5, lunge: 300, recovery: 0.6, finisher: true },
+    H: { name: 'Sweep', shape: 'arc', arc: 2.6, range: 0.8, damage: 1.1, knockback: 1.3, recovery: 0.6 },
+    LH: { name: 'Impale', shape: 'line', width: 30, range: 1.3, damage: 2, poise: 2.5, recovery: 0.8, finisher: true }
+};
+
+const CRUSHER = {
+    L: { name: 'Swing', shape: 'arc', arc: 1.8, recovery: 0.55 },
+    LL: { name: 'Backswing', shape: 'arc', arc: 1.8, damage: 1.2, knockback: 1.2, recovery: 0.6 },
+    LLL: { name: 'Ground Pound', shape: 'circle', range: 0.8, damage: 1.8, knockback: 1.5, poise: 2, recovery: 0.9, finisher: true },
+    H: { name: 'Charged Slam', shape: 'circle', range: 0.9, damage: 2.2, knockback: 1.4, poise: 2.5, charge: 1.2, recovery: 0.9, finisher: true }
+};
+
+const AXE = {
+    L: { name: 'Chop', shape: 'arc', arc: 1.4, damage: 1.1, recovery: 0.45 },
+    LL: { name: 'Cleave', shape: 'arc', arc: 2.4, damage: 1.1, recovery: 0.5 },
+    LLL: { name: 'Spinning Axe', shape: 'circle', damage: 1.5, knockback: 1.3, recovery: 0.7, finisher: true },
+    H: { name: 'Splitting Chop', shape: 'line', width: 36, range: 0.9, damage: 2, poise: 2, charge: 0.6, recovery: 0.8, finisher: true }
+};
+
+const KNIFE = {
+    L: { name: 'Stab', shape: 'line', width: 20, damage: 0.8, recovery: 0.3 },
+    LL: { name: 'Stab', shape: 'line', width: 20, damage: 0.8, recovery: 0.3 },
+    LLL: { name: 'Slash', shape: 'arc', arc: 1.6, damage: 0.9, recovery: 0.3 },
+    LLLL: { name: 'Flurry', shape: 'circle', range: 0.8, damage: 1.4, recovery: 0.5, finisher: true },
+    H: { name: 'Lunge Stab', shape: 'line', width: 22, range: 1.3, damage: 1.6, lunge: 360, recovery: 0.6, finisher: true }
+};
+
+const FENCING = {
+    L: { name: 'Lunge', shape: 'line', width: 18, recovery: 0.3 },
+    LL: { name: 'Riposte', shape: 'line', width: 18, damage: 1.1, recovery: 0.3 },
+    LLL: { name: 'Fleche', shape: 'line', width: 20, range: 1.3, damage: 1.6, lunge: 400, recovery: 0.6, finisher: true },
+    H: { name: 'Coupe', shape: 'arc', arc: 1.2, damage: 1.5, poise: 1.5, recovery: 0.6 }
+};
+
+const SCYTHE = {
+    L: { name: 'Reap', shape: 'arc', arc: 2.4, recovery: 0.5 },
+    LL: { name: 'Reap', shape: 'arc', arc: 2.4, damage: 1.1, recovery: 0.5 },
+    LLL: { name: 'Harvest', shape: 'circle', damage: 1.6, recovery: 0.8, finisher: true },
+    H: { name: 'Grim Sweep', shape: 'arc', arc: 3.2, range: 1.1, damage: 1.8, charge: 0.8, recovery: 0.8, finisher: true }
+};
+
+// The chain pulls foes in (the kusarigama's knockback is negative); sickle cuts don't
+const CHAIN_SICKLE = {
+    L: { name: 'Sickle Cut', shape: 'arc', arc: 1.6, knockback: 0, recovery: 0.35 },
+    LL: { name: 'Sickle Cut', shape: 'arc', arc: 1.6, knockback: 0, recovery: 0.35 },
+    LLL: { name: 'Weighted Chain', shape: 'circle', range: 1.1, damage: 1.3, recovery: 0.6, finisher: true },
+    H: { name: 'Chain Pull', shape: 'line', width: 24, range: 1.5, damage: 1.2, poise: 1.5, recovery: 0.7 },
+    HL: { name: 'Reeling Slash', shape: 'arc', arc: 2, damage: 1.8, knockback: 0, recovery: 0.6, finisher: true }
+};
+
+const SHIELD = {
+    L: { name: 'Bash', shape: 'line', width: 40, range: 0.8, recovery: 0.45 },
+    LL: { name: 'Rim Strike', shape: 'arc', arc: 1.4, range: 0.8, damage: 1.2, recovery: 0.5, finisher: true },
+    H: { name: 'Shield Charge', shape: 'line', width: 44, range: 0.9, damage: 1.3, poise: 3, lunge: 360, recovery: 0.9, finisher: true }
+};
+
+// Anything else swung in melee (thrown weapons, staves, bare classes)
+const DEFAULT_MOVESET = {
+    L: { name: 'Strike', shape: 'arc', arc: 1.6, recovery: 0.45 },
+    LL: { name: 'Strike', shape: 'arc', arc: 1.6, recovery: 0.45 },
+    LLL: { name: 'Spin', shape: 'circle', damage: 1.3, recovery: 0.7, finisher: true },
+    H: { name: 'Heavy Strike', shape: 'arc', arc: 1.2, damage: 1.8, poise: 1.5, recovery: 0.8 }
+};
+
+export const MOVESETS = {
+    sword: BLADE,
+    short_sword: BLADE,
+    ninjato: BLADE,
+    enchanted_sword: BLADE,
+    katana: KATANA,
+    lance: SPEAR,
+    magic_lance: SPEAR,
+    naginata: SPEAR,
+    hammer: CRUSHER,
+    mace: CRUSHER,
+    axe: AXE,
+    runic_axe: AXE,
+    dagger: KNIFE,
+    kunai: KNIFE,
+    throwing_knife: KNIFE,
+    rapier: FENCING,
+    scythe: SCYTHE,
+    kusarigama: CHAIN_SICKLE,
+    shield: SHIELD
+};
+
+// Weapon type a character swings: the equipped weapon's, or their class's first
+// (starting gear is typed 'weapon')
+export function getMeleeWeaponType(weapon, classData) {
+    if (weapon && WeaponTypes[weapon.type]) return weapon.type;
+    return classData?.weaponTypes?.[0] || 'sword';
+}
+
+export function getMoveset(weaponType) {
+    return MOVESETS[weaponType] || DEFAULT_MOVESET;
+}
+
+// Next move for an input ('L' or 'H') given the chain so far; returns { chain, move }
+export function getNextMove(moveset, chain, input) {
+    const continued = chain + input;
+    if (moveset[continued]) return { chain: continued, move: moveset[continued] };
+    return moveset[input] ? { chain: input, move: moveset[input] } : null;
+}
+
+// How long the move locks the attacker, and how long the chain stays open after it
+export function getMoveTiming(move) {
+    return {
+        swing: Math.min(SWING_TIME, move.recovery),
+        window: move.finisher ? 0 : move.recovery + (move.window ?? COMBO_WINDOW)
+    };
+}
+
+// Damage multiplier for a charge held `time` seconds
+export function getChargeMultiplier(move, time) {
+    if (!move.charge) return 1;
+    return 1 + FULL_CHARGE_BONUS * Math.min(1, time / move.charge);
+}
+
+// Whether target is inside a melee swing. attack needs x, y, range and the aim angle;
+// swings without a shape hit everything in range
+export function isInMeleeShape(attack, target) {
+    const dx = target.x - attack.x;
+    const dy = target.y - attack.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist >= attack.range) return false;
+
+    if (attack.shape === 'arc') {
+        if (dist < POINT_BLANK) return true;
+        let diff = Math.atan2(dy, dx) - attack.angle;
+        diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+        return Math.abs(diff) <= (attack.arc || Math.PI) / 2;
+    }
+    if (attack.shape === 'line') {
+        const along = dx * Math.cos(attack.angle) + dy * Math.sin(attack.angle);
+        const across = Math.abs(-dx * Math.sin(attack.angle) + dy * Math.cos(attack.angle));
+        return along >= -POINT_BLANK && across <= (attack.width || 30) / 2 + (target.width || 0) / 2;
+    }
+    return true;
+}
+
+export default MOVESETS;
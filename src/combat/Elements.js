@@ -0,0 +1,89 @@
+/**
+ * Elements - Damage types and elemental resistances
+ * Every hit carries an element (physical when nothing says otherwise). Targets keep a
+ * resistance table of element -> fraction of that damage they shrug off:
+ *   0.5 takes half damage, -0.5 takes 50% extra (a weakness)
+ * Enemies get their floor theme's table plus their own `resistances` (Enemy.js),
+ * the player gets their class's `resistances` (ClassDefinitions.js).
+ */
+
+export const ELEMENTS = {
+    physical: { name: 'Physical', color: '#ffffff' },
+    fire: { name: 'Fire', color: '#ff6600' },
+    ice: { name: 'Ice', color: '#66ccff' },
+    lightning: { name: 'Lightning', color: '#ffff44' },
+    holy: { name: 'Holy', color: '#ffee88' },
+    dark: { name: 'Dark', color: '#aa66cc' },
+    poison: { name: 'Poison', color: '#44ff44' },
+    earth: { name: 'Earth', color: '#b08a5a' },
+    arcane: { name: 'Arcane', color: '#aa88ff' }
+};
+
+// Older names still used around the codebase for the same damage types
+const ELEMENT_ALIASES = {
+    none: 'physical',
+    magic: 'arcane',
+    electric: 'lightning',
+    shadow: 'dark',
+    sand: 'earth'
+};
+
+// What every mob on a floor theme resists (positive) or is weak to (negative)
+export const THEME_RESISTANCES = {
+    egypt: { earth: 0.5, poison: 0.25, ice: -0.5 },
+    hades: { fire: 0.6, dark: 0.25, ice: -0.5, holy: -0.25 },
+    jungle: { poison: 0.6, earth: 0.25, fire: -0.5 },
+    light: { holy: 0.6, lightning: 0.25, dark: -0.5 },
+    cyber: { poison: 0.75, physical: 0.15, lightning: -0.5, ice: -0.25 },
+    stone: { earth: 0.5, physical: 0.25, lightning: 0.25, arcane: -0.5 }
+};
+
+// Resistance is capped so nothing is fully immune, and weaknesses at double damage
+const MAX_RESISTANCE = 0.9;
+const MAX_WEAKNESS = -1;
+
+// Hits at least this far off neutral get a "Weak!"/"Resist" label
+const AFFINITY_THRESHOLD = 0.2;
+
+export function normalizeElement(element) {
+    if (!element) return 'physical';
+    const name = ELEMENT_ALIASES[element] || element;
+    return ELEMENTS[name] ? name : 'physical';
+}
+
+export function getElementColor(element) {
+    return ELEMENTS[normalizeElement(element)].color;
+}
+
+// Add resistance tables together (missing tables are skipped)
+export function buildResistances(...tables) {
+    const resistances = {};
+    for (const table of tables) {
+        if (!table) continue;
+        for (const [element, value] of Object.entries(table)) {
+            const name = normalizeElement(element);
+            resistances[name] = (resistances[name] || 0) + value;
+        }
+    }
+    return resistances;
+}
+
+export function getResistance(target, element) {
+    const value = target?.resistances?.[normalizeElement(element)] || 0;
+    return Math.max(MAX_WEAKNESS, Math.min(MAX_RESISTANCE, value));
+}
+
+// Damage after the target's resistance to the element, before defense
+export function applyResistance(target, amount, element) {
+    return amount * (1 - getResistance(target, element));
+}
+
+// 'weak' / 'resist' for hits worth calling out on the damage number, otherwise null
+export function getAffinity(target, element) {
+    const resistance = getResistance(target, element);
+    if (resistance <= -AFFINITY_THRESHOLD) return 'weak';
+    if (resistance >= AFFINITY_THRESHOLD) return 'resist';
+    return null;
+}
+
+export default ELEMENTS;
@@ -0,0 +1,365 @@
+/**
+ * Elite Affixes - Random modifiers that turn regular mobs into elites
+ * Each affix is data plus optional hooks the enemy calls at the matching moment:
+ *   apply(enemy)                         - once, when the affix is rolled
+ *   update(enemy, dt)                    - every frame while alive
+ *   onDealtDamage(enemy, amount, target) - after one of its attacks lands
+ *   modifyDamageTaken(enemy, amount)     - returns the damage that gets through
+ *   onDeath(enemy)                       - may queue enemy.pendingSpawns for the scene
+ * Elites show up more often on deeper floors and at higher difficulty, and their
+ * affixes add to drop chance, drop rarity and gold (see generateEnemyDrop).
+ */
+
+import { RNG } from '../engine/core/Random.js';
+
+// Chance a mob rolls as an elite: base plus a bit per floor, scaled by difficulty (0-1)
+const ELITE_BASE_CHANCE = 0.04;
+const ELITE_CHANCE_PER_FLOOR = 0.02;
+const ELITE_MAX_CHANCE = 0.35;
+
+// A further affix becomes possible every few floors, each rolled at this chance
+const FLOORS_PER_EXTRA_AFFIX = 4;
+const MAX_AFFIXES = 3;
+const EXTRA_AFFIX_CHANCE = 0.35;
+
+// Every elite is tougher and worth more, whatever it rolled
+const ELITE_HEALTH_MULTIPLIER = 1.4;
+const ELITE_DAMAGE_MULTIPLIER = 1.15;
+const ELITE_SIZE_MULTIPLIER = 1.15;
+const ELITE_EXP_PER_AFFIX = 0.75;
+
+const FROST_AURA_RADIUS = 120;
+const SHIELD_REGEN_DELAY = 4;
+
+export const EliteAffixes = {
+    vampiric: {
+        prefix: 'Vampiric',
+        color: '#cc2244',
+        minFloor: 1,
+        loot: { dropChance: 0.05, rarity: 0.1, gold: 0.25 },
+        onDealtDamage(enemy, amount) {
+            // Heals for part of every hit that lands
+            enemy.health = Math.min(enemy.maxHealth, enemy.health + amount * 0.4);
+            enemy.affixFlash = 0.2;
+        }
+    },
+
+    shielded: {
+        prefix: 'Shielded',
+        color: '#66aaff',
+        minFloor: 1,
+        loot: { dropChance: 0.05, rarity: 0.1, gold: 0.25 },
+        apply(enemy) {
+            enemy.maxShield = Math.floor(enemy.maxHealth * 0.5);
+            enemy.shield = enemy.maxShield;
+            enemy.shieldRegenDelay = 0;
+        },
+        update(enemy, dt) {
+            // Recharges once it hasn't been hit for a while
+            if (enemy.shieldRegenDelay > 0) {
+                enemy.shieldRegenDelay -= dt;
+            } else {
+                enemy.shield = Math.min(enemy.maxShield, enemy.shield + enemy.maxShield * 0.15 * dt);
+            }
+        },
+        modifyDamageTaken(enemy, amount) {
+            const absorbed = Math.min(enemy.shield, amount);
+            enemy.shield -= absorbed;
+            enemy.shieldRegenDelay = SHIELD_REGEN_DELAY;
+            return amount - absorbed;
+        }
+    },
+
+    splitting: {
+        prefix: 'Splitting',
+        color: '#88ff44',
+        minFloor: 2,
+        loot: { dropChance: 0.05, rarity: 0.05, gold: 0.5 },
+        onDeath(enemy) {
+            // Two smaller copies burst out, without the parent's affixes
+            const spawns = [];
+            for (const side of [-1, 1]) {
+                const child = cloneEnemy(enemy);
+                child.maxHealth = Math.max(1, Math.floor(enemy.maxHealth * 0.35));
+                child.health = child.maxHealth;
+                child.damage = enemy.damage * 0.6;
+                child.width = Math.round(enemy.width * 0.75);
+                child.height = Math.round(enemy.height * 0.75);
+                child.expReward = child.expValue = Math.floor(enemy.expReward * 0.25);
+                child.x = enemy.x + side * 16;
+                child.y = enemy.y + side * 8;
+                spawns.push(child);
+            }
+            queueSpawns(enemy, spawns);
+        }
+    },
+
+    haste: {
+        prefix: 'Swift',
+        color: '#ffee44',
+        minFloor: 1,
+        loot: { dropChance: 0.03, rarity: 0.05, gold: 0.25 },
+        apply(enemy) {
+            enemy.maxSpeed *= 1.4;
+            enemy.attackCooldown *= 0.65;
+        }
+    },
+
+    frozenAura: {
+        prefix: 'Frozen',
+        color: '#aaeeff',
+        minFloor: 2,
+        loot: { dropChance: 0.05, rarity: 0.1, gold: 0.25 },
+        update(enemy) {
+            // Chills the player while they stand inside the aura (see Character.move)
+            const target = enemy.target;
+            if (!target?.addStatusEffect) return;
+            if (Math.hypot(target.x - enemy.x, target.y - enemy.y) < FROST_AURA_RADIUS) {
+                target.addStatusEffect({ type: 'chilled', value: 0.35, duration: 0.3, source: 'frozenAura' });
+            }
+        }
+    },
+
+    teleporting: {
+        prefix: 'Blinking',
+        color: '#ff66ff',
+        minFloor: 2,
+        loot: { dropChance: 0.05, rarity: 0.1, gold: 0.25 },
+        apply(enemy) {
+            enemy.blinkTimer = 2 + RNG.ai.next() * 2;
+        },
+        update(enemy, dt) {
+            enemy.blinkTimer -= dt;
+            if (enemy.blinkTimer > 0 || !enemy.target) return;
+            enemy.blinkTimer = 4 + RNG.ai.next() * 2;
+
+            // Blink to a spot beside an engaged target
+            const target = enemy.target;
+            const dist = Math.hypot(target.x - enemy.x, target.y - enemy.y);
+            if (enemy.state !== 'chase' || dist < 100) return;
+            for (let attempt = 0; attempt < 6; attempt++) {
+                const angle = RNG.ai.next() * Math.PI * 2;
+                const range = 70 + RNG.ai.next() * 40;
+                const x = target.x + Math.cos(angle) * range;
+                const y = target.y + Math.sin(angle) * range;
+                if (enemy.dungeon?.isWalkable && !enemy.dungeon.isWalkable(Math.floor(x / 32), Math.floor(y / 32))) continue;
+                enemy.x = enemy.prevX = x;
+                enemy.y = enemy.prevY = y;
+                enemy.navPath = null;
+                enemy.affixFlash = 0.3;
+                return;
+            }
+        }
+    },
+
+    mirrorImage: {
+        prefix: 'Mirrored',
+        color: '#cc88ff',
+        minFloor: 3,
+        loot: { dropChance: 0.08, rarity: 0.15, gold: 0.5 },
+        update(enemy) {
+            // Splits off decoys the first time it is badly hurt
+            if (enemy.mirrored || enemy.health > enemy.maxHealth * 0.6) return;
+            enemy.mirrored = true;
+
+            const target = enemy.target || enemy;
+            const angle = Math.atan2(target.y - enemy.y, target.x - enemy.x) + Math.PI / 2;
+            const spawns = [];
+            for (const side of [-1, 1]) {
+                const image = cloneEnemy(enemy);
+                image.name = enemy.name;
+                image.maxHealth = enemy.maxHealth;
+                image.health = enemy.health;
+                image.width = enemy.width;
+                image.height = enemy.height;
+                image.damage = enemy.damage * 0.3;
+                image.x = enemy.x + Math.cos(angle) * side * 40;
+                image.y = enemy.y + Math.sin(angle) * side * 40;
+                image.target = enemy.target;
+                applyEliteAffixes(image, ['illusion'], false);
+                spawns.push(image);
+            }
+            queueSpawns(enemy, spawns);
+        }
+    },
+
+    // Decoys from mirrorImage: one hit pops them, they fade after a while and drop nothing
+    illusion: {
+        prefix: '',
+        color: '#cc88ff',
+        rollable: false,
+        apply(enemy) {
+            enemy.isIllusion = true;
+            enemy.illusionTime = 8;
+        },
+        update(enemy, dt) {
+            enemy.illusionTime -= dt;
+            if (enemy.illusionTime <= 0) enemy.health = 0;
+        },
+        modifyDamageTaken(enemy) {
+            return enemy.health;
+        }
+    }
+};
+
+// A fresh enemy of the same type and level, carrying the parent's run modifiers
+function cloneEnemy(enemy) {
+    const clone = new enemy.constructor(enemy.enemyType, enemy.config, enemy.level);
+    clone.damage = enemy.damage;
+    clone.maxSpeed = enemy.maxSpeed;
+    clone.soundType = enemy.soundType;
+    clone.target = enemy.target;
+    clone.state = enemy.state;
+    return clone;
+}
+
+function queueSpawns(enemy, spawns) {
+    enemy.pendingSpawns = (enemy.pendingSpawns || []).concat(spawns);
+}
+
+// Pick affixes for a freshly spawned mob (empty for most mobs)
+export function rollEliteAffixes(floor, difficulty = 1, stream = RNG.layout) {
+    const chance = Math.min(ELITE_MAX_CHANCE, (ELITE_BASE_CHANCE + (floor - 1) * ELITE_CHANCE_PER_FLOOR) * difficulty);
+    if (!stream.chance(chance)) return [];
+
+    const pool = Object.keys(EliteAffixes).filter(key => {
+        const affix = EliteAffixes[key];
+        return affix.rollable !== false && floor >= (affix.minFloor || 1);
+    });
+    const maxAffixes = Math.min(MAX_AFFIXES, 1 + Math.floor(floor / FLOORS_PER_EXTRA_AFFIX));
+
+    const affixes = [];
+    while (pool.length > 0 && affixes.length < maxAffixes) {
+        if (affixes.length > 0 && !stream.chance(EXTRA_AFFIX_CHANCE)) break;
+        affixes.push(pool.splice(Math.floor(stream.next() * pool.length), 1)[0]);
+    }
+    return affixes;
+}
+
+// Turn an enemy into an elite; scaleStats is off for decoys that copy their parent
+export function applyEliteAffixes(enemy, affixes, scaleStats = true) {
+    if (affixes.length === 0) return enemy;
+
+    enemy.affixes = [...enemy.affixes, ...affixes];
+    const prefixes = affixes.map(key => EliteAffixes[key].prefix).filter(Boolean);
+    if (prefixes.length > 0) enemy.name = `${prefixes.join(' ')} ${enemy.name}`;
+
+    if (scaleStats) {
+        enemy.maxHealth = Math.floor(enemy.maxHealth * ELITE_HEALTH_MULTIPLIER);
+        enemy.health = enemy.maxHealth;
+        enemy.damage *= ELITE_DAMAGE_MULTIPLIER;
+        enemy.width = Math.round(enemy.width * ELITE_SIZE_MULTIPLIER);
+        enemy.height = Math.round(enemy.height * ELITE_SIZE_MULTIPLIER);
+        enemy.expReward = enemy.expValue = Math.floor(enemy.expReward * (1 + ELITE_EXP_PER_AFFIX * affixes.length));
+    }
+
+    for (const key of affixes) {
+        EliteAffixes[key].apply?.(enemy);
+    }
+    return enemy;
+}
+
+export function updateEliteAffixes(enemy, dt) {
+    if (enemy.affixFlash > 0) enemy.affixFlash -= dt;
+    for (const key of enemy.affixes) {
+        EliteAffixes[key].update?.(enemy, dt);
+    }
+}
+
+export function modifyEliteDamageTaken(enemy, amount) {
+    for (const key of enemy.affixes) {
+        const affix = EliteAffixes[key];
+        if (affix.modifyDamageTaken) amount = affix.modifyDamageTaken(enemy, amount);
+    }
+    return amount;
+}
+
+export function onEliteDealtDamage(enemy, amount, target) {
+    for (const key of enemy.affixes) {
+        EliteAffixes[key].onDealtDamage?.(enemy, amount, target);
+    }
+}
+
+export function onEliteDeath(enemy) {
+    for (const key of enemy.affixes) {
+        EliteAffixes[key].onDeath?.(enemy);
+    }
+}
+
+// Combined loot bonus of an enemy's affixes (rarity shifts the rarity roll toward rarer drops)
+export function getEliteLootBonus(enemy) {
+    const bonus = { dropChance: 0, rarity: 0, gold: 0 };
+    for (const key of enemy.affixes || []) {
+        const loot = EliteAffixes[key].loot;
+        if (!loot) continue;
+        bonus.dropChance += loot.dropChance || 0;
+        bonus.rarity += loot.rarity || 0;
+        bonus.gold += loot.gold || 0;
+    }
+    bonus.rarity = Math.min(0.6, bonus.rarity);
+    return bonus;
+}
+
+// Auras drawn around the enemy's center; ctx must already be translated there
+export function renderEliteAura(ctx, enemy, time = 0) {
+    if (enemy.affixes.length === 0) return;
+
+    const baseRadius = Math.max(enemy.width, enemy.height) * 0.75;
+    ctx.save();
+
+    // Frost aura shows the area that chills
+    if (enemy.affixes.includes('frozenAura')) {
+        ctx.fillStyle = 'rgba(170, 238, 255, 0.08)';
+        ctx.strokeStyle = 'rgba(170, 238, 255, 0.35)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(0, 0, FROST_AURA_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    // Illusions shimmer instead of glowing
+    if (enemy.isIllusion) {
+        ctx.globalAlpha = 0.35 + Math.sin(time * 12) * 0.15;
+    }
+
+    // One pulsing ring per affix
+    enemy.affixes.forEach((key, i) => {
+        const pulse = Math.sin(time * 4 + i) * 2;
+        ctx.strokeStyle = EliteAffixes[key].color;
+        ctx.shadowColor = EliteAffixes[key].color;
+        ctx.shadowBlur = 8;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(0, 0, baseRadius + i * 5 + pulse, 0, Math.PI * 2);
+        ctx.stroke();
+    });
+    ctx.shadowBlur = 0;
+
+    // Shield bubble fades as it is worn down
+    if (enemy.maxShield > 0 && enemy.shield > 0) {
+        ctx.fillStyle = `rgba(102, 170, 255, ${0.25 * enemy.shield / enemy.maxShield})`;
+        ctx.beginPath();
+        ctx.arc(0, 0, baseRadius - 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Flash after a blink or a vampiric heal
+    if (enemy.affixFlash > 0) {
+        ctx.fillStyle = `rgba(255, 255, 255, ${enemy.affixFlash})`;
+        ctx.beginPath();
+        ctx.arc(0, 0, baseRadius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Name with prefixes over the health bar
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = EliteAffixes[enemy.affixes[0]].color;
+    ctx.font = 'bold 10px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(enemy.name, 0, -enemy.height / 2 - 14);
+
+    ctx.restore();
+}
+
+export default EliteAffixes;
@@ -4,12 +4,25 @@
 
 import { Entity } from '../engine/core/Entity.js';
 import { Utils } from '../engine/core/Utils.js';
+import { RNG } from '../engine/core/Random.js';
+import { runBossPattern, getPatternPool, hasPattern } from './BossPatterns.js';
+import {
+    applyEliteAffixes, updateEliteAffixes, modifyEliteDamageTaken, onEliteDealtDamage, onEliteDeath,
+    getEliteLootBonus, renderEliteAura
+} from './EliteAffixes.js';
+import { Weapon, WeaponTypes } from './Weapon.js';
+import { initMobBehavior, updateMobBehavior } from './MobBehavior.js';
+import { RALLY_DAMAGE_MULTIPLIER } from './PackTactics.js';
+import { THEME_RESISTANCES, buildResistances, applyResistance } from './Elements.js';
+import { StatusEffects, renderStatusIcons } from './StatusEffects.js';
+import { initPoise, updatePoise, renderPoiseBar, STAGGER_DAMAGE_TAKEN } from './Poise.js';
 
 export class Enemy extends Entity {
     constructor(type, config, floor = 1, isBoss = false) {
         super(0, 0);
         
         this.enemyType = type;
+        this.config = config; // Kept so affixes can spawn copies (EliteAffixes.js)
         this.name = config.name || 'Enemy';
         this.type = config.type || 'normal';
         this.isBoss = isBoss || config.type === 'boss';
@@ -50,17 +63,30 @@ export class Enemy extends Entity {
         this.homePosition = { x: 0, y: 0 };
         this.maxWanderDistance = 150;
         this.pendingAttack = null;
+        this.pathfinder = null;  // Set each update by the scene (see dungeon/Pathfinding.js)
+        this.navPath = null;     // Cached A* path, owned by the pathfinder
+        this.lostSightTimer = 0;
         
         // Status
         this.invulnerable = false;
         this.invulnerabilityTime = 0;
-        this.statusEffects = [];
+        this.statusEffects = new StatusEffects(this, config.statusImmunities); // See StatusEffects.js
+        if (this.isBoss) this.statusEffects.addImmunity('stun');
+        initPoise(this, config); // Knockback and stagger, see Poise.js
         this.facing = { x: 0, y: 1 };
         
         // Special abilities
         this.abilities = config.abilities || [];
         this.abilityCooldowns = new Map();
         
+        // Elite affixes rolled at spawn (see EliteAffixes.js); empty for regular mobs
+        this.affixes = [];
+        this.pendingSpawns = null; // Enemies the scene should add (splits, mirror images)
+        
+        // Roles from the definition drive the regular mob AI (see MobBehavior.js)
+        this.allies = null; // The scene's enemy list, set each update
+        initMobBehavior(this, config);
+        
         this.addTag('enemy');
         if (this.isBoss) this.addTag('boss');
         
@@ -73,6 +99,15 @@ export class Enemy extends Entity {
         // Boss element based on type
         this.bossElement = this.getBossElement();
         
+        // Elemental damage this enemy deals and takes (see Elements.js)
+        this.attackElement = config.element || (this.isBoss ? this.bossElement : 'physical');
+        this.resistances = buildResistances(THEME_RESISTANCES[findEnemyTheme(type)], config.resistances);
+        
+        // Boss attack patterns - own moves, signature and per-pattern tuning (BossPatternLibrary.js)
+        this.bossPatterns = config.patterns || [];
+        this.signaturePattern = config.signature || null;
+        this.patternTuning = config.patternTuning || {};
+        
         // Boss minion spawning system
         this.minionSpawnTimer = 0;
         this.minionSpawnInterval = 8; // Spawn minions every 8 seconds
@@ -107,7 +142,7 @@ export class Enemy extends Entity {
         return 'arcane';
     }
     
-    update(dt, player = null, dungeon = null) {
+    update(dt, player = null, dungeon = null, pathfinder = null, allies = null) {
         super.update(dt);
         
         // Store previous position for collision
@@ -117,6 +152,8 @@ export class Enemy extends Entity {
         // Store references for AI
         if (player) this.target = player;
         this.dungeon = dungeon;
+        this.pathfinder = pathfinder;
+        this.allies = allies;
         
         // Update boss dash animation
         if (this.isBoss && this.isDashing) {
@@ -124,9 +161,13 @@ export class Enemy extends Entity {
             return; // Skip other updates while dashing
         }
         
-        // Update position based on velocity
-        this.x += this.velocity.x * dt;
-        this.y += this.velocity.y * dt;
+        // Update position based on velocity (chilled and slowed mobs move slower)
+        const moveScale = this.statusEffects.getSpeedMultiplier();
+        this.x += this.velocity.x * dt * moveScale;
+        this.y += this.velocity.y * dt * moveScale;
+        
+        // Knockback from hits moves on top of the mob's own steering
+        updatePoise(this, dt);
         
         // Safety check: prevent NaN positions
         if (!isFinite(this.x) || !isFinite(this.y)) {
@@ -152,6 +193,11 @@ export class Enemy extends Entity {
         // Update status effects
         this.updateStatusEffects(dt);
         
+        // Elite affix behaviors (auras, blinking, shields)
+        if (this.affixes.length > 0) {
+            updateEliteAffixes(this, dt);
+        }
+        
         // Update ability cooldowns
         for (const [ability, cd] of this.abilityCooldowns) {
             if (cd > 0) {
@@ -159,6 +205,13 @@ export class Enemy extends Entity {
             }
         }
         
+        // Stunned and staggered mobs stand still and can't act
+        if (this.hasStatusEffect('stun') || this.hasStatusEffect('staggered')) {
+            this.velocity.x = 0;
+            this.velocity.y = 0;
+            return;
+        }
+        
         // AI behavior
         this.updateAI(dt);
     }
@@ -185,25 +238,8 @@ export class Enemy extends Entity {
                 return;
             }
             
-            // Check if target is in range and we have line of sight
-            if (dist <= this.aggroRange && this.hasLineOfSight(this.target)) {
-                this.state = 'chase';
-                
-                if (dist <= this.attackRange) {
-                    this.state = 'attack';
-                    this.attack();
-                } else {
-                    // Occasionally dash towards player (mobs can dash too!)
-                    if (this.mobDashCooldown <= 0 && dist > 100 && Math.random() < 0.02) {
-                        this.doMobDash();
-                    } else {
-                        this.moveTowards(this.target, dt);
-                    }
-                }
-            } else {
-                this.target = null;
-                this.state = 'idle';
-            }
+            // Regular mobs pick what to do from their roles
+            updateMobBehavior(this, dt, dist);
         } else {
             // Wander behavior - more active movement
             this.wander(dt);
@@ -249,11 +285,11 @@ export class Enemy extends Entity {
     doMobDash() {
         if (!this.target) return;
         const angle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-        const dashDist = 60 + Math.random() * 40;
+        const dashDist = 60 + RNG.ai.next() * 40;
         
         this.x += Math.cos(angle) * dashDist;
         this.y += Math.sin(angle) * dashDist;
-        this.mobDashCooldown = 3 + Math.random() * 2; // 3-5 second cooldown
+        this.mobDashCooldown = 3 + RNG.ai.next() * 2; // 3-5 second cooldown
     }
     
     updateBossAI(dt, dist) {
@@ -334,8 +370,8 @@ export class Enemy extends Entity {
         this.combatModeTimer -= dt;
         if (this.combatModeTimer <= 0) {
             const modes = ['melee', 'ranged', 'balanced'];
-            this.combatMode = modes[Math.floor(Math.random() * modes.length)];
-            this.combatModeTimer = 3 + Math.random() * 4; // Switch every 3-7 seconds
+            this.combatMode = modes[Math.floor(RNG.ai.next() * modes.length)];
+            this.combatModeTimer = 3 + RNG.ai.next() * 4; // Switch every 3-7 seconds
         }
         
         // ANTI-IDLE: Force action if boss hasn't done anything in 0.5 seconds
@@ -382,7 +418,7 @@ export class Enemy extends Entity {
         
         // Execute current pattern
         if (this.currentPattern) {
-            this.executeBossPattern(dt, dist);
+            this.executeBossPattern(dt);
             return;
         }
         
@@ -394,14 +430,14 @@ export class Enemy extends Entity {
         this.facing.y = Math.sin(angle);
         
         // Determine preferred range based on combat mode
-        const preferMelee = this.combatMode === 'melee' || (this.combatMode === 'balanced' && Math.random() < 0.5);
+        const preferMelee = this.combatMode === 'melee' || (this.combatMode === 'balanced' && RNG.ai.next() < 0.5);
         const preferRanged = this.combatMode === 'ranged';
         
         if (dist > 300) {
             // Far from player - close gap aggressively
-            if (dist > 500 && Math.random() < 0.02) {
+            if (dist > 500 && RNG.ai.next() < 0.02) {
                 this.doBossTeleport();
-            } else if (this.dashCooldown <= 0 && Math.random() < 0.15) {
+            } else if (this.dashCooldown <= 0 && RNG.ai.next() < 0.15) {
                 // Dash attack to close distance - more frequent
                 this.doBossDashAttack();
             } else {
@@ -418,7 +454,7 @@ export class Enemy extends Entity {
             // Medium range - behavior depends on combat mode
             if (preferMelee) {
                 // Close in aggressively with dash attacks
-                if (this.dashCooldown <= 0 && Math.random() < 0.15) {
+                if (this.dashCooldown <= 0 && RNG.ai.next() < 0.15) {
                     this.doBossDashAttack();
                 } else {
                     const approachAngle = angle + (Math.PI / 6) * this.strafeDirection;
@@ -437,12 +473,12 @@ export class Enemy extends Entity {
             }
             
             // Change strafe direction occasionally
-            if (Math.random() < 0.03) {
+            if (RNG.ai.next() < 0.03) {
                 this.strafeDirection *= -1;
             }
         } else if (dist > 50) {
             // Close-medium range - mixed combat
-            if (Math.random() < 0.04) {
+            if (RNG.ai.next() < 0.04) {
                 this.strafeDirection *= -1;
             }
             
@@ -459,15 +495,15 @@ export class Enemy extends Entity {
             }
             
             // Dash dodge when player attacks
-            if (this.dashCooldown <= 0 && Math.random() < 0.06) {
+            if (this.dashCooldown <= 0 && RNG.ai.next() < 0.06) {
                 this.doBossDashDodge();
             }
         } else {
             // Very close - melee combat with dash dodges
-            if (this.dashCooldown <= 0 && Math.random() < 0.12) {
+            if (this.dashCooldown <= 0 && RNG.ai.next() < 0.12) {
                 // Dash through player for repositioning - more stylish movement
                 this.doBossDashThrough();
-            } else if (this.dodgeTimer <= 0 && Math.random() < 0.03) {
+            } else if (this.dodgeTimer <= 0 && RNG.ai.next() < 0.03) {
                 this.doBossDashDodge();
             } else {
                 // Circle around player
@@ -522,8 +558,8 @@ export class Enemy extends Entity {
     doBossDashDodge() {
         if (!this.target) return;
         const awayAngle = Math.atan2(this.y - this.target.y, this.x - this.target.x);
-        const sideAngle = awayAngle + (Math.random() < 0.5 ? Math.PI / 3 : -Math.PI / 3);
-        const dashDist = 100 + Math.random() * 50;
+        const sideAngle = awayAngle + (RNG.ai.next() < 0.5 ? Math.PI / 3 : -Math.PI / 3);
+        const dashDist = 100 + RNG.ai.next() * 50;
         
         this.x += Math.cos(sideAngle) * dashDist;
         this.y += Math.sin(sideAngle) * dashDist;
@@ -552,8 +588,8 @@ export class Enemy extends Entity {
         if (!this.target) return;
         
         // Calculate dash destination near player
-        const angle = Math.random() * Math.PI * 2;
-        const dist = 80 + Math.random() * 60;
+        const angle = RNG.ai.next() * Math.PI * 2;
+        const dist = 80 + RNG.ai.next() * 60;
         const targetX = this.target.x + Math.cos(angle) * dist;
         const targetY = this.target.y + Math.sin(angle) * dist;
         
@@ -674,104 +710,27 @@ export class Enemy extends Entity {
     }
     
     selectBossPattern() {
-        // Reset idle timer when selecting a pattern
-        this.idleTimer = 0;
-        this.patternTimeout = 0;
-        
         // Initialize pattern history if needed
         if (!this.patternHistory) this.patternHistory = [];
         
+        // Practice mode pins a single pattern and repeats it (see modes/BossPractice.js)
+        if (this.forcedPattern) {
+            this.startBossPattern(this.forcedPattern);
+            return;
+        }
+        
         // Check for signature move first (high priority, cooldown-based)
-        if (this.signatureCooldown <= 0 && Math.random() < 0.4) {
-            const signatureMove = this.getSignatureMove();
-            if (signatureMove && !this.patternHistory.includes(signatureMove)) {
-                this.currentPattern = signatureMove;
-                this.patternStep = 0;
-                this.patternData = {};
+        if (this.signatureCooldown <= 0 && RNG.ai.next() < 0.4) {
+            const signatureMove = this.signaturePattern;
+            if (signatureMove && hasPattern(this, signatureMove) && !this.patternHistory.includes(signatureMove)) {
+                this.startBossPattern(signatureMove);
                 this.signatureCooldown = 10;
-                this.addToPatternHistory(signatureMove);
                 return;
             }
         }
         
-        // Boss-specific unique patterns
-        const bossSpecificPatterns = this.getBossSpecificPatterns();
-        
-        // Base projectile patterns - many varieties
-        const projectilePatterns = [
-            'circleAttack',
-            'projectileBarrage',
-            'spiralProjectiles',
-            'multiProjectile',
-            'crossPattern',
-            'waveProjectiles',
-            'scatterShot',
-            'ricochetBurst',
-            'arcingVolley',
-            'seekerMissiles',
-            // New creative spawn patterns
-            'wallBarrage',
-            'ceilingRain',
-            'floorEruption',
-            'cornerTrap',
-            'zigzagVolley',
-            'sineWave',
-            'snakePattern',
-            'arrowRain'
-        ];
-        
-        // Melee/dash patterns
-        const meleePatterns = [
-            'chargeAttack',
-            'meleeDashStrike',
-            'groundSlam',
-            'teleportStrike',
-            'rageDash',
-            'spinSlash',
-            'circleDashStrike'
-        ];
-        
-        // Special patterns
-        const specialPatterns = [
-            'trackingOrbCircle',
-            'vortexPull',
-            'laserSweep',
-            // New geometric/creative patterns
-            'pentagramStrike',
-            'hexagonalGrid',
-            'spiralGalaxy',
-            'orbitalBombardment',
-            'diamondCage',
-            'starBurst',
-            'clockworkSpiral',
-            ...bossSpecificPatterns
-        ];
-        
-        // Build pattern pool based on phase
-        let patterns = [...projectilePatterns.slice(0, 5), ...meleePatterns.slice(0, 4), ...specialPatterns.slice(0, 3)];
-        
-        // Ring collapse pattern - available from the start (signature boss move)
-        patterns.push('ringCollapse');
-        
-        // Phase 2 unlocks more
-        if (this.bossPhase >= 2) {
-            patterns.push(...projectilePatterns.slice(5));
-            patterns.push('bulletHellSpiral', 'bouncingOrbs', 'shadowClones');
-            patterns.push('homingBarrage', 'novaBlast', 'chainLightning');
-            // New phase 2 patterns
-            patterns.push('convergeExpand', 'mirrorImage', 'pulseWave', 'triangleFormation');
-            patterns.push('crossfireTrap', 'encircle', 'laserFence');
-        }
-        
-        // Phase 3 unlocks most dangerous
-        if (this.bossPhase >= 3) {
-            patterns.push(...meleePatterns.slice(4));
-            patterns.push('ultimateBlast', 'omniDirectional', 'trackingSwarm', 'deathRay', 'meteorStorm');
-            patterns.push('bulletHellFlower', 'homingMissileBarrage', 'voidRift', 'annihilationBeam');
-            // New phase 3 patterns - most dangerous
-            patterns.push('pillarsOfDoom', 'chaosOrbs', 'galaxyArms', 'pinwheel');
-            patterns.push('checkerboard', 'crescentMoon', 'vortexSuck');
-        }
+        // Patterns unlocked by this phase (see BossPatternLibrary.js)
+        const patterns = getPatternPool(this);
         
         // Filter out recently used patterns (no repeats from last 5)
         const availablePatterns = patterns.filter(p => !this.patternHistory.includes(p));
@@ -781,10 +740,22 @@ export class Enemy extends Entity {
             patterns.filter(p => p !== this.patternHistory[this.patternHistory.length - 1]);
         
         // Select random pattern from available pool
-        this.currentPattern = finalPool[Math.floor(Math.random() * finalPool.length)] || patterns[0];
+        this.startBossPattern(finalPool[Math.floor(RNG.ai.next() * finalPool.length)] || patterns[0] || null);
+    }
+    
+    // Begin a pattern from its first stage
+    startBossPattern(pattern) {
+        // Reset idle timer when selecting a pattern
+        this.idleTimer = 0;
+        this.patternTimeout = 0;
+        
+        this.currentPattern = pattern;
         this.patternStep = 0;
         this.patternData = {};
-        this.addToPatternHistory(this.currentPattern);
+        if (pattern) {
+            this.addToPatternHistory(pattern);
+            this.patternsStarted = (this.patternsStarted || 0) + 1; // Some patterns start and end in one frame
+        }
     }
     
     // Track pattern history to avoid repetition
@@ -797,6122 +768,210 @@ export class Enemy extends Entity {
         }
     }
     
-    // Get boss-specific unique patterns
-    getBossSpecificPatterns() {
-        // Original bosses - each with 10+ unique patterns
-        if (this.enemyType === 'skeletonKing' || this.name === 'Skeleton King') {
-            return ['boneStorm', 'graveRise', 'royalExecution', 'boneWall', 'skeletonRush', 'curseOfDeath',
-                    'pentagramStrike', 'encircle', 'crescentMoon', 'chaosOrbs'];
-        }
-        if (this.enemyType === 'dragonLord' || this.name === 'Dragon Lord') {
-            return ['fireBreathSweep', 'wingBlast', 'dragonFury', 'meteorRain', 'flameVortex', 'dragonRoar',
-                    'ceilingRain', 'pillarsOfDoom', 'arrowRain', 'galaxyArms'];
-        }
-        if (this.enemyType === 'lichKing' || this.name === 'Lich King') {
-            return ['soulDrain', 'frostTomb', 'deathCoil', 'iceSpikes', 'phantomGrasp', 'necromanticRift',
-                    'vortexSuck', 'spiralGalaxy', 'hexagonalGrid', 'convergeExpand'];
-        }
-        // Themed bosses - each with 10+ unique patterns
-        if (this.enemyType === 'pharaoh' || this.name === 'Pharaoh') {
-            return ['lightningChain', 'sandstormLightning', 'pyramidStrike', 'scarabSwarm', 'sandTornado', 'curseOfTheSun',
-                    'cornerTrap', 'diamondCage', 'clockworkSpiral', 'starBurst'];
-        }
-        if (this.enemyType === 'cerberus' || this.name === 'Cerberus') {
-            return ['hellfireBreath', 'tripleChomp', 'infernoCircle', 'spiralBounce', 'splittingFlame', 'fireWave', 'hellShockwave', 'lavaPools',
-                    'wallBarrage', 'crossfireTrap', 'floorEruption', 'pinwheel'];
-        }
-        if (this.enemyType === 'queenSpider' || this.name === 'Spider Queen') {
-            return ['webTrap', 'venomSpray', 'spiderSwarm', 'cocoonBomb', 'silkLine', 'toxicBurst',
-                    'snakePattern', 'zigzagVolley', 'encircle', 'triangleFormation'];
-        }
-        if (this.enemyType === 'archangel' || this.name === 'Archangel') {
-            return ['holyRain', 'divineBeam', 'purifyingLight', 'lightPillars', 'orbGridStrike', 'celestialCross', 'angelicDescent', 'radiantNova',
-                    'mirrorImage', 'pulseWave', 'sineWave', 'checkerboard'];
-        }
-        if (this.enemyType === 'masterAI' || this.name === 'Master A.I.') {
-            return ['laserGrid', 'droneSwarm', 'systemHack', 'dataStorm', 'firewall', 'virusInfection',
-                    'laserFence', 'orbitalBombardment', 'hexagonalGrid', 'crossfireTrap'];
-        }
-        if (this.enemyType === 'ancientGolem' || this.name === 'Ancient Golem') {
-            return ['earthquakeWave', 'boulderToss', 'stoneSkin', 'crystalSpikes', 'rockyBarrier', 'seismicStomp',
-                    'floorEruption', 'wallBarrage', 'pillarsOfDoom', 'ceilingRain'];
-        }
-        return [];
-    }
-    
-    // Get signature move based on boss type/theme
-    getSignatureMove() {
-        // Original bosses
-        if (this.enemyType === 'skeletonKing' || this.name === 'Skeleton King') {
-            return 'signatureSkeletonKing';
-        }
-        if (this.enemyType === 'dragonLord' || this.name === 'Dragon Lord') {
-            return 'signatureDragonLord';
-        }
-        if (this.enemyType === 'lichKing' || this.name === 'Lich King') {
-            return 'signatureLichKing';
-        }
-        // Pharaoh - Giant Ankh Paralysis
-        if (this.enemyType === 'pharaoh' || this.name === 'Pharaoh') {
-            return 'signatureAnkh';
-        }
-        // Cerberus (Hades) - Triple Hellfire Breath
-        if (this.enemyType === 'cerberus' || this.name === 'Cerberus') {
-            return 'signatureCerberus';
-        }
-        // Spider Queen (Jungle) - Web Prison
-        if (this.enemyType === 'queenSpider' || this.name === 'Spider Queen') {
-            return 'signatureWebPrison';
-        }
-        // Archangel (Light) - Divine Judgment
-        if (this.enemyType === 'archangel' || this.name === 'Archangel') {
-            return 'signatureDivineJudgment';
-        }
-        // Master AI (Cyber) - System Overload
-        if (this.enemyType === 'masterAI' || this.name === 'Master A.I.') {
-            return 'signatureSystemOverload';
-        }
-        // Ancient Golem (Stone) - Seismic Slam
-        if (this.enemyType === 'ancientGolem' || this.name === 'Ancient Golem') {
-            return 'signatureSeismicSlam';
-        }
-        return null;
-    }
-    
     // Update tracking orbs
     updateTrackingOrbs(dt) {
         for (let i = this.trackingOrbs.length - 1; i >= 0; i--) {
-            const orb = this.trackingOrbs[i];
-            orb.timer -= dt;
-            
-            if (orb.phase === 'tracking' && this.target) {
-                // Track player
-                const dx = this.target.x - orb.x;
-                const dy = this.target.y - orb.y;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-                
-                if (dist > orb.lockRadius) {
-                    // Still tracking
-                    orb.x += (dx / dist) * orb.speed * dt;
-                    orb.y += (dy / dist) * orb.speed * dt;
-                } else {
-                    // Lock direction and stop tracking
-                    orb.phase = 'locked';
-                    orb.vx = (dx / dist) * orb.speed * 1.5;
-                    orb.vy = (dy / dist) * orb.speed * 1.5;
-                }
-            } else if (orb.phase === 'locked') {
-                // Move in locked direction
-                orb.x += orb.vx * dt;
-                orb.y += orb.vy * dt;
-            }
-            
-            // Check collision with player
-            if (this.target) {
-                const dist = Math.sqrt((orb.x - this.target.x) ** 2 + (orb.y - this.target.y) ** 2);
-                if (dist < 20) {
-                    // Hit player
-                    this.pendingAttack = {
-                        type: 'direct',
-                        damage: orb.damage,
-                        target: this.target,
-                        owner: this
-                    };
-                    this.trackingOrbs.splice(i, 1);
-                    continue;
-                }
-            }
-            
-            // Remove if expired
-            if (orb.timer <= 0) {
-                this.trackingOrbs.splice(i, 1);
-            }
-        }
-    }
-    
-    // Lightning zone system for Pharaoh
-    updateLightningZones(dt) {
-        if (!this.lightningZones) this.lightningZones = [];
-        
-        for (let i = this.lightningZones.length - 1; i >= 0; i--) {
-            const zone = this.lightningZones[i];
-            zone.timer -= dt;
-            
-            if (zone.timer <= 0 && !zone.struck) {
-                // STRIKE! Deal damage if player is still in zone
-                zone.struck = true;
-                zone.strikeTime = 0.3; // Visual duration of strike
-                
-                if (this.target) {
-                    const dist = Math.sqrt((zone.x - this.target.x) ** 2 + (zone.y - this.target.y) ** 2);
-                    if (dist < zone.radius) {
-                        this.pendingAttack = {
-                            type: 'direct',
-                            damage: this.damage * 1.5,
-                            target: this.target,
-                            element: 'lightning',
-                            owner: this
-                        };
-                    }
-                }
-            }
-            
-            if (zone.struck) {
-                zone.strikeTime -= dt;
-                if (zone.strikeTime <= 0) {
-                    this.lightningZones.splice(i, 1);
-                }
-            }
-        }
-    }
-    
-    // Spawn a lightning warning zone at target location
-    spawnLightningZone(x, y, delay = 0.5, radius = 60) {
-        if (!this.lightningZones) this.lightningZones = [];
-        this.lightningZones.push({
-            x: x,
-            y: y,
-            radius: radius,
-            timer: delay,
-            struck: false
-        });
-    }
-    
-    // Minion spawning system
-    updateMinionSpawning(dt) {
-        if (!this.isBoss) return;
-        
-        this.minionSpawnTimer += dt;
-        
-        // Clean up dead minions
-        this.activeMinions = this.activeMinions.filter(m => m && m.active && m.health > 0);
-        
-        // Spawn minions periodically
-        if (this.minionSpawnTimer >= this.minionSpawnInterval && this.activeMinions.length < this.maxMinions) {
-            this.minionSpawnTimer = 0;
-            this.shouldSpawnMinion = true; // Flag for Game.js to handle
-        }
-    }
-    
-    // Get minion type based on boss
-    getMinionType() {
-        if (this.enemyType === 'pharaoh' || this.name === 'Pharaoh') return 'mummy';
-        if (this.enemyType === 'cerberus' || this.name === 'Cerberus') return 'hellhound';
-        if (this.enemyType === 'queenSpider' || this.name === 'Spider Queen') return 'venomSpider';
-        if (this.enemyType === 'archangel' || this.name === 'Archangel') return 'pureSpirit';
-        if (this.enemyType === 'masterAI' || this.name === 'Master A.I.') return 'securityDrone';
-        if (this.enemyType === 'ancientGolem' || this.name === 'Ancient Golem') return 'golem';
-        return 'skeleton';
-    }
-    
-    // Trigger phase transition with mob spawn and heal
-    triggerPhaseTransition(newPhase) {
-        this.bossPhase = newPhase;
-        this.bossStage = newPhase; // Sync stage with phase
-        this.isHealingPhase = true;
-        this.healingMinions = [];
-        this.healRate = this.maxHealth * 0.02; // 2% max health per second while minions alive
-        
-        // Track unlocked phases for progressive move unlocking
-        if (!this.unlockedPhases) {
-            this.unlockedPhases = [1]; // Phase 1 always unlocked
-        }
-        if (!this.unlockedPhases.includes(newPhase)) {
-            this.unlockedPhases.push(newPhase);
-        }
-        
-        // Heal to full health on phase transition
-        this.health = this.maxHealth;
-        
-        // Spawn 10 minions around the boss
-        this.pendingMobSpawn = {
-            count: 10,
-            type: this.getMinionType(),
-            phase: newPhase
-        };
-        
-        // Visual and audio feedback
-        this.phaseTransitionTimer = 2.0; // Invulnerable for 2 seconds during transition
-        this.invulnerable = true;
-        this.invulnerabilityTime = 2.0;
-    }
-    
-    // Update healing phase - boss heals while minions are alive
-    updateHealingPhase(dt) {
-        if (!this.isHealingPhase) return;
-        
-        // Check if healing minions are still alive
-        this.healingMinions = this.healingMinions.filter(m => m && m.active && m.health > 0);
-        
-        // Heal while minions alive
-        if (this.healingMinions.length > 0) {
-            const healAmount = this.healRate * dt * (this.healingMinions.length / 10);
-            this.health = Math.min(this.maxHealth, this.health + healAmount);
-            
-            // Visual effect - green healing particles
-            this.showHealingEffect = true;
-        } else {
-            // All minions dead - stop healing
-            this.isHealingPhase = false;
-            this.showHealingEffect = false;
-        }
-    }
-    
-    // Register a healing minion
-    addHealingMinion(minion) {
-        if (this.isHealingPhase) {
-            this.healingMinions.push(minion);
-        }
-    }
-
-    executeBossPattern(dt, dist) {
-        // Safety check - need a valid target for most patterns
-        if (!this.target) {
-            this.endBossPattern();
-            return;
-        }
-        
-        switch (this.currentPattern) {
-            case 'circleAttack':
-                // Move in a circle while shooting projectiles
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.angle = (this.patternData.angle || 0) + dt * 3; // Faster circle
-                
-                const circleRadius = 150;
-                const targetX = this.target.x + Math.cos(this.patternData.angle) * circleRadius;
-                const targetY = this.target.y + Math.sin(this.patternData.angle) * circleRadius;
-                
-                this.velocity.x = (targetX - this.x) * 3; // Faster movement
-                this.velocity.y = (targetY - this.y) * 3;
-                
-                // Fire projectile every 0.15 seconds (much faster)
-                if (this.patternData.timer > 0.15) {
-                    this.patternData.timer = 0;
-                    // Fire 2 projectiles - one at player, one spread
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.5,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.target.x,
-                        targetY: this.target.y,
-                        speed: 400, // Faster projectiles
-                        owner: this
-                    };
-                }
-                
-                // End pattern after one full circle
-                if (this.patternData.angle > Math.PI * 2) {
-                    this.endBossPattern();
-                }
-                break;
-                
-            case 'chargeAttack':
-                if (this.patternStep === 0) {
-                    // Wind up - stop and prepare
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternStep = 1;
-                    
-                    // Lock in target position
-                    this.chargeTarget = { x: this.target.x, y: this.target.y };
-                } else if (this.patternStep === 1) {
-                    // Charging up (telegraph)
-                    this.patternData.timer += dt;
-                    if (this.patternData.timer > 0.8) {
-                        this.patternStep = 2;
-                        this.patternData.timer = 0;
-                    }
-                } else if (this.patternStep === 2) {
-                    // Charge!
-                    const dx = this.chargeTarget.x - this.x;
-                    const dy = this.chargeTarget.y - this.y;
-                    const len = Math.sqrt(dx * dx + dy * dy);
-                    
-                    if (len > 20) {
-                        this.velocity.x = (dx / len) * this.maxSpeed * 4;
-                        this.velocity.y = (dy / len) * this.maxSpeed * 4;
-                    } else {
-                        // Arrived at target, deal damage in area
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 1.5,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x,
-                            targetY: this.y,
-                            radius: 80,
-                            owner: this
-                        };
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'projectileBarrage':
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.shots = this.patternData.shots || 0;
-                
-                // Stand still and fire rapid projectiles
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.06) { // Much faster firing
-                    this.patternData.timer = 0;
-                    this.patternData.shots++;
-                    
-                    // Fire 2 spread projectiles per shot
-                    const baseAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    for (let s = 0; s < 2; s++) {
-                        const spread = (s - 0.5) * 0.3 + (Math.random() - 0.5) * 0.2;
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.35,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x + Math.cos(baseAngle + spread) * 200,
-                            targetY: this.y + Math.sin(baseAngle + spread) * 200,
-                            speed: 450, // Faster projectiles
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.shots >= 20) { // More shots
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'trackingOrbCircle':
-                // Spawn orbs in a circle that target player's position at fire time (not tracking)
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    const orbCount = 8 + this.bossPhase * 4;
-                    const orbRadius = 120;
-                    
-                    // Visual ring forming phase
-                    this.patternData.ringTimer = 0;
-                    this.patternData.ringDuration = 1.5; // Ring forms over 1.5 seconds
-                    this.patternData.orbCount = orbCount;
-                    this.patternData.orbRadius = orbRadius;
-                    this.showRingIndicator = true;
-                    this.ringIndicatorProgress = 0;
-                    
-                    this.patternStep = 1;
-                    this.patternData.timer = 0;
-                } else if (this.patternStep === 1) {
-                    // Ring forming phase - visual only
-                    this.patternData.ringTimer += dt;
-                    this.ringIndicatorProgress = Math.min(1, this.patternData.ringTimer / this.patternData.ringDuration);
-                    
-                    if (this.patternData.ringTimer >= this.patternData.ringDuration) {
-                        // Lock player position NOW - this is where projectiles will aim
-                        this.patternData.lockedTargetX = this.target.x;
-                        this.patternData.lockedTargetY = this.target.y;
-                        
-                        // Spawn all orbs aiming at locked position
-                        for (let i = 0; i < this.patternData.orbCount; i++) {
-                            const angle = (i / this.patternData.orbCount) * Math.PI * 2;
-                            const startX = this.x + Math.cos(angle) * this.patternData.orbRadius;
-                            const startY = this.y + Math.sin(angle) * this.patternData.orbRadius;
-                            
-                            // Calculate direction to locked position
-                            const dx = this.patternData.lockedTargetX - startX;
-                            const dy = this.patternData.lockedTargetY - startY;
-                            const dist = Math.sqrt(dx * dx + dy * dy);
-                            
-                            this.trackingOrbs.push({
-                                x: startX,
-                                y: startY,
-                                // Pre-calculated velocity - NO TRACKING, just straight line to locked position
-                                vx: (dx / dist) * (200 + this.bossPhase * 40),
-                                vy: (dy / dist) * (200 + this.bossPhase * 40),
-                                speed: 200 + this.bossPhase * 40,
-                                damage: this.damage * 0.5,
-                                timer: 4, // Lifetime
-                                phase: 'locked', // Skip tracking phase entirely
-                                launchDelay: i * 0.05 // Slight stagger for visual effect
-                            });
-                        }
-                        
-                        this.showRingIndicator = false;
-                        this.patternStep = 2;
-                        this.patternData.timer = 0;
-                    }
-                } else if (this.patternStep === 2) {
-                    this.patternData.timer += dt;
-                    
-                    // End when all orbs are gone or timeout
-                    if (this.trackingOrbs.length === 0 || this.patternData.timer > 6) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'meleeDashStrike':
-                // Melee combo: dash to player, strike, dash back
-                if (this.patternStep === 0) {
-                    // Wind up
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.startPos = { x: this.x, y: this.y };
-                    this.patternData.timer = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    // Dash to player
-                    this.patternData.timer += dt;
-                    const dx = this.target.x - this.x;
-                    const dy = this.target.y - this.y;
-                    const len = Math.sqrt(dx * dx + dy * dy);
-                    
-                    if (len > 40 && this.patternData.timer < 0.8) {
-                        this.velocity.x = (dx / len) * this.maxSpeed * 5;
-                        this.velocity.y = (dy / len) * this.maxSpeed * 5;
-                    } else {
-                        // Strike! - with warning
-                        this.showTelegraph = true;
-                        this.telegraphRadius = 60;
-                        this.pendingAttack = {
-                            type: 'melee',
-                            damage: this.damage * 1.3,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.target.x,
-                            targetY: this.target.y,
-                            range: 60,
-                            knockback: 150,
-                            owner: this
-                        };
-                        this.patternStep = 2;
-                        this.patternData.timer = 0;
-                    }
-                } else if (this.patternStep === 2) {
-                    // Brief pause
-                    this.patternData.timer += dt;
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    if (this.patternData.timer > 0.3) {
-                        this.patternStep = 3;
-                        this.patternData.timer = 0;
-                    }
-                } else if (this.patternStep === 3) {
-                    // Dash back
-                    this.patternData.timer += dt;
-                    const dx = this.patternData.startPos.x - this.x;
-                    const dy = this.patternData.startPos.y - this.y;
-                    const len = Math.sqrt(dx * dx + dy * dy);
-                    
-                    if (len > 30 && this.patternData.timer < 0.6) {
-                        this.velocity.x = (dx / len) * this.maxSpeed * 4;
-                        this.velocity.y = (dy / len) * this.maxSpeed * 4;
-                    } else {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'spiralProjectiles':
-                // Fire projectiles in an expanding spiral
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.spiralAngle = (this.patternData.spiralAngle || 0) + dt * 5; // Faster spin
-                this.patternData.shots = this.patternData.shots || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.05) { // Much faster
-                    this.patternData.timer = 0;
-                    this.patternData.shots++;
-                    
-                    // Three arms of spiral
-                    for (let arm = 0; arm < 3; arm++) {
-                        const angle = this.patternData.spiralAngle + arm * (Math.PI * 2 / 3);
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.25,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x + Math.cos(angle) * 200,
-                            targetY: this.y + Math.sin(angle) * 200,
-                            speed: 280,
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.shots >= 50) { // More shots
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'crossPattern':
-                // Fire in + pattern that rotates
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.rotation = (this.patternData.rotation || 0) + dt * 0.8; // Faster rotation
-                this.patternData.waves = this.patternData.waves || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.25) { // Faster waves
-                    this.patternData.timer = 0;
-                    this.patternData.waves++;
-                    
-                    // Fire in 8 directions (double cross pattern)
-                    for (let i = 0; i < 8; i++) {
-                        const angle = this.patternData.rotation + (i * Math.PI / 4);
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.4,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x + Math.cos(angle) * 300,
-                            targetY: this.y + Math.sin(angle) * 300,
-                            speed: 320,
-                            width: 14,
-                            height: 14,
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.waves >= 8) { // More waves
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'multiProjectile':
-                // Fire projectiles in all directions
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                const numProjectiles = 16 + this.bossPhase * 8; // More projectiles
-                for (let i = 0; i < numProjectiles; i++) {
-                    const angle = (i / numProjectiles) * Math.PI * 2;
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.4,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.x + Math.cos(angle) * 200,
-                        targetY: this.y + Math.sin(angle) * 200,
-                        speed: 350, // Faster projectiles
-                        owner: this
-                    };
-                }
-                this.endBossPattern();
-                break;
-            
-            case 'ringCollapse':
-                // Creates a full ring of projectiles around the boss that all fly toward the player's position
-                if (this.patternStep === 0) {
-                    // Setup phase - stop movement and lock player position
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.lockedTargetX = this.target.x; // Lock player position NOW
-                    this.patternData.lockedTargetY = this.target.y;
-                    this.patternData.ringRadius = 100 + Math.random() * 50;
-                    this.patternData.projectileCount = 16 + Math.floor(Math.random() * 8); // 16-24 projectiles for full ring
-                    this.patternData.projectilesSpawned = [];
-                    
-                    // Telegraph - show where ring will form
-                    this.showTelegraph = true;
-                    this.telegraphRadius = this.patternData.ringRadius;
-                    this.telegraphColor = 'rgba(255, 100, 100, 0.3)';
-                    
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    // Spawn projectiles in a full circle around the boss
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.5) { // 0.5 second wind-up
-                        const count = this.patternData.projectileCount;
-                        const radius = this.patternData.ringRadius;
-                        
-                        // Create all projectiles at once for a complete ring
-                        for (let i = 0; i < count; i++) {
-                            const angle = (i / count) * Math.PI * 2; // Full 360 degrees
-                            const spawnX = this.x + Math.cos(angle) * radius;
-                            const spawnY = this.y + Math.sin(angle) * radius;
-                            
-                            this.patternData.projectilesSpawned.push({
-                                x: spawnX,
-                                y: spawnY,
-                                angle: angle
-                            });
-                        }
-                        
-                        this.patternData.timer = 0;
-                        this.patternStep = 2;
-                    }
-                } else if (this.patternStep === 2) {
-                    // Brief pause with projectiles visible at ring positions
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.3) { // 0.3 second pause before firing
-                        // Fire all projectiles toward the LOCKED player position using pendingAttacks array
-                        const targetX = this.patternData.lockedTargetX;
-                        const targetY = this.patternData.lockedTargetY;
-                        
-                        // Initialize pendingAttacks array if needed
-                        if (!this.pendingAttacks) this.pendingAttacks = [];
-                        
-                        for (const proj of this.patternData.projectilesSpawned) {
-                            this.pendingAttacks.push({
-                                type: 'projectile',
-                                damage: this.damage * 0.3,
-                                x: proj.x,
-                                y: proj.y,
-                                targetX: targetX, // All projectiles converge on locked position
-                                targetY: targetY,
-                                speed: 280,
-                                element: this.bossElement || 'fire',
-                                owner: this
-                            });
-                        }
-                        
-                        this.showTelegraph = false;
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'omniDirectional':
-                // Multiple waves of all-direction projectiles
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.waves = this.patternData.waves || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.25) { // Faster waves
-                    this.patternData.timer = 0;
-                    this.patternData.waves++;
-                    
-                    const projectiles = 20; // More projectiles per wave
-                    const angleOffset = this.patternData.waves * 0.15; // Rotate each wave
-                    
-                    // Use pendingAttacks array for all projectiles at once
-                    if (!this.pendingAttacks) this.pendingAttacks = [];
-                    
-                    for (let i = 0; i < projectiles; i++) {
-                        const angle = angleOffset + (i / projectiles) * Math.PI * 2;
-                        this.pendingAttacks.push({
-                            type: 'projectile',
-                            damage: this.damage * 0.35,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x + Math.cos(angle) * 200,
-                            targetY: this.y + Math.sin(angle) * 200,
-                            speed: 300,
-                            owner: this
-                        });
-                    }
-                    
-                    if (this.patternData.waves >= 7) { // More waves
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'trackingSwarm':
-                // Spawn many tracking orbs in rapid succession
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.spawned = this.patternData.spawned || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.15 && this.patternData.spawned < 20) {
-                    this.patternData.timer = 0;
-                    this.patternData.spawned++;
-                    
-                    const angle = Math.random() * Math.PI * 2;
-                    const dist = 80 + Math.random() * 60;
-                    
-                    this.trackingOrbs.push({
-                        x: this.x + Math.cos(angle) * dist,
-                        y: this.y + Math.sin(angle) * dist,
-                        speed: 180,
-                        damage: this.damage * 0.35,
-                        timer: 4,
-                        phase: 'tracking',
-                        lockRadius: 40
-                    });
-                }
-                
-                if (this.patternData.spawned >= 20 && this.trackingOrbs.length === 0) {
-                    this.endBossPattern();
-                }
-                break;
-                
-            case 'rageDash':
-                // 5 chained dashes to random coordinates within room bounds
-                this.patternData.dashes = this.patternData.dashes || 0;
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.dashPhase = this.patternData.dashPhase || 'windup';
-                
-                if (this.patternData.dashPhase === 'windup') {
-                    // Brief telegraph before dash chain
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.isBossDashing = true;
-                    
-                    if (this.patternData.timer > 0.15) {
-                        // Pick random target within room (radius of 150 from current position)
-                        const dashRadius = 100 + Math.random() * 80;
-                        const dashAngle = Math.random() * Math.PI * 2;
-                        this.patternData.dashTarget = {
-                            x: this.x + Math.cos(dashAngle) * dashRadius,
-                            y: this.y + Math.sin(dashAngle) * dashRadius
-                        };
-                        
-                        // Add afterimage at start position
-                        this.bossDashTrail.push({
-                            x: this.x,
-                            y: this.y,
-                            alpha: 1.0,
-                            time: 0.4,
-                            color: this.color
-                        });
-                        
-                        // Signal to play dash sound
-                        this.playDashSound = true;
-                        
-                        this.patternData.dashPhase = 'dashing';
-                        this.patternData.timer = 0;
-                    }
-                } else if (this.patternData.dashPhase === 'dashing') {
-                    // Dash towards target at high speed
-                    const dx = this.patternData.dashTarget.x - this.x;
-                    const dy = this.patternData.dashTarget.y - this.y;
-                    const len = Math.sqrt(dx * dx + dy * dy);
-                    
-                    // Add intermediate afterimages during dash
-                    if (Math.random() < 0.5) {
-                        this.bossDashTrail.push({
-                            x: this.x,
-                            y: this.y,
-                            alpha: 0.6,
-                            time: 0.25,
-                            color: this.color
-                        });
-                    }
-                    
-                    if (len > 20) {
-                        // Very fast dash movement
-                        this.velocity.x = (dx / len) * this.maxSpeed * 8;
-                        this.velocity.y = (dy / len) * this.maxSpeed * 8;
-                        this.facing.x = dx / len;
-                        this.facing.y = dy / len;
-                    } else {
-                        // Arrived at destination - attack and prepare next dash
-                        this.velocity.x = 0;
-                        this.velocity.y = 0;
-                        
-                        // Melee strike on arrival with knockback
-                        this.pendingAttack = {
-                            type: 'melee',
-                            damage: this.damage * 1.3,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.target.x,
-                            targetY: this.target.y,
-                            range: 60,
-                            knockback: 130,
-                            owner: this
-                        };
-                        
-                        this.patternData.dashes++;
-                        this.patternData.timer = 0;
-                        
-                        if (this.patternData.dashes >= 5) {
-                            // End the chain
-                            this.isBossDashing = false;
-                            this.endBossPattern();
-                        } else {
-                            // Quick pause then next dash
-                            this.patternData.dashPhase = 'windup';
-                        }
-                    }
-                }
-                break;
-                
-            case 'ultimateBlast':
-                // Huge AOE explosion - VERY telegraphed so player can dodge
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternStep = 1;
-                    // Show big warning telegraph
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 200;
-                    this.telegraphColor = 'rgba(255, 0, 0, 0.3)';
-                } else if (this.patternStep === 1) {
-                    // Long charge up (warning period) - player has 2.5 seconds to escape
-                    this.patternData.timer += dt;
-                    // Pulsing telegraph gets more intense
-                    this.telegraphRadius = 200 + Math.sin(this.patternData.timer * 8) * 20;
-                    
-                    if (this.patternData.timer > 2.5) {
-                        // BOOM! - reduced damage, very avoidable
-                        this.showTelegraph = false;
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 1.2,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x,
-                            targetY: this.y,
-                            radius: 200,
-                            owner: this
-                        };
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            // ========== SIGNATURE MOVES ==========
-            
-            case 'signatureAnkh':
-                // Pharaoh: Lightning Storm - multiple lightning strikes around arena
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.strikes = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    // Spawn lightning zones in rapid succession
-                    if (this.patternData.timer > 0.15 && this.patternData.strikes < 12) {
-                        this.patternData.timer = 0;
-                        this.patternData.strikes++;
-                        
-                        // Target player position with some spread
-                        const spreadX = (Math.random() - 0.5) * 200;
-                        const spreadY = (Math.random() - 0.5) * 200;
-                        this.spawnLightningZone(
-                            this.target.x + spreadX,
-                            this.target.y + spreadY,
-                            this.lightningStrikeDelay,
-                            70
-                        );
-                    }
-                    
-                    // Also fire an ankh projectile
-                    if (this.patternData.strikes === 6) {
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.8,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.target.x,
-                            targetY: this.target.y,
-                            speed: 250,
-                            width: 48,
-                            height: 48,
-                            element: 'lightning',
-                            effects: [{ type: 'stun', duration: 1.5 }],
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.strikes >= 12) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'signatureCerberus':
-                // Cerberus: Triple lightning breath (3 directions)
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.bursts = this.patternData.bursts || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.06) {
-                    this.patternData.timer = 0;
-                    this.patternData.bursts++;
-                    
-                    const baseAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    
-                    // Three heads breathing lightning
-                    for (let head = -1; head <= 1; head++) {
-                        const angle = baseAngle + head * 0.4;
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.3,
-                            x: this.x + Math.cos(angle) * 30,
-                            y: this.y + Math.sin(angle) * 30,
-                            targetX: this.x + Math.cos(angle) * 300,
-                            targetY: this.y + Math.sin(angle) * 300,
-                            speed: 450,
-                            element: 'lightning',
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.bursts >= 30) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'signatureWebPrison':
-                // Spider Queen: Surround player with web projectiles
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    if (this.patternData.timer > 0.8) {
-                        // Create web prison around player
-                        const webCount = 16;
-                        for (let i = 0; i < webCount; i++) {
-                            const angle = (i / webCount) * Math.PI * 2;
-                            const dist = 150;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.4,
-                                x: this.target.x + Math.cos(angle) * dist,
-                                y: this.target.y + Math.sin(angle) * dist,
-                                targetX: this.target.x,
-                                targetY: this.target.y,
-                                speed: 180,
-                                element: 'poison',
-                                effects: [{ type: 'slow', duration: 3, amount: 0.5 }],
-                                owner: this
-                            };
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'signatureDivineJudgment':
-                // Archangel: Rain of holy light from above
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.strikes = this.patternData.strikes || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.15) {
-                    this.patternData.timer = 0;
-                    this.patternData.strikes++;
-                    
-                    // Random position near player
-                    const offsetX = (Math.random() - 0.5) * 200;
-                    const offsetY = (Math.random() - 0.5) * 200;
-                    
-                    this.pendingAttack = {
-                        type: 'aoe',
-                        damage: this.damage * 0.6,
-                        x: this.target.x + offsetX,
-                        y: this.target.y + offsetY,
-                        targetX: this.target.x + offsetX,
-                        targetY: this.target.y + offsetY,
-                        radius: 50,
-                        duration: 0.3,
-                        element: 'holy',
-                        owner: this
-                    };
-                    
-                    if (this.patternData.strikes >= 15) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'signatureSystemOverload':
-                // Master AI: Grid of laser beams
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    if (this.patternData.timer > 0.5) {
-                        // Create grid of lasers
-                        for (let x = -2; x <= 2; x++) {
-                            for (let y = -2; y <= 2; y++) {
-                                if (x === 0 && y === 0) continue;
-                                this.pendingAttack = {
-                                    type: 'projectile',
-                                    damage: this.damage * 0.35,
-                                    x: this.x,
-                                    y: this.y,
-                                    targetX: this.x + x * 100,
-                                    targetY: this.y + y * 100,
-                                    speed: 350,
-                                    element: 'lightning',
-                                    owner: this
-                                };
-                            }
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'signatureSeismicSlam':
-                // Ancient Golem: Ground pound with shockwaves
-                if (this.patternStep === 0) {
-                    // Jump up (telegraph)
-                    this.velocity.x = 0;
-                    this.velocity.y = -200;
-                    this.patternData.timer = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    if (this.patternData.timer > 0.5) {
-                        // Slam down at player position
-                        this.x = this.target.x;
-                        this.y = this.target.y;
-                        this.velocity.x = 0;
-                        this.velocity.y = 0;
-                        
-                        // Create expanding shockwaves
-                        for (let ring = 1; ring <= 3; ring++) {
-                            this.pendingAttack = {
-                                type: 'aoe',
-                                damage: this.damage * (1.5 - ring * 0.3),
-                                x: this.x,
-                                y: this.y,
-                                targetX: this.x,
-                                targetY: this.y,
-                                radius: 60 * ring,
-                                duration: 0.3 + ring * 0.2,
-                                element: 'earth',
-                                owner: this
-                            };
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            // ========== ORIGINAL BOSS SIGNATURES ==========
-            
-            case 'signatureSkeletonKing':
-                // Skeleton King: Army of the Damned - summon skeleton army + royal ground slam
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.summons = 0;
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 180;
-                    this.telegraphColor = 'rgba(200, 180, 140, 0.4)';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    // Summon skeletons in waves
-                    if (this.patternData.timer > 0.3 && this.patternData.summons < 8) {
-                        this.patternData.timer = 0;
-                        this.patternData.summons++;
-                        
-                        const angle = (this.patternData.summons / 8) * Math.PI * 2;
-                        this.pendingMobSpawn = {
-                            type: 'skeleton',
-                            count: 1,
-                            x: this.x + Math.cos(angle) * 120,
-                            y: this.y + Math.sin(angle) * 120
-                        };
-                    }
-                    
-                    if (this.patternData.summons >= 8) {
-                        this.patternStep = 2;
-                        this.patternData.timer = 0;
-                    }
-                } else if (this.patternStep === 2) {
-                    // Royal ground slam finale
-                    this.patternData.timer += dt;
-                    this.telegraphRadius = 180 + Math.sin(this.patternData.timer * 10) * 30;
-                    
-                    if (this.patternData.timer > 1) {
-                        this.showTelegraph = false;
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 1.5,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x,
-                            targetY: this.y,
-                            radius: 180,
-                            element: 'dark',
-                            owner: this
-                        };
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'signatureDragonLord':
-                // Dragon Lord: Inferno Apocalypse - carpet bombing + final breath
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.bombRuns = 0;
-                    this.patternData.flightY = this.y - 100;
-                    // Rise up
-                    this.y -= 50;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    // Drop fire bombs across the arena
-                    if (this.patternData.timer > 0.2 && this.patternData.bombRuns < 12) {
-                        this.patternData.timer = 0;
-                        this.patternData.bombRuns++;
-                        
-                        // Firebombs spread across arena
-                        const spread = 200;
-                        this.spawnLightningZone(
-                            this.target.x + (Math.random() - 0.5) * spread * 2,
-                            this.target.y + (Math.random() - 0.5) * spread,
-                            0.8, // Shorter delay - must dodge fast!
-                            80
-                        );
-                    }
-                    
-                    if (this.patternData.bombRuns >= 12) {
-                        this.patternStep = 2;
-                        this.patternData.timer = 0;
-                    }
-                } else if (this.patternStep === 2) {
-                    // Final sweeping fire breath
-                    this.patternData.timer += dt;
-                    this.patternData.breathAngle = this.patternData.breathAngle || Math.atan2(this.target.y - this.y, this.target.x - this.x) - Math.PI / 3;
-                    
-                    // Sweep fire breath
-                    if (this.patternData.timer > 0.05) {
-                        this.patternData.timer = 0;
-                        this.patternData.breathAngle += 0.1;
-                        
-                        for (let i = 0; i < 3; i++) {
-                            const spreadAngle = this.patternData.breathAngle + (i - 1) * 0.1;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.4,
-                                x: this.x,
-                                y: this.y,
-                                targetX: this.x + Math.cos(spreadAngle) * 400,
-                                targetY: this.y + Math.sin(spreadAngle) * 400,
-                                speed: 400,
-                                element: 'fire',
-                                owner: this
-                            };
-                        }
-                        
-                        // Check if sweep complete
-                        if (this.patternData.breathAngle > Math.atan2(this.target.y - this.y, this.target.x - this.x) + Math.PI / 3) {
-                            this.y += 50; // Return to ground
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-                
-            case 'signatureLichKing':
-                // Lich King: Soul Harvest - drain life + death nova
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.orbsLaunched = 0;
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 250;
-                    this.telegraphColor = 'rgba(80, 0, 120, 0.4)';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    // Soul orbs spiral outward
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.1 && this.patternData.orbsLaunched < 24) {
-                        this.patternData.timer = 0;
-                        this.patternData.orbsLaunched++;
-                        
-                        const spiralAngle = (this.patternData.orbsLaunched / 24) * Math.PI * 4;
-                        this.trackingOrbs.push({
-                            x: this.x,
-                            y: this.y,
-                            vx: Math.cos(spiralAngle) * 200,
-                            vy: Math.sin(spiralAngle) * 200,
-                            speed: 200,
-                            damage: this.damage * 0.3,
-                            timer: 3,
-                            phase: 'locked',
-                            element: 'dark'
-                        });
-                    }
-                    
-                    if (this.patternData.orbsLaunched >= 24) {
-                        this.patternStep = 2;
-                        this.patternData.timer = 0;
-                    }
-                } else if (this.patternStep === 2) {
-                    // Death Nova - heal self if player still in range
-                    this.patternData.timer += dt;
-                    this.telegraphRadius = 250 - this.patternData.timer * 200;
-                    
-                    if (this.patternData.timer > 1) {
-                        this.showTelegraph = false;
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 1.2,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x,
-                            targetY: this.y,
-                            radius: 250,
-                            element: 'dark',
-                            owner: this
-                        };
-                        // Heal self a bit
-                        this.health = Math.min(this.maxHealth, this.health + this.maxHealth * 0.05);
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            // ========== NEW DYNAMIC PATTERNS ==========
-            
-            case 'groundSlam':
-                // Slam the ground creating expanding shockwave
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    if (this.patternData.timer > 0.4) {
-                        // Create shockwave ring
-                        for (let i = 0; i < 16; i++) {
-                            const angle = (i / 16) * Math.PI * 2;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.6,
-                                x: this.x,
-                                y: this.y,
-                                targetX: this.x + Math.cos(angle) * 400,
-                                targetY: this.y + Math.sin(angle) * 400,
-                                speed: 250,
-                                width: 24,
-                                height: 24,
-                                owner: this
-                            };
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'teleportStrike':
-                // Dash behind player with afterimages and strike (was teleport)
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.startPos = { x: this.x, y: this.y };
-                    // Calculate target position behind player
-                    const angleToPlayer = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    this.patternData.targetPos = {
-                        x: this.target.x - Math.cos(angleToPlayer) * 60,
-                        y: this.target.y - Math.sin(angleToPlayer) * 60
-                    };
-                    // Show warning line
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 40;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    // Wind-up with telegraph
-                    this.patternData.timer += dt;
-                    if (this.patternData.timer > 0.4) {
-                        this.showTelegraph = false;
-                        this.isBossDashing = true;
-                        this.patternStep = 2;
-                        this.patternData.timer = 0;
-                    }
-                } else if (this.patternStep === 2) {
-                    // Dash with afterimages
-                    this.patternData.timer += dt;
-                    const dashProgress = Math.min(this.patternData.timer / 0.2, 1);
-                    
-                    // Interpolate position
-                    const prevX = this.x;
-                    const prevY = this.y;
-                    this.x = this.patternData.startPos.x + (this.patternData.targetPos.x - this.patternData.startPos.x) * dashProgress;
-                    this.y = this.patternData.startPos.y + (this.patternData.targetPos.y - this.patternData.startPos.y) * dashProgress;
-                    
-                    // Add afterimage trail
-                    if (this.patternData.timer % 0.03 < 0.016) {
-                        this.bossDashTrail.push({
-                            x: prevX,
-                            y: prevY,
-                            alpha: 1.0,
-                            time: 0.3,
-                            color: this.getElementColor(this.bossElement)
-                        });
-                    }
-                    
-                    if (dashProgress >= 1) {
-                        this.isBossDashing = false;
-                        this.patternStep = 3;
-                        this.patternData.timer = 0;
-                    }
-                } else if (this.patternStep === 3) {
-                    // Strike - with warning telegraph
-                    this.patternData.timer += dt;
-                    // Add warning flash before strike
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 80;
-                    if (this.patternData.timer > 0.35) {
-                        this.showTelegraph = false;
-                        this.pendingAttack = {
-                            type: 'melee',
-                            damage: this.damage * 1.2,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.target.x,
-                            targetY: this.target.y,
-                            range: 80,
-                            owner: this
-                        };
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'summonMinions':
-                // Summon tracking projectiles that act as minions
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    if (this.patternData.timer > 0.6) {
-                        // Spawn minion orbs in circle
-                        const minionCount = 4 + this.bossPhase * 2;
-                        for (let i = 0; i < minionCount; i++) {
-                            const angle = (i / minionCount) * Math.PI * 2;
-                            this.trackingOrbs.push({
-                                x: this.x + Math.cos(angle) * 60,
-                                y: this.y + Math.sin(angle) * 60,
-                                speed: 120,
-                                damage: this.damage * 0.4,
-                                timer: 8,
-                                phase: 'tracking',
-                                lockRadius: 30
-                            });
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'shadowClones':
-                // Create shadow clones - player must hit the real boss!
-                // Fake clones disappear when hit, real boss takes damage
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                
-                if (this.patternStep === 0) {
-                    // Initialize - spawn clones around arena
-                    this.patternData.clones = [];
-                    this.patternData.realIndex = Math.floor(Math.random() * 5); // Which one is real (0-4)
-                    this.patternData.clonesAlive = 5;
-                    this.shadowCloneActive = true;
-                    this.shadowClones = [];
-                    
-                    // Store original position
-                    this.patternData.originalX = this.x;
-                    this.patternData.originalY = this.y;
-                    
-                    // Create 5 positions in a circle
-                    const centerX = this.x;
-                    const centerY = this.y;
-                    const radius = 150;
-                    
-                    for (let i = 0; i < 5; i++) {
-                        const angle = (i / 5) * Math.PI * 2;
-                        const cloneX = centerX + Math.cos(angle) * radius;
-                        const cloneY = centerY + Math.sin(angle) * radius;
-                        
-                        this.patternData.clones.push({
-                            x: cloneX,
-                            y: cloneY,
-                            isReal: i === this.patternData.realIndex,
-                            alive: true,
-                            alpha: 1,
-                            attackTimer: 0.5 + Math.random() * 0.5
-                        });
-                        
-                        // Add to visible clones for rendering
-                        this.shadowClones.push({
-                            x: cloneX,
-                            y: cloneY,
-                            isReal: i === this.patternData.realIndex,
-                            alive: true,
-                            alpha: 1
-                        });
-                    }
-                    
-                    // Move real boss to the "real" clone position
-                    const realClone = this.patternData.clones[this.patternData.realIndex];
-                    this.x = realClone.x;
-                    this.y = realClone.y;
-                    
-                    this.patternStep = 1;
-                    this.patternData.timer = 0;
-                } else if (this.patternStep === 1) {
-                    // Main phase - clones attack, player hunts the real one
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    
-                    // Update clone attack timers
-                    for (let i = 0; i < this.patternData.clones.length; i++) {
-                        const clone = this.patternData.clones[i];
-                        if (!clone.alive) continue;
-                        
-                        clone.attackTimer -= dt;
-                        if (clone.attackTimer <= 0) {
-                            clone.attackTimer = 0.8 + Math.random() * 0.4;
-                            
-                            // Fire projectile at player
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.25,
-                                x: clone.x,
-                                y: clone.y,
-                                targetX: this.target.x,
-                                targetY: this.target.y,
-                                speed: 300,
-                                owner: this
-                            };
-                        }
-                        
-                        // Sync visual clone
-                        if (this.shadowClones[i]) {
-                            this.shadowClones[i].alive = clone.alive;
-                            this.shadowClones[i].alpha = clone.alpha;
-                        }
-                    }
-                    
-                    // Check timeout or all fake clones destroyed
-                    const fakeClones = this.patternData.clones.filter(c => !c.isReal && c.alive);
-                    if (this.patternData.timer > 8 || fakeClones.length === 0) {
-                        this.patternStep = 2;
-                        this.patternData.timer = 0;
-                    }
-                } else if (this.patternStep === 2) {
-                    // End phase - reveal real boss with flourish
-                    this.shadowCloneActive = false;
-                    this.shadowClones = [];
-                    
-                    // Return to original position if needed
-                    const realClone = this.patternData.clones[this.patternData.realIndex];
-                    this.x = realClone.x;
-                    this.y = realClone.y;
-                    
-                    this.endBossPattern();
-                }
-                break;
-                
-            case 'vortexPull':
-                // Pull player towards boss then explode
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer < 1.5) {
-                    // Pull effect - create a projectile that pushes player toward boss
-                    if (this.patternData.timer > 0.1 && !this.patternData.pulling) {
-                        this.patternData.pulling = true;
-                        // We'll use a tracking orb going towards the player that when near applies pull
-                    }
-                } else {
-                    // Explosion at boss location
-                    this.pendingAttack = {
-                        type: 'aoe',
-                        damage: this.damage * 1.5,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.x,
-                        targetY: this.y,
-                        radius: 150,
-                        owner: this
-                    };
-                    this.endBossPattern();
-                }
-                break;
-                
-            case 'deathRay':
-                // Continuous beam attack sweeping across the arena
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.angle = this.patternData.angle || Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                this.patternData.shots = this.patternData.shots || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                // Rotate the beam
-                this.patternData.angle += dt * 1.5;
-                
-                if (this.patternData.timer > 0.03) {
-                    this.patternData.timer = 0;
-                    this.patternData.shots++;
-                    
-                    // Fire beam projectile
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.2,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.x + Math.cos(this.patternData.angle) * 500,
-                        targetY: this.y + Math.sin(this.patternData.angle) * 500,
-                        speed: 600,
-                        width: 8,
-                        height: 8,
-                        owner: this
-                    };
-                    
-                    if (this.patternData.shots >= 80) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'meteorStorm':
-                // Rain of projectiles from above targeting player's area
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.meteors = this.patternData.meteors || 0;
-                
-                // Move around while casting
-                if (this.target) {
-                    const angle = Math.atan2(this.target.y - this.y, this.target.x - this.x) + Math.PI / 2;
-                    this.velocity.x = Math.cos(angle) * this.maxSpeed * 0.5;
-                    this.velocity.y = Math.sin(angle) * this.maxSpeed * 0.5;
-                }
-                
-                if (this.patternData.timer > 0.12) {
-                    this.patternData.timer = 0;
-                    this.patternData.meteors++;
-                    
-                    // Random position near player
-                    const offsetX = (Math.random() - 0.5) * 250;
-                    const offsetY = (Math.random() - 0.5) * 250;
-                    
-                    // Create AOE at that location
-                    this.pendingAttack = {
-                        type: 'aoe',
-                        damage: this.damage * 0.5,
-                        x: this.target.x + offsetX,
-                        y: this.target.y + offsetY,
-                        targetX: this.target.x + offsetX,
-                        targetY: this.target.y + offsetY,
-                        radius: 45,
-                        duration: 0.2,
-                        owner: this
-                    };
-                    
-                    if (this.patternData.meteors >= 25) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            // ========== DYNAMIC PROJECTILE PATTERNS ==========
-            
-            case 'bulletHellSpiral':
-                // Beautiful spiral pattern that expands outward
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.angle = (this.patternData.angle || 0);
-                this.patternData.shots = this.patternData.shots || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                // Fire 3 projectiles per interval at rotating angles
-                if (this.patternData.timer > 0.05) {
-                    this.patternData.timer = 0;
-                    this.patternData.shots++;
-                    
-                    // Fire 3 projectiles in a rotating pattern
-                    for (let i = 0; i < 3; i++) {
-                        const angle = this.patternData.angle + (i * Math.PI * 2 / 3);
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.25,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x + Math.cos(angle) * 300,
-                            targetY: this.y + Math.sin(angle) * 300,
-                            speed: 200 + this.patternData.shots * 3, // Speed increases over time
-                            width: 10,
-                            height: 10,
-                            owner: this
-                        };
-                    }
-                    
-                    this.patternData.angle += 0.15; // Rotate spiral
-                    
-                    if (this.patternData.shots >= 60) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'bulletHellFlower':
-                // Multiple spirals creating a flower-like pattern
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.angle = (this.patternData.angle || 0);
-                this.patternData.shots = this.patternData.shots || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.08) {
-                    this.patternData.timer = 0;
-                    this.patternData.shots++;
-                    
-                    // 5 petals of the flower
-                    const petals = 5;
-                    for (let p = 0; p < petals; p++) {
-                        const petalAngle = this.patternData.angle + (p * Math.PI * 2 / petals);
-                        // Alternate spiral direction per petal
-                        const spiralMod = p % 2 === 0 ? 1 : -1;
-                        const angle = petalAngle + Math.sin(this.patternData.shots * 0.2) * spiralMod * 0.5;
-                        
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.2,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x + Math.cos(angle) * 300,
-                            targetY: this.y + Math.sin(angle) * 300,
-                            speed: 180,
-                            width: 8,
-                            height: 8,
-                            owner: this
-                        };
-                    }
-                    
-                    this.patternData.angle += 0.08;
-                    
-                    if (this.patternData.shots >= 50) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'bouncingOrbs':
-                // Projectiles that bounce off invisible walls
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.orbs = [];
-                    
-                    // Spawn 8 bouncing orbs
-                    for (let i = 0; i < 8; i++) {
-                        const angle = (i / 8) * Math.PI * 2;
-                        this.patternData.orbs.push({
-                            x: this.x,
-                            y: this.y,
-                            vx: Math.cos(angle) * 200,
-                            vy: Math.sin(angle) * 200,
-                            bounces: 0,
-                            maxBounces: 4,
-                            alive: true
-                        });
-                    }
-                    this.patternStep = 1;
-                    this.patternData.timer = 0;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    // Update bouncing orbs
-                    for (const orb of this.patternData.orbs) {
-                        if (!orb.alive) continue;
-                        
-                        orb.x += orb.vx * dt;
-                        orb.y += orb.vy * dt;
-                        
-                        // Bounce off boundaries (room bounds approximation)
-                        const boundsX = 300;
-                        const boundsY = 300;
-                        if (Math.abs(orb.x - this.x) > boundsX) {
-                            orb.vx *= -1;
-                            orb.bounces++;
-                        }
-                        if (Math.abs(orb.y - this.y) > boundsY) {
-                            orb.vy *= -1;
-                            orb.bounces++;
-                        }
-                        
-                        if (orb.bounces >= orb.maxBounces) {
-                            orb.alive = false;
-                        }
-                        
-                        // Create projectile at orb position
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.3,
-                            x: orb.x,
-                            y: orb.y,
-                            targetX: orb.x + orb.vx * 0.1,
-                            targetY: orb.y + orb.vy * 0.1,
-                            speed: 0,
-                            width: 16,
-                            height: 16,
-                            duration: 0.1,
-                            owner: this
-                        };
-                    }
-                    
-                    // Check if all orbs dead or timeout
-                    const aliveOrbs = this.patternData.orbs.filter(o => o.alive).length;
-                    if (aliveOrbs === 0 || this.patternData.timer > 6) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'laserSweep':
-                // Rotating laser beam that sweeps across the arena
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.angle = (this.patternData.angle || 0);
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                // Show telegraph
-                this.showTelegraph = true;
-                this.telegraphRadius = 40;
-                
-                // Fire a line of projectiles forming the laser
-                if (this.patternData.timer > 0.03) {
-                    this.patternData.timer = 0;
-                    
-                    // Create laser beam from multiple projectiles
-                    for (let dist = 30; dist < 250; dist += 25) {
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.2,
-                            x: this.x + Math.cos(this.patternData.angle) * dist,
-                            y: this.y + Math.sin(this.patternData.angle) * dist,
-                            targetX: this.x + Math.cos(this.patternData.angle) * (dist + 10),
-                            targetY: this.y + Math.sin(this.patternData.angle) * (dist + 10),
-                            speed: 50,
-                            width: 12,
-                            height: 12,
-                            duration: 0.1,
-                            owner: this
-                        };
-                    }
-                }
-                
-                this.patternData.angle += dt * 1.5; // Rotate the laser
-                
-                if (this.patternData.angle > Math.PI * 4) { // Two full rotations
-                    this.showTelegraph = false;
-                    this.endBossPattern();
-                }
-                break;
-                
-            case 'homingMissileBarrage':
-                // Fire missiles that home in on player
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.missiles = this.patternData.missiles || 0;
-                
-                // Move away from player while firing
-                if (this.target) {
-                    const dx = this.x - this.target.x;
-                    const dy = this.y - this.target.y;
-                    const len = Math.sqrt(dx * dx + dy * dy);
-                    if (len > 0 && len < 200) {
-                        this.velocity.x = (dx / len) * this.maxSpeed * 0.8;
-                        this.velocity.y = (dy / len) * this.maxSpeed * 0.8;
-                    }
-                }
-                
-                if (this.patternData.timer > 0.25) {
-                    this.patternData.timer = 0;
-                    this.patternData.missiles++;
-                    
-                    // Spawn a tracking orb that homes in
-                    const angle = Math.random() * Math.PI * 2;
-                    this.trackingOrbs.push({
-                        x: this.x + Math.cos(angle) * 40,
-                        y: this.y + Math.sin(angle) * 40,
-                        speed: 250 + Math.random() * 100,
-                        damage: this.damage * 0.4,
-                        timer: 4,
-                        phase: 'tracking',
-                        lockRadius: 30
-                    });
-                    
-                    if (this.patternData.missiles >= 12) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'voidRift':
-                // Create a vortex that pulls player in and fires projectiles outward
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.riftX = this.target.x;
-                    this.patternData.riftY = this.target.y;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    // Pull player towards rift center (handled via game physics)
-                    // Fire projectiles outward from rift in expanding rings
-                    if (Math.floor(this.patternData.timer * 4) > Math.floor((this.patternData.timer - dt) * 4)) {
-                        const numProjectiles = 12;
-                        for (let i = 0; i < numProjectiles; i++) {
-                            const angle = (i / numProjectiles) * Math.PI * 2 + this.patternData.timer;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.3,
-                                x: this.patternData.riftX,
-                                y: this.patternData.riftY,
-                                targetX: this.patternData.riftX + Math.cos(angle) * 400,
-                                targetY: this.patternData.riftY + Math.sin(angle) * 400,
-                                speed: 150,
-                                width: 14,
-                                height: 14,
-                                owner: this
-                            };
-                        }
-                    }
-                    
-                    // Also create AOE damage at rift center
-                    if (this.patternData.timer > 0.5 && Math.floor(this.patternData.timer * 2) > Math.floor((this.patternData.timer - dt) * 2)) {
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 0.4,
-                            x: this.patternData.riftX,
-                            y: this.patternData.riftY,
-                            targetX: this.patternData.riftX,
-                            targetY: this.patternData.riftY,
-                            radius: 60,
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.timer > 4) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            // ========== PHARAOH UNIQUE PATTERNS ==========
-            
-            case 'lightningChain':
-                // Pharaoh dashes and leaves chain of lightning strikes behind
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.dashTarget = { x: this.target.x, y: this.target.y };
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    // Dash towards player, spawning lightning zones along path
-                    const dx = this.patternData.dashTarget.x - this.x;
-                    const dy = this.patternData.dashTarget.y - this.y;
-                    const len = Math.sqrt(dx * dx + dy * dy);
-                    
-                    if (len > 30) {
-                        this.velocity.x = (dx / len) * this.maxSpeed * 5;
-                        this.velocity.y = (dy / len) * this.maxSpeed * 5;
-                        
-                        // Spawn lightning zones along the path
-                        this.patternData.timer += dt;
-                        if (this.patternData.timer > 0.08) {
-                            this.patternData.timer = 0;
-                            this.spawnLightningZone(this.x, this.y, 0.3, 50);
-                        }
-                    } else {
-                        this.velocity.x = 0;
-                        this.velocity.y = 0;
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'sandstormLightning':
-                // Pharaoh creates random lightning strikes around the arena
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.strikes = this.patternData.strikes || 0;
-                
-                // Strafe while casting
-                if (this.target) {
-                    const angle = Math.atan2(this.target.y - this.y, this.target.x - this.x) + Math.PI / 2;
-                    this.velocity.x = Math.cos(angle) * this.maxSpeed * 0.8;
-                    this.velocity.y = Math.sin(angle) * this.maxSpeed * 0.8;
-                }
-                
-                if (this.patternData.timer > 0.2) {
-                    this.patternData.timer = 0;
-                    this.patternData.strikes++;
-                    
-                    // Random position in arena around player
-                    const angle = Math.random() * Math.PI * 2;
-                    const dist = 50 + Math.random() * 150;
-                    this.spawnLightningZone(
-                        this.target.x + Math.cos(angle) * dist,
-                        this.target.y + Math.sin(angle) * dist,
-                        0.4,
-                        60
-                    );
-                    
-                    if (this.patternData.strikes >= 15) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'pyramidStrike':
-                // Pharaoh creates a triangle pattern of lightning around player
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    if (this.patternData.timer > 0.4) {
-                        // Create triangle of lightning
-                        for (let i = 0; i < 3; i++) {
-                            const angle = (i / 3) * Math.PI * 2 - Math.PI / 2;
-                            const dist = 100;
-                            this.spawnLightningZone(
-                                this.target.x + Math.cos(angle) * dist,
-                                this.target.y + Math.sin(angle) * dist,
-                                0.5,
-                                70
-                            );
-                        }
-                        // And one directly on player
-                        this.spawnLightningZone(this.target.x, this.target.y, 0.6, 50);
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            case 'scarabSwarm':
-                // Swarm of homing scarab projectiles
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.scarabs = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.15) {
-                        this.patternData.timer = 0;
-                        this.patternData.scarabs++;
-                        
-                        // Spawn tracking scarab orb
-                        const angle = Math.random() * Math.PI * 2;
-                        const offsetDist = 30 + Math.random() * 30;
-                        this.trackingOrbs.push({
-                            x: this.x + Math.cos(angle) * offsetDist,
-                            y: this.y + Math.sin(angle) * offsetDist,
-                            vx: 0,
-                            vy: 0,
-                            speed: 140 + Math.random() * 60,
-                            damage: this.damage * 0.25,
-                            timer: 4,
-                            phase: 'tracking',
-                            lockRadius: 35,
-                            element: 'lightning'
-                        });
-                        
-                        if (this.patternData.scarabs >= 12) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-            
-            case 'sandTornado':
-                // Spinning sand projectile tornado
-                if (this.patternStep === 0) {
-                    this.patternData.timer = 0;
-                    this.patternData.spinAngle = 0;
-                    this.patternData.shots = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    this.patternData.spinAngle += dt * 6;
-                    
-                    // Strafe around player
-                    const strafeAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x) + Math.PI / 2;
-                    this.velocity.x = Math.cos(strafeAngle) * this.maxSpeed;
-                    this.velocity.y = Math.sin(strafeAngle) * this.maxSpeed;
-                    
-                    if (this.patternData.timer > 0.08) {
-                        this.patternData.timer = 0;
-                        this.patternData.shots++;
-                        
-                        // Spiral outward projectiles
-                        for (let i = 0; i < 2; i++) {
-                            const angle = this.patternData.spinAngle + i * Math.PI;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.25,
-                                x: this.x,
-                                y: this.y,
-                                targetX: this.x + Math.cos(angle) * 350,
-                                targetY: this.y + Math.sin(angle) * 350,
-                                speed: 280,
-                                element: 'lightning',
-                                owner: this
-                            };
-                        }
-                        
-                        if (this.patternData.shots >= 40) {
-                            this.velocity.x = 0;
-                            this.velocity.y = 0;
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-            
-            case 'curseOfTheSun':
-                // Large delayed sun AOE with radial projectiles
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.sunX = this.target.x;
-                    this.patternData.sunY = this.target.y;
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 120;
-                    this.telegraphColor = 'rgba(255, 200, 0, 0.4)';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 1.2) {
-                        this.showTelegraph = false;
-                        
-                        // Central sun explosion
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 0.7,
-                            x: this.patternData.sunX,
-                            y: this.patternData.sunY,
-                            targetX: this.patternData.sunX,
-                            targetY: this.patternData.sunY,
-                            radius: 120,
-                            element: 'fire',
-                            owner: this
-                        };
-                        
-                        // Radial lightning projectiles
-                        for (let i = 0; i < 16; i++) {
-                            const angle = (i / 16) * Math.PI * 2;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.3,
-                                x: this.patternData.sunX,
-                                y: this.patternData.sunY,
-                                targetX: this.patternData.sunX + Math.cos(angle) * 400,
-                                targetY: this.patternData.sunY + Math.sin(angle) * 400,
-                                speed: 300,
-                                element: 'lightning',
-                                owner: this
-                            };
-                        }
-                        
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            // ========== CERBERUS UNIQUE PATTERNS ==========
-            
-            case 'hellfireBreath':
-                // Triple fire breath in cone
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.bursts = this.patternData.bursts || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.05) {
-                    this.patternData.timer = 0;
-                    this.patternData.bursts++;
-                    
-                    const baseAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    for (let i = -2; i <= 2; i++) {
-                        const angle = baseAngle + i * 0.15;
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.25,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x + Math.cos(angle) * 300,
-                            targetY: this.y + Math.sin(angle) * 300,
-                            speed: 400,
-                            element: 'fire',
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.bursts >= 25) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'tripleChomp':
-                // Three rapid dash-bites
-                this.patternData.chomps = this.patternData.chomps || 0;
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.phase = this.patternData.phase || 'wind';
-                
-                if (this.patternData.phase === 'wind') {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    if (this.patternData.timer > 0.2) {
-                        this.patternData.phase = 'dash';
-                        this.patternData.timer = 0;
-                        this.patternData.dashTarget = { x: this.target.x, y: this.target.y };
-                    }
-                } else if (this.patternData.phase === 'dash') {
-                    const dx = this.patternData.dashTarget.x - this.x;
-                    const dy = this.patternData.dashTarget.y - this.y;
-                    const len = Math.sqrt(dx * dx + dy * dy);
-                    
-                    if (len > 30 && this.patternData.timer < 0.4) {
-                        this.velocity.x = (dx / len) * this.maxSpeed * 6;
-                        this.velocity.y = (dy / len) * this.maxSpeed * 6;
-                        this.patternData.timer += dt;
-                    } else {
-                        this.pendingAttack = {
-                            type: 'melee',
-                            damage: this.damage * 1.2,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.target.x,
-                            targetY: this.target.y,
-                            range: 70,
-                            element: 'fire',
-                            owner: this
-                        };
-                        this.patternData.chomps++;
-                        this.patternData.timer = 0;
-                        
-                        if (this.patternData.chomps >= 3) {
-                            this.endBossPattern();
-                        } else {
-                            this.patternData.phase = 'wind';
-                        }
-                    }
-                }
-                break;
-                
-            case 'infernoCircle':
-                // Create expanding ring of fire
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    if (this.patternData.timer > 0.5) {
-                        for (let ring = 0; ring < 3; ring++) {
-                            const projectiles = 12 + ring * 4;
-                            for (let i = 0; i < projectiles; i++) {
-                                const angle = (i / projectiles) * Math.PI * 2;
-                                this.pendingAttack = {
-                                    type: 'projectile',
-                                    damage: this.damage * 0.35,
-                                    x: this.x,
-                                    y: this.y,
-                                    targetX: this.x + Math.cos(angle) * (200 + ring * 100),
-                                    targetY: this.y + Math.sin(angle) * (200 + ring * 100),
-                                    speed: 200 + ring * 50,
-                                    element: 'fire',
-                                    owner: this
-                                };
-                            }
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            case 'spiralBounce':
-                // Spinning spiral attack that bounces off 3 walls
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.spirals = this.patternData.spirals || 0;
-                this.patternData.angle = this.patternData.angle || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.06) {
-                    this.patternData.timer = 0;
-                    this.patternData.spirals++;
-                    this.patternData.angle += 0.25;
-                    
-                    // Fire spiraling projectile that bounces off walls
-                    const speed = 350;
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.3,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.x + Math.cos(this.patternData.angle) * 400,
-                        targetY: this.y + Math.sin(this.patternData.angle) * 400,
-                        speed: speed,
-                        element: 'fire',
-                        bounces: 3, // Bounces off 3 walls before disappearing
-                        owner: this
-                    };
-                    
-                    if (this.patternData.spirals >= 36) { // Full spiral
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'splittingFlame':
-                // Projectile that bounces and splits into 2 for half damage, up to 5 times
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.shots = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.5) {
-                        this.patternData.timer = 0;
-                        this.patternData.shots++;
-                        
-                        // Fire splitting flame at player
-                        const angle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.6,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.target.x,
-                            targetY: this.target.y,
-                            speed: 280,
-                            element: 'fire',
-                            bounces: 1, // Will bounce once
-                            splitsRemaining: 5, // Can split up to 5 times
-                            width: 20,
-                            height: 20,
-                            owner: this
-                        };
-                        
-                        if (this.patternData.shots >= 4) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-                
-            case 'fireWave':
-                // Sweeping wave of fire across the arena
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.waveDir = Math.random() > 0.5 ? 1 : -1; // Left or right
-                    this.patternData.waveAngle = this.patternData.waveDir > 0 ? -Math.PI / 2 : Math.PI / 2;
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 300;
-                    this.telegraphColor = 'rgba(255, 100, 0, 0.2)';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    // Fire a wall of projectiles that sweeps
-                    if (this.patternData.timer > 0.04) {
-                        this.patternData.timer = 0;
-                        this.patternData.waveAngle += 0.05 * this.patternData.waveDir;
-                        
-                        // Create wall of fire projectiles
-                        for (let dist = 50; dist <= 300; dist += 40) {
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.25,
-                                x: this.x + Math.cos(this.patternData.waveAngle) * dist,
-                                y: this.y + Math.sin(this.patternData.waveAngle) * dist,
-                                targetX: this.x + Math.cos(this.patternData.waveAngle) * (dist + 100),
-                                targetY: this.y + Math.sin(this.patternData.waveAngle) * (dist + 100),
-                                speed: 150,
-                                element: 'fire',
-                                width: 16,
-                                height: 16,
-                                owner: this
-                            };
-                        }
-                        
-                        // Check if wave complete (180 degree sweep)
-                        if (Math.abs(this.patternData.waveAngle) > Math.PI / 2 + Math.PI) {
-                            this.showTelegraph = false;
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-                
-            case 'hellShockwave':
-                // Ground-pound shockwave with fire trails
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 200;
-                    this.telegraphColor = 'rgba(255, 60, 0, 0.4)';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    this.telegraphRadius = 200 + Math.sin(this.patternData.timer * 12) * 30;
-                    
-                    if (this.patternData.timer > 0.8) {
-                        this.showTelegraph = false;
-                        
-                        // Central shockwave
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 0.8,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x,
-                            targetY: this.y,
-                            radius: 200,
-                            knockback: 150,
-                            element: 'fire',
-                            owner: this
-                        };
-                        
-                        // Expanding fire ring
-                        for (let i = 0; i < 24; i++) {
-                            const angle = (i / 24) * Math.PI * 2;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.35,
-                                x: this.x,
-                                y: this.y,
-                                targetX: this.x + Math.cos(angle) * 500,
-                                targetY: this.y + Math.sin(angle) * 500,
-                                speed: 300,
-                                element: 'fire',
-                                width: 18,
-                                height: 18,
-                                owner: this
-                            };
-                        }
-                        
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'lavaPools':
-                // Create lava pool hazards around the arena
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.pools = this.patternData.pools || 0;
-                
-                // Move around while casting
-                if (this.target) {
-                    const angle = Math.atan2(this.target.y - this.y, this.target.x - this.x) + Math.PI / 2;
-                    this.velocity.x = Math.cos(angle) * this.maxSpeed * 0.7;
-                    this.velocity.y = Math.sin(angle) * this.maxSpeed * 0.7;
-                }
-                
-                if (this.patternData.timer > 0.25) {
-                    this.patternData.timer = 0;
-                    this.patternData.pools++;
-                    
-                    // Create lava zone at player's predicted position
-                    const predX = this.target.x + (this.target.velocity?.x || 0) * 0.5;
-                    const predY = this.target.y + (this.target.velocity?.y || 0) * 0.5;
-                    
-                    // Lava pool persists as AOE
-                    this.spawnLightningZone(predX, predY, 0.6, 60); // Using lightning zone system for timing
-                    
-                    if (this.patternData.pools >= 10) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            // ========== SPIDER QUEEN UNIQUE PATTERNS ==========
-            
-            case 'webTrap':
-                // Create sticky web zones around arena
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.webs = this.patternData.webs || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.3) {
-                    this.patternData.timer = 0;
-                    this.patternData.webs++;
-                    
-                    const angle = Math.random() * Math.PI * 2;
-                    const dist = 80 + Math.random() * 120;
-                    this.pendingAttack = {
-                        type: 'aoe',
-                        damage: this.damage * 0.3,
-                        x: this.target.x + Math.cos(angle) * dist,
-                        y: this.target.y + Math.sin(angle) * dist,
-                        targetX: this.target.x + Math.cos(angle) * dist,
-                        targetY: this.target.y + Math.sin(angle) * dist,
-                        radius: 50,
-                        duration: 3,
-                        element: 'poison',
-                        effects: [{ type: 'slow', amount: 0.5, duration: 2 }],
-                        owner: this
-                    };
-                    
-                    if (this.patternData.webs >= 6) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'venomSpray':
-                // Spray poison in fan pattern
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.sprays = this.patternData.sprays || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.08) {
-                    this.patternData.timer = 0;
-                    this.patternData.sprays++;
-                    
-                    const baseAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    const spread = (this.patternData.sprays % 2 === 0 ? 1 : -1) * 0.3;
-                    
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.3,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.x + Math.cos(baseAngle + spread) * 250,
-                        targetY: this.y + Math.sin(baseAngle + spread) * 250,
-                        speed: 350,
-                        element: 'poison',
-                        effects: [{ type: 'poison', damage: 5, duration: 3 }],
-                        owner: this
-                    };
-                    
-                    if (this.patternData.sprays >= 20) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'spiderSwarm':
-                // Spawn many small tracking orbs
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    
-                    for (let i = 0; i < 8; i++) {
-                        const angle = Math.random() * Math.PI * 2;
-                        const dist = 50 + Math.random() * 50;
-                        this.trackingOrbs.push({
-                            x: this.x + Math.cos(angle) * dist,
-                            y: this.y + Math.sin(angle) * dist,
-                            speed: 100 + Math.random() * 50,
-                            damage: this.damage * 0.25,
-                            timer: 6,
-                            phase: 'tracking',
-                            lockRadius: 25
-                        });
-                    }
-                    this.endBossPattern();
-                }
-                break;
-            
-            case 'cocoonBomb':
-                // Drop cocoons that explode after delay
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.cocoons = 0;
-                    this.patternData.cocoonPositions = [];
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    // Place cocoons around arena
-                    if (this.patternData.timer > 0.25 && this.patternData.cocoons < 6) {
-                        this.patternData.timer = 0;
-                        this.patternData.cocoons++;
-                        
-                        const angle = Math.random() * Math.PI * 2;
-                        const dist = 60 + Math.random() * 100;
-                        this.patternData.cocoonPositions.push({
-                            x: this.target.x + Math.cos(angle) * dist,
-                            y: this.target.y + Math.sin(angle) * dist,
-                            timer: 1.5
-                        });
-                    }
-                    
-                    // Update and explode cocoons
-                    for (let cocoon of this.patternData.cocoonPositions) {
-                        cocoon.timer -= dt;
-                        if (cocoon.timer <= 0 && !cocoon.exploded) {
-                            cocoon.exploded = true;
-                            
-                            // Explosion + poison projectiles
-                            this.pendingAttack = {
-                                type: 'aoe',
-                                damage: this.damage * 0.5,
-                                x: cocoon.x,
-                                y: cocoon.y,
-                                targetX: cocoon.x,
-                                targetY: cocoon.y,
-                                radius: 60,
-                                element: 'poison',
-                                owner: this
-                            };
-                            
-                            for (let i = 0; i < 6; i++) {
-                                const angle = (i / 6) * Math.PI * 2;
-                                this.pendingAttack = {
-                                    type: 'projectile',
-                                    damage: this.damage * 0.2,
-                                    x: cocoon.x,
-                                    y: cocoon.y,
-                                    targetX: cocoon.x + Math.cos(angle) * 200,
-                                    targetY: cocoon.y + Math.sin(angle) * 200,
-                                    speed: 200,
-                                    element: 'poison',
-                                    owner: this
-                                };
-                            }
-                        }
-                    }
-                    
-                    // Check if all exploded
-                    if (this.patternData.cocoonPositions.filter(c => c.exploded).length >= 6) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            case 'silkLine':
-                // Fire web lines that connect and trap player
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.lines = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.12) {
-                        this.patternData.timer = 0;
-                        this.patternData.lines++;
-                        
-                        // Fire crossing web projectiles
-                        const baseAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                        const offset = (this.patternData.lines % 2 === 0 ? 1 : -1) * 0.4;
-                        
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.3,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x + Math.cos(baseAngle + offset) * 350,
-                            targetY: this.y + Math.sin(baseAngle + offset) * 350,
-                            speed: 320,
-                            element: 'poison',
-                            effects: [{ type: 'slow', amount: 0.6, duration: 1.5 }],
-                            owner: this
-                        };
-                        
-                        if (this.patternData.lines >= 16) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-            
-            case 'toxicBurst':
-                // Poison explosion that leaves lingering clouds
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 100;
-                    this.telegraphColor = 'rgba(100, 200, 50, 0.4)';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.7) {
-                        this.showTelegraph = false;
-                        
-                        // Central toxic explosion
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 0.6,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x,
-                            targetY: this.y,
-                            radius: 100,
-                            element: 'poison',
-                            effects: [{ type: 'poison', damage: 8, duration: 4 }],
-                            owner: this
-                        };
-                        
-                        // Spread poison clouds
-                        for (let i = 0; i < 8; i++) {
-                            const angle = (i / 8) * Math.PI * 2;
-                            const dist = 80;
-                            this.pendingAttack = {
-                                type: 'aoe',
-                                damage: this.damage * 0.3,
-                                x: this.x + Math.cos(angle) * dist,
-                                y: this.y + Math.sin(angle) * dist,
-                                targetX: this.x + Math.cos(angle) * dist,
-                                targetY: this.y + Math.sin(angle) * dist,
-                                radius: 40,
-                                duration: 2,
-                                element: 'poison',
-                                owner: this
-                            };
-                        }
-                        
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            // ========== ARCHANGEL UNIQUE PATTERNS ==========
-            
-            case 'holyRain':
-                // Rain of holy light
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.beams = this.patternData.beams || 0;
-                
-                // Float around
-                if (this.target) {
-                    const angle = Math.atan2(this.target.y - this.y, this.target.x - this.x) + Math.PI / 2;
-                    this.velocity.x = Math.cos(angle) * this.maxSpeed * 0.6;
-                    this.velocity.y = Math.sin(angle) * this.maxSpeed * 0.6;
-                }
-                
-                if (this.patternData.timer > 0.15) {
-                    this.patternData.timer = 0;
-                    this.patternData.beams++;
-                    
-                    const offsetX = (Math.random() - 0.5) * 200;
-                    const offsetY = (Math.random() - 0.5) * 200;
-                    
-                    this.pendingAttack = {
-                        type: 'aoe',
-                        damage: this.damage * 0.4,
-                        x: this.target.x + offsetX,
-                        y: this.target.y + offsetY,
-                        targetX: this.target.x + offsetX,
-                        targetY: this.target.y + offsetY,
-                        radius: 40,
-                        element: 'holy',
-                        owner: this
-                    };
-                    
-                    if (this.patternData.beams >= 18) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'divineBeam':
-                // Charge up then fire massive beam
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.targetAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    if (this.patternData.timer > 0.8) {
-                        // Fire beam
-                        for (let i = 0; i < 30; i++) {
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.3,
-                                x: this.x + Math.cos(this.patternData.targetAngle) * (i * 15),
-                                y: this.y + Math.sin(this.patternData.targetAngle) * (i * 15),
-                                targetX: this.x + Math.cos(this.patternData.targetAngle) * 600,
-                                targetY: this.y + Math.sin(this.patternData.targetAngle) * 600,
-                                speed: 500,
-                                element: 'holy',
-                                owner: this
-                            };
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'purifyingLight':
-                // Expanding rings of holy damage
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.rings = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    if (this.patternData.timer > 0.4) {
-                        this.patternData.timer = 0;
-                        this.patternData.rings++;
-                        
-                        const projectiles = 16;
-                        for (let i = 0; i < projectiles; i++) {
-                            const angle = (i / projectiles) * Math.PI * 2;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.35,
-                                x: this.x,
-                                y: this.y,
-                                targetX: this.x + Math.cos(angle) * 400,
-                                targetY: this.y + Math.sin(angle) * 400,
-                                speed: 200,
-                                element: 'holy',
-                                owner: this
-                            };
-                        }
-                        
-                        if (this.patternData.rings >= 4) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-            
-            case 'lightPillars':
-                // Create pillars of light that descend from above
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.pillars = 0;
-                    this.patternData.pillarPositions = [];
-                    
-                    // Pre-calculate pillar positions in a pattern around player
-                    for (let i = 0; i < 8; i++) {
-                        const angle = (i / 8) * Math.PI * 2;
-                        const dist = 80 + Math.random() * 60;
-                        this.patternData.pillarPositions.push({
-                            x: this.target.x + Math.cos(angle) * dist,
-                            y: this.target.y + Math.sin(angle) * dist,
-                            delay: i * 0.15
-                        });
-                    }
-                    // Add center pillar
-                    this.patternData.pillarPositions.push({
-                        x: this.target.x,
-                        y: this.target.y,
-                        delay: 1.2
-                    });
-                    
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    // Spawn pillars at their designated times
-                    for (const pillar of this.patternData.pillarPositions) {
-                        if (!pillar.spawned && this.patternData.timer >= pillar.delay) {
-                            pillar.spawned = true;
-                            
-                            // Telegraph circle
-                            this.spawnLightningZone(pillar.x, pillar.y, 0.6, 45);
-                        }
-                    }
-                    
-                    if (this.patternData.timer > 2) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'orbGridStrike':
-                // Create light orbs in grid, then fire beams between adjacent orbs
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.orbs = [];
-                    this.patternData.orbsPlaced = 0;
-                    
-                    // Create grid of orb positions (3x3, 4x4, or cross patterns)
-                    const gridType = Math.floor(Math.random() * 3);
-                    const centerX = this.target.x;
-                    const centerY = this.target.y;
-                    const spacing = 80;
-                    
-                    if (gridType === 0) {
-                        // 3x3 grid
-                        for (let gx = -1; gx <= 1; gx++) {
-                            for (let gy = -1; gy <= 1; gy++) {
-                                this.patternData.orbs.push({
-                                    x: centerX + gx * spacing,
-                                    y: centerY + gy * spacing,
-                                    gx, gy, active: false
-                                });
-                            }
-                        }
-                    } else if (gridType === 1) {
-                        // Cross pattern
-                        const positions = [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1], [-2, 0], [2, 0], [0, -2], [0, 2]];
-                        for (const [gx, gy] of positions) {
-                            this.patternData.orbs.push({
-                                x: centerX + gx * spacing,
-                                y: centerY + gy * spacing,
-                                gx, gy, active: false
-                            });
-                        }
-                    } else {
-                        // Diamond pattern
-                        const positions = [[0, 0], [1, 1], [-1, 1], [1, -1], [-1, -1], [0, 2], [0, -2], [2, 0], [-2, 0]];
-                        for (const [gx, gy] of positions) {
-                            this.patternData.orbs.push({
-                                x: centerX + gx * spacing * 0.7,
-                                y: centerY + gy * spacing * 0.7,
-                                gx, gy, active: false
-                            });
-                        }
-                    }
-                    
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    // Place orbs one by one
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.12 && this.patternData.orbsPlaced < this.patternData.orbs.length) {
-                        this.patternData.timer = 0;
-                        const orb = this.patternData.orbs[this.patternData.orbsPlaced];
-                        orb.active = true;
-                        this.patternData.orbsPlaced++;
-                        
-                        // Visual indicator - spawn small AOE to show orb position
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: 0, // Just visual
-                            x: orb.x,
-                            y: orb.y,
-                            targetX: orb.x,
-                            targetY: orb.y,
-                            radius: 15,
-                            duration: 1.5,
-                            element: 'holy',
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.orbsPlaced >= this.patternData.orbs.length) {
-                        this.patternStep = 2;
-                        this.patternData.timer = 0;
-                    }
-                } else if (this.patternStep === 2) {
-                    // Wait then fire beams between adjacent orbs
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.5) {
-                        // Fire beams between all adjacent orbs (within range)
-                        for (let i = 0; i < this.patternData.orbs.length; i++) {
-                            for (let j = i + 1; j < this.patternData.orbs.length; j++) {
-                                const orb1 = this.patternData.orbs[i];
-                                const orb2 = this.patternData.orbs[j];
-                                const dist = Math.sqrt((orb2.x - orb1.x) ** 2 + (orb2.y - orb1.y) ** 2);
-                                
-                                // Only connect adjacent orbs (within ~100 units)
-                                if (dist < 120) {
-                                    // Fire beam from orb1 to orb2
-                                    const steps = Math.ceil(dist / 20);
-                                    for (let s = 0; s < steps; s++) {
-                                        const t = s / steps;
-                                        this.pendingAttack = {
-                                            type: 'projectile',
-                                            damage: this.damage * 0.2,
-                                            x: orb1.x + (orb2.x - orb1.x) * t,
-                                            y: orb1.y + (orb2.y - orb1.y) * t,
-                                            targetX: orb2.x + (orb2.x - orb1.x) * 0.1,
-                                            targetY: orb2.y + (orb2.y - orb1.y) * 0.1,
-                                            speed: 50,
-                                            element: 'holy',
-                                            width: 12,
-                                            height: 12,
-                                            owner: this
-                                        };
-                                    }
-                                }
-                            }
-                        }
-                        
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'celestialCross':
-                // Fire beams in + and X patterns alternating
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.phase = this.patternData.phase || 0;
-                this.patternData.shots = this.patternData.shots || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.15) {
-                    this.patternData.timer = 0;
-                    this.patternData.shots++;
-                    
-                    // Alternate between + and X
-                    const offset = (this.patternData.phase % 2 === 0) ? 0 : Math.PI / 4;
-                    
-                    for (let i = 0; i < 4; i++) {
-                        const angle = (i / 4) * Math.PI * 2 + offset;
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.3,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x + Math.cos(angle) * 400,
-                            targetY: this.y + Math.sin(angle) * 400,
-                            speed: 350,
-                            element: 'holy',
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.shots % 4 === 0) {
-                        this.patternData.phase++;
-                    }
-                    
-                    if (this.patternData.shots >= 20) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'angelicDescent':
-                // Float up, then slam down with holy explosion
-                if (this.patternStep === 0) {
-                    this.patternData.startY = this.y;
-                    this.patternData.timer = 0;
-                    this.velocity.x = 0;
-                    this.velocity.y = -100; // Float up
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    // Rain holy projectiles while ascending
-                    if (this.patternData.timer > 0.2) {
-                        this.patternData.timer = 0;
-                        const targetX = this.target.x + (Math.random() - 0.5) * 150;
-                        const targetY = this.target.y + (Math.random() - 0.5) * 150;
-                        
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.25,
-                            x: targetX,
-                            y: this.y - 100,
-                            targetX: targetX,
-                            targetY: targetY + 200,
-                            speed: 400,
-                            element: 'holy',
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.y < this.patternData.startY - 80) {
-                        this.patternStep = 2;
-                        this.patternData.timer = 0;
-                        this.patternData.slamTarget = { x: this.target.x, y: this.target.y };
-                        this.showTelegraph = true;
-                        this.telegraphRadius = 120;
-                        this.telegraphColor = 'rgba(255, 255, 200, 0.4)';
-                    }
-                } else if (this.patternStep === 2) {
-                    this.patternData.timer += dt;
-                    
-                    // Slam down after brief pause
-                    if (this.patternData.timer > 0.4) {
-                        this.x = this.patternData.slamTarget.x;
-                        this.y = this.patternData.slamTarget.y;
-                        this.velocity.x = 0;
-                        this.velocity.y = 0;
-                        this.showTelegraph = false;
-                        
-                        // Holy explosion
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 1.2,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x,
-                            targetY: this.y,
-                            radius: 120,
-                            element: 'holy',
-                            owner: this
-                        };
-                        
-                        // Radiant burst
-                        for (let i = 0; i < 12; i++) {
-                            const angle = (i / 12) * Math.PI * 2;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.3,
-                                x: this.x,
-                                y: this.y,
-                                targetX: this.x + Math.cos(angle) * 300,
-                                targetY: this.y + Math.sin(angle) * 300,
-                                speed: 250,
-                                element: 'holy',
-                                owner: this
-                            };
-                        }
-                        
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'radiantNova':
-                // Expanding waves of holy light
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.waves = 0;
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 50;
-                    this.telegraphColor = 'rgba(255, 255, 150, 0.3)';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    // Expanding telegraph
-                    this.telegraphRadius = 50 + this.patternData.waves * 70;
-                    
-                    if (this.patternData.timer > 0.3) {
-                        this.patternData.timer = 0;
-                        this.patternData.waves++;
-                        
-                        // Create ring of projectiles at current radius
-                        const radius = 50 + this.patternData.waves * 70;
-                        const count = 8 + this.patternData.waves * 4;
-                        
-                        // Use pendingAttacks array for all projectiles
-                        if (!this.pendingAttacks) this.pendingAttacks = [];
-                        
-                        for (let i = 0; i < count; i++) {
-                            const angle = (i / count) * Math.PI * 2 + (this.patternData.waves % 2) * (Math.PI / count);
-                            this.pendingAttacks.push({
-                                type: 'projectile',
-                                damage: this.damage * 0.25,
-                                x: this.x,
-                                y: this.y,
-                                targetX: this.x + Math.cos(angle) * 400,
-                                targetY: this.y + Math.sin(angle) * 400,
-                                speed: 180 + this.patternData.waves * 30,
-                                element: 'holy',
-                                owner: this
-                            });
-                        }
-                        
-                        if (this.patternData.waves >= 5) {
-                            this.showTelegraph = false;
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-            
-            // ========== MASTER AI UNIQUE PATTERNS ==========
-            
-            case 'laserGrid':
-                // Create grid of lasers
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    if (this.patternData.timer > 0.3) {
-                        // Use pendingAttacks array for all lasers
-                        if (!this.pendingAttacks) this.pendingAttacks = [];
-                        
-                        // Horizontal lasers
-                        for (let i = -3; i <= 3; i++) {
-                            this.pendingAttacks.push({
-                                type: 'projectile',
-                                damage: this.damage * 0.3,
-                                x: this.x - 300,
-                                y: this.y + i * 60,
-                                targetX: this.x + 300,
-                                targetY: this.y + i * 60,
-                                speed: 400,
-                                element: 'electric',
-                                owner: this
-                            });
-                        }
-                        // Vertical lasers
-                        for (let i = -3; i <= 3; i++) {
-                            this.pendingAttacks.push({
-                                type: 'projectile',
-                                damage: this.damage * 0.3,
-                                x: this.x + i * 60,
-                                y: this.y - 300,
-                                targetX: this.x + i * 60,
-                                targetY: this.y + 300,
-                                speed: 400,
-                                element: 'electric',
-                                owner: this
-                            });
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'droneSwarm':
-                // Spawn tracking drones
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    
-                    for (let i = 0; i < 6; i++) {
-                        const angle = (i / 6) * Math.PI * 2;
-                        this.trackingOrbs.push({
-                            x: this.x + Math.cos(angle) * 80,
-                            y: this.y + Math.sin(angle) * 80,
-                            speed: 150,
-                            damage: this.damage * 0.35,
-                            timer: 5,
-                            phase: 'tracking',
-                            lockRadius: 40
-                        });
-                    }
-                    this.endBossPattern();
-                }
-                break;
-                
-            case 'systemHack':
-                // Dash around firing rapid shots (was teleport)
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.dashes = this.patternData.dashes || 0;
-                
-                // Skip if currently dashing
-                if (this.isDashing) break;
-                
-                if (this.patternData.timer > 0.5) {
-                    this.patternData.timer = 0;
-                    this.patternData.dashes++;
-                    
-                    // Dash to random position near player
-                    const angle = Math.random() * Math.PI * 2;
-                    const dist = 100 + Math.random() * 80;
-                    const targetX = this.target.x + Math.cos(angle) * dist;
-                    const targetY = this.target.y + Math.sin(angle) * dist;
-                    
-                    this.doBossDashTo(targetX, targetY, 900, true);
-                    
-                    // Fire burst after short delay
-                    setTimeout(() => {
-                        if (!this.active || !this.target) return;
-                        for (let i = 0; i < 4; i++) {
-                            const shotAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x) + (i - 1.5) * 0.2;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.3,
-                                x: this.x,
-                                y: this.y,
-                                targetX: this.x + Math.cos(shotAngle) * 200,
-                                targetY: this.y + Math.sin(shotAngle) * 200,
-                                speed: 450,
-                                element: 'electric',
-                                owner: this
-                            };
-                        }
-                    }, 150);
-                    
-                    if (this.patternData.dashes >= 5) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            case 'dataStorm':
-                // Chaotic spray of electric projectiles in all directions
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.bursts = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.05) {
-                        this.patternData.timer = 0;
-                        this.patternData.bursts++;
-                        
-                        // Random direction burst
-                        for (let i = 0; i < 3; i++) {
-                            const angle = Math.random() * Math.PI * 2;
-                            const speed = 250 + Math.random() * 200;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.2,
-                                x: this.x,
-                                y: this.y,
-                                targetX: this.x + Math.cos(angle) * 400,
-                                targetY: this.y + Math.sin(angle) * 400,
-                                speed: speed,
-                                element: 'electric',
-                                owner: this
-                            };
-                        }
-                        
-                        if (this.patternData.bursts >= 30) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-            
-            case 'firewall':
-                // Create wall of damage zones that closes in
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.waves = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.4) {
-                        this.patternData.timer = 0;
-                        this.patternData.waves++;
-                        
-                        // Create ring of fire walls that shrink
-                        const radius = 250 - this.patternData.waves * 35;
-                        const numWalls = 12;
-                        for (let i = 0; i < numWalls; i++) {
-                            const angle = (i / numWalls) * Math.PI * 2;
-                            this.pendingAttack = {
-                                type: 'aoe',
-                                damage: this.damage * 0.35,
-                                x: this.target.x + Math.cos(angle) * radius,
-                                y: this.target.y + Math.sin(angle) * radius,
-                                targetX: this.target.x + Math.cos(angle) * radius,
-                                targetY: this.target.y + Math.sin(angle) * radius,
-                                radius: 35,
-                                element: 'electric',
-                                owner: this
-                            };
-                        }
-                        
-                        if (this.patternData.waves >= 6) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-            
-            case 'virusInfection':
-                // Homing corrupted orbs that split on timer
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.viruses = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.3) {
-                        this.patternData.timer = 0;
-                        this.patternData.viruses++;
-                        
-                        // Spawn tracking virus
-                        const angle = Math.random() * Math.PI * 2;
-                        this.trackingOrbs.push({
-                            x: this.x + Math.cos(angle) * 40,
-                            y: this.y + Math.sin(angle) * 40,
-                            vx: 0,
-                            vy: 0,
-                            speed: 130,
-                            damage: this.damage * 0.35,
-                            timer: 4,
-                            phase: 'tracking',
-                            lockRadius: 45,
-                            element: 'electric'
-                        });
-                        
-                        // Also fire corrupted projectile
-                        const angleToPlayer = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.25,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x + Math.cos(angleToPlayer + (Math.random() - 0.5)) * 300,
-                            targetY: this.y + Math.sin(angleToPlayer + (Math.random() - 0.5)) * 300,
-                            speed: 280,
-                            element: 'electric',
-                            owner: this
-                        };
-                        
-                        if (this.patternData.viruses >= 8) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-            
-            // ========== ANCIENT GOLEM UNIQUE PATTERNS ==========
-            
-            case 'earthquakeWave':
-                // Create shockwave lines
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.waves = this.patternData.waves || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.5) {
-                    this.patternData.timer = 0;
-                    this.patternData.waves++;
-                    
-                    // Create line of AOE towards player
-                    const angle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    for (let i = 1; i <= 5; i++) {
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 0.4,
-                            x: this.x + Math.cos(angle) * (i * 60),
-                            y: this.y + Math.sin(angle) * (i * 60),
-                            targetX: this.x + Math.cos(angle) * (i * 60),
-                            targetY: this.y + Math.sin(angle) * (i * 60),
-                            radius: 50,
-                            duration: 0.1 + i * 0.1,
-                            element: 'earth',
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.waves >= 4) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'boulderToss':
-                // Throw large slow projectiles
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.boulders = this.patternData.boulders || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.6) {
-                    this.patternData.timer = 0;
-                    this.patternData.boulders++;
-                    
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 1.5,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.target.x,
-                        targetY: this.target.y,
-                        speed: 200,
-                        width: 40,
-                        height: 40,
-                        element: 'earth',
-                        owner: this
-                    };
-                    
-                    if (this.patternData.boulders >= 4) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'stoneSkin':
-                // Defensive stance - heal and become invulnerable briefly
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.invulnerable = true;
-                    this.invulnerabilityTime = 2;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    // Heal a bit
-                    this.health = Math.min(this.maxHealth, this.health + this.maxHealth * 0.01 * dt);
-                    
-                    if (this.patternData.timer > 2) {
-                        // End with burst
-                        for (let i = 0; i < 12; i++) {
-                            const angle = (i / 12) * Math.PI * 2;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.5,
-                                x: this.x,
-                                y: this.y,
-                                targetX: this.x + Math.cos(angle) * 300,
-                                targetY: this.y + Math.sin(angle) * 300,
-                                speed: 250,
-                                element: 'earth',
-                                owner: this
-                            };
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            case 'crystalSpikes':
-                // Crystal spikes erupt from ground in radial pattern
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.waves = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.3) {
-                        this.patternData.timer = 0;
-                        this.patternData.waves++;
-                        
-                        // Expanding ring of crystal damage
-                        const numSpikes = 10 + this.patternData.waves * 2;
-                        const radius = 60 + this.patternData.waves * 50;
-                        for (let i = 0; i < numSpikes; i++) {
-                            const angle = (i / numSpikes) * Math.PI * 2;
-                            const spikeX = this.x + Math.cos(angle) * radius;
-                            const spikeY = this.y + Math.sin(angle) * radius;
-                            
-                            this.pendingAttack = {
-                                type: 'aoe',
-                                damage: this.damage * 0.4,
-                                x: spikeX,
-                                y: spikeY,
-                                targetX: spikeX,
-                                targetY: spikeY,
-                                radius: 30,
-                                element: 'earth',
-                                owner: this
-                            };
-                        }
-                        
-                        if (this.patternData.waves >= 4) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-            
-            case 'rockyBarrier':
-                // Create protective barrier that fires projectiles
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.shots = 0;
-                    this.patternData.barrierAngle = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    this.patternData.barrierAngle += dt * 2;
-                    
-                    if (this.patternData.timer > 0.2) {
-                        this.patternData.timer = 0;
-                        this.patternData.shots++;
-                        
-                        // Fire from rotating barrier positions
-                        for (let i = 0; i < 4; i++) {
-                            const angle = this.patternData.barrierAngle + (i / 4) * Math.PI * 2;
-                            const barrierX = this.x + Math.cos(angle) * 80;
-                            const barrierY = this.y + Math.sin(angle) * 80;
-                            
-                            // Barrier fires outward
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.3,
-                                x: barrierX,
-                                y: barrierY,
-                                targetX: barrierX + Math.cos(angle) * 300,
-                                targetY: barrierY + Math.sin(angle) * 300,
-                                speed: 220,
-                                element: 'earth',
-                                owner: this
-                            };
-                        }
-                        
-                        if (this.patternData.shots >= 12) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-            
-            case 'seismicStomp':
-                // Powerful stomp creating shockwaves in all directions
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 150;
-                    this.telegraphColor = 'rgba(139, 90, 43, 0.5)';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.8) {
-                        this.showTelegraph = false;
-                        
-                        // Central stomp damage
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 0.7,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x,
-                            targetY: this.y,
-                            radius: 100,
-                            element: 'earth',
-                            owner: this
-                        };
-                        
-                        // Shockwave projectiles in 8 directions
-                        for (let i = 0; i < 8; i++) {
-                            const angle = (i / 8) * Math.PI * 2;
-                            // Fire line of projectiles in each direction
-                            for (let j = 1; j <= 4; j++) {
-                                this.pendingAttack = {
-                                    type: 'projectile',
-                                    damage: this.damage * 0.3,
-                                    x: this.x + Math.cos(angle) * (j * 40),
-                                    y: this.y + Math.sin(angle) * (j * 40),
-                                    targetX: this.x + Math.cos(angle) * 400,
-                                    targetY: this.y + Math.sin(angle) * 400,
-                                    speed: 200 + j * 30,
-                                    element: 'earth',
-                                    owner: this
-                                };
-                            }
-                        }
-                        
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            // ========== SKELETON KING UNIQUE PATTERNS ==========
-            
-            case 'boneStorm':
-                // Swirling bone projectiles that spiral outward
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.bones = this.patternData.bones || 0;
-                this.patternData.angle = this.patternData.angle || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.08) {
-                    this.patternData.timer = 0;
-                    this.patternData.bones++;
-                    this.patternData.angle += 0.3;
-                    
-                    // Fire spiraling bone projectile
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.35,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.x + Math.cos(this.patternData.angle) * 400,
-                        targetY: this.y + Math.sin(this.patternData.angle) * 400,
-                        speed: 200 + this.patternData.bones * 3,
-                        element: 'dark',
-                        owner: this
-                    };
-                    
-                    if (this.patternData.bones >= 40) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'graveRise':
-                // Skeleton hands emerge from ground in pattern
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.waves = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.3) {
-                        this.patternData.timer = 0;
-                        this.patternData.waves++;
-                        
-                        // Create expanding ring of ground attacks
-                        const radius = 50 + this.patternData.waves * 40;
-                        for (let i = 0; i < 8; i++) {
-                            const angle = (i / 8) * Math.PI * 2;
-                            this.pendingAttack = {
-                                type: 'aoe',
-                                damage: this.damage * 0.4,
-                                x: this.x + Math.cos(angle) * radius,
-                                y: this.y + Math.sin(angle) * radius,
-                                targetX: this.x + Math.cos(angle) * radius,
-                                targetY: this.y + Math.sin(angle) * radius,
-                                radius: 35,
-                                duration: 0.3,
-                                element: 'dark',
-                                owner: this
-                            };
-                        }
-                        
-                        if (this.patternData.waves >= 5) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-                
-            case 'royalExecution':
-                // Dash strike with bone projectile burst
-                if (this.patternStep === 0) {
-                    this.patternData.timer = 0;
-                    this.patternData.dashTarget = { x: this.target.x, y: this.target.y };
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 100;
-                    this.telegraphColor = 'rgba(200, 180, 140, 0.5)';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    // Quick dash to player
-                    const dx = this.patternData.dashTarget.x - this.x;
-                    const dy = this.patternData.dashTarget.y - this.y;
-                    const len = Math.sqrt(dx * dx + dy * dy);
-                    
-                    if (len > 40) {
-                        this.velocity.x = (dx / len) * this.maxSpeed * 4;
-                        this.velocity.y = (dy / len) * this.maxSpeed * 4;
-                    } else {
-                        this.velocity.x = 0;
-                        this.velocity.y = 0;
-                        this.showTelegraph = false;
-                        
-                        // Melee strike
-                        this.pendingAttack = {
-                            type: 'melee',
-                            damage: this.damage * 1.3,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.target.x,
-                            targetY: this.target.y,
-                            radius: 80,
-                            owner: this
-                        };
-                        
-                        // Burst of bones in all directions
-                        for (let i = 0; i < 8; i++) {
-                            const angle = (i / 8) * Math.PI * 2;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.4,
-                                x: this.x,
-                                y: this.y,
-                                targetX: this.x + Math.cos(angle) * 250,
-                                targetY: this.y + Math.sin(angle) * 250,
-                                speed: 300,
-                                element: 'dark',
-                                owner: this
-                            };
-                        }
-                        
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            case 'boneWall':
-                // Create a wall of bones that closes in on player
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.wallAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.1) {
-                        this.patternData.timer = 0;
-                        
-                        // Fire bones in a line perpendicular to player direction
-                        const perpAngle = this.patternData.wallAngle + Math.PI / 2;
-                        for (let i = -4; i <= 4; i++) {
-                            const offsetX = Math.cos(perpAngle) * i * 30;
-                            const offsetY = Math.sin(perpAngle) * i * 30;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.35,
-                                x: this.x + offsetX,
-                                y: this.y + offsetY,
-                                targetX: this.target.x + offsetX,
-                                targetY: this.target.y + offsetY,
-                                speed: 280,
-                                element: 'dark',
-                                owner: this
-                            };
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'skeletonRush':
-                // Dash through player leaving bone projectiles behind
-                if (this.patternStep === 0) {
-                    this.patternData.timer = 0;
-                    this.patternData.startPos = { x: this.x, y: this.y };
-                    const angleToPlayer = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    this.patternData.endPos = {
-                        x: this.target.x + Math.cos(angleToPlayer) * 150,
-                        y: this.target.y + Math.sin(angleToPlayer) * 150
-                    };
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    // Rush towards end position
-                    const dx = this.patternData.endPos.x - this.x;
-                    const dy = this.patternData.endPos.y - this.y;
-                    const dist = Math.sqrt(dx * dx + dy * dy);
-                    
-                    if (dist > 30) {
-                        this.velocity.x = (dx / dist) * this.maxSpeed * 5;
-                        this.velocity.y = (dy / dist) * this.maxSpeed * 5;
-                        
-                        // Leave bone trail
-                        if (Math.random() > 0.7) {
-                            const perpAngle = Math.atan2(dy, dx) + Math.PI / 2;
-                            for (let side = -1; side <= 1; side += 2) {
-                                this.pendingAttack = {
-                                    type: 'projectile',
-                                    damage: this.damage * 0.25,
-                                    x: this.x,
-                                    y: this.y,
-                                    targetX: this.x + Math.cos(perpAngle) * side * 200,
-                                    targetY: this.y + Math.sin(perpAngle) * side * 200,
-                                    speed: 200,
-                                    element: 'dark',
-                                    owner: this
-                                };
-                            }
-                        }
-                    } else {
-                        this.velocity.x = 0;
-                        this.velocity.y = 0;
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'curseOfDeath':
-                // Curse zone that expands and deals damage over time
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.curseX = this.target.x;
-                    this.patternData.curseY = this.target.y;
-                    this.patternData.waves = 0;
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 80;
-                    this.telegraphColor = 'rgba(100, 0, 100, 0.4)';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    this.telegraphRadius = 80 + this.patternData.waves * 40;
-                    
-                    if (this.patternData.timer > 0.3) {
-                        this.patternData.timer = 0;
-                        this.patternData.waves++;
-                        
-                        // Expanding dark pulse
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 0.3,
-                            x: this.patternData.curseX,
-                            y: this.patternData.curseY,
-                            targetX: this.patternData.curseX,
-                            targetY: this.patternData.curseY,
-                            radius: 80 + this.patternData.waves * 40,
-                            element: 'dark',
-                            owner: this
-                        };
-                        
-                        if (this.patternData.waves >= 5) {
-                            this.showTelegraph = false;
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-            
-            // ========== DRAGON LORD UNIQUE PATTERNS ==========
-            
-            case 'fireBreathSweep':
-                // Sweeping fire breath attack
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.angle = this.patternData.angle ?? Math.atan2(this.target.y - this.y, this.target.x - this.x) - Math.PI / 4;
-                this.patternData.direction = this.patternData.direction || 1;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.05) {
-                    this.patternData.timer = 0;
-                    this.patternData.angle += 0.08 * this.patternData.direction;
-                    
-                    // Fire breath cone
-                    for (let i = 0; i < 3; i++) {
-                        const spread = (i - 1) * 0.1;
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.25,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x + Math.cos(this.patternData.angle + spread) * 300,
-                            targetY: this.y + Math.sin(this.patternData.angle + spread) * 300,
-                            speed: 350,
-                            element: 'fire',
-                            owner: this
-                        };
-                    }
-                    
-                    // Check if sweep complete
-                    const targetAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x) + Math.PI / 4;
-                    if (this.patternData.angle >= targetAngle) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'wingBlast':
-                // Knockback wind attack + fire trails
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 150;
-                    this.telegraphColor = 'rgba(255, 100, 0, 0.3)';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    this.telegraphRadius = 150 + Math.sin(this.patternData.timer * 8) * 20;
-                    
-                    if (this.patternData.timer > 0.8) {
-                        this.showTelegraph = false;
-                        
-                        // Large AOE knockback
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 0.6,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x,
-                            targetY: this.y,
-                            radius: 150,
-                            knockback: 200,
-                            element: 'fire',
-                            owner: this
-                        };
-                        
-                        // Fire trails in X pattern
-                        for (let i = 0; i < 4; i++) {
-                            const angle = (i / 4) * Math.PI * 2 + Math.PI / 4;
-                            for (let j = 1; j <= 4; j++) {
-                                this.pendingAttack = {
-                                    type: 'aoe',
-                                    damage: this.damage * 0.3,
-                                    x: this.x + Math.cos(angle) * (j * 50),
-                                    y: this.y + Math.sin(angle) * (j * 50),
-                                    targetX: this.x + Math.cos(angle) * (j * 50),
-                                    targetY: this.y + Math.sin(angle) * (j * 50),
-                                    radius: 30,
-                                    duration: 0.1 + j * 0.15,
-                                    element: 'fire',
-                                    owner: this
-                                };
-                            }
-                        }
-                        
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'dragonFury':
-                // Rapid fireball barrage + tail swipe
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.fireballs = this.patternData.fireballs || 0;
-                
-                // Strafe while firing
-                if (this.target) {
-                    const strafeAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x) + Math.PI / 2;
-                    this.velocity.x = Math.cos(strafeAngle) * this.maxSpeed * 0.6;
-                    this.velocity.y = Math.sin(strafeAngle) * this.maxSpeed * 0.6;
-                }
-                
-                if (this.patternData.timer > 0.12) {
-                    this.patternData.timer = 0;
-                    this.patternData.fireballs++;
-                    
-                    // Fast fireballs at player
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.35,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.target.x + (Math.random() - 0.5) * 60,
-                        targetY: this.target.y + (Math.random() - 0.5) * 60,
-                        speed: 400,
-                        element: 'fire',
-                        owner: this
-                    };
-                    
-                    if (this.patternData.fireballs >= 15) {
-                        // Tail swipe finisher
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 0.8,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x,
-                            targetY: this.y,
-                            radius: 100,
-                            element: 'fire',
-                            owner: this
-                        };
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            case 'meteorRain':
-                // Rain meteors from above with telegraphed landing zones
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.meteors = 0;
-                    this.patternData.meteorTargets = [];
-                    // Generate meteor landing positions
-                    for (let i = 0; i < 12; i++) {
-                        this.patternData.meteorTargets.push({
-                            x: this.target.x + (Math.random() - 0.5) * 400,
-                            y: this.target.y + (Math.random() - 0.5) * 400,
-                            delay: i * 0.2
-                        });
-                    }
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    // Drop meteors at their scheduled times
-                    for (let meteor of this.patternData.meteorTargets) {
-                        if (!meteor.fired && this.patternData.timer > meteor.delay) {
-                            meteor.fired = true;
-                            this.patternData.meteors++;
-                            
-                            this.pendingAttack = {
-                                type: 'aoe',
-                                damage: this.damage * 0.5,
-                                x: meteor.x,
-                                y: meteor.y,
-                                targetX: meteor.x,
-                                targetY: meteor.y,
-                                radius: 60,
-                                element: 'fire',
-                                owner: this
-                            };
-                        }
-                    }
-                    
-                    if (this.patternData.meteors >= 12) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            case 'flameVortex':
-                // Spinning fire tornado that follows player
-                if (this.patternStep === 0) {
-                    this.patternData.timer = 0;
-                    this.patternData.vortexAngle = 0;
-                    this.patternData.vortexX = this.x;
-                    this.patternData.vortexY = this.y;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    this.patternData.vortexAngle += dt * 8;
-                    
-                    // Vortex chases player slowly
-                    const dx = this.target.x - this.patternData.vortexX;
-                    const dy = this.target.y - this.patternData.vortexY;
-                    const dist = Math.sqrt(dx * dx + dy * dy);
-                    if (dist > 10) {
-                        this.patternData.vortexX += (dx / dist) * 100 * dt;
-                        this.patternData.vortexY += (dy / dist) * 100 * dt;
-                    }
-                    
-                    // Emit spinning fire projectiles
-                    if (Math.floor(this.patternData.timer * 15) > Math.floor((this.patternData.timer - dt) * 15)) {
-                        for (let i = 0; i < 3; i++) {
-                            const angle = this.patternData.vortexAngle + (i / 3) * Math.PI * 2;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.25,
-                                x: this.patternData.vortexX,
-                                y: this.patternData.vortexY,
-                                targetX: this.patternData.vortexX + Math.cos(angle) * 300,
-                                targetY: this.patternData.vortexY + Math.sin(angle) * 300,
-                                speed: 180,
-                                element: 'fire',
-                                owner: this
-                            };
-                        }
-                    }
-                    
-                    if (this.patternData.timer > 4) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            case 'dragonRoar':
-                // Massive knockback cone + stun effect
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.roarAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 200;
-                    this.telegraphColor = 'rgba(255, 100, 0, 0.3)';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.8) {
-                        this.showTelegraph = false;
-                        
-                        // Fire cone of fire projectiles
-                        const coneSpread = Math.PI / 3; // 60 degree cone
-                        for (let i = 0; i < 15; i++) {
-                            const angle = this.patternData.roarAngle + (i / 14 - 0.5) * coneSpread;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.4,
-                                x: this.x,
-                                y: this.y,
-                                targetX: this.x + Math.cos(angle) * 400,
-                                targetY: this.y + Math.sin(angle) * 400,
-                                speed: 350,
-                                element: 'fire',
-                                owner: this
-                            };
-                        }
-                        
-                        // Central knockback AOE
-                        this.pendingAttack = {
-                            type: 'aoe',
-                            damage: this.damage * 0.6,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x,
-                            targetY: this.y,
-                            radius: 120,
-                            element: 'fire',
-                            owner: this
-                        };
-                        
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            // ========== LICH KING UNIQUE PATTERNS ==========
-            
-            case 'soulDrain':
-                // Beam attack that slows and damages
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.beams = this.patternData.beams || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.15) {
-                    this.patternData.timer = 0;
-                    this.patternData.beams++;
-                    
-                    // Fast beam projectile at player
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.2,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.target.x,
-                        targetY: this.target.y,
-                        speed: 500,
-                        element: 'dark',
-                        slow: 0.3,
-                        slowDuration: 2,
-                        owner: this
-                    };
-                    
-                    if (this.patternData.beams >= 12) {
-                        // Heal from "drained souls"
-                        this.health = Math.min(this.maxHealth, this.health + this.maxHealth * 0.03);
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'frostTomb':
-                // Create ice prison around player
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.prisonX = this.target.x;
-                    this.patternData.prisonY = this.target.y;
-                    
-                    // Create warning ring
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 80;
-                    this.telegraphColor = 'rgba(100, 200, 255, 0.4)';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 1) {
-                        this.showTelegraph = false;
-                        
-                        // Ring of ice projectiles
-                        for (let i = 0; i < 12; i++) {
-                            const angle = (i / 12) * Math.PI * 2;
-                            const radius = 100;
-                            // Projectiles fly INWARD
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.3,
-                                x: this.patternData.prisonX + Math.cos(angle) * radius,
-                                y: this.patternData.prisonY + Math.sin(angle) * radius,
-                                targetX: this.patternData.prisonX,
-                                targetY: this.patternData.prisonY,
-                                speed: 200,
-                                element: 'ice',
-                                owner: this
-                            };
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'deathCoil':
-                // Bouncing projectiles that home slightly
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.coils = this.patternData.coils || 0;
-                
-                // Back away while casting
-                if (this.target) {
-                    const dx = this.x - this.target.x;
-                    const dy = this.y - this.target.y;
-                    const len = Math.sqrt(dx * dx + dy * dy);
-                    if (len < 200 && len > 0) {
-                        this.velocity.x = (dx / len) * this.maxSpeed * 0.5;
-                        this.velocity.y = (dy / len) * this.maxSpeed * 0.5;
-                    }
-                }
-                
-                if (this.patternData.timer > 0.25) {
-                    this.patternData.timer = 0;
-                    this.patternData.coils++;
-                    
-                    // Launch tracking orb
-                    const angleToPlayer = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    const spread = (Math.random() - 0.5) * 0.5;
-                    this.trackingOrbs.push({
-                        x: this.x,
-                        y: this.y,
-                        vx: 0,
-                        vy: 0,
-                        speed: 180,
-                        damage: this.damage * 0.4,
-                        timer: 4,
-                        phase: 'tracking',
-                        lockRadius: 40,
-                        element: 'dark'
-                    });
-                    
-                    if (this.patternData.coils >= 6) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            case 'iceSpikes':
-                // Ice spikes erupt from ground in patterns
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.waves = 0;
-                    this.patternData.spikeRadius = 60;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.3) {
-                        this.patternData.timer = 0;
-                        this.patternData.waves++;
-                        
-                        // Expanding ring of ice spikes around player
-                        const numSpikes = 8 + this.patternData.waves * 2;
-                        for (let i = 0; i < numSpikes; i++) {
-                            const angle = (i / numSpikes) * Math.PI * 2;
-                            const spikeX = this.target.x + Math.cos(angle) * this.patternData.spikeRadius;
-                            const spikeY = this.target.y + Math.sin(angle) * this.patternData.spikeRadius;
-                            
-                            this.pendingAttack = {
-                                type: 'aoe',
-                                damage: this.damage * 0.35,
-                                x: spikeX,
-                                y: spikeY,
-                                targetX: spikeX,
-                                targetY: spikeY,
-                                radius: 25,
-                                element: 'ice',
-                                owner: this
-                            };
-                        }
-                        
-                        this.patternData.spikeRadius += 50;
-                        
-                        if (this.patternData.waves >= 4) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-            
-            case 'phantomGrasp':
-                // Ghostly hands reach from the ground
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.hands = 0;
-                    this.patternData.handPositions = [];
-                    // Generate hand positions around player
-                    for (let i = 0; i < 8; i++) {
-                        const angle = (i / 8) * Math.PI * 2;
-                        const dist = 80 + Math.random() * 60;
-                        this.patternData.handPositions.push({
-                            x: this.target.x + Math.cos(angle) * dist,
-                            y: this.target.y + Math.sin(angle) * dist,
-                            delay: i * 0.15,
-                            fired: false
-                        });
-                    }
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    for (let hand of this.patternData.handPositions) {
-                        if (!hand.fired && this.patternData.timer > hand.delay) {
-                            hand.fired = true;
-                            this.patternData.hands++;
-                            
-                            // Hand erupts and fires projectile toward player
-                            const angleToPlayer = Math.atan2(this.target.y - hand.y, this.target.x - hand.x);
-                            this.pendingAttack = {
-                                type: 'aoe',
-                                damage: this.damage * 0.3,
-                                x: hand.x,
-                                y: hand.y,
-                                targetX: hand.x,
-                                targetY: hand.y,
-                                radius: 35,
-                                element: 'dark',
-                                owner: this
-                            };
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.25,
-                                x: hand.x,
-                                y: hand.y,
-                                targetX: this.target.x,
-                                targetY: this.target.y,
-                                speed: 250,
-                                element: 'dark',
-                                owner: this
-                            };
-                        }
-                    }
-                    
-                    if (this.patternData.hands >= 8) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            case 'necromanticRift':
-                // Portal that spawns homing projectiles
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.spawns = 0;
-                    this.patternData.riftX = (this.x + this.target.x) / 2;
-                    this.patternData.riftY = (this.y + this.target.y) / 2;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.4) {
-                        this.patternData.timer = 0;
-                        this.patternData.spawns++;
-                        
-                        // Spawn homing dark orb from rift
-                        this.trackingOrbs.push({
-                            x: this.patternData.riftX + (Math.random() - 0.5) * 40,
-                            y: this.patternData.riftY + (Math.random() - 0.5) * 40,
-                            vx: 0,
-                            vy: 0,
-                            speed: 160,
-                            damage: this.damage * 0.35,
-                            timer: 5,
-                            phase: 'tracking',
-                            lockRadius: 30,
-                            element: 'dark'
-                        });
-                        
-                        // Also fire regular projectile
-                        const angle = Math.random() * Math.PI * 2;
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.2,
-                            x: this.patternData.riftX,
-                            y: this.patternData.riftY,
-                            targetX: this.patternData.riftX + Math.cos(angle) * 300,
-                            targetY: this.patternData.riftY + Math.sin(angle) * 300,
-                            speed: 200,
-                            element: 'dark',
-                            owner: this
-                        };
-                        
-                        if (this.patternData.spawns >= 8) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-            
-            // NEW PROJECTILE PATTERNS
-            case 'waveProjectiles':
-                // Fire waves of projectiles that move in sine patterns
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.waves = this.patternData.waves || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.4) {
-                    this.patternData.timer = 0;
-                    this.patternData.waves++;
-                    
-                    // Fire a wave of 5 projectiles in an arc toward player
-                    const baseAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    for (let i = -2; i <= 2; i++) {
-                        const angle = baseAngle + i * 0.25;
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.35,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x + Math.cos(angle) * 400,
-                            targetY: this.y + Math.sin(angle) * 400,
-                            speed: 300 + Math.abs(i) * 30,
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.waves >= 5) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'scatterShot':
-                // Rapid burst of random-direction projectiles
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.shots = this.patternData.shots || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.03) {
-                    this.patternData.timer = 0;
-                    this.patternData.shots++;
-                    
-                    const baseAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    const spreadAngle = baseAngle + (Math.random() - 0.5) * 1.2;
-                    
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.2,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.x + Math.cos(spreadAngle) * 300,
-                        targetY: this.y + Math.sin(spreadAngle) * 300,
-                        speed: 350 + Math.random() * 150,
-                        owner: this
-                    };
-                    
-                    if (this.patternData.shots >= 40) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'ricochetBurst':
-                // Fire projectiles that create secondary projectiles
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.bursts = this.patternData.bursts || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.5) {
-                    this.patternData.timer = 0;
-                    this.patternData.bursts++;
-                    
-                    // Fire 6 projectiles in a hexagonal pattern
-                    for (let i = 0; i < 6; i++) {
-                        const angle = (i / 6) * Math.PI * 2;
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.5,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x + Math.cos(angle) * 250,
-                            targetY: this.y + Math.sin(angle) * 250,
-                            speed: 280,
-                            owner: this,
-                            splits: true
-                        };
-                    }
-                    
-                    if (this.patternData.bursts >= 4) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'arcingVolley':
-                // Fire arcing projectiles that fall toward player
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.volleys = this.patternData.volleys || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.6) {
-                    this.patternData.timer = 0;
-                    this.patternData.volleys++;
-                    
-                    // Fire 3 projectiles with different arcs
-                    for (let i = 0; i < 3; i++) {
-                        const offset = (i - 1) * 40;
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.6,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.target.x + offset,
-                            targetY: this.target.y,
-                            speed: 200,
-                            arc: true,
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.volleys >= 5) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'seekerMissiles':
-                // Fire slow but homing projectiles
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.missiles = this.patternData.missiles || 0;
-                
-                // Move while firing
-                const seekerAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                this.velocity.x = Math.cos(seekerAngle + Math.PI/2) * this.maxSpeed * 0.8;
-                this.velocity.y = Math.sin(seekerAngle + Math.PI/2) * this.maxSpeed * 0.8;
-                
-                if (this.patternData.timer > 0.4) {
-                    this.patternData.timer = 0;
-                    this.patternData.missiles++;
-                    
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.7,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.target.x,
-                        targetY: this.target.y,
-                        speed: 150,
-                        homing: true,
-                        owner: this
-                    };
-                    
-                    if (this.patternData.missiles >= 8) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'homingBarrage':
-                // Rapid fire homing projectiles
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.shots = this.patternData.shots || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.15) {
-                    this.patternData.timer = 0;
-                    this.patternData.shots++;
-                    
-                    const randomOffset = (Math.random() - 0.5) * Math.PI;
-                    const angle = Math.atan2(this.target.y - this.y, this.target.x - this.x) + randomOffset;
-                    
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.3,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.x + Math.cos(angle) * 100,
-                        targetY: this.y + Math.sin(angle) * 100,
-                        speed: 200,
-                        homing: true,
-                        owner: this
-                    };
-                    
-                    if (this.patternData.shots >= 20) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'novaBlast':
-                // Charge up then release expanding ring
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 1.5) {
-                    // Release the nova
-                    for (let i = 0; i < 24; i++) {
-                        const angle = (i / 24) * Math.PI * 2;
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.6,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.x + Math.cos(angle) * 400,
-                            targetY: this.y + Math.sin(angle) * 400,
-                            speed: 400,
-                            width: 16,
-                            height: 16,
-                            owner: this
-                        };
-                    }
-                    this.endBossPattern();
-                }
-                break;
-                
-            case 'chainLightning':
-                // Fire lightning that chains between positions
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.chains = this.patternData.chains || 0;
-                
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.3) {
-                    this.patternData.timer = 0;
-                    this.patternData.chains++;
-                    
-                    // Fire toward player with chain effect
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.5,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.target.x + (Math.random() - 0.5) * 80,
-                        targetY: this.target.y + (Math.random() - 0.5) * 80,
-                        speed: 500,
-                        element: 'lightning',
-                        owner: this
-                    };
-                    
-                    if (this.patternData.chains >= 10) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'spinSlash':
-                // Spin attack with ranged slashes
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.spins = this.patternData.spins || 0;
-                this.patternData.spinAngle = (this.patternData.spinAngle || 0) + dt * 8;
-                
-                // Spin in place
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.2) {
-                    this.patternData.timer = 0;
-                    this.patternData.spins++;
-                    
-                    // Fire slashes in spin direction
-                    for (let i = 0; i < 2; i++) {
-                        const angle = this.patternData.spinAngle + i * Math.PI;
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.6,
-                            x: this.x + Math.cos(angle) * 40,
-                            y: this.y + Math.sin(angle) * 40,
-                            targetX: this.x + Math.cos(angle) * 200,
-                            targetY: this.y + Math.sin(angle) * 200,
-                            speed: 350,
-                            width: 30,
-                            height: 10,
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.spins >= 12) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'annihilationBeam':
-                // Powerful sustained beam attack
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.beamTimer = (this.patternData.beamTimer || 0) + dt;
-                
-                // Track player slowly
-                const beamAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                this.facing.x = Math.cos(beamAngle);
-                this.facing.y = Math.sin(beamAngle);
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.beamTimer > 0.05) {
-                    this.patternData.beamTimer = 0;
-                    
-                    // Fire rapid beam projectiles
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.15,
-                        x: this.x,
-                        y: this.y,
-                        targetX: this.x + this.facing.x * 500,
-                        targetY: this.y + this.facing.y * 500,
-                        speed: 600,
-                        width: 20,
-                        height: 20,
-                        owner: this
-                    };
-                }
-                
-                if (this.patternData.timer >= 3) {
-                    this.endBossPattern();
-                }
-                break;
-                
-            case 'circleDashStrike':
-                // Dash in a circle around the player for style, then strike
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.phase = this.patternData.phase || 'start';
-                this.patternData.circleAngle = this.patternData.circleAngle || 0;
-                this.patternData.dashes = this.patternData.dashes || 0;
-                
-                if (this.patternData.phase === 'start') {
-                    // Calculate starting angle (position relative to player)
-                    const dx = this.x - this.target.x;
-                    const dy = this.y - this.target.y;
-                    this.patternData.circleAngle = Math.atan2(dy, dx);
-                    this.patternData.circleRadius = 180; // Circle around player at this distance
-                    this.patternData.phase = 'circling';
-                    this.isBossDashing = true;
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                } else if (this.patternData.phase === 'circling') {
-                    // Dash around the player in 4-6 quick dashes
-                    if (this.patternData.timer > 0.12) {
-                        this.patternData.timer = 0;
-                        this.patternData.dashes++;
-                        
-                        // Advance angle by 60-90 degrees per dash
-                        this.patternData.circleAngle += (Math.PI / 3) + (Math.random() * Math.PI / 6);
-                        
-                        // Calculate next position on circle
-                        const nextX = this.target.x + Math.cos(this.patternData.circleAngle) * this.patternData.circleRadius;
-                        const nextY = this.target.y + Math.sin(this.patternData.circleAngle) * this.patternData.circleRadius;
-                        
-                        // Add afterimage at current position
-                        this.bossDashTrail.push({
-                            x: this.x,
-                            y: this.y,
-                            alpha: 0.8,
-                            time: 0.3,
-                            color: this.color
-                        });
-                        
-                        // Teleport/dash to next position
-                        this.x = nextX;
-                        this.y = nextY;
-                        this.playDashSound = true;
-                        
-                        // Face the player during circling
-                        const toPlayerAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                        this.facing.x = Math.cos(toPlayerAngle);
-                        this.facing.y = Math.sin(toPlayerAngle);
-                        
-                        // After 5 dashes around, prepare to strike
-                        if (this.patternData.dashes >= 5) {
-                            this.patternData.phase = 'windUp';
-                            this.patternData.timer = 0;
-                        }
-                    }
-                } else if (this.patternData.phase === 'windUp') {
-                    // Brief pause before striking - telegraph
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    
-                    if (this.patternData.timer > 0.25) {
-                        this.patternData.phase = 'strike';
-                        this.patternData.timer = 0;
-                        // Lock target position
-                        this.patternData.strikeTarget = { x: this.target.x, y: this.target.y };
-                    }
-                } else if (this.patternData.phase === 'strike') {
-                    // Dash directly at the player
-                    const dx = this.patternData.strikeTarget.x - this.x;
-                    const dy = this.patternData.strikeTarget.y - this.y;
-                    const len = Math.sqrt(dx * dx + dy * dy);
-                    
-                    if (len > 30) {
-                        // Super fast dash towards player
-                        this.velocity.x = (dx / len) * this.maxSpeed * 10;
-                        this.velocity.y = (dy / len) * this.maxSpeed * 10;
-                        this.facing.x = dx / len;
-                        this.facing.y = dy / len;
-                        
-                        // Trail effect during strike dash
-                        if (Math.random() < 0.6) {
-                            this.bossDashTrail.push({
-                                x: this.x,
-                                y: this.y,
-                                alpha: 0.5,
-                                time: 0.2,
-                                color: '#ff4444'
-                            });
-                        }
-                    } else {
-                        // Arrived - powerful melee strike with knockback
-                        this.pendingAttack = {
-                            type: 'melee',
-                            damage: this.damage * 1.8,
-                            x: this.x,
-                            y: this.y,
-                            targetX: this.target.x,
-                            targetY: this.target.y,
-                            range: 80,
-                            knockback: 200,
-                            owner: this
-                        };
-                        this.isBossDashing = false;
-                        this.endBossPattern();
-                    }
-                }
-                break;
-            
-            // ========== NEW CREATIVE SPAWN PATTERNS ==========
-            // Projectiles that spawn from walls, floor, ceiling, geometric shapes
-            
-            case 'wallBarrage':
-                // Projectiles spawn from all four walls and fire inward
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.waves = this.patternData.waves || 0;
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.4) {
-                    this.patternData.timer = 0;
-                    this.patternData.waves++;
-                    
-                    const roomWidth = 600;
-                    const roomHeight = 450;
-                    const centerX = this.target.x;
-                    const centerY = this.target.y;
-                    
-                    // Spawn from each wall
-                    for (let i = 0; i < 5; i++) {
-                        const offset = (i - 2) * 60;
-                        // Top wall
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.3,
-                            x: centerX + offset, y: centerY - roomHeight/2,
-                            targetX: centerX + offset, targetY: centerY,
-                            speed: 300, owner: this
-                        };
-                        // Bottom wall
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.3,
-                            x: centerX + offset, y: centerY + roomHeight/2,
-                            targetX: centerX + offset, targetY: centerY,
-                            speed: 300, owner: this
-                        };
-                        // Left wall
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.3,
-                            x: centerX - roomWidth/2, y: centerY + offset,
-                            targetX: centerX, targetY: centerY + offset,
-                            speed: 300, owner: this
-                        };
-                        // Right wall
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.3,
-                            x: centerX + roomWidth/2, y: centerY + offset,
-                            targetX: centerX, targetY: centerY + offset,
-                            speed: 300, owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.waves >= 4) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'ceilingRain':
-                // Projectiles rain down from above in waves
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.drops = this.patternData.drops || 0;
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.08) {
-                    this.patternData.timer = 0;
-                    this.patternData.drops++;
-                    
-                    // Random x position above player area
-                    const spawnX = this.target.x + (Math.random() - 0.5) * 400;
-                    const spawnY = this.target.y - 300;
-                    
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.25,
-                        x: spawnX, y: spawnY,
-                        targetX: spawnX, targetY: spawnY + 600,
-                        speed: 350 + Math.random() * 150,
-                        owner: this
-                    };
-                    
-                    if (this.patternData.drops >= 50) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'floorEruption':
-                // Projectiles erupt from ground in lines
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.lines = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.3) {
-                        this.patternData.timer = 0;
-                        this.patternData.lines++;
-                        
-                        // Line of eruptions from boss toward player
-                        const angle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                        for (let i = 1; i <= 8; i++) {
-                            const dist = i * 50;
-                            const eruptX = this.x + Math.cos(angle) * dist;
-                            const eruptY = this.y + Math.sin(angle) * dist;
-                            
-                            // Projectile shoots upward from that point
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.35,
-                                x: eruptX, y: eruptY + 20,
-                                targetX: eruptX + (Math.random() - 0.5) * 60,
-                                targetY: eruptY - 150,
-                                speed: 250,
-                                owner: this
-                            };
-                        }
-                        
-                        if (this.patternData.lines >= 4) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-                
-            case 'pentagramStrike':
-                // Create a pentagram with projectiles at each point firing at player
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.points = [];
-                    
-                    // Calculate pentagram points around player
-                    for (let i = 0; i < 5; i++) {
-                        const angle = (i / 5) * Math.PI * 2 - Math.PI / 2;
-                        this.patternData.points.push({
-                            x: this.target.x + Math.cos(angle) * 180,
-                            y: this.target.y + Math.sin(angle) * 180
-                        });
-                    }
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.8) {
-                        // Fire from all 5 points toward player
-                        for (const point of this.patternData.points) {
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.5,
-                                x: point.x, y: point.y,
-                                targetX: this.target.x,
-                                targetY: this.target.y,
-                                speed: 400,
-                                owner: this
-                            };
-                        }
-                        // Also draw lines between points
-                        for (let i = 0; i < 5; i++) {
-                            const p1 = this.patternData.points[i];
-                            const p2 = this.patternData.points[(i + 2) % 5];
-                            const steps = 5;
-                            for (let s = 0; s < steps; s++) {
-                                const t = s / steps;
-                                this.pendingAttack = {
-                                    type: 'projectile',
-                                    damage: this.damage * 0.2,
-                                    x: p1.x + (p2.x - p1.x) * t,
-                                    y: p1.y + (p2.y - p1.y) * t,
-                                    targetX: this.target.x,
-                                    targetY: this.target.y,
-                                    speed: 200 + s * 40,
-                                    owner: this
-                                };
-                            }
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'hexagonalGrid':
-                // Hexagonal grid of projectiles forms then collapses
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.hexPoints = [];
-                    
-                    // Generate hexagonal grid around player
-                    const rings = 3;
-                    const spacing = 70;
-                    this.patternData.hexPoints.push({x: this.target.x, y: this.target.y});
-                    
-                    for (let ring = 1; ring <= rings; ring++) {
-                        for (let i = 0; i < 6 * ring; i++) {
-                            const segment = Math.floor(i / ring);
-                            const offset = i % ring;
-                            const angle = segment * Math.PI / 3;
-                            const cornerX = this.target.x + Math.cos(angle) * spacing * ring;
-                            const cornerY = this.target.y + Math.sin(angle) * spacing * ring;
-                            const nextAngle = (segment + 1) * Math.PI / 3;
-                            const nextX = this.target.x + Math.cos(nextAngle) * spacing * ring;
-                            const nextY = this.target.y + Math.sin(nextAngle) * spacing * ring;
-                            const t = offset / ring;
-                            this.patternData.hexPoints.push({
-                                x: cornerX + (nextX - cornerX) * t,
-                                y: cornerY + (nextY - cornerY) * t
-                            });
-                        }
-                    }
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 1.2) {
-                        // Fire all hex points toward player
-                        for (const point of this.patternData.hexPoints) {
-                            const dist = Math.sqrt((point.x - this.target.x)**2 + (point.y - this.target.y)**2);
-                            if (dist > 20) { // Skip center point
-                                this.pendingAttack = {
-                                    type: 'projectile',
-                                    damage: this.damage * 0.25,
-                                    x: point.x, y: point.y,
-                                    targetX: this.target.x,
-                                    targetY: this.target.y,
-                                    speed: 280,
-                                    owner: this
-                                };
-                            }
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'spiralGalaxy':
-                // Two spiral arms of projectiles rotating outward
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.angle = (this.patternData.angle || 0);
-                this.patternData.shots = this.patternData.shots || 0;
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.04) {
-                    this.patternData.timer = 0;
-                    this.patternData.shots++;
-                    this.patternData.angle += 0.12;
-                    
-                    // Two spiral arms
-                    for (let arm = 0; arm < 2; arm++) {
-                        const armAngle = this.patternData.angle + arm * Math.PI;
-                        const spawnDist = 40 + this.patternData.shots * 2;
-                        const spawnX = this.x + Math.cos(armAngle) * spawnDist;
-                        const spawnY = this.y + Math.sin(armAngle) * spawnDist;
-                        
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.2,
-                            x: spawnX, y: spawnY,
-                            targetX: spawnX + Math.cos(armAngle) * 200,
-                            targetY: spawnY + Math.sin(armAngle) * 200,
-                            speed: 180,
-                            owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.shots >= 80) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'cornerTrap':
-                // Projectiles spawn from corners and converge on player
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.waves = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.5) {
-                        this.patternData.timer = 0;
-                        this.patternData.waves++;
-                        
-                        // 4 corners around player
-                        const corners = [
-                            {x: this.target.x - 250, y: this.target.y - 200},
-                            {x: this.target.x + 250, y: this.target.y - 200},
-                            {x: this.target.x - 250, y: this.target.y + 200},
-                            {x: this.target.x + 250, y: this.target.y + 200}
-                        ];
-                        
-                        for (const corner of corners) {
-                            // Fan of projectiles from each corner
-                            for (let i = 0; i < 3; i++) {
-                                const spread = (i - 1) * 0.15;
-                                const angle = Math.atan2(this.target.y - corner.y, this.target.x - corner.x) + spread;
-                                this.pendingAttack = {
-                                    type: 'projectile',
-                                    damage: this.damage * 0.3,
-                                    x: corner.x, y: corner.y,
-                                    targetX: corner.x + Math.cos(angle) * 400,
-                                    targetY: corner.y + Math.sin(angle) * 400,
-                                    speed: 350,
-                                    owner: this
-                                };
-                            }
-                        }
-                        
-                        if (this.patternData.waves >= 5) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-                
-            case 'zigzagVolley':
-                // Projectiles that move in zigzag patterns
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.volleys = this.patternData.volleys || 0;
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.15) {
-                    this.patternData.timer = 0;
-                    this.patternData.volleys++;
-                    
-                    const baseAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    const zigzag = Math.sin(this.patternData.volleys * 0.5) * 0.4;
-                    
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.35,
-                        x: this.x, y: this.y,
-                        targetX: this.x + Math.cos(baseAngle + zigzag) * 400,
-                        targetY: this.y + Math.sin(baseAngle + zigzag) * 400,
-                        speed: 320,
-                        owner: this
-                    };
-                    
-                    if (this.patternData.volleys >= 25) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'orbitalBombardment':
-                // Projectiles orbit boss then launch outward
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.orbiters = [];
-                    
-                    // Create orbiting projectiles
-                    for (let i = 0; i < 12; i++) {
-                        this.patternData.orbiters.push({
-                            angle: (i / 12) * Math.PI * 2,
-                            radius: 100,
-                            launched: false
-                        });
-                    }
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    // Orbit phase - rotate projectiles
-                    for (const orb of this.patternData.orbiters) {
-                        orb.angle += dt * 4;
-                    }
-                    
-                    if (this.patternData.timer > 1.5) {
-                        // Launch all toward player!
-                        for (const orb of this.patternData.orbiters) {
-                            if (!orb.launched) {
-                                orb.launched = true;
-                                const orbX = this.x + Math.cos(orb.angle) * orb.radius;
-                                const orbY = this.y + Math.sin(orb.angle) * orb.radius;
-                                
-                                this.pendingAttack = {
-                                    type: 'projectile',
-                                    damage: this.damage * 0.4,
-                                    x: orbX, y: orbY,
-                                    targetX: this.target.x,
-                                    targetY: this.target.y,
-                                    speed: 400,
-                                    owner: this
-                                };
-                            }
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'convergeExpand':
-                // Projectiles converge to point then explode outward
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.centerX = (this.x + this.target.x) / 2;
-                    this.patternData.centerY = (this.y + this.target.y) / 2;
-                    
-                    // Fire converging projectiles
-                    for (let i = 0; i < 16; i++) {
-                        const angle = (i / 16) * Math.PI * 2;
-                        const spawnDist = 200;
-                        this.pendingAttack = {
-                            type: 'projectile',
-                            damage: this.damage * 0.25,
-                            x: this.patternData.centerX + Math.cos(angle) * spawnDist,
-                            y: this.patternData.centerY + Math.sin(angle) * spawnDist,
-                            targetX: this.patternData.centerX,
-                            targetY: this.patternData.centerY,
-                            speed: 200,
-                            owner: this
-                        };
-                    }
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 1.0) {
-                        // Explosion outward from center
-                        for (let i = 0; i < 24; i++) {
-                            const angle = (i / 24) * Math.PI * 2;
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.3,
-                                x: this.patternData.centerX,
-                                y: this.patternData.centerY,
-                                targetX: this.patternData.centerX + Math.cos(angle) * 400,
-                                targetY: this.patternData.centerY + Math.sin(angle) * 400,
-                                speed: 350,
-                                owner: this
-                            };
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'diamondCage':
-                // Diamond shape forms around player then fires inward
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.fired = false;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 1.0 && !this.patternData.fired) {
-                        this.patternData.fired = true;
-                        
-                        // Diamond points
-                        const dist = 180;
-                        const points = [
-                            {x: this.target.x, y: this.target.y - dist}, // Top
-                            {x: this.target.x + dist, y: this.target.y}, // Right
-                            {x: this.target.x, y: this.target.y + dist}, // Bottom
-                            {x: this.target.x - dist, y: this.target.y}  // Left
-                        ];
-                        
-                        // Fire from each edge of diamond
-                        for (let i = 0; i < 4; i++) {
-                            const p1 = points[i];
-                            const p2 = points[(i + 1) % 4];
-                            for (let t = 0; t <= 1; t += 0.2) {
-                                const px = p1.x + (p2.x - p1.x) * t;
-                                const py = p1.y + (p2.y - p1.y) * t;
-                                this.pendingAttack = {
-                                    type: 'projectile',
-                                    damage: this.damage * 0.3,
-                                    x: px, y: py,
-                                    targetX: this.target.x,
-                                    targetY: this.target.y,
-                                    speed: 300,
-                                    owner: this
-                                };
-                            }
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'starBurst':
-                // 8-pointed star pattern radiating from boss
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.bursts = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.2) {
-                        this.patternData.timer = 0;
-                        this.patternData.bursts++;
-                        
-                        // 8 directions + 8 diagonal for star effect
-                        for (let i = 0; i < 16; i++) {
-                            const angle = (i / 16) * Math.PI * 2;
-                            // Alternate long/short rays for star shape
-                            const rayLength = i % 2 === 0 ? 400 : 250;
-                            const speed = i % 2 === 0 ? 350 : 250;
-                            
-                            this.pendingAttack = {
-                                type: 'projectile',
-                                damage: this.damage * 0.25,
-                                x: this.x, y: this.y,
-                                targetX: this.x + Math.cos(angle) * rayLength,
-                                targetY: this.y + Math.sin(angle) * rayLength,
-                                speed: speed,
-                                owner: this
-                            };
-                        }
-                        
-                        if (this.patternData.bursts >= 4) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-                
-            case 'crossfireTrap':
-                // Projectiles from left/right then top/bottom in sequence
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.phase = 'horizontal';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.6) {
-                        this.patternData.timer = 0;
-                        
-                        if (this.patternData.phase === 'horizontal') {
-                            // Fire from left and right
-                            for (let i = 0; i < 8; i++) {
-                                const offset = (i - 3.5) * 30;
-                                // From left
-                                this.pendingAttack = {
-                                    type: 'projectile', damage: this.damage * 0.3,
-                                    x: this.target.x - 300, y: this.target.y + offset,
-                                    targetX: this.target.x + 300, targetY: this.target.y + offset,
-                                    speed: 400, owner: this
-                                };
-                                // From right
-                                this.pendingAttack = {
-                                    type: 'projectile', damage: this.damage * 0.3,
-                                    x: this.target.x + 300, y: this.target.y + offset,
-                                    targetX: this.target.x - 300, targetY: this.target.y + offset,
-                                    speed: 400, owner: this
-                                };
-                            }
-                            this.patternData.phase = 'vertical';
-                        } else {
-                            // Fire from top and bottom
-                            for (let i = 0; i < 8; i++) {
-                                const offset = (i - 3.5) * 30;
-                                // From top
-                                this.pendingAttack = {
-                                    type: 'projectile', damage: this.damage * 0.3,
-                                    x: this.target.x + offset, y: this.target.y - 250,
-                                    targetX: this.target.x + offset, targetY: this.target.y + 250,
-                                    speed: 400, owner: this
-                                };
-                                // From bottom
-                                this.pendingAttack = {
-                                    type: 'projectile', damage: this.damage * 0.3,
-                                    x: this.target.x + offset, y: this.target.y + 250,
-                                    targetX: this.target.x + offset, targetY: this.target.y - 250,
-                                    speed: 400, owner: this
-                                };
-                            }
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-                
-            case 'clockworkSpiral':
-                // Clock-like spiral with projectiles at "hours"
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.hour = this.patternData.hour || 0;
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.15) {
-                    this.patternData.timer = 0;
-                    this.patternData.hour++;
-                    
-                    const hourAngle = ((this.patternData.hour % 12) / 12) * Math.PI * 2 - Math.PI / 2;
-                    const handLength = 150;
-                    const handEndX = this.x + Math.cos(hourAngle) * handLength;
-                    const handEndY = this.y + Math.sin(hourAngle) * handLength;
-                    
-                    // Fire from hand end toward player
-                    this.pendingAttack = {
-                        type: 'projectile',
-                        damage: this.damage * 0.35,
-                        x: handEndX, y: handEndY,
-                        targetX: this.target.x,
-                        targetY: this.target.y,
-                        speed: 350,
-                        owner: this
-                    };
-                    
-                    if (this.patternData.hour >= 36) { // 3 full rotations
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'mirrorImage':
-                // Projectiles from boss mirrored on opposite side
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.shots = this.patternData.shots || 0;
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.12) {
-                    this.patternData.timer = 0;
-                    this.patternData.shots++;
-                    
-                    const baseAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                    const spread = (Math.random() - 0.5) * 0.6;
-                    
-                    // Original shot
-                    this.pendingAttack = {
-                        type: 'projectile', damage: this.damage * 0.3,
-                        x: this.x, y: this.y,
-                        targetX: this.x + Math.cos(baseAngle + spread) * 300,
-                        targetY: this.y + Math.sin(baseAngle + spread) * 300,
-                        speed: 300, owner: this
-                    };
-                    
-                    // Mirror shot from opposite side
-                    const mirrorX = this.target.x * 2 - this.x;
-                    const mirrorY = this.target.y * 2 - this.y;
-                    const mirrorAngle = Math.atan2(this.target.y - mirrorY, this.target.x - mirrorX);
-                    
-                    this.pendingAttack = {
-                        type: 'projectile', damage: this.damage * 0.3,
-                        x: mirrorX, y: mirrorY,
-                        targetX: mirrorX + Math.cos(mirrorAngle + spread) * 300,
-                        targetY: mirrorY + Math.sin(mirrorAngle + spread) * 300,
-                        speed: 300, owner: this
-                    };
-                    
-                    if (this.patternData.shots >= 20) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'pulseWave':
-                // Expanding pulse rings from boss
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.pulses = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.4) {
-                        this.patternData.timer = 0;
-                        this.patternData.pulses++;
-                        
-                        // Expanding ring of projectiles
-                        const count = 16 + this.patternData.pulses * 4;
-                        const rotOffset = this.patternData.pulses * 0.1;
-                        
-                        for (let i = 0; i < count; i++) {
-                            const angle = (i / count) * Math.PI * 2 + rotOffset;
-                            this.pendingAttack = {
-                                type: 'projectile', damage: this.damage * 0.25,
-                                x: this.x, y: this.y,
-                                targetX: this.x + Math.cos(angle) * 400,
-                                targetY: this.y + Math.sin(angle) * 400,
-                                speed: 200 + this.patternData.pulses * 30,
-                                owner: this
-                            };
-                        }
-                        
-                        if (this.patternData.pulses >= 5) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-                
-            case 'snakePattern':
-                // Wavy snake-like stream of projectiles
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.segments = this.patternData.segments || 0;
-                this.patternData.baseAngle = this.patternData.baseAngle ?? Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.06) {
-                    this.patternData.timer = 0;
-                    this.patternData.segments++;
-                    
-                    const wave = Math.sin(this.patternData.segments * 0.3) * 0.5;
-                    const angle = this.patternData.baseAngle + wave;
-                    
-                    this.pendingAttack = {
-                        type: 'projectile', damage: this.damage * 0.25,
-                        x: this.x, y: this.y,
-                        targetX: this.x + Math.cos(angle) * 400,
-                        targetY: this.y + Math.sin(angle) * 400,
-                        speed: 280, owner: this
-                    };
-                    
-                    if (this.patternData.segments >= 50) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'vortexSuck':
-                // Create vortex at player position that pulls then explodes
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.vortexX = this.target.x;
-                    this.patternData.vortexY = this.target.y;
-                    this.showTelegraph = true;
-                    this.telegraphRadius = 100;
-                    this.telegraphColor = 'rgba(100, 0, 150, 0.4)';
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    this.telegraphRadius = 100 - this.patternData.timer * 50;
-                    
-                    if (this.patternData.timer > 1.5) {
-                        this.showTelegraph = false;
-                        
-                        // Explosion from vortex center
-                        for (let i = 0; i < 20; i++) {
-                            const angle = (i / 20) * Math.PI * 2;
-                            this.pendingAttack = {
-                                type: 'projectile', damage: this.damage * 0.35,
-                                x: this.patternData.vortexX,
-                                y: this.patternData.vortexY,
-                                targetX: this.patternData.vortexX + Math.cos(angle) * 400,
-                                targetY: this.patternData.vortexY + Math.sin(angle) * 400,
-                                speed: 350, owner: this
-                            };
-                        }
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'encircle':
-                // Ring of projectiles forms around player then tightens
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.radius = 200;
-                    this.patternData.waves = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.5) {
-                        this.patternData.timer = 0;
-                        this.patternData.waves++;
-                        this.patternData.radius -= 30;
-                        
-                        // Ring of projectiles at current radius
-                        for (let i = 0; i < 16; i++) {
-                            const angle = (i / 16) * Math.PI * 2;
-                            const spawnX = this.target.x + Math.cos(angle) * this.patternData.radius;
-                            const spawnY = this.target.y + Math.sin(angle) * this.patternData.radius;
-                            
-                            this.pendingAttack = {
-                                type: 'projectile', damage: this.damage * 0.3,
-                                x: spawnX, y: spawnY,
-                                targetX: this.target.x,
-                                targetY: this.target.y,
-                                speed: 200, owner: this
-                            };
-                        }
-                        
-                        if (this.patternData.waves >= 5 || this.patternData.radius <= 50) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-                
-            case 'sineWave':
-                // Horizontal sine wave of projectiles
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.shots = this.patternData.shots || 0;
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.08) {
-                    this.patternData.timer = 0;
-                    this.patternData.shots++;
-                    
-                    // Fire from left, projectile moves right with sine wave Y
-                    const startY = this.y + Math.sin(this.patternData.shots * 0.4) * 80;
-                    
-                    this.pendingAttack = {
-                        type: 'projectile', damage: this.damage * 0.3,
-                        x: this.x - 50, y: startY,
-                        targetX: this.x + 400, targetY: startY,
-                        speed: 300, owner: this
-                    };
-                    
-                    if (this.patternData.shots >= 40) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'triangleFormation':
-                // Triangle of projectiles that rotate and fire
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.rotation = 0;
-                    this.patternData.volleys = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    this.patternData.rotation += dt * 2;
-                    
-                    if (this.patternData.timer > 0.3) {
-                        this.patternData.timer = 0;
-                        this.patternData.volleys++;
-                        
-                        // Three points of triangle
-                        for (let i = 0; i < 3; i++) {
-                            const angle = this.patternData.rotation + (i / 3) * Math.PI * 2;
-                            const pointX = this.x + Math.cos(angle) * 120;
-                            const pointY = this.y + Math.sin(angle) * 120;
-                            
-                            // Fire toward player from each triangle point
-                            const toPlayer = Math.atan2(this.target.y - pointY, this.target.x - pointX);
-                            this.pendingAttack = {
-                                type: 'projectile', damage: this.damage * 0.35,
-                                x: pointX, y: pointY,
-                                targetX: pointX + Math.cos(toPlayer) * 300,
-                                targetY: pointY + Math.sin(toPlayer) * 300,
-                                speed: 320, owner: this
-                            };
-                        }
-                        
-                        if (this.patternData.volleys >= 10) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-                
-            case 'pillarsOfDoom':
-                // Vertical pillars of projectiles sweep across arena
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.pillarX = this.x - 200;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.15) {
-                        this.patternData.timer = 0;
-                        this.patternData.pillarX += 40;
-                        
-                        // Vertical line of projectiles at pillarX
-                        for (let i = -4; i <= 4; i++) {
-                            const y = this.y + i * 40;
-                            this.pendingAttack = {
-                                type: 'projectile', damage: this.damage * 0.25,
-                                x: this.patternData.pillarX, y: y - 200,
-                                targetX: this.patternData.pillarX, targetY: y + 200,
-                                speed: 350, owner: this
-                            };
-                        }
-                        
-                        if (this.patternData.pillarX > this.x + 200) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-                
-            case 'chaosOrbs':
-                // Random projectiles spawning all around
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.orbs = this.patternData.orbs || 0;
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.1) {
-                    this.patternData.timer = 0;
-                    this.patternData.orbs++;
-                    
-                    // Random spawn point around player
-                    const spawnAngle = Math.random() * Math.PI * 2;
-                    const spawnDist = 150 + Math.random() * 100;
-                    const spawnX = this.target.x + Math.cos(spawnAngle) * spawnDist;
-                    const spawnY = this.target.y + Math.sin(spawnAngle) * spawnDist;
-                    
-                    // Fire toward player
-                    this.pendingAttack = {
-                        type: 'projectile', damage: this.damage * 0.3,
-                        x: spawnX, y: spawnY,
-                        targetX: this.target.x + (Math.random() - 0.5) * 60,
-                        targetY: this.target.y + (Math.random() - 0.5) * 60,
-                        speed: 250 + Math.random() * 150,
-                        owner: this
-                    };
-                    
-                    if (this.patternData.orbs >= 30) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'laserFence':
-                // Create laser fence lines that sweep across
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.lines = 0;
-                    this.patternData.horizontal = Math.random() > 0.5;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.3) {
-                        this.patternData.timer = 0;
-                        this.patternData.lines++;
-                        
-                        // Create line of projectiles
-                        if (this.patternData.horizontal) {
-                            const y = this.target.y + (this.patternData.lines % 2 === 0 ? -100 : 100);
-                            for (let x = -250; x <= 250; x += 30) {
-                                this.pendingAttack = {
-                                    type: 'projectile', damage: this.damage * 0.2,
-                                    x: this.target.x + x, y: y,
-                                    targetX: this.target.x + x, 
-                                    targetY: this.target.y + (this.patternData.lines % 2 === 0 ? 200 : -200),
-                                    speed: 300, owner: this
-                                };
-                            }
-                        } else {
-                            const x = this.target.x + (this.patternData.lines % 2 === 0 ? -100 : 100);
-                            for (let y = -200; y <= 200; y += 30) {
-                                this.pendingAttack = {
-                                    type: 'projectile', damage: this.damage * 0.2,
-                                    x: x, y: this.target.y + y,
-                                    targetX: this.target.x + (this.patternData.lines % 2 === 0 ? 200 : -200),
-                                    targetY: this.target.y + y,
-                                    speed: 300, owner: this
-                                };
-                            }
-                        }
-                        
-                        if (this.patternData.lines >= 6) {
-                            this.endBossPattern();
-                        }
-                    }
-                }
-                break;
-                
-            case 'galaxyArms':
-                // 4 spiral arms like a galaxy
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.angle = (this.patternData.angle || 0);
-                this.patternData.shots = this.patternData.shots || 0;
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-                
-                if (this.patternData.timer > 0.05) {
-                    this.patternData.timer = 0;
-                    this.patternData.shots++;
-                    this.patternData.angle += 0.1;
-                    
-                    // 4 arms
-                    for (let arm = 0; arm < 4; arm++) {
-                        const armAngle = this.patternData.angle + arm * Math.PI / 2;
-                        this.pendingAttack = {
-                            type: 'projectile', damage: this.damage * 0.2,
-                            x: this.x, y: this.y,
-                            targetX: this.x + Math.cos(armAngle) * 400,
-                            targetY: this.y + Math.sin(armAngle) * 400,
-                            speed: 220, owner: this
-                        };
-                    }
-                    
-                    if (this.patternData.shots >= 60) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'arrowRain':
-                // Arrows rain from multiple angles
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.arrows = this.patternData.arrows || 0;
-                this.patternData.angle = this.patternData.angle ?? -Math.PI / 4;
-                this.velocity.x = 0;
-                this.velocity.y = 0;
+            const orb = this.trackingOrbs[i];
+            orb.timer -= dt;
+            
+            if (orb.phase === 'tracking' && this.target) {
+                // Track player
+                const dx = this.target.x - orb.x;
+                const dy = this.target.y - orb.y;
+                const dist = Math.sqrt(dx * dx + dy * dy);
                 
-                if (this.patternData.timer > 0.08) {
-                    this.patternData.timer = 0;
-                    this.patternData.arrows++;
-                    
-                    // Arrows come from angle above
-                    const spawnDist = 300;
-                    const spawnX = this.target.x + Math.cos(this.patternData.angle) * spawnDist + (Math.random() - 0.5) * 100;
-                    const spawnY = this.target.y + Math.sin(this.patternData.angle) * spawnDist;
-                    
+                if (dist > orb.lockRadius) {
+                    // Still tracking
+                    orb.x += (dx / dist) * orb.speed * dt;
+                    orb.y += (dy / dist) * orb.speed * dt;
+                } else {
+                    // Lock direction and stop tracking
+                    orb.phase = 'locked';
+                    orb.vx = (dx / dist) * orb.speed * 1.5;
+                    orb.vy = (dy / dist) * orb.speed * 1.5;
+                }
+            } else if (orb.phase === 'locked') {
+                // Move in locked direction
+                orb.x += orb.vx * dt;
+                orb.y += orb.vy * dt;
+            }
+            
+            // Check collision with player
+            if (this.target) {
+                const dist = Math.sqrt((orb.x - this.target.x) ** 2 + (orb.y - this.target.y) ** 2);
+                if (dist < 20) {
+                    // Hit player
                     this.pendingAttack = {
-                        type: 'projectile', damage: this.damage * 0.3,
-                        x: spawnX, y: spawnY,
-                        targetX: this.target.x + (Math.random() - 0.5) * 80,
-                        targetY: this.target.y + (Math.random() - 0.5) * 80,
-                        speed: 400, owner: this
+                        type: 'direct',
+                        damage: orb.damage,
+                        target: this.target,
+                        owner: this
                     };
-                    
-                    // Slowly sweep angle
-                    this.patternData.angle += 0.02;
-                    
-                    if (this.patternData.arrows >= 40) {
-                        this.endBossPattern();
-                    }
+                    this.trackingOrbs.splice(i, 1);
+                    continue;
                 }
-                break;
-                
-            case 'pinwheel':
-                // Rotating pinwheel pattern
-                this.patternData.timer = (this.patternData.timer || 0) + dt;
-                this.patternData.rotation = (this.patternData.rotation || 0) + dt * 3;
-                this.patternData.shots = this.patternData.shots || 0;
-                this.velocity.x = 0;
-                this.velocity.y = 0;
+            }
+            
+            // Remove if expired
+            if (orb.timer <= 0) {
+                this.trackingOrbs.splice(i, 1);
+            }
+        }
+    }
+    
+    // Lightning zone system for Pharaoh
+    updateLightningZones(dt) {
+        if (!this.lightningZones) this.lightningZones = [];
+        
+        for (let i = this.lightningZones.length - 1; i >= 0; i--) {
+            const zone = this.lightningZones[i];
+            zone.timer -= dt;
+            
+            if (zone.timer <= 0 && !zone.struck) {
+                // STRIKE! Deal damage if player is still in zone
+                zone.struck = true;
+                zone.strikeTime = 0.3; // Visual duration of strike
                 
-                if (this.patternData.timer > 0.08) {
-                    this.patternData.timer = 0;
-                    this.patternData.shots++;
-                    
-                    // 6 blades of pinwheel
-                    for (let blade = 0; blade < 6; blade++) {
-                        const bladeAngle = this.patternData.rotation + blade * Math.PI / 3;
-                        // Each blade fires curved
-                        const curveOffset = Math.sin(this.patternData.shots * 0.3) * 0.3;
-                        
+                if (this.target) {
+                    const dist = Math.sqrt((zone.x - this.target.x) ** 2 + (zone.y - this.target.y) ** 2);
+                    if (dist < zone.radius) {
                         this.pendingAttack = {
-                            type: 'projectile', damage: this.damage * 0.2,
-                            x: this.x, y: this.y,
-                            targetX: this.x + Math.cos(bladeAngle + curveOffset) * 350,
-                            targetY: this.y + Math.sin(bladeAngle + curveOffset) * 350,
-                            speed: 250, owner: this
+                            type: 'direct',
+                            damage: this.damage * 1.5,
+                            target: this.target,
+                            element: 'lightning',
+                            owner: this
                         };
                     }
-                    
-                    if (this.patternData.shots >= 40) {
-                        this.endBossPattern();
-                    }
-                }
-                break;
-                
-            case 'checkerboard':
-                // Checkerboard pattern of projectiles
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.phase = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.6) {
-                        this.patternData.timer = 0;
-                        this.patternData.phase++;
-                        
-                        // Checkerboard - alternate squares
-                        const gridSize = 60;
-                        const offset = this.patternData.phase % 2;
-                        
-                        for (let gx = -3; gx <= 3; gx++) {
-                            for (let gy = -3; gy <= 3; gy++) {
-                                if ((gx + gy + offset) % 2 === 0) {
-                                    const px = this.target.x + gx * gridSize;
-                                    const py = this.target.y + gy * gridSize;
-                                    
-                                    this.pendingAttack = {
-                                        type: 'aoe', damage: this.damage * 0.35,
-                                        x: px, y: py, targetX: px, targetY: py,
-                                        radius: 25, duration: 0.3, owner: this
-                                    };
-                                }
-                            }
-                        }
-                        
-                        if (this.patternData.phase >= 4) {
-                            this.endBossPattern();
-                        }
-                    }
                 }
-                break;
-                
-            case 'crescentMoon':
-                // Crescent-shaped projectile wave
-                if (this.patternStep === 0) {
-                    this.velocity.x = 0;
-                    this.velocity.y = 0;
-                    this.patternData.timer = 0;
-                    this.patternData.waves = 0;
-                    this.patternStep = 1;
-                } else if (this.patternStep === 1) {
-                    this.patternData.timer += dt;
-                    
-                    if (this.patternData.timer > 0.5) {
-                        this.patternData.timer = 0;
-                        this.patternData.waves++;
-                        
-                        const baseAngle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
-                        
-                        // Crescent shape - arc of projectiles
-                        for (let i = 0; i < 9; i++) {
-                            const arcAngle = baseAngle + (i - 4) * 0.15;
-                            // Varying distance for crescent shape
-                            const dist = 60 + Math.abs(i - 4) * 10;
-                            const startX = this.x + Math.cos(arcAngle) * dist;
-                            const startY = this.y + Math.sin(arcAngle) * dist;
-                            
-                            this.pendingAttack = {
-                                type: 'projectile', damage: this.damage * 0.3,
-                                x: startX, y: startY,
-                                targetX: startX + Math.cos(arcAngle) * 300,
-                                targetY: startY + Math.sin(arcAngle) * 300,
-                                speed: 280, owner: this
-                            };
-                        }
-                        
-                        if (this.patternData.waves >= 5) {
-                            this.endBossPattern();
-                        }
-                    }
+            }
+            
+            if (zone.struck) {
+                zone.strikeTime -= dt;
+                if (zone.strikeTime <= 0) {
+                    this.lightningZones.splice(i, 1);
                 }
-                break;
-                
-            default:
-                this.endBossPattern();
+            }
+        }
+    }
+    
+    // Spawn a lightning warning zone at target location
+    spawnLightningZone(x, y, delay = 0.5, radius = 60) {
+        if (!this.lightningZones) this.lightningZones = [];
+        this.lightningZones.push({
+            x: x,
+            y: y,
+            radius: radius,
+            timer: delay,
+            struck: false
+        });
+    }
+    
+    // Minion spawning system
+    updateMinionSpawning(dt) {
+        if (!this.isBoss) return;
+        
+        this.minionSpawnTimer += dt;
+        
+        // Clean up dead minions
+        this.activeMinions = this.activeMinions.filter(m => m && m.active && m.health > 0);
+        
+        // Spawn minions periodically
+        if (this.minionSpawnTimer >= this.minionSpawnInterval && this.activeMinions.length < this.maxMinions) {
+            this.minionSpawnTimer = 0;
+            this.shouldSpawnMinion = true; // Flag for Game.js to handle
+        }
+    }
+    
+    // Get minion type based on boss
+    getMinionType() {
+        if (this.enemyType === 'pharaoh' || this.name === 'Pharaoh') return 'mummy';
+        if (this.enemyType === 'cerberus' || this.name === 'Cerberus') return 'hellhound';
+        if (this.enemyType === 'queenSpider' || this.name === 'Spider Queen') return 'venomSpider';
+        if (this.enemyType === 'archangel' || this.name === 'Archangel') return 'pureSpirit';
+        if (this.enemyType === 'masterAI' || this.name === 'Master A.I.') return 'securityDrone';
+        if (this.enemyType === 'ancientGolem' || this.name === 'Ancient Golem') return 'golem';
+        return 'skeleton';
+    }
+    
+    // Trigger phase transition with mob spawn and heal
+    triggerPhaseTransition(newPhase) {
+        this.bossPhase = newPhase;
+        this.bossStage = newPhase; // Sync stage with phase
+        this.isHealingPhase = true;
+        this.healingMinions = [];
+        this.healRate = this.maxHealth * 0.02; // 2% max health per second while minions alive
+        
+        // Track unlocked phases for progressive move unlocking
+        if (!this.unlockedPhases) {
+            this.unlockedPhases = [1]; // Phase 1 always unlocked
+        }
+        if (!this.unlockedPhases.includes(newPhase)) {
+            this.unlockedPhases.push(newPhase);
+        }
+        
+        // Heal to full health on phase transition
+        this.health = this.maxHealth;
+        
+        // Spawn 10 minions around the boss
+        this.pendingMobSpawn = {
+            count: 10,
+            type: this.getMinionType(),
+            phase: newPhase
+        };
+        
+        // Visual and audio feedback
+        this.phaseTransitionTimer = 2.0; // Invulnerable for 2 seconds during transition
+        this.invulnerable = true;
+        this.invulnerabilityTime = 2.0;
+    }
+    
+    // Update healing phase - boss heals while minions are alive
+    updateHealingPhase(dt) {
+        if (!this.isHealingPhase) return;
+        
+        // Check if healing minions are still alive
+        this.healingMinions = this.healingMinions.filter(m => m && m.active && m.health > 0);
+        
+        // Heal while minions alive
+        if (this.healingMinions.length > 0) {
+            const healAmount = this.healRate * dt * (this.healingMinions.length / 10);
+            this.health = Math.min(this.maxHealth, this.health + healAmount);
+            
+            // Visual effect - green healing particles
+            this.showHealingEffect = true;
+        } else {
+            // All minions dead - stop healing
+            this.isHealingPhase = false;
+            this.showHealingEffect = false;
+        }
+    }
+    
+    // Register a healing minion
+    addHealingMinion(minion) {
+        if (this.isHealingPhase) {
+            this.healingMinions.push(minion);
         }
     }
     
+    // Patterns are data - BossPatterns.js runs the current one a frame at a time
+    executeBossPattern(dt) {
+        runBossPattern(this, dt);
+    }
+    
     endBossPattern() {
         this.currentPattern = null;
         this.patternStep = 0;
         this.patternData = {};
         this.attackTimer = 0.4; // Very brief pause - bosses are relentless
         this.idleTimer = 0; // Reset idle timer
+        
+        // Clear anything a pattern left on screen (it may have been cut off mid-stage)
+        this.showTelegraph = false;
+        this.showRingIndicator = false;
+        this.isBossDashing = false;
+        this.shadowCloneActive = false;
+        this.shadowClones = [];
     }
     
     doBossDodge() {
@@ -6955,9 +1014,22 @@ export class Enemy extends Entity {
     }
     
     moveTowards(target, dt) {
-        const angle = this.angleTo(target);
-        const dx = Math.cos(angle);
-        const dy = Math.sin(angle);
+        let dx, dy;
+        if (this.pathfinder) {
+            // Route around walls; stop if there's no way through
+            const direction = this.pathfinder.getDirection(this, target);
+            if (!direction) {
+                this.velocity.x = 0;
+                this.velocity.y = 0;
+                return;
+            }
+            dx = direction.x;
+            dy = direction.y;
+        } else {
+            const angle = this.angleTo(target);
+            dx = Math.cos(angle);
+            dy = Math.sin(angle);
+        }
         
         this.facing = { x: dx, y: dy };
         this.velocity.x = dx * this.maxSpeed;
@@ -6969,18 +1041,18 @@ export class Enemy extends Entity {
         
         if (this.pathTimer <= 0 || !this.wanderTarget) {
             // Pick new wander target - more frequently and further
-            const angle = Math.random() * Math.PI * 2;
-            const dist = 50 + Math.random() * (this.maxWanderDistance || 150);
+            const angle = RNG.ai.next() * Math.PI * 2;
+            const dist = 50 + RNG.ai.next() * (this.maxWanderDistance || 150);
             
             this.wanderTarget = {
                 x: this.homePosition.x + Math.cos(angle) * dist,
                 y: this.homePosition.y + Math.sin(angle) * dist
             };
-            this.pathTimer = Utils.random(1, 3); // Faster wandering decisions
+            this.pathTimer = Utils.random(1, 3, 'ai'); // Faster wandering decisions
             
             // Occasional idle dash while wandering
-            if (this.mobDashCooldown <= 0 && Math.random() < 0.1) {
-                const dashDist = 30 + Math.random() * 30;
+            if (this.mobDashCooldown <= 0 && RNG.ai.next() < 0.1) {
+                const dashDist = 30 + RNG.ai.next() * 30;
                 this.x += Math.cos(angle) * dashDist;
                 this.y += Math.sin(angle) * dashDist;
                 this.mobDashCooldown = 4;
@@ -7008,15 +1080,19 @@ export class Enemy extends Entity {
         
         this.attackTimer = this.attackCooldown;
         
+        // Followers hit harder with their pack leader nearby (PackTactics.js)
+        const damageMultiplier = this.rallied ? RALLY_DAMAGE_MULTIPLIER : 1;
+        
         // Check for special abilities
         for (const ability of this.abilities) {
             const cd = this.abilityCooldowns.get(ability.name) || 0;
-            if (cd <= 0 && Math.random() < (ability.useChance || 0.3)) {
+            if (cd <= 0 && RNG.ai.next() < (ability.useChance || 0.3)) {
                 this.abilityCooldowns.set(ability.name, ability.cooldown || 5);
                 this.pendingAttack = {
                     type: ability.type || 'ability',
                     ability: ability,
-                    damage: ability.damage || this.damage,
+                    damage: (ability.damage || this.damage) * damageMultiplier,
+                    element: ability.element || this.attackElement,
                     x: this.x,
                     y: this.y,
                     targetX: this.target.x,
@@ -7031,7 +1107,8 @@ export class Enemy extends Entity {
         const isBoss = this.type === 'boss' || this.enemyType === 'boss' || this.bossPhase;
         this.pendingAttack = {
             type: 'melee',
-            damage: this.damage,
+            damage: this.damage * damageMultiplier,
+            element: this.attackElement,
             x: this.x,
             y: this.y,
             targetX: this.target.x,
@@ -7043,7 +1120,7 @@ export class Enemy extends Entity {
         return this.pendingAttack;
     }
     
-    takeDamage(amount, source = null, hitX = null, hitY = null) {
+    takeDamage(amount, source = null, element = 'physical', hitX = null, hitY = null) {
         if (this.invulnerable) return 0;
         
         // Check if shadow clone pattern is active - player might hit a fake clone
@@ -7081,7 +1158,16 @@ export class Enemy extends Entity {
             }
         }
         
-        const reducedDamage = Math.max(1, amount - this.defense * 0.3);
+        // Resistances and weaknesses scale the hit before armor takes its share
+        const elementalDamage = applyResistance(this, amount, element);
+        let reducedDamage = Math.max(1, elementalDamage - this.defense * 0.3);
+        if (this.affixes.length > 0) {
+            reducedDamage = modifyEliteDamageTaken(this, reducedDamage);
+        }
+        // Staggered mobs are wide open
+        if (this.poiseBroken) {
+            reducedDamage *= STAGGER_DAMAGE_TAKEN;
+        }
         this.health -= reducedDamage;
         
         // Brief invulnerability
@@ -7104,6 +1190,11 @@ export class Enemy extends Entity {
     die(killer = null) {
         this.active = false;
         
+        // Death affixes (splitting) queue their spawns for the scene
+        if (this.affixes.length > 0) {
+            onEliteDeath(this);
+        }
+        
         // Grant experience and gold
         if (killer && killer.gainExperience) {
             killer.gainExperience(this.expValue);
@@ -7121,44 +1212,35 @@ export class Enemy extends Entity {
         // Implemented in game scene
     }
     
+    // Called by the scene when one of this enemy's attacks lands
+    onDealtDamage(amount, target) {
+        if (this.affixes.length > 0) {
+            onEliteDealtDamage(this, amount, target);
+        }
+    }
+    
     spawnDeathEffect() {
         // Implemented in game scene
     }
     
     updateStatusEffects(dt) {
-        for (let i = this.statusEffects.length - 1; i >= 0; i--) {
-            const effect = this.statusEffects[i];
-            effect.duration -= dt;
-            
-            // Apply effect
-            if (effect.type === 'slow') {
-                // Already applied via maxSpeed modification
-            } else if (effect.type === 'stun') {
-                this.state = 'stunned';
-                this.velocity.x = 0;
-                this.velocity.y = 0;
-            } else if (effect.type === 'poison' || effect.type === 'burn') {
-                if (!effect.tickTimer) effect.tickTimer = 0;
-                effect.tickTimer -= dt;
-                if (effect.tickTimer <= 0) {
-                    effect.tickTimer = effect.tickRate || 1;
-                    this.takeDamage(effect.damage || 5);
-                }
-            }
-            
-            if (effect.duration <= 0) {
-                this.statusEffects.splice(i, 1);
-            }
-        }
+        this.statusEffects.update(dt);
     }
     
     addStatusEffect(effect) {
-        const existing = this.statusEffects.find(e => e.type === effect.type);
-        if (existing) {
-            existing.duration = Math.max(existing.duration, effect.duration);
-        } else {
-            this.statusEffects.push({ ...effect });
-        }
+        return this.statusEffects.add(effect);
+    }
+    
+    hasStatusEffect(type) {
+        return this.statusEffects.has(type);
+    }
+    
+    getStatusEffectValue(type) {
+        return this.statusEffects.getValue(type);
+    }
+    
+    removeStatusEffect(type) {
+        return this.statusEffects.remove(type);
     }
     
     render(ctx) {
@@ -7185,6 +1267,9 @@ export class Enemy extends Entity {
         ctx.save();
         ctx.translate(this.x + this.width / 2, this.y + this.height / 2);
         
+        // Elite auras sit under the body
+        renderEliteAura(ctx, this, Date.now() / 1000);
+        
         if (this.isBoss || this.type === 'boss') {
             // Upgraded boss rendering with unique sprites per boss type
             this.renderBossSprite(ctx);
@@ -7207,6 +1292,10 @@ export class Enemy extends Entity {
         // Health bar
         this.renderHealthBar(ctx);
         
+        // Poise bar just under it (heavy mobs and bosses)
+        const poiseBarWidth = this.isBoss ? this.width + 40 : this.width + 10;
+        renderPoiseBar(ctx, this, this.x + (this.width - poiseBarWidth) / 2, this.y - (this.isBoss ? 10 : 5), poiseBarWidth);
+        
         // Status effect indicators
         this.renderStatusEffects(ctx);
         
@@ -7389,14 +1478,14 @@ export class Enemy extends Entity {
         ctx.stroke();
         
         // Lightning crackling effect
-        if (Math.random() < 0.3) {
+        if (RNG.cosmetic.next() < 0.3) {
             ctx.strokeStyle = elementColor;
             ctx.lineWidth = 2;
             ctx.beginPath();
-            const startX = (Math.random() - 0.5) * w;
-            const startY = (Math.random() - 0.5) * h;
+            const startX = (RNG.cosmetic.next() - 0.5) * w;
+            const startY = (RNG.cosmetic.next() - 0.5) * h;
             ctx.moveTo(startX, startY);
-            ctx.lineTo(startX + (Math.random() - 0.5) * 20, startY + (Math.random() - 0.5) * 20);
+            ctx.lineTo(startX + (RNG.cosmetic.next() - 0.5) * 20, startY + (RNG.cosmetic.next() - 0.5) * 20);
             ctx.stroke();
         }
         
@@ -7431,8 +1520,8 @@ export class Enemy extends Entity {
             ctx.fill();
             
             // Flame breath hint
-            if (Math.random() < 0.2) {
-                ctx.fillStyle = `rgba(255, ${100 + Math.random() * 100}, 0, 0.6)`;
+            if (RNG.cosmetic.next() < 0.2) {
+                ctx.fillStyle = `rgba(255, ${100 + RNG.cosmetic.next() * 100}, 0, 0.6)`;
                 ctx.beginPath();
                 ctx.moveTo(head * (w / 3), -h / 4 + 10);
                 ctx.lineTo(head * (w / 3) - 5, -h / 4 + 25);
@@ -7694,8 +1783,8 @@ export class Enemy extends Entity {
                 ctx.moveTo(0, -200);
                 let y = -200;
                 while (y < 0) {
-                    const nextY = y + 20 + Math.random() * 30;
-                    const xOff = (Math.random() - 0.5) * 40;
+                    const nextY = y + 20 + RNG.cosmetic.next() * 30;
+                    const xOff = (RNG.cosmetic.next() - 0.5) * 40;
                     ctx.lineTo(xOff, nextY);
                     y = nextY;
                 }
@@ -7976,28 +2065,8 @@ export class Enemy extends Entity {
     }
     
     renderStatusEffects(ctx) {
-        let offsetX = 0;
-        for (const effect of this.statusEffects) {
-            ctx.fillStyle = this.getEffectColor(effect.type);
-            ctx.fillRect(
-                this.x + offsetX,
-                this.y - 18,
-                8,
-                4
-            );
-            offsetX += 10;
-        }
-    }
-    
-    getEffectColor(type) {
-        const colors = {
-            slow: '#66ccff',
-            stun: '#ffff00',
-            poison: '#00ff00',
-            burn: '#ff6600',
-            bleed: '#cc0000'
-        };
-        return colors[type] || '#ffffff';
+        // Icons sit above the health bar (and the boss name)
+        renderStatusIcons(ctx, this.statusEffects, this.x + this.width / 2, this.y - (this.isBoss ? 36 : 14));
     }
 }
 
@@ -8006,6 +2075,7 @@ export const EnemyTypes = {
     // Basic enemies
     skeleton: {
         name: 'Skeleton',
+        roles: ['swarmer'],
         health: 40,
         damage: 8,
         defense: 2,
@@ -8016,6 +2086,8 @@ export const EnemyTypes = {
         expValue: 15,
         goldValue: 5,
         color: '#d4c8a0',
+        resistances: { holy: -0.5, poison: 0.5 },
+        statusImmunities: ['bleed'],
         width: 28,
         height: 28
     },
@@ -8032,12 +2104,14 @@ export const EnemyTypes = {
         expValue: 20,
         goldValue: 8,
         color: '#4a6b3a',
+        resistances: { holy: -0.5, fire: -0.25, poison: 0.5 },
         width: 32,
         height: 32
     },
     
     goblin: {
         name: 'Goblin',
+        roles: ['flanker'],
         health: 30,
         damage: 10,
         defense: 1,
@@ -8057,6 +2131,7 @@ export const EnemyTypes = {
         health: 100,
         damage: 18,
         defense: 5,
+        poise: 40,
         speed: 60,
         attackRange: 50,
         aggroRange: 180,
@@ -8073,6 +2148,7 @@ export const EnemyTypes = {
         health: 150,
         damage: 22,
         defense: 10,
+        poise: 60,
         speed: 50,
         attackRange: 55,
         aggroRange: 200,
@@ -8089,6 +2165,7 @@ export const EnemyTypes = {
     
     mage: {
         name: 'Dark Mage',
+        roles: ['kiter'],
         health: 50,
         damage: 25,
         defense: 2,
@@ -8099,15 +2176,17 @@ export const EnemyTypes = {
         expValue: 40,
         goldValue: 25,
         color: '#5a2a7a',
+        resistances: { fire: 0.25 },
         width: 28,
         height: 28,
         abilities: [
-            { name: 'Fireball', damage: 30, cooldown: 5, useChance: 0.6, type: 'projectile' }
+            { name: 'Fireball', damage: 30, element: 'fire', cooldown: 5, useChance: 0.6, type: 'projectile' }
         ]
     },
     
     archer: {
         name: 'Skeleton Archer',
+        roles: ['kiter'],
         health: 35,
         damage: 15,
         defense: 1,
@@ -8124,6 +2203,7 @@ export const EnemyTypes = {
     
     ghost: {
         name: 'Ghost',
+        roles: ['ambusher'],
         health: 45,
         damage: 20,
         defense: 0,
@@ -8134,6 +2214,9 @@ export const EnemyTypes = {
         expValue: 30,
         goldValue: 15,
         color: '#8888cc',
+        element: 'dark',
+        resistances: { physical: 0.5, holy: -0.5 },
+        statusImmunities: ['poison', 'bleed'],
         width: 30,
         height: 30,
         abilities: [
@@ -8155,12 +2238,16 @@ export const EnemyTypes = {
         expValue: 200,
         goldValue: 150,
         color: '#f4e8c0',
+        resistances: { holy: -0.5, poison: 0.5 },
         width: 64,
         height: 64,
         abilities: [
             { name: 'Summon Skeletons', cooldown: 15, useChance: 0.4, type: 'summon', count: 3 },
-            { name: 'Ground Slam', damage: 50, cooldown: 10, useChance: 0.5, type: 'aoe', radius: 100 }
-        ]
+            { name: 'Ground Slam', damage: 50, element: 'earth', cooldown: 10, useChance: 0.5, type: 'aoe', radius: 100 }
+        ],
+        patterns: ['boneStorm', 'graveRise', 'royalExecution', 'boneWall', 'skeletonRush', 'curseOfDeath',
+                   'pentagramStrike', 'encircle', 'crescentMoon', 'chaosOrbs'],
+        signature: 'signatureSkeletonKing'
     },
     
     dragonLord: {
@@ -8176,13 +2263,18 @@ export const EnemyTypes = {
         expValue: 500,
         goldValue: 400,
         color: '#cc3300',
+        element: 'fire',
+        resistances: { fire: 0.75, ice: -0.25 },
         width: 80,
         height: 80,
         abilities: [
-            { name: 'Fire Breath', damage: 40, cooldown: 8, useChance: 0.6, type: 'cone', angle: 60, range: 150 },
+            { name: 'Fire Breath', damage: 40, element: 'fire', cooldown: 8, useChance: 0.6, type: 'cone', angle: 60, range: 150 },
             { name: 'Tail Sweep', damage: 30, cooldown: 5, useChance: 0.4, type: 'aoe', radius: 80 },
             { name: 'Flight', cooldown: 20, useChance: 0.2, type: 'reposition' }
-        ]
+        ],
+        patterns: ['fireBreathSweep', 'wingBlast', 'dragonFury', 'meteorRain', 'flameVortex', 'dragonRoar',
+                   'ceilingRain', 'pillarsOfDoom', 'arrowRain', 'galaxyArms'],
+        signature: 'signatureDragonLord'
     },
     
     lichKing: {
@@ -8198,13 +2290,18 @@ export const EnemyTypes = {
         expValue: 400,
         goldValue: 300,
         color: '#4a0080',
+        element: 'dark',
+        resistances: { dark: 0.5, ice: 0.5, holy: -0.5 },
         width: 56,
         height: 56,
         abilities: [
-            { name: 'Death Bolt', damage: 60, cooldown: 3, useChance: 0.7, type: 'projectile' },
+            { name: 'Death Bolt', damage: 60, element: 'dark', cooldown: 3, useChance: 0.7, type: 'projectile' },
             { name: 'Raise Dead', cooldown: 20, useChance: 0.3, type: 'summon', count: 5 },
-            { name: 'Frost Nova', damage: 35, cooldown: 12, useChance: 0.5, type: 'aoe', radius: 150, slow: 0.5 }
-        ]
+            { name: 'Frost Nova', damage: 35, element: 'ice', cooldown: 12, useChance: 0.5, type: 'aoe', radius: 150, slow: 0.5 }
+        ],
+        patterns: ['soulDrain', 'frostTomb', 'deathCoil', 'iceSpikes', 'phantomGrasp', 'necromanticRift',
+                   'vortexSuck', 'spiralGalaxy', 'hexagonalGrid', 'convergeExpand'],
+        signature: 'signatureLichKing'
     }
 };
 
@@ -8223,6 +2320,7 @@ export const BossTypes = {
 export const EgyptEnemies = {
     mummy: {
         name: 'Mummy',
+        roles: ['kiter'],
         health: 150,
         damage: 18,
         defense: 5,
@@ -8233,15 +2331,17 @@ export const EgyptEnemies = {
         expValue: 30,
         goldValue: 15,
         color: '#c4a870',
+        resistances: { fire: -0.5, holy: -0.25 },
         width: 32,
         height: 32,
         soundType: 'zombie',
         abilities: [
-            { name: 'Curse Bolt', damage: 12, cooldown: 2, useChance: 0.6, type: 'projectile' }
+            { name: 'Curse Bolt', damage: 12, element: 'dark', cooldown: 2, useChance: 0.6, type: 'projectile' }
         ]
     },
     scarab: {
         name: 'Scarab Swarm',
+        roles: ['swarmer'],
         health: 60,
         damage: 10,
         defense: 0,
@@ -8261,9 +2361,11 @@ export const EgyptEnemies = {
     },
     anubisGuard: {
         name: 'Anubis Guard',
+        roles: ['flanker'],
         health: 200,
         damage: 28,
         defense: 10,
+        poise: 70,
         speed: 65,
         attackRange: 150,
         aggroRange: 200,
@@ -8277,6 +2379,7 @@ export const EgyptEnemies = {
     },
     sandElemental: {
         name: 'Sand Elemental',
+        roles: ['ambusher'],
         health: 90,
         damage: 18,
         defense: 5,
@@ -8287,6 +2390,9 @@ export const EgyptEnemies = {
         expValue: 35,
         goldValue: 20,
         color: '#d4b87a',
+        element: 'earth',
+        resistances: { physical: 0.3 },
+        statusImmunities: ['bleed'],
         width: 40,
         height: 40,
         soundType: 'earth'
@@ -8312,8 +2418,11 @@ export const EgyptBoss = {
         soundType: 'largeMagic',
         abilities: [
             { name: 'Summon Mummies', cooldown: 12, useChance: 0.4, type: 'summon', count: 3 },
-            { name: 'Sandstorm', damage: 35, cooldown: 8, useChance: 0.5, type: 'aoe', radius: 120 }
-        ]
+            { name: 'Sandstorm', damage: 35, element: 'earth', cooldown: 8, useChance: 0.5, type: 'aoe', radius: 120 }
+        ],
+        patterns: ['lightningChain', 'sandstormLightning', 'pyramidStrike', 'scarabSwarm', 'sandTornado', 'curseOfTheSun',
+                   'cornerTrap', 'diamondCage', 'clockworkSpiral', 'starBurst'],
+        signature: 'signatureAnkh'
     }
 };
 
@@ -8321,6 +2430,7 @@ export const EgyptBoss = {
 export const HadesEnemies = {
     demon: {
         name: 'Demon',
+        roles: ['kiter'],
         health: 160,
         damage: 24,
         defense: 5,
@@ -8331,15 +2441,18 @@ export const HadesEnemies = {
         expValue: 35,
         goldValue: 22,
         color: '#8a2020',
+        element: 'fire',
+        statusImmunities: ['burn'],
         width: 34,
         height: 34,
         soundType: 'fire',
         abilities: [
-            { name: 'Fireball', damage: 18, cooldown: 1.5, useChance: 0.7, type: 'projectile' }
+            { name: 'Fireball', damage: 18, element: 'fire', cooldown: 1.5, useChance: 0.7, type: 'projectile' }
         ]
     },
     hellhound: {
         name: 'Hellhound',
+        roles: ['swarmer'],
         health: 120,
         damage: 20,
         defense: 3,
@@ -8354,11 +2467,12 @@ export const HadesEnemies = {
         height: 30,
         soundType: 'wolfBite',
         abilities: [
-            { name: 'Fire Breath', damage: 12, cooldown: 2, useChance: 0.5, type: 'projectile' }
+            { name: 'Fire Breath', damage: 12, element: 'fire', cooldown: 2, useChance: 0.5, type: 'projectile' }
         ]
     },
     lostSoul: {
         name: 'Lost Soul',
+        roles: ['healer'],
         health: 80,
         damage: 22,
         defense: 0,
@@ -8369,11 +2483,14 @@ export const HadesEnemies = {
         expValue: 25,
         goldValue: 14,
         color: '#6666aa',
+        element: 'dark',
+        resistances: { physical: 0.4, holy: -0.25 },
+        statusImmunities: ['poison', 'bleed'],
         width: 28,
         height: 28,
         soundType: 'ghost',
         abilities: [
-            { name: 'Soul Bolt', damage: 15, cooldown: 1, useChance: 0.8, type: 'projectile' }
+            { name: 'Soul Bolt', damage: 15, element: 'dark', cooldown: 1, useChance: 0.8, type: 'projectile' }
         ]
     },
     infernalGuard: {
@@ -8381,6 +2498,7 @@ export const HadesEnemies = {
         health: 220,
         damage: 32,
         defense: 14,
+        poise: 80,
         speed: 55,
         attackRange: 160,
         aggroRange: 250,
@@ -8388,11 +2506,13 @@ export const HadesEnemies = {
         expValue: 55,
         goldValue: 40,
         color: '#5a1515',
+        element: 'fire',
+        statusImmunities: ['burn'],
         width: 42,
         height: 42,
         soundType: 'fire',
         abilities: [
-            { name: 'Inferno Blast', damage: 25, cooldown: 2, useChance: 0.6, type: 'projectile' }
+            { name: 'Inferno Blast', damage: 25, element: 'fire', cooldown: 2, useChance: 0.6, type: 'projectile' }
         ]
     }
 };
@@ -8416,8 +2536,11 @@ export const HadesBoss = {
         soundType: 'wolfBite',
         abilities: [
             { name: 'Triple Bite', damage: 35, cooldown: 5, useChance: 0.6, type: 'multi', hits: 3 },
-            { name: 'Hellfire', damage: 50, cooldown: 10, useChance: 0.5, type: 'aoe', radius: 160 }
-        ]
+            { name: 'Hellfire', damage: 50, element: 'fire', cooldown: 10, useChance: 0.5, type: 'aoe', radius: 160 }
+        ],
+        patterns: ['hellfireBreath', 'tripleChomp', 'infernoCircle', 'spiralBounce', 'splittingFlame', 'fireWave', 'hellShockwave', 'lavaPools',
+                   'wallBarrage', 'crossfireTrap', 'floorEruption', 'pinwheel'],
+        signature: 'signatureCerberus'
     }
 };
 
@@ -8425,6 +2548,7 @@ export const HadesBoss = {
 export const JungleEnemies = {
     venomSpider: {
         name: 'Venom Spider',
+        roles: ['ambusher'],
         health: 100,
         damage: 16,
         defense: 2,
@@ -8440,7 +2564,7 @@ export const JungleEnemies = {
         soundType: 'smallMonsterAttack',
         abilities: [
             { name: 'Web Shot', damage: 10, cooldown: 1, useChance: 0.7, type: 'projectile', slow: 0.5 },
-            { name: 'Poison Spit', damage: 8, cooldown: 2, useChance: 0.5, type: 'projectile' }
+            { name: 'Poison Spit', damage: 8, element: 'poison', cooldown: 2, useChance: 0.5, type: 'projectile' }
         ]
     },
     jungleTroll: {
@@ -8448,6 +2572,7 @@ export const JungleEnemies = {
         health: 200,
         damage: 28,
         defense: 8,
+        poise: 80,
         speed: 50,
         attackRange: 140,
         aggroRange: 220,
@@ -8459,11 +2584,13 @@ export const JungleEnemies = {
         height: 44,
         soundType: 'smallMonsterAttack',
         abilities: [
-            { name: 'Rock Throw', damage: 20, cooldown: 2, useChance: 0.6, type: 'projectile' }
+            { name: 'Rock Throw', damage: 20, element: 'earth', cooldown: 2, useChance: 0.6, type: 'projectile' }
         ]
     },
     poisonDart: {
         name: 'Poison Dart Frog',
+        roles: ['kiter'],
+        retreatHealth: 0.4, // Fragile - hops away early
         health: 60,
         damage: 14,
         defense: 0,
@@ -8478,14 +2605,17 @@ export const JungleEnemies = {
         height: 18,
         soundType: 'slime',
         abilities: [
-            { name: 'Poison Dart', damage: 12, cooldown: 0.5, useChance: 0.9, type: 'projectile' }
+            { name: 'Poison Dart', damage: 12, element: 'poison', cooldown: 0.5, useChance: 0.9, type: 'projectile' }
         ]
     },
     carnivore: {
         name: 'Carnivorous Plant',
+        roles: ['ambusher'],
         health: 180,
         damage: 35,
         defense: 4,
+        poise: 60,
+        knockbackResist: 1, // Rooted
         speed: 0,
         attackRange: 150,
         aggroRange: 160,
@@ -8493,11 +2623,12 @@ export const JungleEnemies = {
         expValue: 40,
         goldValue: 25,
         color: '#1a4a1a',
+        resistances: { fire: -0.25 },
         width: 48,
         height: 48,
         soundType: 'slime',
         abilities: [
-            { name: 'Acid Spray', damage: 20, cooldown: 1.5, useChance: 0.8, type: 'projectile' }
+            { name: 'Acid Spray', damage: 20, element: 'poison', cooldown: 1.5, useChance: 0.8, type: 'projectile' }
         ]
     }
 };
@@ -8522,7 +2653,10 @@ export const JungleBoss = {
         abilities: [
             { name: 'Web Shot', damage: 25, cooldown: 4, useChance: 0.6, type: 'projectile', slow: 0.7 },
             { name: 'Spawn Spiderlings', cooldown: 12, useChance: 0.4, type: 'summon', count: 6 }
-        ]
+        ],
+        patterns: ['webTrap', 'venomSpray', 'spiderSwarm', 'cocoonBomb', 'silkLine', 'toxicBurst',
+                   'snakePattern', 'zigzagVolley', 'encircle', 'triangleFormation'],
+        signature: 'signatureWebPrison'
     }
 };
 
@@ -8530,6 +2664,7 @@ export const JungleBoss = {
 export const LightEnemies = {
     holyKnight: {
         name: 'Holy Knight',
+        roles: ['flanker'],
         health: 180,
         damage: 24,
         defense: 15,
@@ -8544,11 +2679,12 @@ export const LightEnemies = {
         height: 36,
         soundType: 'largeMagic',
         abilities: [
-            { name: 'Holy Lance', damage: 18, cooldown: 1.5, useChance: 0.7, type: 'projectile' }
+            { name: 'Holy Lance', damage: 18, element: 'holy', cooldown: 1.5, useChance: 0.7, type: 'projectile' }
         ]
     },
     seraph: {
         name: 'Seraph',
+        roles: ['healer'],
         health: 120,
         damage: 30,
         defense: 5,
@@ -8563,14 +2699,16 @@ export const LightEnemies = {
         height: 32,
         soundType: 'largeMagic',
         abilities: [
-            { name: 'Light Beam', damage: 22, cooldown: 1, useChance: 0.8, type: 'projectile' }
+            { name: 'Light Beam', damage: 22, element: 'holy', cooldown: 1, useChance: 0.8, type: 'projectile' }
         ]
     },
     lightWarden: {
         name: 'Light Warden',
+        roles: ['kiter'],
         health: 220,
         damage: 28,
         defense: 18,
+        poise: 70,
         speed: 45,
         attackRange: 160,
         aggroRange: 260,
@@ -8582,11 +2720,12 @@ export const LightEnemies = {
         height: 40,
         soundType: 'largeMagic',
         abilities: [
-            { name: 'Radiant Bolt', damage: 25, cooldown: 1.5, useChance: 0.6, type: 'projectile' }
+            { name: 'Radiant Bolt', damage: 25, element: 'holy', cooldown: 1.5, useChance: 0.6, type: 'projectile' }
         ]
     },
     pureSpirit: {
         name: 'Pure Spirit',
+        roles: ['swarmer'],
         health: 100,
         damage: 22,
         defense: 0,
@@ -8597,11 +2736,13 @@ export const LightEnemies = {
         expValue: 30,
         goldValue: 25,
         color: '#ffffff',
+        element: 'holy',
+        resistances: { physical: 0.4 },
         width: 28,
         height: 28,
         soundType: 'ghost',
         abilities: [
-            { name: 'Spirit Bolt', damage: 15, cooldown: 0.8, useChance: 0.9, type: 'projectile' }
+            { name: 'Spirit Bolt', damage: 15, element: 'holy', cooldown: 0.8, useChance: 0.9, type: 'projectile' }
         ]
     }
 };
@@ -8624,9 +2765,12 @@ export const LightBoss = {
         height: 85,
         soundType: 'largeMagic',
         abilities: [
-            { name: 'Divine Smite', damage: 70, cooldown: 6, useChance: 0.6, type: 'aoe', radius: 120 },
+            { name: 'Divine Smite', damage: 70, element: 'holy', cooldown: 6, useChance: 0.6, type: 'aoe', radius: 120 },
             { name: 'Holy Shield', cooldown: 18, useChance: 0.3, type: 'buff', defense: 40, duration: 5 }
-        ]
+        ],
+        patterns: ['holyRain', 'divineBeam', 'purifyingLight', 'lightPillars', 'orbGridStrike', 'celestialCross', 'angelicDescent', 'radiantNova',
+                   'mirrorImage', 'pulseWave', 'sineWave', 'checkerboard'],
+        signature: 'signatureDivineJudgment'
     }
 };
 
@@ -8634,6 +2778,7 @@ export const LightBoss = {
 export const CyberEnemies = {
     securityDrone: {
         name: 'Security Drone',
+        roles: ['swarmer'],
         health: 100,
         damage: 18,
         defense: 8,
@@ -8648,14 +2793,16 @@ export const CyberEnemies = {
         height: 24,
         soundType: 'smallMonsterAttack',
         abilities: [
-            { name: 'Pulse Shot', damage: 12, cooldown: 0.6, useChance: 0.9, type: 'projectile' }
+            { name: 'Pulse Shot', damage: 12, element: 'lightning', cooldown: 0.6, useChance: 0.9, type: 'projectile' }
         ]
     },
     combatBot: {
         name: 'Combat Bot',
+        roles: ['flanker'],
         health: 180,
         damage: 24,
         defense: 12,
+        poise: 60,
         speed: 70,
         attackRange: 160,
         aggroRange: 260,
@@ -8667,11 +2814,12 @@ export const CyberEnemies = {
         height: 38,
         soundType: 'smallMonsterAttack',
         abilities: [
-            { name: 'Plasma Bolt', damage: 20, cooldown: 1.2, useChance: 0.7, type: 'projectile' }
+            { name: 'Plasma Bolt', damage: 20, element: 'lightning', cooldown: 1.2, useChance: 0.7, type: 'projectile' }
         ]
     },
     hackUnit: {
         name: 'Hack Unit',
+        roles: ['kiter'],
         health: 80,
         damage: 16,
         defense: 2,
@@ -8686,7 +2834,7 @@ export const CyberEnemies = {
         height: 26,
         soundType: 'smallMonsterAttack',
         abilities: [
-            { name: 'Data Spike', damage: 14, cooldown: 0.8, useChance: 0.8, type: 'projectile' },
+            { name: 'Data Spike', damage: 14, element: 'lightning', cooldown: 0.8, useChance: 0.8, type: 'projectile' },
             { name: 'Disrupt', cooldown: 6, useChance: 0.4, type: 'debuff', slow: 0.5, duration: 2 }
         ]
     },
@@ -8695,6 +2843,7 @@ export const CyberEnemies = {
         health: 140,
         damage: 35,
         defense: 15,
+        knockbackResist: 1, // Bolted down
         speed: 0,
         attackRange: 280,
         aggroRange: 320,
@@ -8702,11 +2851,13 @@ export const CyberEnemies = {
         expValue: 30,
         goldValue: 20,
         color: '#aa0000',
+        resistances: { physical: 0.25 },
+        statusImmunities: ['poison', 'bleed'],
         width: 32,
         height: 32,
         soundType: 'smallMonsterAttack',
         abilities: [
-            { name: 'Laser Beam', damage: 30, cooldown: 1.2, useChance: 0.9, type: 'projectile' }
+            { name: 'Laser Beam', damage: 30, element: 'fire', cooldown: 1.2, useChance: 0.9, type: 'projectile' }
         ]
     }
 };
@@ -8729,10 +2880,13 @@ export const CyberBoss = {
         height: 70,
         soundType: 'smallMonsterAttack',
         abilities: [
-            { name: 'Laser Array', damage: 55, cooldown: 4, useChance: 0.6, type: 'multi', hits: 5 },
+            { name: 'Laser Array', damage: 55, element: 'fire', cooldown: 4, useChance: 0.6, type: 'multi', hits: 5 },
             { name: 'Deploy Drones', cooldown: 10, useChance: 0.4, type: 'summon', count: 5 },
             { name: 'System Override', cooldown: 18, useChance: 0.3, type: 'debuff', stun: 2 }
-        ]
+        ],
+        patterns: ['laserGrid', 'droneSwarm', 'systemHack', 'dataStorm', 'firewall', 'virusInfection',
+                   'laserFence', 'orbitalBombardment', 'hexagonalGrid', 'crossfireTrap'],
+        signature: 'signatureSystemOverload'
     }
 };
 
@@ -8743,6 +2897,7 @@ export const StoneEnemies = {
         health: 250,
         damage: 28,
         defense: 20,
+        poise: 100,
         speed: 35,
         attackRange: 150,
         aggroRange: 220,
@@ -8754,14 +2909,16 @@ export const StoneEnemies = {
         height: 46,
         soundType: 'earth',
         abilities: [
-            { name: 'Boulder Toss', damage: 25, cooldown: 2, useChance: 0.7, type: 'projectile' }
+            { name: 'Boulder Toss', damage: 25, element: 'earth', cooldown: 2, useChance: 0.7, type: 'projectile' }
         ]
     },
     rockElemental: {
         name: 'Rock Elemental',
+        roles: ['flanker'],
         health: 160,
         damage: 24,
         defense: 15,
+        poise: 60,
         speed: 50,
         attackRange: 140,
         aggroRange: 240,
@@ -8773,11 +2930,12 @@ export const StoneEnemies = {
         height: 38,
         soundType: 'earth',
         abilities: [
-            { name: 'Rock Shard', damage: 18, cooldown: 1.2, useChance: 0.7, type: 'projectile' }
+            { name: 'Rock Shard', damage: 18, element: 'earth', cooldown: 1.2, useChance: 0.7, type: 'projectile' }
         ]
     },
     crystalGuard: {
         name: 'Crystal Guard',
+        roles: ['healer'],
         health: 130,
         damage: 26,
         defense: 10,
@@ -8788,15 +2946,17 @@ export const StoneEnemies = {
         expValue: 35,
         goldValue: 35,
         color: '#9966cc',
+        resistances: { physical: 0.25, lightning: -0.5 },
         width: 34,
         height: 34,
         soundType: 'largeMagic',
         abilities: [
-            { name: 'Crystal Spike', damage: 22, cooldown: 1, useChance: 0.8, type: 'projectile' }
+            { name: 'Crystal Spike', damage: 22, element: 'earth', cooldown: 1, useChance: 0.8, type: 'projectile' }
         ]
     },
     shadowDweller: {
         name: 'Shadow Dweller',
+        roles: ['ambusher'],
         health: 100,
         damage: 20,
         defense: 3,
@@ -8807,11 +2967,13 @@ export const StoneEnemies = {
         expValue: 30,
         goldValue: 20,
         color: '#2a2a3a',
+        element: 'dark',
+        resistances: { dark: 0.5, holy: -0.75 },
         width: 30,
         height: 30,
         soundType: 'ghost',
         abilities: [
-            { name: 'Shadow Bolt', damage: 15, cooldown: 0.8, useChance: 0.9, type: 'projectile' }
+            { name: 'Shadow Bolt', damage: 15, element: 'dark', cooldown: 0.8, useChance: 0.9, type: 'projectile' }
         ]
     }
 };
@@ -8834,10 +2996,13 @@ export const StoneBoss = {
         height: 100,
         soundType: 'earth',
         abilities: [
-            { name: 'Earthquake', damage: 50, cooldown: 7, useChance: 0.5, type: 'aoe', radius: 200 },
-            { name: 'Rock Throw', damage: 65, cooldown: 3, useChance: 0.6, type: 'projectile' },
+            { name: 'Earthquake', damage: 50, element: 'earth', cooldown: 7, useChance: 0.5, type: 'aoe', radius: 200 },
+            { name: 'Rock Throw', damage: 65, element: 'earth', cooldown: 3, useChance: 0.6, type: 'projectile' },
             { name: 'Stone Form', cooldown: 22, useChance: 0.25, type: 'buff', defense: 60, duration: 5 }
-        ]
+        ],
+        patterns: ['earthquakeWave', 'boulderToss', 'stoneSkin', 'crystalSpikes', 'rockyBarrier', 'seismicStomp',
+                   'floorEruption', 'wallBarrage', 'pillarsOfDoom', 'ceilingRain'],
+        signature: 'signatureSeismicSlam'
     }
 };
 
@@ -8851,11 +3016,21 @@ export const FloorEnemies = {
     stone: { enemies: StoneEnemies, boss: StoneBoss }
 };
 
+// Floor theme an enemy type belongs to (for its resistances), or null for generic types
+function findEnemyTheme(type) {
+    for (const [theme, data] of Object.entries(FloorEnemies)) {
+        if (data.enemies[type] || data.boss[type]) return theme;
+    }
+    return null;
+}
+
 // Generate enemy drop (loot)
 export function generateEnemyDrop(enemy, floor) {
-    if (Math.random() > (enemy.isBoss ? 0.8 : 0.15)) return null;
+    // Elite affixes raise the drop chance and push the rarity roll toward rarer drops
+    const eliteBonus = getEliteLootBonus(enemy);
+    if (RNG.loot.next() > (enemy.isBoss ? 0.8 : 0.15 + eliteBonus.dropChance)) return null;
     
-    const rarityRoll = Math.random();
+    const rarityRoll = RNG.loot.next() * (1 - eliteBonus.rarity);
     let rarity = 'common';
     
     if (enemy.isBoss) {
@@ -8869,16 +3044,14 @@ export function generateEnemyDrop(enemy, floor) {
         else if (rarityRoll < 0.15 * floor) rarity = 'uncommon';
     }
     
-    // Return a simple loot object - weapon generation handled elsewhere
-    return {
-        type: 'weapon',
-        level: enemy.level || floor,
-        rarity: rarity
-    };
+    // Same weapon pool as generateWeaponDrop, at the rolled rarity
+    const types = Object.keys(WeaponTypes).filter(t => WeaponTypes[t].type !== 'shield');
+    const weaponType = types[Math.floor(RNG.loot.next() * types.length)];
+    return new Weapon(weaponType, rarity, enemy.level || floor);
 }
 
-// Factory function to create enemies
-export function createEnemy(type, x, y, levelModifier = 0) {
+// Factory function to create enemies (affixes from rollEliteAffixes make it an elite)
+export function createEnemy(type, x, y, levelModifier = 0, affixes = []) {
     const config = EnemyTypes[type];
     if (!config) {
         throw new Error(`Unknown enemy type: ${type}`);
@@ -8896,7 +3069,10 @@ export function createEnemy(type, x, y, levelModifier = 0) {
         enemyConfig.goldValue = Math.floor(config.goldValue * (1 + levelModifier * 0.2));
     }
     
-    return new Enemy(x, y, enemyConfig);
+    const enemy = new Enemy(type, enemyConfig);
+    enemy.x = x;
+    enemy.y = y;
+    return applyEliteAffixes(enemy, affixes);
 }
 
 export default Enemy;
@@ -0,0 +1,353 @@
+/**
+ * Mob Behavior - Utility AI for regular (non-boss) enemies
+ * Every frame an engaged mob scores each action it knows and runs the best one.
+ * Actions are shared; a role is a set of weights over them plus a few tuning values,
+ * so the same "keepRange" move makes a kiter hang back and a healer stay out of reach.
+ * Enemy definitions pick roles by name (roles: ['kiter']) and may override the
+ * tuning (retreatHealth, preferredRange). Mobs without roles fight as brutes.
+ */
+
+import { RNG } from '../engine/core/Random.js';
+
+// How long a mob keeps pathing after a target it lost sight of (seconds)
+const LOST_SIGHT_PURSUIT_TIME = 4;
+
+// Retreats last a moment and can't be repeated right away, so mobs come back
+const RETREAT_DURATION = 2.5;
+const RETREAT_COOLDOWN = 8;
+
+const HEAL_RANGE = 140;
+const HEAL_SEARCH_RADIUS = 300;
+const HEAL_COOLDOWN = 5;
+const HEAL_FRACTION = 0.2;
+const HEAL_BELOW = 0.7;
+
+// Ambushers stay hidden until the target is this close (fraction of aggro range)
+const AMBUSH_REVEAL_RANGE = 0.5;
+
+// Swarmers count as in position once they're this close to their slot
+const SLOT_TOLERANCE = 24;
+
+export const MobRoles = {
+    // Walks up and hits things - the behavior every mob had before roles
+    brute: {
+        weights: { chase: 1, attack: 1 },
+        retreatHealth: 0
+    },
+
+    // Ranged: backs off to stay near the edge of its range and shoots while doing it
+    kiter: {
+        weights: { chase: 1, attack: 1, keepRange: 1.2, retreat: 1 },
+        retreatHealth: 0.25,
+        preferredRange: 0.75
+    },
+
+    // Circles around to the target's side before closing in
+    flanker: {
+        weights: { chase: 0.8, attack: 1, flank: 1.1, retreat: 1 },
+        retreatHealth: 0.2
+    },
+
+    // Patches up hurt allies and otherwise keeps its distance
+    healer: {
+        weights: { chase: 0.7, attack: 0.8, keepRange: 1, heal: 1.3, retreat: 1 },
+        retreatHealth: 0.4,
+        preferredRange: 0.9
+    },
+
+    // Spreads out with the rest of its pack so they surround the target together
+    swarmer: {
+        weights: { chase: 1, attack: 1, surround: 1.1 },
+        retreatHealth: 0
+    },
+
+    // Lies in wait, nearly invisible, then lunges when the target gets close
+    ambusher: {
+        weights: { chase: 1, attack: 1.1, ambush: 1, retreat: 0.8 },
+        retreatHealth: 0.15
+    }
+};
+
+// Scores are 0-1 before role weights; run() moves the mob and may start an attack
+const MobActions = {
+    attack: {
+        score: (enemy, ctx) => ctx.dist <= enemy.attackRange ? 0.6 : 0,
+        run(enemy) {
+            enemy.state = 'attack';
+            enemy.velocity.x = 0;
+            enemy.velocity.y = 0;
+            enemy.attack();
+        }
+    },
+
+    chase: {
+        score: (enemy, ctx) => ctx.dist > enemy.attackRange ? 0.5 : 0,
+        run(enemy, ctx, dt) {
+            // Occasionally dash towards player (mobs can dash too!)
+            if (enemy.mobDashCooldown <= 0 && ctx.dist > 100 && RNG.ai.next() < 0.02) {
+                enemy.doMobDash();
+            } else {
+                enemy.moveTowards(enemy.target, dt);
+            }
+        }
+    },
+
+    keepRange: {
+        score(enemy, ctx) {
+            const preferred = enemy.attackRange * ctx.role.preferredRange;
+            if (ctx.dist >= preferred) return 0;
+            return 0.5 + 0.45 * (1 - ctx.dist / preferred);
+        },
+        run(enemy, ctx, dt) {
+            const away = Math.atan2(enemy.y - enemy.target.y, enemy.x - enemy.target.x);
+            if (!steerToward(enemy, away, 80, dt)) {
+                MobActions.attack.run(enemy);
+                return;
+            }
+            // Keep shooting on the way back
+            if (ctx.dist <= enemy.attackRange) enemy.attack();
+        }
+    },
+
+    flank: {
+        score(enemy, ctx) {
+            if (ctx.dist <= enemy.attackRange * 0.6) return 0;
+            return ctx.offAngle < 1.2 ? 0.65 : 0.3;
+        },
+        run(enemy, ctx, dt) {
+            // Aim a little further round the target each step until we're beside it
+            const target = enemy.target;
+            const angle = Math.atan2(enemy.y - target.y, enemy.x - target.x) + enemy.flankSide * 0.9;
+            const radius = enemy.attackRange * 0.8;
+            enemy.moveTowards({ x: target.x + Math.cos(angle) * radius, y: target.y + Math.sin(angle) * radius }, dt);
+            if (ctx.dist <= enemy.attackRange) enemy.attack();
+        }
+    },
+
+    surround: {
+        score(enemy, ctx) {
+            const slot = getSwarmSlot(enemy, ctx.allies);
+            if (!slot) return 0;
+            ctx.slot = slot;
+            return Math.hypot(slot.x - enemy.x, slot.y - enemy.y) > SLOT_TOLERANCE ? 0.7 : 0;
+        },
+        run(enemy, ctx, dt) {
+            enemy.moveTowards(ctx.slot, dt);
+            if (ctx.dist <= enemy.attackRange) enemy.attack();
+        }
+    },
+
+    heal: {
+        score(enemy, ctx) {
+            if (enemy.healCooldown > 0) return 0;
+            ctx.patient = findPatient(enemy, ctx.allies);
+            return ctx.patient ? 0.9 : 0;
+        },
+        run(enemy, ctx, dt) {
+            const patient = ctx.patient;
+            if (Math.hypot(patient.x - enemy.x, patient.y - enemy.y) > HEAL_RANGE) {
+                enemy.moveTowards(patient, dt);
+                return;
+            }
+            enemy.velocity.x = 0;
+            enemy.velocity.y = 0;
+            patient.health = Math.min(patient.maxHealth, patient.health + patient.maxHealth * HEAL_FRACTION);
+            patient.pendingStatusVisual = 'heal';
+            enemy.healCooldown = HEAL_COOLDOWN;
+        }
+    },
+
+    retreat: {
+        score(enemy, ctx) {
+            if (enemy.retreatTimer > 0) {
+                // Stop short of losing the target so it comes back for more
+                if (ctx.dist < enemy.aggroRange * 0.8) return 1;
+                enemy.retreatTimer = 0;
+            }
+            if (enemy.retreatCooldown > 0 || enemy.health > enemy.maxHealth * ctx.role.retreatHealth) return 0;
+            enemy.retreatTimer = RETREAT_DURATION;
+            enemy.retreatCooldown = RETREAT_DURATION + RETREAT_COOLDOWN;
+            return 1;
+        },
+        run(enemy, ctx, dt) {
+            enemy.state = 'retreat';
+            // Fall back on a healer if there is one, otherwise just get away
+            const healer = ctx.allies?.find(ally => ally !== enemy && ally.active && ally.mobRoles?.includes('healer') &&
+                Math.hypot(ally.x - enemy.x, ally.y - enemy.y) < HEAL_SEARCH_RADIUS);
+            if (healer && Math.hypot(healer.x - enemy.x, healer.y - enemy.y) > 40) {
+                enemy.moveTowards(healer, dt);
+                return;
+            }
+            const away = Math.atan2(enemy.y - enemy.target.y, enemy.x - enemy.target.x);
+            if (!steerToward(enemy, away, 96, dt)) {
+                enemy.velocity.x = 0;
+                enemy.velocity.y = 0;
+            }
+        }
+    },
+
+    ambush: {
+        score(enemy, ctx) {
+            if (!enemy.ambushHidden) return 0;
+            if (ctx.dist > enemy.aggroRange * AMBUSH_REVEAL_RANGE && enemy.health >= enemy.maxHealth) return 2;
+            // Sprung: lunge at the target once, then fight normally
+            enemy.ambushHidden = false;
+            if (enemy.maxSpeed > 0 && ctx.dist > enemy.attackRange) {
+                enemy.mobDashCooldown = 0;
+                enemy.doMobDash();
+            }
+            return 0;
+        },
+        run(enemy) {
+            enemy.state = 'idle';
+            enemy.velocity.x = 0;
+            enemy.velocity.y = 0;
+        }
+    }
+};
+
+// Role names from an enemy definition, brute if it doesn't list any
+export function getMobRoles(config) {
+    const roles = (config.roles || []).filter(role => MobRoles[role]);
+    return roles.length > 0 ? roles : ['brute'];
+}
+
+// Merge the listed roles: highest weight per action, definition data overriding tuning
+function buildRole(roles, config) {
+    const role = { weights: {}, retreatHealth: 0, preferredRange: 0.75 };
+    for (const name of roles) {
+        const data = MobRoles[name];
+        for (const [action, weight] of Object.entries(data.weights)) {
+            role.weights[action] = Math.max(role.weights[action] || 0, weight);
+        }
+        role.retreatHealth = Math.max(role.retreatHealth, data.retreatHealth || 0);
+        if (data.preferredRange) role.preferredRange = data.preferredRange;
+    }
+    if (config.retreatHealth !== undefined) role.retreatHealth = config.retreatHealth;
+    if (config.preferredRange !== undefined) role.preferredRange = config.preferredRange;
+    return role;
+}
+
+// Called once from the Enemy constructor
+export function initMobBehavior(enemy, config) {
+    enemy.mobRoles = getMobRoles(config);
+    enemy.mobRole = buildRole(enemy.mobRoles, config);
+    enemy.flankSide = RNG.ai.next() < 0.5 ? -1 : 1;
+    enemy.retreatTimer = 0;
+    enemy.retreatCooldown = 0;
+    enemy.healCooldown = 0;
+    enemy.ambushHidden = enemy.mobRoles.includes('ambusher');
+}
+
+// Regular mob AI for a frame where the enemy has a target; dist is the distance to it
+export function updateMobBehavior(enemy, dt, dist) {
+    if (enemy.retreatTimer > 0) enemy.retreatTimer -= dt;
+    if (enemy.retreatCooldown > 0) enemy.retreatCooldown -= dt;
+    if (enemy.healCooldown > 0) enemy.healCooldown -= dt;
+
+    // Mobs alerted by their pack (PackTactics.js) hunt past their aggro range
+    const target = enemy.target;
+    const alerted = enemy.alertTimer > 0;
+    const inRange = dist <= enemy.aggroRange || alerted;
+    enemy.seesTarget = inRange && enemy.hasLineOfSight(target);
+    if (enemy.seesTarget) {
+        enemy.state = 'chase';
+        enemy.lostSightTimer = 0;
+
+        const ctx = {
+            dist,
+            role: enemy.mobRole,
+            allies: enemy.allies,
+            offAngle: getOffAngle(enemy, target)
+        };
+        let best = null;
+        let bestScore = 0;
+        for (const [name, weight] of Object.entries(enemy.mobRole.weights)) {
+            const score = MobActions[name].score(enemy, ctx) * weight;
+            if (score > bestScore) {
+                best = MobActions[name];
+                bestScore = score;
+            }
+        }
+        enemy.mobAction = best;
+        best?.run(enemy, ctx, dt);
+    } else if (inRange && enemy.pathfinder && (alerted || enemy.lostSightTimer < LOST_SIGHT_PURSUIT_TIME) && !enemy.ambushHidden) {
+        // Target ducked behind a wall - path after it for a while before giving up
+        enemy.state = 'chase';
+        enemy.lostSightTimer += dt;
+        enemy.moveTowards(target, dt);
+    } else {
+        enemy.target = null;
+        enemy.state = 'idle';
+        enemy.lostSightTimer = 0;
+        enemy.navPath = null;
+        enemy.mobAction = null;
+        if (enemy.mobRoles.includes('ambusher')) {
+            // Settle in wherever it lost the target and wait again
+            enemy.ambushHidden = true;
+            enemy.velocity.x = 0;
+            enemy.velocity.y = 0;
+        }
+    }
+}
+
+// Angle between where the target faces and the direction to this mob (0 = right in front)
+function getOffAngle(enemy, target) {
+    const facing = target.facing;
+    if (!facing || (facing.x === 0 && facing.y === 0)) return Math.PI / 2;
+    const toEnemy = Math.atan2(enemy.y - target.y, enemy.x - target.x);
+    const diff = Math.abs(toEnemy - Math.atan2(facing.y, facing.x)) % (Math.PI * 2);
+    return diff > Math.PI ? Math.PI * 2 - diff : diff;
+}
+
+// Head off at roughly this angle, bending round walls; false if boxed in
+function steerToward(enemy, angle, distance, dt) {
+    for (const offset of [0, 0.6, -0.6, 1.2, -1.2]) {
+        const x = enemy.x + Math.cos(angle + offset) * distance;
+        const y = enemy.y + Math.sin(angle + offset) * distance;
+        if (enemy.dungeon?.isWalkable && !enemy.dungeon.isWalkable(Math.floor(x / 32), Math.floor(y / 32))) continue;
+        enemy.moveTowards({ x, y }, dt);
+        return true;
+    }
+    return false;
+}
+
+// Evenly spaced spot round the target for this mob, shared out among its engaged pack
+function getSwarmSlot(enemy, allies) {
+    if (!allies) return null;
+    const target = enemy.target;
+    let leader = null;
+    let index = 0;
+    let count = 0;
+    for (const ally of allies) {
+        if (!ally.active || ally.target !== target || ally.state === 'idle' || !ally.mobRoles?.includes('swarmer')) continue;
+        if (!leader) leader = ally;
+        if (ally === enemy) index = count;
+        count++;
+    }
+    if (count < 2) return null;
+
+    // Slots hang off the leader's side of the target so the ring doesn't spin
+    const base = Math.atan2(leader.y - target.y, leader.x - target.x);
+    const angle = base + index * Math.PI * 2 / count;
+    const radius = enemy.attackRange * 0.8;
+    return { x: target.x + Math.cos(angle) * radius, y: target.y + Math.sin(angle) * radius };
+}
+
+// Most hurt ally nearby that's worth healing
+function findPatient(enemy, allies) {
+    if (!allies) return null;
+    let patient = null;
+    let lowest = HEAL_BELOW;
+    for (const ally of allies) {
+        if (ally === enemy || !ally.active || ally.isBoss || ally.isIllusion || ally.health <= 0) continue;
+        const ratio = ally.health / ally.maxHealth;
+        if (ratio >= lowest) continue;
+        if (Math.hypot(ally.x - enemy.x, ally.y - enemy.y) > HEAL_SEARCH_RADIUS) continue;
+        patient = ally;
+        lowest = ratio;
+    }
+    return patient;
+}
+
+export default MobRoles;
@@ -0,0 +1,240 @@
+/**
+ * Pack Tactics - Groups a floor's mobs into packs that fight together
+ * Mobs are grouped by the room they spawn in (DungeonGenerator rooms), then split
+ * into packs of nearby mobs. The toughest member of a larger pack leads it:
+ *   - idle packs patrol their room in formation behind the leader
+ *   - hitting or spotting one member alerts the whole pack
+ *   - an alerted room raises the alarm in the rooms connected to it
+ *   - followers near a living leader are rallied and hit harder
+ */
+
+// Packs are at most this big; the rest of a crowded room forms another pack
+const PACK_MAX_SIZE = 6;
+const PACK_JOIN_RADIUS = 260;
+const LEADER_MIN_PACK = 3;
+
+// Rallied followers deal this much more damage (see Enemy.attack)
+export const RALLY_DAMAGE_MULTIPLIER = 1.2;
+const RALLY_RADIUS = 220;
+
+// Alerted mobs hunt the target past their aggro range for a while
+const ALERT_DURATION = 8;
+const ALERT_SPREAD_DELAY = 1.5;
+const ALERT_MAX_HOPS = 1;
+const ALERT_FLASH_TIME = 1.2;
+
+const FORMATION_SPACING = 40;
+
+export class PackManager {
+    constructor() {
+        this.packs = [];
+        this.pendingAlerts = [];
+    }
+
+    // Build packs from freshly spawned enemies; rooms come from the dungeon generator
+    setup(enemies, rooms = []) {
+        this.packs = [];
+        this.pendingAlerts = [];
+
+        const groups = new Map();
+        for (const enemy of enemies) {
+            if (enemy.isBoss) continue;
+            const tileX = Math.floor(enemy.x / 32);
+            const tileY = Math.floor(enemy.y / 32);
+            const room = rooms.find(r => r.contains(tileX, tileY)) || null;
+            if (!groups.has(room)) groups.set(room, []);
+            groups.get(room).push(enemy);
+        }
+
+        for (const [room, members] of groups) {
+            const remaining = [...members];
+            while (remaining.length > 0) {
+                // Grow a pack outwards from the first unclaimed mob
+                const seed = remaining.shift();
+                remaining.sort((a, b) => distance(a, seed) - distance(b, seed));
+                const pack = [seed];
+                while (pack.length < PACK_MAX_SIZE && remaining.length > 0 && distance(remaining[0], seed) <= PACK_JOIN_RADIUS) {
+                    pack.push(remaining.shift());
+                }
+                this.createPack(pack, room);
+            }
+        }
+    }
+
+    createPack(members, room) {
+        const pack = { members, room, leader: null, alerted: false };
+        for (const member of members) {
+            member.pack = pack;
+            member.alertTimer = 0;
+            member.alertFlash = 0;
+            member.rallied = false;
+            member.lastHealth = member.health;
+            if (room) {
+                // Keep wandering inside the room it guards
+                member.homePosition = { x: room.centerX * 32 + 16, y: room.centerY * 32 + 16 };
+                member.maxWanderDistance = Math.max(32, Math.min(room.width, room.height) * 16 - 48);
+            }
+        }
+        this.assignLeader(pack);
+        this.packs.push(pack);
+        return pack;
+    }
+
+    // Toughest member leads; the others get formation slots behind it
+    assignLeader(pack) {
+        if (pack.leader) pack.leader.isPackLeader = false;
+        pack.leader = null;
+        if (pack.members.length < LEADER_MIN_PACK) return;
+
+        pack.leader = pack.members.reduce((best, member) => member.maxHealth > best.maxHealth ? member : best);
+        pack.leader.isPackLeader = true;
+
+        let slot = 0;
+        for (const member of pack.members) {
+            if (member === pack.leader) continue;
+            // Alternating left/right rows fanning out behind the leader
+            const row = Math.floor(slot / 2) + 1;
+            const side = slot % 2 === 0 ? -1 : 1;
+            member.formationOffset = { back: row * FORMATION_SPACING, side: side * row * FORMATION_SPACING * 0.75 };
+            slot++;
+        }
+    }
+
+    update(dt, target, enemies) {
+        const inScene = new Set(enemies);
+
+        for (let i = this.packs.length - 1; i >= 0; i--) {
+            const pack = this.packs[i];
+            const before = pack.members.length;
+            pack.members = pack.members.filter(member => inScene.has(member) && member.active && member.health > 0);
+            if (pack.members.length === 0) {
+                this.packs.splice(i, 1);
+                continue;
+            }
+            if (!pack.members.includes(pack.leader) && (pack.leader || pack.members.length !== before)) {
+                this.assignLeader(pack);
+            }
+            this.updatePack(pack, dt, target);
+        }
+
+        for (let i = this.pendingAlerts.length - 1; i >= 0; i--) {
+            const alert = this.pendingAlerts[i];
+            alert.delay -= dt;
+            if (alert.delay > 0) continue;
+            this.pendingAlerts.splice(i, 1);
+            for (const pack of this.packs) {
+                if (pack.room === alert.room) this.alertPack(pack, alert.target, alert.hops);
+            }
+        }
+    }
+
+    updatePack(pack, dt, target) {
+        let engaged = false;
+        for (const member of pack.members) {
+            if (member.alertTimer > 0) member.alertTimer -= dt;
+            if (member.alertFlash > 0) member.alertFlash -= dt;
+
+            // Took a hit or picked a fight - either way the pack hears about it
+            if (member.health < member.lastHealth || (member.seesTarget && !member.ambushHidden)) {
+                engaged = true;
+            }
+            member.lastHealth = member.health;
+        }
+
+        if (engaged) {
+            this.alertPack(pack, target, 0);
+        } else if (pack.alerted && pack.members.every(member => member.alertTimer <= 0)) {
+            pack.alerted = false;
+        }
+
+        const leader = pack.leader;
+        for (const member of pack.members) {
+            member.rallied = !!leader && member !== leader && distance(member, leader) <= RALLY_RADIUS;
+        }
+
+        if (leader && !pack.alerted) this.moveInFormation(pack, dt);
+    }
+
+    // Leader patrols the room, followers hold their slots behind it
+    moveInFormation(pack, dt) {
+        const leader = pack.leader;
+        if (leader.maxSpeed <= 0 || leader.ambushHidden) return;
+        leader.wander(dt);
+
+        const facing = Math.atan2(leader.facing.y, leader.facing.x);
+        for (const member of pack.members) {
+            if (member === leader || member.ambushHidden || member.maxSpeed <= 0 || !member.formationOffset) continue;
+            const { back, side } = member.formationOffset;
+            const slotX = leader.x - Math.cos(facing) * back - Math.sin(facing) * side;
+            const slotY = leader.y - Math.sin(facing) * back + Math.cos(facing) * side;
+            const dx = slotX - member.x;
+            const dy = slotY - member.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist < 8) {
+                member.velocity.x = leader.velocity.x;
+                member.velocity.y = leader.velocity.y;
+                continue;
+            }
+            // Catch up a little faster than the leader walks
+            const speed = Math.min(member.maxSpeed * 0.7, dist * 3);
+            member.velocity.x = dx / dist * speed;
+            member.velocity.y = dy / dist * speed;
+            member.facing = { x: dx / dist, y: dy / dist };
+        }
+    }
+
+    alertPack(pack, target, hops) {
+        const wasAlerted = pack.alerted;
+        pack.alerted = true;
+        for (const member of pack.members) {
+            if (!wasAlerted && member.alertTimer <= 0) member.alertFlash = ALERT_FLASH_TIME;
+            member.alertTimer = ALERT_DURATION;
+            member.target = target;
+        }
+        if (wasAlerted || !pack.room || hops >= ALERT_MAX_HOPS) return;
+
+        // Shouts carry down the corridors to the neighbouring rooms
+        for (const room of pack.room.connections || []) {
+            if (this.pendingAlerts.some(alert => alert.room === room)) continue;
+            this.pendingAlerts.push({ room, target, hops: hops + 1, delay: ALERT_SPREAD_DELAY });
+        }
+    }
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Leader banner and the "!" over freshly alerted mobs, drawn in the enemy's local space
+export function renderPackMarkers(ctx, enemy) {
+    if (!enemy.pack) return;
+    const h = enemy.height;
+
+    if (enemy.isPackLeader) {
+        // Small crown left of the health bar
+        const y = -h / 2 - 4;
+        ctx.fillStyle = '#ffcc33';
+        ctx.beginPath();
+        ctx.moveTo(-28, y);
+        ctx.lineTo(-28, y - 8);
+        ctx.lineTo(-25, y - 4);
+        ctx.lineTo(-22, y - 10);
+        ctx.lineTo(-19, y - 4);
+        ctx.lineTo(-16, y - 8);
+        ctx.lineTo(-16, y);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    if (enemy.alertFlash > 0) {
+        ctx.save();
+        ctx.globalAlpha = Math.min(1, enemy.alertFlash * 2);
+        ctx.fillStyle = '#ff3333';
+        ctx.font = 'bold 18px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('!', 0, -h / 2 - 30);
+        ctx.restore();
+    }
+}
+
+export default PackManager;
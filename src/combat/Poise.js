@@ -0,0 +1,156 @@
+/**
+ * Poise - Knockback, stagger and wall slams
+ * Hits can carry force and poise damage (weapons in Weapon.js, abilities in ClassDefinitions.js).
+ * Force is kept on the target as `knockback` and moves it on top of its own steering until
+ * it dies away, so AI can't cancel a shove. Poise damage wears down the target's poise:
+ *   - heavy mobs (`poise` in their definition) and bosses have a poise bar and only take
+ *     part of the push while it holds
+ *   - other mobs have a little hidden poise and take the full push
+ *   - at zero poise the target is staggered: it can't act, takes extra damage and the
+ *     next hits shove it in full; the bar refills once the stagger wears off
+ * Poise grows back after a few seconds without poise damage. A target knocked into a
+ * wall hard enough takes slam damage (see Game.handleWallCollision).
+ */
+
+// Knockback speed lost per second (exponential), and the speed it stops at
+const KNOCKBACK_DECAY = 6;
+const MIN_KNOCKBACK = 5;
+
+// Poise for mobs without their own, and for bosses
+const DEFAULT_POISE = 20;
+const BOSS_POISE = 120;
+
+// Share of a push that mobs with an intact poise bar ignore
+const HEAVY_KNOCKBACK_RESIST = 0.6;
+const BOSS_KNOCKBACK_RESIST = 0.85;
+
+// Hits without their own poise damage wear poise by this much per point of force
+const POISE_PER_KNOCKBACK = 0.1;
+
+const POISE_REGEN_DELAY = 2;
+const POISE_REGEN_RATE = 0.25; // Share of the bar per second
+
+const STAGGER_DURATION = 1.2;
+const BOSS_STAGGER_DURATION = 2.5;
+
+// Staggered targets take this much more damage (Enemy.takeDamage)
+export const STAGGER_DAMAGE_TAKEN = 1.25;
+
+// Knockback speed needed for a wall to hurt; slams deal a share of the hit that caused
+// the push and wear poise too
+const WALL_SLAM_SPEED = 120;
+const WALL_SLAM_DAMAGE = 0.5;
+const WALL_SLAM_POISE = 15;
+
+// Poise and knockback for an enemy; `poise` in its definition marks it as heavy
+export function initPoise(entity, config = {}) {
+    const heavy = config.poise !== undefined || entity.isBoss;
+    entity.maxPoise = config.poise ?? (entity.isBoss ? BOSS_POISE : DEFAULT_POISE);
+    entity.poise = entity.maxPoise;
+    entity.poiseRegenDelay = 0;
+    entity.poiseBroken = false;
+    entity.showPoiseBar = heavy;
+    entity.knockbackResist = config.knockbackResist ?? (entity.isBoss ? BOSS_KNOCKBACK_RESIST : heavy ? HEAVY_KNOCKBACK_RESIST : 0);
+    entity.knockback = { x: 0, y: 0, slamDamage: 0 };
+}
+
+// A hit from (fromX, fromY) pushes target away with `force` (negative pulls it in) and
+// wears its poise. `damage` is what the hit dealt, for wall slams. Returns true if poise broke.
+export function applyImpact(target, fromX, fromY, { force = 0, poiseDamage, damage = 0 } = {}) {
+    if (!target.knockback || target.health <= 0) return false;
+
+    let broke = false;
+    const wear = poiseDamage ?? Math.abs(force) * POISE_PER_KNOCKBACK;
+    if (wear > 0 && target.maxPoise > 0 && !target.poiseBroken) {
+        target.poise -= wear;
+        target.poiseRegenDelay = POISE_REGEN_DELAY;
+        if (target.poise <= 0) broke = breakPoise(target);
+    }
+
+    const push = force * (target.poiseBroken ? 1 : 1 - (target.knockbackResist || 0));
+    if (push !== 0) {
+        const angle = Math.atan2(target.y - fromY, target.x - fromX);
+        target.knockback.x += Math.cos(angle) * push;
+        target.knockback.y += Math.sin(angle) * push;
+        target.knockback.slamDamage = Math.max(target.knockback.slamDamage, damage * WALL_SLAM_DAMAGE);
+    }
+    return broke;
+}
+
+export function breakPoise(target) {
+    target.poise = 0;
+    target.poiseBroken = true;
+    target.addStatusEffect?.({ type: 'staggered', duration: target.isBoss ? BOSS_STAGGER_DURATION : STAGGER_DURATION });
+    return true;
+}
+
+// Move by the current knockback and let it die away; regrow poise
+export function updatePoise(entity, dt) {
+    const knockback = entity.knockback;
+    if (knockback && (knockback.x !== 0 || knockback.y !== 0)) {
+        entity.x += knockback.x * dt;
+        entity.y += knockback.y * dt;
+        const decay = Math.exp(-KNOCKBACK_DECAY * dt);
+        knockback.x *= decay;
+        knockback.y *= decay;
+        if (Math.hypot(knockback.x, knockback.y) < MIN_KNOCKBACK) stopKnockback(entity);
+    }
+
+    if (!entity.maxPoise) return;
+    if (entity.poiseBroken) {
+        // The bar comes back full once the stagger is over
+        if (!entity.hasStatusEffect('staggered')) {
+            entity.poiseBroken = false;
+            entity.poise = entity.maxPoise;
+        }
+        return;
+    }
+    if (entity.poise < entity.maxPoise) {
+        entity.poiseRegenDelay -= dt;
+        if (entity.poiseRegenDelay <= 0) {
+            entity.poise = Math.min(entity.maxPoise, entity.poise + entity.maxPoise * POISE_REGEN_RATE * dt);
+        }
+    }
+}
+
+function stopKnockback(entity) {
+    entity.knockback.x = 0;
+    entity.knockback.y = 0;
+    entity.knockback.slamDamage = 0;
+}
+
+// The entity ran into a wall on the blocked axes. Returns { damage, poiseDamage } if it was
+// knocked in hard enough to count as a slam; the push into the wall is used up either way.
+export function getWallSlam(entity, blockedX, blockedY) {
+    const knockback = entity.knockback;
+    if (!knockback || (knockback.x === 0 && knockback.y === 0)) return null;
+
+    const impact = Math.hypot(blockedX ? knockback.x : 0, blockedY ? knockback.y : 0);
+    const slamDamage = knockback.slamDamage;
+    if (impact < WALL_SLAM_SPEED) {
+        if (blockedX) knockback.x = 0;
+        if (blockedY) knockback.y = 0;
+        return null;
+    }
+    stopKnockback(entity);
+    if (slamDamage <= 0) return null;
+    return { damage: slamDamage * Math.min(2, impact / WALL_SLAM_SPEED), poiseDamage: WALL_SLAM_POISE };
+}
+
+// Thin bar under a heavy mob's health bar while its poise is down
+export function renderPoiseBar(ctx, entity, x, y, width) {
+    if (!entity.showPoiseBar || (entity.poise >= entity.maxPoise && !entity.poiseBroken)) return;
+
+    ctx.fillStyle = '#222';
+    ctx.fillRect(x - 1, y - 1, width + 2, 5);
+    if (entity.poiseBroken) {
+        // Flashes while staggered
+        ctx.fillStyle = Math.floor(Date.now() / 120) % 2 === 0 ? '#ffffff' : '#ffcc33';
+        ctx.fillRect(x, y, width, 3);
+        return;
+    }
+    ctx.fillStyle = '#ffcc33';
+    ctx.fillRect(x, y, width * Math.max(0, entity.poise / entity.maxPoise), 3);
+}
+
+export default applyImpact;
@@ -0,0 +1,179 @@
+/**
+ * Reactions - Elemental status effects and the combos between them
+ * Elemental hits leave a status behind (fire burns, ice chills, poison poisons) and
+ * pools add their own (water soaks, lava burns). A hit whose element meets the
+ * right status sets off a reaction and uses that status up:
+ *   wet + lightning = Chain Shock      arcs to nearby foes, stunning the wet ones
+ *   burn + ice      = Shatter          burst of ice damage around the target
+ *   poison + fire   = Toxic Explosion  fiery blast that poisons everything it hits
+ * Ice freezes water tiles into walkable ice and fire melts it again.
+ */
+
+import { RNG } from '../engine/core/Random.js';
+import { TILE_TYPES } from '../dungeon/DungeonGenerator.js';
+
+// Status each element leaves on what it hits; damage over time is a share of the hit
+export const ELEMENT_STATUSES = {
+    fire: { type: 'burn', duration: 3, tickRate: 1, damageShare: 0.15 },
+    ice: { type: 'chilled', value: 0.4, duration: 2.5 },
+    poison: { type: 'poison', duration: 4, tickRate: 1, damageShare: 0.1 }
+};
+
+// Pools: wading through water soaks you, lava sets you alight
+const WET_DURATION = 4;
+const LAVA_BURN = { type: 'burn', damage: 6, duration: 2, tickRate: 0.5 };
+
+const CHAIN_SHOCK_RADIUS = 180;
+const CHAIN_SHOCK_TARGETS = 4;
+const CHAIN_SHOCK_DAMAGE = 0.6; // Of the triggering hit, to the target and each arc
+const CHAIN_SHOCK_STUN = 0.6;
+
+const SHATTER_RADIUS = 90;
+const SHATTER_DAMAGE = 0.8;
+
+const TOXIC_EXPLOSION_RADIUS = 110;
+const TOXIC_EXPLOSION_DAMAGE = 1;
+
+export const REACTIONS = [
+    { name: 'Chain Shock', status: 'wet', element: 'lightning', color: '#ffff44', trigger: chainShock },
+    { name: 'Shatter', status: 'burn', element: 'ice', color: '#aaeeff', trigger: shatter },
+    { name: 'Toxic Explosion', status: 'poison', element: 'fire', color: '#99ff33', trigger: toxicExplosion }
+];
+
+// An elemental hit landed on target: react with its statuses or leave the element's own.
+// Returns the reaction that went off, or null.
+export function applyElementalHit(combat, target, element, damage) {
+    if (!target.addStatusEffect) return null;
+
+    const reaction = REACTIONS.find(r => r.element === element && target.hasStatusEffect(r.status));
+    if (reaction) {
+        target.removeStatusEffect(reaction.status);
+        reaction.trigger(combat, target, damage, reaction);
+        return reaction;
+    }
+    if (target.health <= 0) return null;
+
+    // Fire dries a soaked target instead of catching, and thaws a chilled one
+    if (element === 'fire' && target.hasStatusEffect('wet')) {
+        target.removeStatusEffect('wet');
+        return null;
+    }
+    if (element === 'fire') target.removeStatusEffect('chilled');
+
+    const status = ELEMENT_STATUSES[element];
+    if (status) {
+        const { damageShare, ...effect } = status;
+        if (damageShare) effect.damage = Math.max(1, Math.round(damage * damageShare));
+        target.addStatusEffect(effect);
+    }
+    return null;
+}
+
+// Standing in water soaks (and puts out fire), standing in lava burns (and dries off)
+export function applyTileStatus(entity, tile) {
+    if (!entity.addStatusEffect) return;
+    if (tile === TILE_TYPES.WATER) {
+        entity.removeStatusEffect('burn');
+        entity.addStatusEffect({ type: 'wet', duration: WET_DURATION });
+    } else if (tile === TILE_TYPES.LAVA) {
+        entity.removeStatusEffect('wet');
+        entity.addStatusEffect({ ...LAVA_BURN });
+    }
+}
+
+// Tile an element turns a tile into, or null: ice freezes water, fire melts ice
+export function getElementalTileChange(tile, element) {
+    if (element === 'ice' && tile === TILE_TYPES.WATER) return TILE_TYPES.ICE;
+    if (element === 'fire' && tile === TILE_TYPES.ICE) return TILE_TYPES.WATER;
+    return null;
+}
+
+function chainShock(combat, target, damage, reaction) {
+    const amount = damage * CHAIN_SHOCK_DAMAGE;
+    reactionHit(combat, target, amount, 'lightning', reaction);
+
+    // Arc to the nearest foes on the target's side, wet ones first
+    const arcs = alliesOf(combat, target, CHAIN_SHOCK_RADIUS)
+        .sort((a, b) => (b.hasStatusEffect('wet') - a.hasStatusEffect('wet')) || (distance(a, target) - distance(b, target)))
+        .slice(0, CHAIN_SHOCK_TARGETS);
+    let from = target;
+    for (const other of arcs) {
+        combat.addLightning(from.x, from.y, other.x, other.y, { size: 2, color: reaction.color, lifetime: 0.2, glow: true });
+        if (other.hasStatusEffect('wet')) {
+            other.removeStatusEffect('wet');
+            other.addStatusEffect({ type: 'stun', duration: CHAIN_SHOCK_STUN });
+        }
+        reactionHit(combat, other, amount, 'lightning');
+        from = other;
+    }
+    target.addStatusEffect({ type: 'stun', duration: CHAIN_SHOCK_STUN }); // Bosses are immune (Enemy.js)
+}
+
+function shatter(combat, target, damage, reaction) {
+    target.removeStatusEffect('chilled');
+    const amount = damage * SHATTER_DAMAGE;
+    reactionHit(combat, target, amount, 'ice', reaction);
+    for (const other of alliesOf(combat, target, SHATTER_RADIUS)) {
+        reactionHit(combat, other, amount, 'ice');
+    }
+
+    combat.createParticleBurst(target.x, target.y, 18, { color: reaction.color, speed: 220, lifetime: 0.4, size: 4 });
+    // Ice shards scatter outward
+    for (let i = 0; i < 8; i++) {
+        const angle = RNG.cosmetic.next() * Math.PI * 2;
+        combat.addParticle(target.x, target.y, {
+            vx: Math.cos(angle) * 260,
+            vy: Math.sin(angle) * 260,
+            color: '#ffffff',
+            size: 3,
+            lifetime: 0.3
+        });
+    }
+}
+
+function toxicExplosion(combat, target, damage, reaction) {
+    const amount = damage * TOXIC_EXPLOSION_DAMAGE;
+    const caught = [target, ...alliesOf(combat, target, TOXIC_EXPLOSION_RADIUS)];
+    for (const other of caught) {
+        reactionHit(combat, other, amount, 'fire', other === target ? reaction : null);
+        if (other.health > 0) {
+            other.addStatusEffect({ type: 'poison', damage: Math.max(1, Math.round(amount * 0.1)), duration: 4, tickRate: 1 });
+        }
+    }
+
+    combat.createParticleBurst(target.x, target.y, 24, { color: reaction.color, speed: 180, lifetime: 0.6, size: 6 });
+    combat.createParticleBurst(target.x, target.y, 12, { color: '#ff6600', speed: 120, lifetime: 0.4, size: 5 });
+}
+
+// Reaction damage skips further reactions; the first hit carries the reaction's name
+function reactionHit(combat, target, amount, element, reaction = null) {
+    if (!target.takeDamage || target.health <= 0) return;
+    const damage = target.takeDamage(amount, null, element);
+    combat.combatResults.push({
+        target: target,
+        source: null,
+        damage: damage,
+        isCrit: false,
+        element: element,
+        reaction: reaction
+    });
+}
+
+// Living targets on the same side as target (not target itself) within radius
+function alliesOf(combat, target, radius) {
+    const side = isPlayerSide(target);
+    return combat.targets.filter(other =>
+        other !== target && other.health > 0 && other.active !== false &&
+        isPlayerSide(other) === side && distance(other, target) <= radius
+    );
+}
+
+function isPlayerSide(entity) {
+    return !!(entity.hasTag?.('player') || entity.className);
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+export default REACTIONS;
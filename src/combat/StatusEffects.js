@@ -0,0 +1,315 @@
+/**
+ * Status Effects - Buffs, debuffs and damage over time for every kind of entity
+ * The player (Character), enemies and mercenaries each own a StatusEffects list and
+ * forward addStatusEffect/hasStatusEffect/... to it. How an effect behaves comes from
+ * its type in STATUS_TYPES:
+ *   stacking   'refresh'      one instance; reapplying keeps the longer duration and stronger value
+ *              'intensity'    one instance that gains a stack per reapply (up to maxStacks),
+ *                             each stack adding its value and tick damage again
+ *              'independent'  every application runs on its own timer
+ *   tickRate   seconds between ticks of `damage` (in `element`) or `heal`
+ *   debuff     removed by cleanse(); buffs are removed by dispel() instead
+ *   immunities types the owner can't receive while the effect is on
+ *   onApply / onExpire   hooks called with (owner, effect); onExpire also gets
+ *                        'expired' or 'removed'
+ * Types missing from the table refresh, never tick and count as buffs.
+ */
+
+// A stunned entity can't be stunned again for this long after it wears off
+const STUN_IMMUNITY_TIME = 1.5;
+
+// Slows never take more than this much of an entity's speed
+const MAX_SLOW = 0.9;
+
+export const STATUS_TYPES = {
+    // Damage over time
+    burn: { name: 'Burning', icon: 'F', color: '#ff6600', debuff: true, stacking: 'refresh', tickRate: 1, damage: 5, element: 'fire' },
+    poison: { name: 'Poisoned', icon: 'P', color: '#44ff44', debuff: true, stacking: 'intensity', maxStacks: 5, tickRate: 1, damage: 5, element: 'poison' },
+    bleed: { name: 'Bleeding', icon: 'B', color: '#cc0000', debuff: true, stacking: 'independent', tickRate: 0.5, damage: 3, element: 'physical' },
+    dot: { name: 'Cursed', icon: 'D', color: '#aa66cc', debuff: true, stacking: 'independent', tickRate: 1, element: 'dark' },
+
+    // Crowd control
+    stun: { name: 'Stunned', icon: 'S', color: '#ffff00', debuff: true, stacking: 'refresh', onApply: stopMoving, onExpire: guardAfterStun },
+    staggered: { name: 'Staggered', icon: '*', color: '#ffcc33', debuff: true, stacking: 'refresh', onApply: stopMoving }, // Poise broken, see Poise.js
+    chilled: { name: 'Chilled', icon: 'C', color: '#aaeeff', debuff: true, stacking: 'refresh', slows: true },
+    slow: { name: 'Slowed', icon: 'L', color: '#66ccff', debuff: true, stacking: 'refresh', slows: true },
+    blind: { name: 'Blinded', icon: 'X', color: '#666666', debuff: true, stacking: 'refresh' },
+    wet: { name: 'Wet', icon: 'W', color: '#3a7aff', debuff: true, stacking: 'refresh' },
+
+    // Weakening
+    defense_down: { name: 'Armor Broken', icon: 'a', color: '#cc8844', debuff: true, stacking: 'refresh' },
+    damage_down: { name: 'Weakened', icon: 'e', color: '#aa7777', debuff: true, stacking: 'refresh' },
+    vulnerability: { name: 'Vulnerable', icon: 'V', color: '#ff44aa', debuff: true, stacking: 'refresh' },
+
+    // Buffs
+    regen: { name: 'Regenerating', icon: '+', color: '#66ff88', stacking: 'independent', tickRate: 1 },
+    defense_up: { name: 'Fortified', icon: 'A', color: '#66ccff', stacking: 'refresh' },
+    damage_up: { name: 'Empowered', icon: 'E', color: '#ff4444', stacking: 'refresh' },
+    attack_speed_up: { name: 'Frenzied', icon: 'R', color: '#ffaa33', stacking: 'refresh' },
+    speed_up: { name: 'Hasted', icon: 'H', color: '#ffff88', stacking: 'refresh' },
+    guaranteed_crit: { name: 'Focused', icon: '!', color: '#ffdd33', stacking: 'refresh' },
+    invisible: { name: 'Invisible', icon: 'I', color: '#8888aa', stacking: 'refresh' },
+    poison_attacks: { name: 'Venom Blades', icon: 'T', color: '#66dd44', stacking: 'refresh' },
+    physical_immunity: { name: 'Incorporeal', icon: 'G', color: '#bb99ff', stacking: 'refresh' },
+    shield_active: { name: 'Spell Shield', icon: 'O', color: '#aa66ff', stacking: 'refresh' },
+    shield_absorb: { name: 'Barrier', icon: 'O', color: '#66ccff', stacking: 'refresh' },
+    mana_shield: { name: 'Mana Shield', icon: 'M', color: '#4488ff', stacking: 'refresh' },
+    ultimate_buff: { name: 'Unstoppable', icon: 'U', color: '#ffcc33', stacking: 'refresh', immunities: ['stun', 'chilled', 'slow'] }
+};
+
+const DEFAULT_TYPE = { stacking: 'refresh', color: '#ffaa00' };
+
+export function getStatusType(type) {
+    return STATUS_TYPES[type] || DEFAULT_TYPE;
+}
+
+function stopMoving(owner) {
+    if (owner.velocity) {
+        owner.velocity.x = 0;
+        owner.velocity.y = 0;
+    }
+}
+
+function guardAfterStun(owner, effect, reason) {
+    if (reason === 'expired') owner.statusEffects.addImmunity('stun', STUN_IMMUNITY_TIME);
+}
+
+export class StatusEffects {
+    constructor(owner, immunities = []) {
+        this.owner = owner;
+        this.effects = [];
+        this.immunities = new Set(immunities);
+        this.timedImmunities = new Map(); // type -> seconds left
+    }
+
+    [Symbol.iterator]() {
+        return this.effects[Symbol.iterator]();
+    }
+
+    get size() {
+        return this.effects.length;
+    }
+
+    // Apply an effect ({ type, duration, value?, damage?, heal?, tickRate?, source? }).
+    // Returns the instance it landed on, or null if the owner is immune.
+    add(effect) {
+        const type = getStatusType(effect.type);
+        if (this.isImmune(effect.type)) return null;
+
+        const instance = this.createInstance(effect, type);
+        const existing = type.stacking !== 'independent' && this.get(effect.type);
+        if (!existing) {
+            this.effects.push(instance);
+            if (type.debuff) this.owner.pendingStatusVisual = effect.type;
+            type.onApply?.(this.owner, instance);
+            return instance;
+        }
+
+        existing.duration = Math.max(existing.duration, instance.duration);
+        existing.maxDuration = Math.max(existing.duration, existing.maxDuration);
+        existing.value = Math.max(existing.value, instance.value);
+        existing.damage = Math.max(existing.damage, instance.damage);
+        existing.heal = Math.max(existing.heal, instance.heal);
+        existing.source = instance.source;
+        if (type.stacking === 'intensity') {
+            existing.stacks = Math.min(type.maxStacks || Infinity, existing.stacks + 1);
+        }
+        return existing;
+    }
+
+    // Older callers used tickDamage/tickHeal, boss patterns give slows an `amount`
+    createInstance(effect, type) {
+        const { tickDamage, tickHeal, amount, ...rest } = effect;
+        const duration = effect.duration ?? 5;
+        return {
+            ...rest,
+            duration,
+            maxDuration: duration,
+            value: effect.value ?? amount ?? 0,
+            damage: effect.damage ?? tickDamage ?? type.damage ?? 0,
+            heal: effect.heal ?? tickHeal ?? 0,
+            element: effect.element || type.element || 'physical',
+            tickRate: effect.tickRate || type.tickRate || 0,
+            tickTimer: 0, // Damage over time lands as soon as it's applied
+            stacks: 1
+        };
+    }
+
+    has(type) {
+        return this.effects.some(e => e.type === type);
+    }
+
+    // First instance of a type (the only one unless it stacks independently)
+    get(type) {
+        return this.effects.find(e => e.type === type) || null;
+    }
+
+    // Strength of a type: intensity effects add up their stacks, independent ones use the strongest
+    getValue(type) {
+        let value = 0;
+        for (const effect of this.effects) {
+            if (effect.type === type) value = Math.max(value, effect.value * effect.stacks);
+        }
+        return value;
+    }
+
+    getStacks(type) {
+        let stacks = 0;
+        for (const effect of this.effects) {
+            if (effect.type === type) stacks += effect.stacks;
+        }
+        return stacks;
+    }
+
+    // Movement multiplier from every slowing effect on the owner
+    getSpeedMultiplier() {
+        let slow = 0;
+        for (const effect of this.effects) {
+            if (getStatusType(effect.type).slows) slow = Math.max(slow, effect.value * effect.stacks);
+        }
+        return 1 - Math.min(MAX_SLOW, slow);
+    }
+
+    remove(type) {
+        return this.removeWhere(e => e.type === type);
+    }
+
+    // Strip debuffs (the Priest's Purity); returns how many were removed
+    cleanse() {
+        return this.removeWhere(e => getStatusType(e.type).debuff);
+    }
+
+    // Strip buffs (holy purges, dispelling attacks); returns how many were removed
+    dispel() {
+        return this.removeWhere(e => !getStatusType(e.type).debuff);
+    }
+
+    clear() {
+        return this.removeWhere(() => true);
+    }
+
+    removeWhere(predicate) {
+        const removed = this.effects.filter(predicate);
+        if (removed.length === 0) return 0;
+        this.effects = this.effects.filter(e => !removed.includes(e));
+        for (const effect of removed) {
+            getStatusType(effect.type).onExpire?.(this.owner, effect, 'removed');
+        }
+        return removed.length;
+    }
+
+    // Permanent immunity, or one that runs out after duration seconds
+    addImmunity(type, duration = Infinity) {
+        if (duration === Infinity) {
+            this.immunities.add(type);
+        } else {
+            this.timedImmunities.set(type, Math.max(duration, this.timedImmunities.get(type) || 0));
+        }
+    }
+
+    isImmune(type) {
+        if (this.immunities.has(type) || this.timedImmunities.has(type)) return true;
+        return this.effects.some(e => getStatusType(e.type).immunities?.includes(type));
+    }
+
+    update(dt) {
+        for (const [type, time] of this.timedImmunities) {
+            if (time - dt <= 0) {
+                this.timedImmunities.delete(type);
+            } else {
+                this.timedImmunities.set(type, time - dt);
+            }
+        }
+
+        // Ticks and hooks may add or remove effects, so walk a copy
+        for (const effect of [...this.effects]) {
+            if (!this.effects.includes(effect)) continue;
+            effect.duration -= dt;
+
+            if (effect.tickRate > 0 && (effect.damage > 0 || effect.heal > 0)) {
+                effect.tickTimer -= dt;
+                // No tick on the frame the effect runs out, so a 3s burn ticks 3 times
+                if (effect.tickTimer <= 0 && effect.duration > dt / 2) {
+                    effect.tickTimer += effect.tickRate;
+                    this.tick(effect);
+                }
+            }
+
+            if (effect.duration <= 0 && this.effects.includes(effect)) {
+                this.effects.splice(this.effects.indexOf(effect), 1);
+                getStatusType(effect.type).onExpire?.(this.owner, effect, 'expired');
+            }
+        }
+    }
+
+    tick(effect) {
+        const owner = this.owner;
+        if (effect.damage > 0 && owner.health > 0 && owner.takeDamage) {
+            owner.takeDamage(effect.damage * effect.stacks, null, effect.element);
+        }
+        if (effect.heal > 0 && owner.health > 0) {
+            if (owner.heal) {
+                owner.heal(effect.heal * effect.stacks);
+            } else {
+                owner.health = Math.min(owner.maxHealth, owner.health + effect.heal * effect.stacks);
+            }
+        }
+    }
+}
+
+// One icon per status type in a row centred on x, bottom edge at y. The coloured part
+// drains as the effect runs out; stacks (or independent instances) show as a count.
+export function renderStatusIcons(ctx, statusEffects, x, y, size = 10) {
+    const groups = new Map();
+    for (const effect of statusEffects) {
+        const group = groups.get(effect.type);
+        if (group) {
+            group.stacks += effect.stacks;
+            group.remaining = Math.max(group.remaining, effect.duration / effect.maxDuration);
+        } else {
+            groups.set(effect.type, { type: effect.type, stacks: effect.stacks, remaining: effect.duration / effect.maxDuration, color: effect.color });
+        }
+    }
+    if (groups.size === 0) return;
+
+    const gap = 2;
+    let iconX = x - (groups.size * (size + gap) - gap) / 2;
+    const top = y - size;
+
+    ctx.save();
+    ctx.font = `bold ${Math.round(size * 0.8)}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const group of groups.values()) {
+        const type = getStatusType(group.type);
+        const color = group.color || type.color;
+        const remaining = Math.max(0, Math.min(1, group.remaining));
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(iconX, top, size, size);
+        ctx.globalAlpha = 0.85;
+        ctx.fillStyle = color;
+        ctx.fillRect(iconX, top + size * (1 - remaining), size, size * remaining);
+        ctx.globalAlpha = 1;
+
+        // Debuffs get a red rim, buffs a light one
+        ctx.strokeStyle = type.debuff ? '#ff3333' : '#dddddd';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(iconX + 0.5, top + 0.5, size - 1, size - 1);
+
+        if (type.icon) {
+            ctx.fillStyle = '#000000';
+            ctx.fillText(type.icon, iconX + size / 2, top + size / 2 + 1);
+        }
+        if (group.stacks > 1) {
+            ctx.font = `bold ${Math.round(size * 0.6)}px monospace`;
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(`${group.stacks}`, iconX + size, top + size);
+            ctx.font = `bold ${Math.round(size * 0.8)}px monospace`;
+        }
+        iconX += size + gap;
+    }
+    ctx.restore();
+}
+
+export default StatusEffects;
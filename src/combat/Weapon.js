@@ -2,6 +2,8 @@
  * Weapon System - All weapons available in the game
  */
 
+import { RNG } from '../engine/core/Random.js';
+
 export const WeaponTypes = {
     // Melee Weapons
     sword: {
@@ -10,6 +12,8 @@ export const WeaponTypes = {
         range: 140,
         attackSpeed: 1.0,
         damageType: 'physical',
+        knockback: 120,
+        poiseDamage: 12,
         twoHanded: false
     },
     katana: {
@@ -19,6 +23,8 @@ export const WeaponTypes = {
         attackSpeed: 1.2,
         damageType: 'physical',
         critBonus: 10,
+        knockback: 90,
+        poiseDamage: 10,
         twoHanded: true
     },
     dagger: {
@@ -28,6 +34,8 @@ export const WeaponTypes = {
         attackSpeed: 1.8,
         damageType: 'physical',
         critBonus: 15,
+        knockback: 40,
+        poiseDamage: 5,
         twoHanded: false
     },
     axe: {
@@ -37,6 +45,8 @@ export const WeaponTypes = {
         attackSpeed: 0.8,
         damageType: 'physical',
         cleave: true,
+        knockback: 160,
+        poiseDamage: 16,
         twoHanded: false
     },
     hammer: {
@@ -46,6 +56,8 @@ export const WeaponTypes = {
         attackSpeed: 0.6,
         damageType: 'physical',
         stun: true,
+        knockback: 260,
+        poiseDamage: 30,
         twoHanded: true
     },
     mace: {
@@ -55,6 +67,8 @@ export const WeaponTypes = {
         attackSpeed: 0.9,
         damageType: 'physical',
         armorPierce: 0.2,
+        knockback: 200,
+        poiseDamage: 22,
         twoHanded: false
     },
     lance: {
@@ -64,6 +78,8 @@ export const WeaponTypes = {
         attackSpeed: 0.7,
         damageType: 'physical',
         chargeBonus: 2.0,
+        knockback: 220,
+        poiseDamage: 20,
         twoHanded: true
     },
     rapier: {
@@ -73,6 +89,8 @@ export const WeaponTypes = {
         attackSpeed: 1.4,
         damageType: 'physical',
         critBonus: 5,
+        knockback: 60,
+        poiseDamage: 6,
         twoHanded: false
     },
     scythe: {
@@ -82,6 +100,8 @@ export const WeaponTypes = {
         attackSpeed: 0.7,
         damageType: 'physical',
         lifeSteal: 0.1,
+        knockback: 150,
+        poiseDamage: 14,
         twoHanded: true
     },
     naginata: {
@@ -91,6 +111,8 @@ export const WeaponTypes = {
         attackSpeed: 0.85,
         damageType: 'physical',
         sweep: true,
+        knockback: 170,
+        poiseDamage: 15,
         twoHanded: true
     },
     kusarigama: {
@@ -100,6 +122,8 @@ export const WeaponTypes = {
         attackSpeed: 1.1,
         damageType: 'physical',
         pullEnemy: true,
+        knockback: -150, // Pulls targets in
+        poiseDamage: 10,
         twoHanded: true
     },
     
@@ -111,6 +135,8 @@ export const WeaponTypes = {
         attackSpeed: 1.0,
         damageType: 'physical',
         projectileSpeed: 500,
+        knockback: 60,
+        poiseDamage: 6,
         twoHanded: true
     },
     crossbow: {
@@ -121,6 +147,8 @@ export const WeaponTypes = {
         damageType: 'physical',
         projectileSpeed: 600,
         armorPierce: 0.3,
+        knockback: 140,
+        poiseDamage: 14,
         twoHanded: true
     },
     musket: {
@@ -131,6 +159,8 @@ export const WeaponTypes = {
         damageType: 'physical',
         projectileSpeed: 800,
         reloadTime: 2.0,
+        knockback: 220,
+        poiseDamage: 25,
         twoHanded: true
     },
     pistol: {
@@ -141,6 +171,8 @@ export const WeaponTypes = {
         damageType: 'physical',
         projectileSpeed: 700,
         reloadTime: 1.0,
+        knockback: 120,
+        poiseDamage: 12,
         twoHanded: false
     },
     shuriken: {
@@ -151,6 +183,8 @@ export const WeaponTypes = {
         damageType: 'physical',
         projectileSpeed: 400,
         multiThrow: 3,
+        knockback: 20,
+        poiseDamage: 2,
         twoHanded: false
     },
     throwing_knife: {
@@ -161,6 +195,8 @@ export const WeaponTypes = {
         damageType: 'physical',
         projectileSpeed: 450,
         critBonus: 10,
+        knockback: 30,
+        poiseDamage: 3,
         twoHanded: false
     },
     kunai: {
@@ -170,6 +206,8 @@ export const WeaponTypes = {
         attackSpeed: 1.8,
         damageType: 'physical',
         projectileSpeed: 420,
+        knockback: 30,
+        poiseDamage: 3,
         twoHanded: false
     },
     
@@ -181,6 +219,8 @@ export const WeaponTypes = {
         attackSpeed: 0.8,
         damageType: 'magic',
         manaRegen: 2,
+        knockback: 80,
+        poiseDamage: 8,
         twoHanded: true
     },
     wand: {
@@ -190,6 +230,8 @@ export const WeaponTypes = {
         attackSpeed: 1.2,
         damageType: 'magic',
         castSpeedBonus: 0.1,
+        knockback: 40,
+        poiseDamage: 4,
         twoHanded: false
     },
     tome: {
@@ -199,6 +241,8 @@ export const WeaponTypes = {
         attackSpeed: 0.6,
         damageType: 'magic',
         spellPower: 0.15,
+        knockback: 50,
+        poiseDamage: 5,
         twoHanded: false
     },
     orb: {
@@ -208,6 +252,8 @@ export const WeaponTypes = {
         attackSpeed: 1.0,
         damageType: 'magic',
         manaRegen: 3,
+        knockback: 60,
+        poiseDamage: 6,
         twoHanded: false
     },
     
@@ -219,6 +265,8 @@ export const WeaponTypes = {
         attackSpeed: 1.3,
         damageType: 'physical',
         critBonus: 5,
+        knockback: 90,
+        poiseDamage: 9,
         twoHanded: false
     },
     ninjato: {
@@ -228,6 +276,8 @@ export const WeaponTypes = {
         attackSpeed: 1.5,
         damageType: 'physical',
         critBonus: 12,
+        knockback: 80,
+        poiseDamage: 8,
         twoHanded: false
     },
     
@@ -239,6 +289,8 @@ export const WeaponTypes = {
         attackSpeed: 1.0,
         damageType: 'magic',
         spellPower: 0.1,
+        knockback: 130,
+        poiseDamage: 13,
         twoHanded: false
     },
     magic_lance: {
@@ -249,6 +301,8 @@ export const WeaponTypes = {
         damageType: 'magic',
         chargeBonus: 1.8,
         spellPower: 0.08,
+        knockback: 200,
+        poiseDamage: 18,
         twoHanded: true
     },
     runic_axe: {
@@ -259,6 +313,8 @@ export const WeaponTypes = {
         damageType: 'magic',
         cleave: true,
         spellPower: 0.05,
+        knockback: 180,
+        poiseDamage: 18,
         twoHanded: false
     },
     
@@ -268,6 +324,8 @@ export const WeaponTypes = {
         type: 'shield',
         blockChance: 0.3,
         blockAmount: 0.5,
+        knockback: 180,
+        poiseDamage: 25,
         twoHanded: false
     }
 };
@@ -323,6 +381,8 @@ export class Weapon {
         this.reloadTime = baseWeapon.reloadTime || 0;
         this.blockChance = baseWeapon.blockChance || 0;
         this.blockAmount = baseWeapon.blockAmount || 0;
+        this.knockback = baseWeapon.knockback || 0;
+        this.poiseDamage = baseWeapon.poiseDamage || 0;
         
         // Random bonus stats for higher rarities
         this.stats = {};
@@ -343,7 +403,7 @@ export class Weapon {
             legendary: ['Legendary', 'Mythical', 'Divine']
         };
         
-        const prefix = prefixes[rarity][Math.floor(Math.random() * prefixes[rarity].length)];
+        const prefix = prefixes[rarity][Math.floor(RNG.loot.next() * prefixes[rarity].length)];
         return prefix ? `${prefix} ${baseName}` : baseName;
     }
     
@@ -364,8 +424,8 @@ export class Weapon {
         ];
         
         for (let i = 0; i < numBonuses; i++) {
-            const stat = possibleStats[Math.floor(Math.random() * possibleStats.length)];
-            const value = Math.floor(Math.random() * (stat.max - stat.min + 1)) + stat.min;
+            const stat = possibleStats[Math.floor(RNG.loot.next() * possibleStats.length)];
+            const value = Math.floor(RNG.loot.next() * (stat.max - stat.min + 1)) + stat.min;
             this.stats[stat.stat] = (this.stats[stat.stat] || 0) + value * this.level * 0.5;
         }
     }
@@ -405,7 +465,7 @@ export function generateWeaponDrop(level, luckOrType = 10, explicitType = null)
     }
     
     // Determine rarity based on luck
-    const roll = Math.random() * 100;
+    const roll = RNG.loot.next() * 100;
     const luckBonus = luck * 0.5;
     
     let rarity = 'common';
@@ -420,7 +480,7 @@ export function generateWeaponDrop(level, luckOrType = 10, explicitType = null)
         type = forcedType;
     } else {
         const types = Object.keys(WeaponTypes).filter(t => WeaponTypes[t].type !== 'shield');
-        type = types[Math.floor(Math.random() * types.length)];
+        type = types[Math.floor(RNG.loot.next() * types.length)];
     }
     
     return new Weapon(type, rarity, level);
@@ -1,5 +1,6 @@
 // Crafting UI - 9x9 Grid Interface
 import { CraftingManager, CraftingMaterials, CraftingRecipes } from './CraftingSystem.js';
+import { RNG } from '../engine/core/Random.js';
 
 export class CraftingUI {
     constructor(canvas, character) {
@@ -276,10 +277,10 @@ export class CraftingUI {
         
         for (let i = 0; i < 20; i++) {
             this.particles.push({
-                x: centerX + (Math.random() - 0.5) * 100,
-                y: centerY + (Math.random() - 0.5) * 100,
-                vx: (Math.random() - 0.5) * 200,
-                vy: (Math.random() - 0.5) * 200 - 100,
+                x: centerX + (RNG.cosmetic.next() - 0.5) * 100,
+                y: centerY + (RNG.cosmetic.next() - 0.5) * 100,
+                vx: (RNG.cosmetic.next() - 0.5) * 200,
+                vy: (RNG.cosmetic.next() - 0.5) * 200 - 100,
                 life: 1.0,
                 color: this.craftResult.result.color || '#ffaa00'
             });
@@ -3,6 +3,8 @@
  */
 
 import { Utils } from '../engine/core/Utils.js';
+import { RNG } from '../engine/core/Random.js';
+import { LightMap } from './Lighting.js';
 
 // Tile types constant for external use
 export const TILE_TYPES = {
@@ -20,9 +22,54 @@ export const TILE_TYPES = {
     TORCH_UNLIT: 10,
     TORCH_LIT: 11,
     DUNGEON_CORE: 12,
-    CORE_DOOR: 13 // Locked door to core room
+    CORE_DOOR: 13, // Locked door to core room
+    LOCKED_DOOR: 14, // Vault door, opened with the key of its color
+    SHRINE: 15, // Puzzle shrine (see Puzzles.js)
+    ICE: 16 // Frozen water, walkable until fire melts it (see Reactions.js)
 };
 
+// Tiles that creatures can walk across (isWalkable and pathfinding)
+export const WALKABLE_TILES = new Set([
+    TILE_TYPES.FLOOR,
+    TILE_TYPES.DOOR,
+    TILE_TYPES.STAIRS_DOWN,
+    TILE_TYPES.STAIRS_UP,
+    TILE_TYPES.TRAP,
+    TILE_TYPES.WATER,
+    TILE_TYPES.ICE,
+    TILE_TYPES.TORCH_UNLIT,
+    TILE_TYPES.TORCH_LIT,
+    TILE_TYPES.DUNGEON_CORE,
+    TILE_TYPES.CORE_DOOR
+]);
+
+// Tiles that stop the player, enemies and projectiles
+export const SOLID_TILES = new Set([
+    TILE_TYPES.VOID,
+    TILE_TYPES.WALL,
+    TILE_TYPES.LOCKED_DOOR
+]);
+
+// Vault key colors, in the order vaults are placed on a floor
+export const KEY_COLORS = {
+    red: { name: 'Red', color: '#ff5544' },
+    blue: { name: 'Blue', color: '#4a8cff' },
+    green: { name: 'Green', color: '#4cdd6a' }
+};
+
+// Runed vault doors open by solving a puzzle at the door instead of with a key
+export const SEALED_LOCK = 'seal';
+export const LOCK_STYLES = {
+    ...KEY_COLORS,
+    [SEALED_LOCK]: { name: 'Runed', color: '#b06cff' }
+};
+
+// Rooms with more openings than this would be mostly door, so they never become vaults
+const MAX_VAULT_ENTRANCES = 9;
+
+// Largest pool radius in tiles; pools keep two tiles clear of the walls
+const MAX_POOL_RADIUS = 3;
+
 // Add destructible object type
 export const DESTRUCTIBLE_TYPES = {
     BARREL: 'barrel',
@@ -85,13 +132,17 @@ export class DungeonGenerator {
             TORCH_UNLIT: 10,
             TORCH_LIT: 11,
             DUNGEON_CORE: 12,
-            CORE_DOOR: 13
+            CORE_DOOR: 13,
+            LOCKED_DOOR: 14,
+            SHRINE: 15,
+            ICE: 16
         };
     }
     
     generate(config = {}) {
         // Extract floor from config, default to 1
         const floor = typeof config === 'number' ? config : (config.floor || 1);
+        const theme = typeof config === 'object' ? config.theme : null;
         
         // Store config values
         if (typeof config === 'object') {
@@ -111,6 +162,10 @@ export class DungeonGenerator {
         this.coreDoorPosition = null;
         this.wrapTunnels = [];
         this.destructibles = [];
+        this.vaults = [];
+        this.lockedDoors = new Map(); // "x,y" -> key color
+        this.keyChests = [];
+        this.shrines = [];
         
         // Reset discovered tiles for minimap (fresh fog of war each floor)
         this.discoveredTiles = new Set();
@@ -149,6 +204,18 @@ export class DungeonGenerator {
         // Place torches and dungeon core
         this.placeTorchesAndCore(floor);
         
+        // Lock some rooms behind colored doors and hide their keys
+        this.placeVaults(floor);
+        
+        // Puzzle shrines in hidden rooms and the odd ordinary room
+        this.placeShrines(floor);
+        
+        // Water pools (lava on Hades floors) for elemental reactions
+        this.placePools(floor, theme);
+        
+        // Wall torches light the rooms (see Lighting.js)
+        this.placeWallTorches(floor);
+        
         // Place destructible objects in rooms
         this.placeDestructibles();
         
@@ -179,6 +246,11 @@ export class DungeonGenerator {
             coreDoorPosition: coreDoorPosition,
             wrapTunnels: wrapTunnels,
             destructibles: destructibles,
+            vaults: this.vaults,
+            lockedDoors: this.lockedDoors,
+            keyChests: this.keyChests,
+            shrines: this.shrines,
+            heldKeys: new Set(), // Key colors the player has picked up on this floor
             width: width,
             height: height,
             tileSize: this.tileSize,
@@ -195,6 +267,18 @@ export class DungeonGenerator {
                 return tiles[wrappedY]?.[wrappedX] ?? TILE_TYPES.WALL;
             },
             
+            // Same as DungeonGenerator.isWalkable, but wrapping like getTile
+            isWalkable(x, y) {
+                return WALKABLE_TILES.has(this.getTile(x, y));
+            },
+            
+            worldToTile(worldX, worldY) {
+                return {
+                    x: Math.floor(worldX / this.tileSize),
+                    y: Math.floor(worldY / this.tileSize)
+                };
+            },
+            
             // Wrap world position for non-Euclidean space
             wrapPosition(x, y) {
                 const worldW = width * 32;
@@ -251,7 +335,7 @@ export class DungeonGenerator {
         
         // Pick random start position in central-ish ninths (D, E, F or B, E, H - not corners)
         const startNinths = ['D', 'E', 'F', 'B', 'H'];
-        const startNinth = startNinths[Math.floor(Math.random() * startNinths.length)];
+        const startNinth = startNinths[Math.floor(RNG.layout.next() * startNinths.length)];
         const startPos = this.getRandomPositionInNinth(startNinth);
         
         // Create start room at the selected position
@@ -280,7 +364,7 @@ export class DungeonGenerator {
         // Find the furthest 9th from start for boss room
         const startNinthInfo = this.getNinthFromPosition(startRoom.centerX, startRoom.centerY);
         const oppositeNinths = this.getFurthestNinths(startNinthInfo.col, startNinthInfo.row);
-        const bossNinth = oppositeNinths[Math.floor(Math.random() * oppositeNinths.length)];
+        const bossNinth = oppositeNinths[Math.floor(RNG.layout.next() * oppositeNinths.length)];
         
         // Create boss room in the furthest 9th
         this.createBossRoomInNinth(bossNinth);
@@ -449,7 +533,7 @@ export class DungeonGenerator {
         const rightEdgeNinths = ['C', 'F', 'I'];
         
         // Create 2-3 horizontal wrap tunnels (top <-> bottom)
-        const numHorizontalTunnels = 2 + Math.floor(Math.random() * 2);
+        const numHorizontalTunnels = 2 + Math.floor(RNG.layout.next() * 2);
         const usedHCols = new Set();
         
         for (let i = 0; i < numHorizontalTunnels; i++) {
@@ -461,7 +545,7 @@ export class DungeonGenerator {
             });
             
             if (availableCols.length === 0) continue;
-            const col = availableCols[Math.floor(Math.random() * availableCols.length)];
+            const col = availableCols[Math.floor(RNG.layout.next() * availableCols.length)];
             usedHCols.add(col);
             
             // Calculate x position within this third
@@ -496,7 +580,7 @@ export class DungeonGenerator {
         }
         
         // Create 2-3 vertical wrap tunnels (left <-> right)
-        const numVerticalTunnels = 2 + Math.floor(Math.random() * 2);
+        const numVerticalTunnels = 2 + Math.floor(RNG.layout.next() * 2);
         const usedVRows = new Set();
         
         for (let i = 0; i < numVerticalTunnels; i++) {
@@ -508,7 +592,7 @@ export class DungeonGenerator {
             });
             
             if (availableRows.length === 0) continue;
-            const row = availableRows[Math.floor(Math.random() * availableRows.length)];
+            const row = availableRows[Math.floor(RNG.layout.next() * availableRows.length)];
             usedVRows.add(row);
             
             // Calculate y position within this third
@@ -601,7 +685,7 @@ export class DungeonGenerator {
             if (safeX2 <= safeX1 || safeY2 <= safeY1) continue; // Room too small
             
             // Place 0-4 destructibles per room
-            const numDestructibles = Math.floor(Math.random() * 4);
+            const numDestructibles = Math.floor(RNG.layout.next() * 4);
             
             for (let i = 0; i < numDestructibles; i++) {
                 const dx = Utils.randomInt(safeX1, safeX2);
@@ -621,8 +705,8 @@ export class DungeonGenerator {
                 if (tooClose) continue;
                 
                 // 15% chance for explosive barrel
-                const type = Math.random() < 0.15 ? 'explosive_barrel' : 
-                             destructibleTypes[Math.floor(Math.random() * 3)];
+                const type = RNG.layout.next() < 0.15 ? 'explosive_barrel' : 
+                             destructibleTypes[Math.floor(RNG.layout.next() * 3)];
                 
                 this.destructibles.push({
                     type: type,
@@ -863,7 +947,7 @@ export class DungeonGenerator {
         };
         
         // L-shaped corridor
-        const horizontal = Math.random() < 0.5;
+        const horizontal = RNG.layout.next() < 0.5;
         
         if (horizontal) {
             // Horizontal first, then vertical
@@ -1104,7 +1188,7 @@ export class DungeonGenerator {
         for (const room of this.rooms) {
             if (room === this.startRoom || room === this.bossRoom) continue;
             
-            if (Math.random() < 0.3) {
+            if (RNG.layout.next() < 0.3) {
                 const x = room.x + Utils.randomInt(1, room.width - 2);
                 const y = room.y + Utils.randomInt(1, room.height - 2);
                 if (this.tiles[y][x] === this.TILES.FLOOR) {
@@ -1119,7 +1203,7 @@ export class DungeonGenerator {
             // Skip start and boss rooms
             if (room === this.startRoom || room === this.bossRoom) continue;
             
-            if (Math.random() < trappedChestChance * 3) {
+            if (RNG.layout.next() < trappedChestChance * 3) {
                 const x = room.x + Utils.randomInt(1, room.width - 2);
                 const y = room.y + Utils.randomInt(1, room.height - 2);
                 if (this.tiles[y][x] === this.TILES.FLOOR) {
@@ -1144,10 +1228,10 @@ export class DungeonGenerator {
         );
         
         for (const room of eligibleRooms) {
-            if (Math.random() > hiddenRoomChance) continue;
+            if (RNG.layout.next() > hiddenRoomChance) continue;
             
             // Pick a random wall side (0=top, 1=right, 2=bottom, 3=left)
-            const sides = [0, 1, 2, 3].sort(() => Math.random() - 0.5);
+            const sides = RNG.layout.shuffle([0, 1, 2, 3]);
             
             for (const side of sides) {
                 const hiddenRoom = this.tryPlaceHiddenRoom(room, side, floor);
@@ -1290,7 +1374,7 @@ export class DungeonGenerator {
         }
         
         // Sometimes add an extra chest
-        if (Math.random() < 0.3 + floor * 0.05) {
+        if (RNG.layout.next() < 0.3 + floor * 0.05) {
             const extraX = hiddenX + Utils.randomInt(1, width - 2);
             const extraY = hiddenY + Utils.randomInt(1, height - 2);
             if (this.tiles[extraY][extraX] === this.TILES.FLOOR) {
@@ -1362,6 +1446,180 @@ export class DungeonGenerator {
         this.coreDoorPosition = null;
     }
     
+    // Sconces along room walls; most burn, some are left for the player to light.
+    // Deeper floors are darker, and hidden rooms stay unlit.
+    placeWallTorches(floor) {
+        const litChance = Math.max(0.35, 0.8 - floor * 0.05);
+        const minSpacing = 6;
+        
+        for (const room of this.rooms) {
+            if (room.isHidden) continue;
+            
+            // Floor tiles inside the room that sit against a wall
+            const candidates = [];
+            for (let y = room.y; y < room.y + room.height; y++) {
+                for (let x = room.x; x < room.x + room.width; x++) {
+                    if (!this.isInBounds(x, y) || this.tiles[y][x] !== this.TILES.FLOOR) continue;
+                    const againstWall = [[0, -1], [0, 1], [-1, 0], [1, 0]].some(([dx, dy]) =>
+                        this.isInBounds(x + dx, y + dy) && this.tiles[y + dy][x + dx] === this.TILES.WALL
+                    );
+                    if (againstWall) candidates.push({ x, y });
+                }
+            }
+            
+            const count = Math.max(1, Math.round((room.width + room.height) * 2 / 14));
+            let placed = 0;
+            while (placed < count && candidates.length > 0) {
+                const { x, y } = candidates.splice(Math.floor(RNG.layout.next() * candidates.length), 1)[0];
+                if (this.torchPositions.some(t => Math.abs(t.x - x) + Math.abs(t.y - y) < minSpacing)) continue;
+                
+                const lit = room === this.startRoom || RNG.layout.next() < litChance;
+                this.tiles[y][x] = lit ? this.TILES.TORCH_LIT : this.TILES.TORCH_UNLIT;
+                this.torchPositions.push({ x, y, lit });
+                placed++;
+            }
+        }
+    }
+    
+    // Vaults: every opening of a room becomes a locked door of one key color. A room
+    // only becomes a vault if the rest of the floor can still be reached without it,
+    // and its key goes in a chest out in the open, so a key is never behind its own
+    // door. GameScene may give the key to an elite to carry instead.
+    // From floor 2 the first vault may be runed instead: no key, a puzzle at the door.
+    placeVaults(floor) {
+        const colors = Object.keys(KEY_COLORS);
+        const runed = floor >= 2 && RNG.layout.next() < 0.4;
+        let keyVaults = 0;
+        const vaultCount = Math.min(colors.length, 1 + Math.floor(floor / 3));
+        
+        // Rooms that must stay reachable: everything the player can get to right now
+        const reachable = this.floodFromStart();
+        const required = this.rooms.filter(room => !room.isHidden && reachable[room.centerY * this.width + room.centerX]);
+        
+        const candidates = Utils.shuffle(required.filter(room =>
+            room !== this.startRoom && room !== this.bossRoom && room !== this.coreRoom
+        ), 'layout');
+        
+        for (const room of candidates) {
+            if (this.vaults.length >= vaultCount) break;
+            
+            const entrances = this.findRoomEntrances(room);
+            if (entrances.length === 0 || entrances.length > MAX_VAULT_ENTRANCES) continue;
+            
+            const previous = entrances.map(({ x, y }) => this.tiles[y][x]);
+            for (const { x, y } of entrances) {
+                this.tiles[y][x] = this.TILES.LOCKED_DOOR;
+            }
+            
+            // Sealed, and nothing else got cut off (corridors can run through rooms)
+            const reached = this.floodFromStart();
+            const sealed = !reached[room.centerY * this.width + room.centerX] &&
+                required.every(other => other === room || other.isVault || reached[other.centerY * this.width + other.centerX]);
+            if (!sealed) {
+                entrances.forEach(({ x, y }, i) => { this.tiles[y][x] = previous[i]; });
+                continue;
+            }
+            
+            const color = runed && this.vaults.length === 0 ? SEALED_LOCK : colors[keyVaults++];
+            for (const { x, y } of entrances) {
+                this.lockedDoors.set(`${x},${y}`, color);
+            }
+            room.isVault = true;
+            room.vaultColor = color;
+            this.vaults.push({ room, color, doors: entrances });
+        }
+        
+        // Vault treasure, then each key somewhere outside every vault
+        const keyRooms = required.filter(room => !room.isVault && room !== this.startRoom && room !== this.bossRoom);
+        for (const vault of this.vaults) {
+            this.placeChestInRoom(vault.room);
+            this.placeChestInRoom(vault.room);
+            if (vault.color === SEALED_LOCK) continue;
+            
+            const keyRoom = keyRooms.length > 0 ? Utils.randomChoice(keyRooms) : this.startRoom;
+            const chest = this.placeChestInRoom(keyRoom);
+            if (chest) {
+                this.keyChests.push({ ...chest, color: vault.color });
+            }
+        }
+    }
+    
+    // Random free floor tile inside a room becomes a chest; returns its position
+    placeChestInRoom(room, tile = this.TILES.CHEST) {
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const x = room.x + Utils.randomInt(1, Math.max(1, room.width - 2));
+            const y = room.y + Utils.randomInt(1, Math.max(1, room.height - 2));
+            if (this.isInBounds(x, y) && this.tiles[y][x] === this.TILES.FLOOR) {
+                this.tiles[y][x] = tile;
+                return { x, y };
+            }
+        }
+        return null;
+    }
+    
+    // Every hidden room gets a shrine; ordinary rooms get them more often deeper down.
+    // The puzzle itself is rolled by GameScene when the shrine is first used.
+    placeShrines(floor) {
+        const shrineChance = Math.min(0.5, 0.15 + floor * 0.04);
+        
+        for (const room of this.rooms) {
+            if (room === this.startRoom || room === this.bossRoom || room.isVault) continue;
+            if (!room.isHidden && RNG.layout.next() >= shrineChance / 4) continue;
+            
+            const position = this.placeChestInRoom(room, this.TILES.SHRINE);
+            if (position) {
+                this.shrines.push({ ...position, state: 'active', puzzle: null });
+            }
+        }
+    }
+    
+    // Round pools in the middle of some rooms; only plain floor is flooded
+    placePools(floor, theme) {
+        const poolTile = theme === 'hades' ? this.TILES.LAVA : this.TILES.WATER;
+        const poolChance = Math.min(0.35, 0.15 + floor * 0.02);
+        
+        for (const room of this.rooms) {
+            if (room === this.startRoom || room === this.bossRoom || room === this.coreRoom || room.isVault) continue;
+            const maxRadius = Math.min(MAX_POOL_RADIUS, Math.floor((Math.min(room.width, room.height) - 5) / 2));
+            if (maxRadius < 1 || RNG.layout.next() >= poolChance) continue;
+            
+            const radius = Utils.randomInt(1, maxRadius);
+            const cx = room.x + Utils.randomInt(radius + 2, room.width - radius - 3);
+            const cy = room.y + Utils.randomInt(radius + 2, room.height - radius - 3);
+            for (let y = cy - radius; y <= cy + radius; y++) {
+                for (let x = cx - radius; x <= cx + radius; x++) {
+                    // Ragged edge so pools aren't perfect circles
+                    if (Math.hypot(x - cx, y - cy) > radius + 0.5 * RNG.layout.next() - 0.25) continue;
+                    if (this.tiles[y][x] === this.TILES.FLOOR) this.tiles[y][x] = poolTile;
+                }
+            }
+        }
+    }
+    
+    // Tiles the player can walk to from the start room, wrapping at the map edges
+    floodFromStart() {
+        const reached = new Uint8Array(this.width * this.height);
+        if (!this.startRoom) return reached;
+        
+        const startIndex = this.startRoom.centerY * this.width + this.startRoom.centerX;
+        const stack = [startIndex];
+        reached[startIndex] = 1;
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const x = index % this.width;
+            const y = (index - x) / this.width;
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const nx = (x + dx + this.width) % this.width;
+                const ny = (y + dy + this.height) % this.height;
+                const next = ny * this.width + nx;
+                if (reached[next] || SOLID_TILES.has(this.tiles[ny][nx])) continue;
+                reached[next] = 1;
+                stack.push(next);
+            }
+        }
+        return reached;
+    }
+    
     isAtRoomEdge(x, y, room) {
         return (x === room.x || x === room.x + room.width - 1 ||
                 y === room.y || y === room.y + room.height - 1) &&
@@ -1548,16 +1806,7 @@ export class DungeonGenerator {
     }
     
     isWalkable(x, y) {
-        const tile = this.getTile(x, y);
-        return tile === this.TILES.FLOOR || 
-               tile === this.TILES.DOOR || 
-               tile === this.TILES.STAIRS_DOWN ||
-               tile === this.TILES.STAIRS_UP ||
-               tile === this.TILES.TRAP ||
-               tile === this.TILES.TORCH_UNLIT ||
-               tile === this.TILES.TORCH_LIT ||
-               tile === this.TILES.DUNGEON_CORE ||
-               tile === this.TILES.CORE_DOOR;
+        return WALKABLE_TILES.has(this.getTile(x, y));
     }
     
     getPlayerSpawn() {
@@ -1595,15 +1844,23 @@ export class DungeonRenderer {
             10: '#3a3a4a', // TORCH_UNLIT (floor base)
             11: '#3a3a4a', // TORCH_LIT (floor base)
             12: '#3a3a4a', // DUNGEON_CORE (floor base)
-            13: '#2a2a3a'  // CORE_DOOR (darker locked door)
+            13: '#2a2a3a', // CORE_DOOR (darker locked door)
+            14: '#2a2a3a', // LOCKED_DOOR (vault door)
+            15: '#3a3a4a', // SHRINE (floor base)
+            16: '#9ccfe6'  // ICE
         };
         
         // Animation timer for glowing effects
         this.animTime = 0;
         
+        // Light map and the small canvas its darkness overlay is drawn into
+        this.lightMap = new LightMap(this.tileSize);
+        this.lightCanvas = null;
+        
         // Pre-render the dungeon if provided
         this.canvas = null;
         if (dungeon) {
+            this.lightMap.setDungeon(dungeon);
             this.preRender();
         }
     }
@@ -1629,7 +1886,10 @@ export class DungeonRenderer {
             10: themeColors.floor || '#3a3a4a',    // TORCH_UNLIT
             11: themeColors.floor || '#3a3a4a',    // TORCH_LIT
             12: themeColors.floor || '#3a3a4a',    // DUNGEON_CORE
-            13: themeColors.door || '#2a2a3a'      // CORE_DOOR
+            13: themeColors.door || '#2a2a3a',     // CORE_DOOR
+            14: themeColors.door || '#2a2a3a',     // LOCKED_DOOR
+            15: themeColors.floor || '#3a3a4a',    // SHRINE
+            16: '#9ccfe6'                          // ICE (always pale blue)
         };
         
         // Re-render if dungeon exists
@@ -1641,10 +1901,14 @@ export class DungeonRenderer {
     setDungeon(dungeon) {
         this.dungeon = dungeon;
         this.tileSize = dungeon.tileSize;
+        this.lightMap.setDungeon(dungeon);
         this.preRender();
     }
     
     preRender() {
+        // Nothing to draw into when running headless
+        if (typeof document === 'undefined') return;
+        
         this.canvas = document.createElement('canvas');
         this.canvas.width = this.dungeon.width * this.tileSize;
         this.canvas.height = this.dungeon.height * this.tileSize;
@@ -2315,6 +2579,57 @@ export class DungeonRenderer {
                 0, Math.PI * 2
             );
             ctx.fill();
+        } else if (tile === 14) { // LOCKED_DOOR (vault)
+            const keyColor = LOCK_STYLES[this.dungeon.lockedDoors?.get(`${x},${y}`)]?.color || '#888888';
+            // Planks banded in the key's color
+            ctx.fillStyle = '#4a3a2a';
+            ctx.fillRect(worldX, worldY, this.tileSize, this.tileSize);
+            ctx.fillStyle = keyColor;
+            ctx.fillRect(worldX, worldY + this.tileSize * 0.2, this.tileSize, this.tileSize * 0.12);
+            ctx.fillRect(worldX, worldY + this.tileSize * 0.68, this.tileSize, this.tileSize * 0.12);
+            // Keyhole
+            ctx.fillStyle = '#1a1a1a';
+            ctx.beginPath();
+            ctx.arc(worldX + this.tileSize / 2, worldY + this.tileSize * 0.45, this.tileSize * 0.08, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillRect(worldX + this.tileSize * 0.47, worldY + this.tileSize * 0.45, this.tileSize * 0.06, this.tileSize * 0.15);
+        } else if (tile === 15) { // SHRINE
+            const shrine = this.dungeon.shrines?.find(s => s.x === x && s.y === y);
+            const state = shrine ? shrine.state : 'active';
+            const cx = worldX + this.tileSize / 2;
+            const cy = worldY + this.tileSize / 2;
+            // Stone plinth
+            ctx.fillStyle = '#5a5a66';
+            ctx.fillRect(worldX + this.tileSize * 0.2, worldY + this.tileSize * 0.55, this.tileSize * 0.6, this.tileSize * 0.35);
+            // Rune stone: violet while waiting, gold once solved, cracked grey once broken
+            ctx.fillStyle = state === 'solved' ? '#ffcc44' : state === 'broken' ? '#444444' : '#b06cff';
+            ctx.beginPath();
+            ctx.moveTo(cx, worldY + this.tileSize * 0.1);
+            ctx.lineTo(worldX + this.tileSize * 0.72, cy + this.tileSize * 0.05);
+            ctx.lineTo(cx, worldY + this.tileSize * 0.6);
+            ctx.lineTo(worldX + this.tileSize * 0.28, cy + this.tileSize * 0.05);
+            ctx.closePath();
+            ctx.fill();
+            if (state === 'broken') {
+                ctx.strokeStyle = '#222222';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(cx - 3, worldY + this.tileSize * 0.2);
+                ctx.lineTo(cx + 2, cy - 2);
+                ctx.lineTo(cx - 2, worldY + this.tileSize * 0.5);
+                ctx.stroke();
+            }
+        } else if (tile === 16) { // ICE - frozen water with a glint and a crack
+            const noise = Math.abs(Math.sin(x * 12.9898 + y * 78.233) * 43758.5453 % 1);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+            ctx.fillRect(worldX + this.tileSize * 0.15, worldY + this.tileSize * 0.15, this.tileSize * 0.3, this.tileSize * 0.08);
+            ctx.strokeStyle = 'rgba(60, 110, 140, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(worldX + this.tileSize * noise, worldY + this.tileSize * 0.9);
+            ctx.lineTo(worldX + this.tileSize * 0.5, worldY + this.tileSize * 0.55);
+            ctx.lineTo(worldX + this.tileSize * (1 - noise), worldY + this.tileSize * 0.3);
+            ctx.stroke();
         }
     }
     
@@ -2454,9 +2769,42 @@ export class DungeonRenderer {
         ctx.textAlign = 'left';
     }
     
+    // Work out the light for the tiles on screen; call before drawing anything that hides in the dark
+    updateLighting(camera, screenW, screenH, sources) {
+        this.lightMap.update(camera.x - screenW / 2, camera.y - screenH / 2, screenW, screenH, sources);
+    }
+    
+    // Darkness overlay over the world (call inside the camera transform, after entities)
+    renderLighting(ctx) {
+        // Nothing to draw into when running headless
+        if (typeof document === 'undefined' || !this.dungeon) return;
+        
+        const { x, y, cols, rows } = this.lightMap.view;
+        if (!this.lightCanvas) {
+            this.lightCanvas = document.createElement('canvas');
+        }
+        if (this.lightCanvas.width !== cols || this.lightCanvas.height !== rows) {
+            this.lightCanvas.width = cols;
+            this.lightCanvas.height = rows;
+            this.lightImage = this.lightCanvas.getContext('2d').createImageData(cols, rows);
+        }
+        
+        this.lightMap.fillDarkness(this.lightImage);
+        this.lightCanvas.getContext('2d').putImageData(this.lightImage, 0, 0);
+        
+        // One pixel per tile, scaled up with smoothing for soft edges
+        ctx.save();
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.lightCanvas, x * this.tileSize, y * this.tileSize, cols * this.tileSize, rows * this.tileSize);
+        ctx.restore();
+    }
+    
     // Update a single tile (e.g., when chest is opened)
     updateTile(x, y, newTile) {
+        const oldTile = this.dungeon.tiles[y][x];
         this.dungeon.tiles[y][x] = newTile;
+        this.lightMap.onTileChanged(oldTile, newTile);
+        if (!this.canvas) return;
         
         const ctx = this.canvas.getContext('2d');
         const worldX = x * this.tileSize;
@@ -0,0 +1,184 @@
+/**
+ * Lighting - Per-tile light map with wall occlusion
+ * Light is worked out per tile: a source lights every tile within its radius that it
+ * has a clear line to (walls stop light but are lit on the side facing it).
+ * Torches, lava and the dungeon core never move, so their light is baked once per
+ * floor; the player, projectiles and ability zones are added each frame for the
+ * tiles in view only. The map is drawn as a darkness overlay (see DungeonRenderer)
+ * and the scene asks getLightAt() to decide whether enemies can be seen.
+ */
+
+// Tile ids as in TILE_TYPES (DungeonGenerator.js imports this module, so no import back)
+const VOID = 0;
+const WALL = 2;
+const LOCKED_DOOR = 14;
+
+// Tiles that give off light on their own: radius in tiles and brightness (0-1)
+export const TILE_LIGHTS = {
+    9: { radius: 3, intensity: 0.6 },  // LAVA
+    11: { radius: 7, intensity: 1 },   // TORCH_LIT
+    12: { radius: 9, intensity: 0.9 }  // DUNGEON_CORE
+};
+
+// Light everywhere on a floor before any sources; brighter themes are easier to read
+const THEME_AMBIENT = {
+    egypt: 0.22,
+    hades: 0.14,
+    jungle: 0.18,
+    light: 0.4,
+    cyber: 0.2,
+    stone: 0.12
+};
+const DEFAULT_AMBIENT = 0.18;
+
+// Below this much light an enemy can't be seen at all (only the light theme is brighter ambiently)
+export const VISIBILITY_THRESHOLD = 0.3;
+
+// How dark an unlit tile is drawn (1 would be pitch black)
+const MAX_DARKNESS = 0.92;
+
+export function getAmbientLight(theme) {
+    return THEME_AMBIENT[theme] ?? DEFAULT_AMBIENT;
+}
+
+function blocksLight(tile) {
+    return tile === WALL || tile === VOID || tile === LOCKED_DOOR;
+}
+
+export class LightMap {
+    constructor(tileSize = 32) {
+        this.tileSize = tileSize;
+        this.dungeon = null;
+        this.ambient = DEFAULT_AMBIENT;
+        this.staticLight = null; // Baked torch/lava/core light for the whole floor
+
+        // Light for the tiles in view this frame
+        this.view = { x: 0, y: 0, cols: 0, rows: 0 };
+        this.light = new Float32Array(0);
+    }
+
+    setDungeon(dungeon) {
+        this.dungeon = dungeon;
+        this.tileSize = dungeon.tileSize || this.tileSize;
+        this.bakeStaticLight();
+    }
+
+    // Tile changed (torch lit, lava cooled): re-bake if it affects static light
+    onTileChanged(oldTile, newTile) {
+        if (TILE_LIGHTS[oldTile] || TILE_LIGHTS[newTile] || blocksLight(oldTile) !== blocksLight(newTile)) {
+            this.bakeStaticLight();
+        }
+    }
+
+    bakeStaticLight() {
+        const { width, height, tiles } = this.dungeon;
+        this.staticLight = new Float32Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const source = TILE_LIGHTS[tiles[y][x]];
+                if (!source) continue;
+                this.castLight(x + 0.5, y + 0.5, source.radius, source.intensity, (tx, ty, amount) => {
+                    const wx = ((tx % width) + width) % width;
+                    const wy = ((ty % height) + height) % height;
+                    const index = wy * width + wx;
+                    this.staticLight[index] = Math.min(1, this.staticLight[index] + amount);
+                });
+            }
+        }
+    }
+
+    // Light the tiles in view: ambient + baked light + this frame's moving sources.
+    // Sources are { x, y, radius, intensity } in world pixels.
+    update(viewX, viewY, viewW, viewH, sources = []) {
+        if (!this.dungeon) return;
+        const size = this.tileSize;
+        const x0 = Math.floor(viewX / size) - 1;
+        const y0 = Math.floor(viewY / size) - 1;
+        const cols = Math.ceil(viewW / size) + 3;
+        const rows = Math.ceil(viewH / size) + 3;
+
+        this.view = { x: x0, y: y0, cols, rows };
+        if (this.light.length !== cols * rows) this.light = new Float32Array(cols * rows);
+
+        const { width, height } = this.dungeon;
+        for (let row = 0; row < rows; row++) {
+            const wy = (((y0 + row) % height) + height) % height;
+            for (let col = 0; col < cols; col++) {
+                const wx = (((x0 + col) % width) + width) % width;
+                this.light[row * cols + col] = Math.min(1, this.ambient + this.staticLight[wy * width + wx]);
+            }
+        }
+
+        const addLight = (tx, ty, amount) => {
+            const col = tx - x0;
+            const row = ty - y0;
+            if (col < 0 || row < 0 || col >= cols || row >= rows) return;
+            const index = row * cols + col;
+            this.light[index] = Math.min(1, this.light[index] + amount);
+        };
+        for (const source of sources) {
+            // Skip sources too far outside the view to reach it
+            const reach = source.radius + size;
+            if (source.x < viewX - reach || source.x > viewX + viewW + reach ||
+                source.y < viewY - reach || source.y > viewY + viewH + reach) continue;
+            this.castLight(source.x / size, source.y / size, source.radius / size, source.intensity, addLight);
+        }
+    }
+
+    // Spread light from a point (in tiles) to every tile within radius that it can see
+    castLight(cx, cy, radius, intensity, addLight) {
+        const originX = Math.floor(cx);
+        const originY = Math.floor(cy);
+        const reach = Math.ceil(radius);
+
+        for (let ty = originY - reach; ty <= originY + reach; ty++) {
+            for (let tx = originX - reach; tx <= originX + reach; tx++) {
+                const dx = tx + 0.5 - cx;
+                const dy = ty + 0.5 - cy;
+                const distSq = dx * dx + dy * dy;
+                if (distSq > radius * radius) continue;
+                if (!this.hasClearLine(originX, originY, tx, ty)) continue;
+                // Bright core with a soft quadratic falloff to the edge
+                addLight(tx, ty, intensity * (1 - distSq / (radius * radius)));
+            }
+        }
+    }
+
+    // Walk the tiles between two tiles; the end tile itself may be a wall
+    hasClearLine(x0, y0, x1, y1) {
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1;
+        const sy = y0 < y1 ? 1 : -1;
+        let err = dx + dy;
+        let x = x0;
+        let y = y0;
+
+        while (x !== x1 || y !== y1) {
+            if ((x !== x0 || y !== y0) && blocksLight(this.dungeon.getTile(x, y))) return false;
+            const e2 = err * 2;
+            if (e2 >= dy) { err += dy; x += sx; }
+            if (e2 <= dx) { err += dx; y += sy; }
+        }
+        return true;
+    }
+
+    // Light level (0-1) at a world position; outside the view only ambient light is known
+    getLightAt(x, y) {
+        const col = Math.floor(x / this.tileSize) - this.view.x;
+        const row = Math.floor(y / this.tileSize) - this.view.y;
+        if (col < 0 || row < 0 || col >= this.view.cols || row >= this.view.rows) return this.ambient;
+        return this.light[row * this.view.cols + col];
+    }
+
+    // Darkness overlay, one pixel per tile, for the renderer to scale up smoothly
+    fillDarkness(imageData) {
+        const data = imageData.data;
+        for (let i = 0; i < this.light.length; i++) {
+            data[i * 4 + 3] = Math.round((1 - this.light[i]) * MAX_DARKNESS * 255);
+        }
+    }
+}
+
+export default LightMap;
@@ -0,0 +1,430 @@
+/**
+ * Pathfinding - Tile-based navigation around dungeon walls
+ * The walkability grid comes from the dungeon's isWalkable and wraps at the edges like
+ * the world does, so wrap tunnels are just more corridor. Packs chasing the player share
+ * one flow field; lone chasers and other targets follow a cached A* path. While a boss
+ * room is sealed, nothing paths across its walls.
+ */
+
+import { Utils } from '../engine/core/Utils.js';
+
+const ORTHOGONAL_COST = 10;
+const DIAGONAL_COST = 14;
+
+// Diagonals come last and are only taken when both orthogonal tiles are open
+const NEIGHBORS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+// How often a chaser re-plans while its goal stays on the same tile (ms)
+export const REPATH_INTERVAL = 500;
+
+// A* searches allowed per simulation step; chasers over budget keep their old path
+export const MAX_SEARCHES_PER_STEP = 8;
+
+// Nodes one A* search may expand before giving up
+const MAX_SEARCH_NODES = 4000;
+
+// Chasers on the player before the shared flow field is worth building
+export const FLOW_FIELD_MIN_CHASERS = 4;
+
+// Flow field reach from the player, in tiles of path length
+const FLOW_FIELD_RANGE = 48;
+
+// Spacing of the samples when checking a straight line for walls (px)
+const LINE_SAMPLE_STEP = 8;
+
+// Binary min-heap of tile indices. Stale entries are skipped by the caller.
+class NodeHeap {
+    constructor() {
+        this.nodes = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.nodes.length;
+    }
+
+    clear() {
+        this.nodes.length = 0;
+        this.priorities.length = 0;
+    }
+
+    push(node, priority) {
+        const nodes = this.nodes;
+        const priorities = this.priorities;
+        let i = nodes.length;
+        nodes.push(node);
+        priorities.push(priority);
+
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (priorities[parent] <= priority) break;
+            nodes[i] = nodes[parent];
+            priorities[i] = priorities[parent];
+            i = parent;
+        }
+        nodes[i] = node;
+        priorities[i] = priority;
+    }
+
+    pop() {
+        const nodes = this.nodes;
+        const priorities = this.priorities;
+        const top = nodes[0];
+        const node = nodes.pop();
+        const priority = priorities.pop();
+        if (nodes.length === 0) return top;
+
+        let i = 0;
+        const length = nodes.length;
+        while (true) {
+            let child = i * 2 + 1;
+            if (child >= length) break;
+            if (child + 1 < length && priorities[child + 1] < priorities[child]) child++;
+            if (priorities[child] >= priority) break;
+            nodes[i] = nodes[child];
+            priorities[i] = priorities[child];
+            i = child;
+        }
+        nodes[i] = node;
+        priorities[i] = priority;
+        return top;
+    }
+}
+
+export class Pathfinder {
+    constructor(dungeon = null) {
+        this.dungeon = null;
+        this.width = 0;
+        this.height = 0;
+        this.tileSize = 32;
+        this.walkable = null;
+
+        // Boss room being fought in; its walls can't be crossed either way
+        this.sealedRoom = null;
+
+        // Shared flow field: path cost from every nearby tile to the flow target's tile
+        this.flowCost = null;
+        this.flowTarget = null;
+        this.flowTile = -1;
+
+        // A* scratch space, reused between searches (stamps avoid clearing it)
+        this.gScore = null;
+        this.cameFrom = null;
+        this.openStamp = null;
+        this.closedStamp = null;
+        this.stamp = 0;
+        this.heap = new NodeHeap();
+        this.searchesThisStep = 0;
+
+        if (dungeon) this.setDungeon(dungeon);
+    }
+
+    setDungeon(dungeon) {
+        this.dungeon = dungeon;
+        this.width = dungeon.width;
+        this.height = dungeon.height;
+        this.tileSize = dungeon.tileSize || 32;
+        this.sealedRoom = null;
+
+        const size = this.width * this.height;
+        this.walkable = new Uint8Array(size);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                this.walkable[y * this.width + x] = dungeon.isWalkable(x, y) ? 1 : 0;
+            }
+        }
+
+        this.flowCost = new Float32Array(size).fill(Infinity);
+        this.flowTarget = null;
+        this.flowTile = -1;
+
+        this.gScore = new Float32Array(size);
+        this.cameFrom = new Int32Array(size);
+        this.openStamp = new Uint32Array(size);
+        this.closedStamp = new Uint32Array(size);
+        this.stamp = 0;
+    }
+
+    // Call after a tile changes (chest opened, door unlocked, ...)
+    refreshTile(x, y) {
+        if (!this.walkable) return;
+        const index = this.indexOf(x, y);
+        this.walkable[index] = this.dungeon.isWalkable(x, y) ? 1 : 0;
+        this.flowTile = -1;
+    }
+
+    // Seal a room's walls for a boss fight (null to open it again)
+    setSealedRoom(room) {
+        this.sealedRoom = room;
+        this.flowTile = -1;
+    }
+
+    indexOf(x, y) {
+        const wrappedX = ((x % this.width) + this.width) % this.width;
+        const wrappedY = ((y % this.height) + this.height) % this.height;
+        return wrappedY * this.width + wrappedX;
+    }
+
+    tileIndexAt(worldX, worldY) {
+        const tile = this.dungeon.worldToTile(worldX, worldY);
+        return this.indexOf(tile.x, tile.y);
+    }
+
+    isInSealedRoom(index) {
+        const room = this.sealedRoom;
+        const x = index % this.width;
+        const y = (index - x) / this.width;
+        return x >= room.x && x < room.x + room.width && y >= room.y && y < room.y + room.height;
+    }
+
+    // Whether a creature can move from tile `from` to its neighbour `to`
+    canStep(from, to, dx, dy, goal = -1) {
+        if (to !== goal && !this.walkable[to]) return false;
+
+        // No cutting corners: both tiles beside a diagonal step must be open
+        if (dx !== 0 && dy !== 0) {
+            const x = from % this.width;
+            const y = (from - x) / this.width;
+            if (!this.walkable[this.indexOf(x + dx, y)] || !this.walkable[this.indexOf(x, y + dy)]) {
+                return false;
+            }
+        }
+
+        if (this.sealedRoom && this.isInSealedRoom(from) !== this.isInSealedRoom(to)) return false;
+        return true;
+    }
+
+    // Shortest signed distance along an axis, across the wrap seam if that's closer
+    wrapDeltaX(dx) {
+        const worldWidth = this.width * this.tileSize;
+        if (worldWidth === 0) return dx;
+        return dx - Math.round(dx / worldWidth) * worldWidth;
+    }
+
+    wrapDeltaY(dy) {
+        const worldHeight = this.height * this.tileSize;
+        if (worldHeight === 0) return dy;
+        return dy - Math.round(dy / worldHeight) * worldHeight;
+    }
+
+    tileCenter(index) {
+        const x = index % this.width;
+        const y = (index - x) / this.width;
+        return { x: (x + 0.5) * this.tileSize, y: (y + 0.5) * this.tileSize };
+    }
+
+    // Once per simulation step: reset the search budget and keep the flow field on the
+    // player while enough of the pack is chasing them
+    update(flowTarget = null, chaserCount = 0) {
+        this.searchesThisStep = 0;
+
+        if (!this.walkable || !flowTarget || chaserCount < FLOW_FIELD_MIN_CHASERS) {
+            this.flowTarget = null;
+            return;
+        }
+
+        const tile = this.tileIndexAt(flowTarget.x, flowTarget.y);
+        if (flowTarget !== this.flowTarget || tile !== this.flowTile) {
+            this.buildFlowField(tile);
+            this.flowTarget = flowTarget;
+            this.flowTile = tile;
+        }
+    }
+
+    // Dijkstra outwards from the goal tile, up to FLOW_FIELD_RANGE tiles of path
+    buildFlowField(goal) {
+        const cost = this.flowCost;
+        const heap = this.heap;
+        const maxCost = FLOW_FIELD_RANGE * ORTHOGONAL_COST;
+
+        cost.fill(Infinity);
+        cost[goal] = 0;
+        heap.clear();
+        heap.push(goal, 0);
+
+        while (heap.size > 0) {
+            const current = heap.pop();
+            const currentCost = cost[current];
+            const x = current % this.width;
+            const y = (current - x) / this.width;
+
+            for (const [dx, dy] of NEIGHBORS) {
+                const next = this.indexOf(x + dx, y + dy);
+                if (!this.canStep(current, next, dx, dy)) continue;
+
+                const nextCost = currentCost + (dx !== 0 && dy !== 0 ? DIAGONAL_COST : ORTHOGONAL_COST);
+                if (nextCost < cost[next] && nextCost <= maxCost) {
+                    cost[next] = nextCost;
+                    heap.push(next, nextCost);
+                }
+            }
+        }
+    }
+
+    // A* between two tile indices. Returns the tiles after `start` up to and including
+    // `goal`, or null if there's no path within the search budget.
+    findPath(start, goal) {
+        if (start === goal) return [];
+
+        const gScore = this.gScore;
+        const cameFrom = this.cameFrom;
+        const openStamp = this.openStamp;
+        const closedStamp = this.closedStamp;
+        const heap = this.heap;
+        const stamp = ++this.stamp;
+
+        const goalX = goal % this.width;
+        const goalY = (goal - goalX) / this.width;
+        const heuristic = (index) => {
+            const x = index % this.width;
+            const y = (index - x) / this.width;
+            let dx = Math.abs(x - goalX);
+            let dy = Math.abs(y - goalY);
+            dx = Math.min(dx, this.width - dx);
+            dy = Math.min(dy, this.height - dy);
+            return ORTHOGONAL_COST * (dx + dy) + (DIAGONAL_COST - 2 * ORTHOGONAL_COST) * Math.min(dx, dy);
+        };
+
+        heap.clear();
+        gScore[start] = 0;
+        openStamp[start] = stamp;
+        cameFrom[start] = -1;
+        heap.push(start, heuristic(start));
+
+        let expanded = 0;
+        while (heap.size > 0 && expanded < MAX_SEARCH_NODES) {
+            const current = heap.pop();
+            if (closedStamp[current] === stamp) continue;
+            closedStamp[current] = stamp;
+            expanded++;
+
+            if (current === goal) {
+                const path = [];
+                for (let node = goal; node !== start; node = cameFrom[node]) {
+                    path.push(node);
+                }
+                return path.reverse();
+            }
+
+            const x = current % this.width;
+            const y = (current - x) / this.width;
+            for (const [dx, dy] of NEIGHBORS) {
+                const next = this.indexOf(x + dx, y + dy);
+                if (closedStamp[next] === stamp || !this.canStep(current, next, dx, dy, goal)) continue;
+
+                const score = gScore[current] + (dx !== 0 && dy !== 0 ? DIAGONAL_COST : ORTHOGONAL_COST);
+                if (openStamp[next] !== stamp || score < gScore[next]) {
+                    openStamp[next] = stamp;
+                    gScore[next] = score;
+                    cameFrom[next] = current;
+                    heap.push(next, score + heuristic(next));
+                }
+            }
+        }
+        return null;
+    }
+
+    // Whether an entity can walk straight at a point offset (dx, dy) from it: the centre
+    // line and both edges of its body have to stay on walkable tiles (the end point itself
+    // may be on anything, e.g. a player standing on a chest)
+    hasClearLine(entity, dx, dy, dist) {
+        const halfWidth = (entity.width || 32) * 0.4;
+        const normalX = -dy / dist * halfWidth;
+        const normalY = dx / dist * halfWidth;
+        const steps = Math.ceil(dist / LINE_SAMPLE_STEP);
+
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            const x = entity.x + dx * t;
+            const y = entity.y + dy * t;
+            if (!this.walkable[this.tileIndexAt(x, y)] ||
+                !this.walkable[this.tileIndexAt(x + normalX, y + normalY)] ||
+                !this.walkable[this.tileIndexAt(x - normalX, y - normalY)]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Unit direction an entity should move to reach target, or null if it can't get there
+    getDirection(entity, target) {
+        const dx = this.wrapDeltaX(target.x - entity.x);
+        const dy = this.wrapDeltaY(target.y - entity.y);
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist === 0) return null;
+
+        if (!this.walkable) {
+            return { x: dx / dist, y: dy / dist };
+        }
+
+        const from = this.tileIndexAt(entity.x, entity.y);
+        const goal = this.tileIndexAt(target.x, target.y);
+        if (this.sealedRoom && this.isInSealedRoom(from) !== this.isInSealedRoom(goal)) {
+            entity.navPath = null;
+            return null;
+        }
+
+        // Walk straight when nothing is in the way
+        if (from === goal || this.hasClearLine(entity, dx, dy, dist)) {
+            entity.navPath = null;
+            return { x: dx / dist, y: dy / dist };
+        }
+
+        const waypoint = (target === this.flowTarget && this.getFlowWaypoint(from)) ||
+            this.getPathWaypoint(entity, from, goal, target);
+        if (!waypoint) return null;
+
+        const wx = this.wrapDeltaX(waypoint.x - entity.x);
+        const wy = this.wrapDeltaY(waypoint.y - entity.y);
+        const waypointDist = Math.sqrt(wx * wx + wy * wy);
+        if (waypointDist === 0) return { x: dx / dist, y: dy / dist };
+        return { x: wx / waypointDist, y: wy / waypointDist };
+    }
+
+    // Centre of the neighbouring tile that's cheapest on the flow field
+    getFlowWaypoint(from) {
+        const x = from % this.width;
+        const y = (from - x) / this.width;
+        let best = -1;
+        let bestCost = this.flowCost[from];
+
+        for (const [dx, dy] of NEIGHBORS) {
+            const next = this.indexOf(x + dx, y + dy);
+            if (this.flowCost[next] < bestCost && this.canStep(from, next, dx, dy)) {
+                best = next;
+                bestCost = this.flowCost[next];
+            }
+        }
+        return best >= 0 ? this.tileCenter(best) : null;
+    }
+
+    // Next point on the entity's cached A* path, re-planning when it goes stale
+    getPathWaypoint(entity, from, goal, target) {
+        let nav = entity.navPath;
+        const stale = !nav || nav.goal !== goal || Utils.now() - nav.plannedAt >= REPATH_INTERVAL;
+
+        if (stale && this.searchesThisStep < MAX_SEARCHES_PER_STEP) {
+            this.searchesThisStep++;
+            nav = entity.navPath = {
+                goal,
+                tiles: this.findPath(from, goal),
+                index: 0,
+                plannedAt: Utils.now()
+            };
+        }
+        // Out of search budget with no path yet: head straight for it this step
+        if (!nav) return target;
+        if (!nav.tiles) return null;
+
+        // Skip ahead to wherever the entity is on its path
+        const reached = nav.tiles.indexOf(from, nav.index);
+        if (reached >= 0) nav.index = reached + 1;
+
+        return nav.index < nav.tiles.length ? this.tileCenter(nav.tiles[nav.index]) : target;
+    }
+}
+
+export default Pathfinder;
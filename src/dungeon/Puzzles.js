@@ -1,9 +1,10 @@
 /**
- * Puzzle System - 10 unique puzzle types for torch activation
- * Each puzzle is randomized to never be exactly the same
+ * Puzzle System - 10 unique puzzle types for shrines and runed vault seals
+ * Each puzzle is randomized to never be exactly the same, and grows with floor depth
  */
 
 import { Utils } from '../engine/core/Utils.js';
+import { RNG } from '../engine/core/Random.js';
 
 // Base puzzle class
 class Puzzle {
@@ -27,7 +28,7 @@ export class PatternMemoryPuzzle extends Puzzle {
         super('pattern_memory');
         this.symbols = ['◆', '◇', '○', '●', '△', '▽', '□', '■', '★', '☆', '♠', '♣', '♥', '♦'];
         this.pattern = [];
-        this.patternLength = 5 + Math.floor(Math.random() * 3); // 5-7 symbols
+        this.patternLength = 5 + Math.floor(RNG.layout.next() * 3); // 5-7 symbols
         this.showTime = 3000; // ms to show pattern
         this.currentInput = [];
         this.phase = 'showing'; // 'showing', 'input', 'result'
@@ -38,7 +39,7 @@ export class PatternMemoryPuzzle extends Puzzle {
     
     generate() {
         // Select 6 random symbols to use
-        const shuffled = [...this.symbols].sort(() => Math.random() - 0.5);
+        const shuffled = RNG.layout.shuffle([...this.symbols]);
         this.selectedSymbols = shuffled.slice(0, 6);
         
         // Generate random pattern
@@ -46,11 +47,11 @@ export class PatternMemoryPuzzle extends Puzzle {
         for (let i = 0; i < this.patternLength; i++) {
             this.pattern.push(Utils.randomInt(0, 5));
         }
-        this.showStartTime = Date.now();
+        this.showStartTime = Utils.now();
     }
     
     update() {
-        if (this.phase === 'showing' && Date.now() - this.showStartTime > this.showTime) {
+        if (this.phase === 'showing' && Utils.now() - this.showStartTime > this.showTime) {
             this.phase = 'input';
         }
     }
@@ -78,7 +79,7 @@ export class PatternMemoryPuzzle extends Puzzle {
             } else {
                 // Show pattern again
                 this.phase = 'showing';
-                this.showStartTime = Date.now();
+                this.showStartTime = Utils.now();
             }
         }
         return this.solved;
@@ -93,7 +94,7 @@ export class PatternMemoryPuzzle extends Puzzle {
 export class TileRotationPuzzle extends Puzzle {
     constructor() {
         super('tile_rotation');
-        this.gridSize = 4 + Math.floor(Math.random() * 2); // 4x4 or 5x5
+        this.gridSize = 4 + Math.floor(RNG.layout.next() * 2); // 4x4 or 5x5
         this.tiles = [];
         // Tile types: 0=straight, 1=corner, 2=T-junction, 3=cross
         this.generate();
@@ -129,7 +130,7 @@ export class TileRotationPuzzle extends Puzzle {
         const path = [{x: 0, y: 0}];
         
         while (x < this.gridSize - 1 || y < this.gridSize - 1) {
-            if (x < this.gridSize - 1 && (y >= this.gridSize - 1 || Math.random() < 0.5)) {
+            if (x < this.gridSize - 1 && (y >= this.gridSize - 1 || RNG.layout.next() < 0.5)) {
                 x++;
             } else {
                 y++;
@@ -218,7 +219,7 @@ export class SimonSaysPuzzle extends Puzzle {
         super('simon_says');
         this.colors = ['#ff4444', '#44ff44', '#4444ff', '#ffff44'];
         this.sequence = [];
-        this.sequenceLength = 6 + Math.floor(Math.random() * 4); // 6-9
+        this.sequenceLength = 6 + Math.floor(RNG.layout.next() * 4); // 6-9
         this.currentStep = 0;
         this.playerSequence = [];
         this.phase = 'showing'; // 'showing', 'input'
@@ -234,11 +235,11 @@ export class SimonSaysPuzzle extends Puzzle {
         for (let i = 0; i < this.sequenceLength; i++) {
             this.sequence.push(Utils.randomInt(0, 3));
         }
-        this.lastFlashTime = Date.now();
+        this.lastFlashTime = Utils.now();
     }
     
     update() {
-        const now = Date.now();
+        const now = Utils.now();
         if (this.phase === 'showing') {
             if (now - this.lastFlashTime > this.flashDuration) {
                 this.showIndex++;
@@ -275,7 +276,7 @@ export class SimonSaysPuzzle extends Puzzle {
                 this.phase = 'showing';
                 this.showIndex = 0;
                 this.playerSequence = [];
-                this.lastFlashTime = Date.now();
+                this.lastFlashTime = Utils.now();
             }
             return;
         }
@@ -325,7 +326,7 @@ export class WordScramblePuzzle extends Puzzle {
         let scrambled = word;
         // Keep scrambling until it's different from original
         while (scrambled === word) {
-            scrambled = word.split('').sort(() => Math.random() - 0.5).join('');
+            scrambled = RNG.layout.shuffle(word.split('')).join('');
         }
         return scrambled;
     }
@@ -369,7 +370,7 @@ export class WordScramblePuzzle extends Puzzle {
 export class LockPickingPuzzle extends Puzzle {
     constructor() {
         super('lock_picking');
-        this.pinCount = 5 + Math.floor(Math.random() * 3); // 5-7 pins
+        this.pinCount = 5 + Math.floor(RNG.layout.next() * 3); // 5-7 pins
         this.pins = [];
         this.maxHeight = 5;
         this.generate();
@@ -419,7 +420,7 @@ export class LockPickingPuzzle extends Puzzle {
 export class ConstellationPuzzle extends Puzzle {
     constructor() {
         super('constellation');
-        this.starCount = 6 + Math.floor(Math.random() * 4); // 6-9 stars
+        this.starCount = 6 + Math.floor(RNG.layout.next() * 4); // 6-9 stars
         this.stars = [];
         this.correctOrder = [];
         this.playerOrder = [];
@@ -433,8 +434,8 @@ export class ConstellationPuzzle extends Puzzle {
         this.stars = [];
         for (let i = 0; i < this.starCount; i++) {
             this.stars.push({
-                x: 50 + Math.random() * 300,
-                y: 50 + Math.random() * 200,
+                x: 50 + RNG.layout.next() * 300,
+                y: 50 + RNG.layout.next() * 200,
                 id: i,
                 selected: false
             });
@@ -530,7 +531,7 @@ export class RuneMatchingPuzzle extends Puzzle {
     constructor() {
         super('rune_matching');
         this.runes = ['ᚠ', 'ᚢ', 'ᚦ', 'ᚨ', 'ᚱ', 'ᚲ', 'ᚷ', 'ᚹ', 'ᚺ', 'ᚾ', 'ᛁ', 'ᛃ'];
-        this.pairCount = 6 + Math.floor(Math.random() * 3); // 6-8 pairs
+        this.pairCount = 6 + Math.floor(RNG.layout.next() * 3); // 6-8 pairs
         this.cards = [];
         this.flippedCards = [];
         this.matchedPairs = 0;
@@ -540,7 +541,7 @@ export class RuneMatchingPuzzle extends Puzzle {
     
     generate() {
         // Select random runes for pairs
-        const shuffledRunes = [...this.runes].sort(() => Math.random() - 0.5);
+        const shuffledRunes = RNG.layout.shuffle([...this.runes]);
         const selectedRunes = shuffledRunes.slice(0, this.pairCount);
         
         // Create pairs and shuffle
@@ -549,7 +550,7 @@ export class RuneMatchingPuzzle extends Puzzle {
             this.cards.push({ rune, flipped: false, matched: false });
             this.cards.push({ rune, flipped: false, matched: false });
         }
-        this.cards.sort(() => Math.random() - 0.5);
+        RNG.layout.shuffle(this.cards);
     }
     
     flipCard(index) {
@@ -599,7 +600,7 @@ export class RuneMatchingPuzzle extends Puzzle {
 export class PressurePlatesPuzzle extends Puzzle {
     constructor() {
         super('pressure_plates');
-        this.plateCount = 5 + Math.floor(Math.random() * 3); // 5-7 plates
+        this.plateCount = 5 + Math.floor(RNG.layout.next() * 3); // 5-7 plates
         this.plates = [];
         this.correctOrder = [];
         this.playerOrder = [];
@@ -680,7 +681,7 @@ export class ShadowAlignmentPuzzle extends Puzzle {
         this.shapes = ['triangle', 'square', 'pentagon', 'hexagon', 'star'];
         this.targetShape = '';
         this.objects = [];
-        this.objectCount = 3 + Math.floor(Math.random() * 2); // 3-4 objects
+        this.objectCount = 3 + Math.floor(RNG.layout.next() * 2); // 3-4 objects
         this.generate();
     }
     
@@ -796,6 +797,19 @@ export class ElementalBalancePuzzle extends Puzzle {
     }
 }
 
+// How each puzzle grows with floor depth: [size field, size on floor 1, largest size].
+// Word scramble and elemental balance stay the same size.
+const FLOOR_SCALING = {
+    pattern_memory: ['patternLength', 4, 9],
+    tile_rotation: ['gridSize', 3, 6],
+    simon_says: ['sequenceLength', 4, 10],
+    lock_picking: ['pinCount', 4, 8],
+    constellation: ['starCount', 5, 11],
+    rune_matching: ['pairCount', 4, 8],
+    pressure_plates: ['plateCount', 4, 8],
+    shadow_alignment: ['objectCount', 2, 5]
+};
+
 // Puzzle Factory
 export class PuzzleFactory {
     static puzzleTypes = [
@@ -823,6 +837,19 @@ export class PuzzleFactory {
     static createRandom() {
         return this.create(Utils.randomInt(0, this.puzzleTypes.length - 1));
     }
+    
+    // Random puzzle sized for a floor: bigger every two floors, fewer attempts every five
+    static createForFloor(floor) {
+        const puzzle = this.createRandom();
+        const scaling = FLOOR_SCALING[puzzle.type];
+        if (scaling) {
+            const [field, base, max] = scaling;
+            puzzle[field] = Math.min(max, base + Math.floor((floor - 1) / 2));
+            puzzle.generate();
+        }
+        puzzle.maxAttempts = Math.max(1, 3 - Math.floor((floor - 1) / 5));
+        return puzzle;
+    }
 }
 
 export default PuzzleFactory;
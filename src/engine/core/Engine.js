@@ -3,6 +3,55 @@
  * Core Engine Module
  */
 
+import { RNG } from './Random.js';
+import { Utils } from './Utils.js';
+import { ReplayRecorder, ReplayPlayer } from './Replay.js';
+import { InputBindings } from './InputBindings.js';
+import { GamepadInput, PAD_BUTTONS, PAD_MENU_KEYS, createGamepadState } from './Gamepad.js';
+
+// Simulation runs in fixed steps; rendering blends between the last two steps
+export const FIXED_TIMESTEP = 1 / 60;
+const MAX_STEPS_PER_FRAME = 6;
+
+// Pixels per second the left stick moves the mouse cursor in pointer-driven menus
+const PAD_CURSOR_SPEED = 700;
+
+// Moves larger than this between two steps (teleports, map wrapping) snap instead of blending
+const MAX_INTERPOLATION_DISTANCE = 128;
+
+// Remember where objects were before a simulation step
+export function snapshotPositions(objects) {
+    for (const obj of objects) {
+        if (!obj) continue;
+        obj.prevX = obj.x;
+        obj.prevY = obj.y;
+    }
+}
+
+// Run a render callback with objects moved to their blended positions, then restore them
+export function renderInterpolated(objects, alpha, renderFn) {
+    const restore = [];
+    for (const obj of objects) {
+        if (!obj || obj.prevX === undefined) continue;
+        const dx = obj.x - obj.prevX;
+        const dy = obj.y - obj.prevY;
+        if (Math.abs(dx) > MAX_INTERPOLATION_DISTANCE || Math.abs(dy) > MAX_INTERPOLATION_DISTANCE) continue;
+        
+        restore.push(obj, obj.x, obj.y);
+        obj.x = obj.prevX + dx * alpha;
+        obj.y = obj.prevY + dy * alpha;
+    }
+    
+    try {
+        renderFn();
+    } finally {
+        for (let i = 0; i < restore.length; i += 3) {
+            restore[i].x = restore[i + 1];
+            restore[i].y = restore[i + 2];
+        }
+    }
+}
+
 // Camera class with all needed methods
 class Camera {
     constructor(canvas) {
@@ -61,6 +110,16 @@ class Camera {
         return this.slowMotion;
     }
     
+    // Slow motion lasts for real time, not for slowed game time
+    updateTimeScale(realDt) {
+        if (this.slowMotionDuration > 0) {
+            this.slowMotionDuration -= realDt;
+            if (this.slowMotionDuration <= 0) {
+                this.slowMotion = 1;
+            }
+        }
+    }
+    
     update(dt) {
         if (this.shakeDuration > 0) {
             this.shakeDuration -= dt;
@@ -74,14 +133,6 @@ class Camera {
             }
         }
         
-        // Update slow motion
-        if (this.slowMotionDuration > 0) {
-            this.slowMotionDuration -= dt;
-            if (this.slowMotionDuration <= 0) {
-                this.slowMotion = 1;
-            }
-        }
-        
         // Smooth zoom interpolation
         this.zoom += (this.targetZoom * this.impactZoom - this.zoom) * 5 * dt;
     }
@@ -103,15 +154,20 @@ class Camera {
     getShakeOffset() {
         if (this.shakeDuration <= 0) return { x: 0, y: 0 };
         return {
-            x: (Math.random() - 0.5) * this.shakeIntensity,
-            y: (Math.random() - 0.5) * this.shakeIntensity
+            x: (RNG.cosmetic.next() - 0.5) * this.shakeIntensity,
+            y: (RNG.cosmetic.next() - 0.5) * this.shakeIntensity
         };
     }
 }
 
 export class Engine {
-    constructor(canvasId, width = 1280, height = 720) {
-        this.canvas = document.getElementById(canvasId);
+    // canvasId can also be a canvas object (e.g. createNullCanvas() from Headless.js).
+    // Headless engines attach no DOM listeners and are driven by calling tick() directly;
+    // they skip rendering unless options.render is set.
+    constructor(canvasId, width = 1280, height = 720, options = {}) {
+        this.headless = options.headless || false;
+        this.renderFrames = options.render ?? !this.headless;
+        this.canvas = typeof canvasId === 'string' ? document.getElementById(canvasId) : canvasId;
         this.ctx = this.canvas.getContext('2d');
         this.canvas.width = width;
         this.canvas.height = height;
@@ -122,6 +178,15 @@ export class Engine {
         this.running = false;
         this.lastTime = 0;
         this.deltaTime = 0;
+        
+        // Fixed-step simulation
+        this.fixedStep = FIXED_TIMESTEP;
+        this.accumulator = 0;
+        this.renderAlpha = 0; // How far render is between the previous and current step (0-1)
+        
+        // Time scale hook - everything that speeds up or stops the simulation goes through here
+        this.timeScale = 1;   // Base scale (debug / accessibility)
+        this.hitStopTime = 0; // Real seconds left of a full stop (hit freeze)
         this.fps = 0;
         this.frameCount = 0;
         this.fpsTimer = 0;
@@ -138,9 +203,17 @@ export class Engine {
             keysJustReleased: new Set(),
             mouse: { x: 0, y: 0, buttons: new Set() },
             mouseJustPressed: new Set(),
-            mouseJustReleased: new Set()
+            mouseJustReleased: new Set(),
+            gamepad: createGamepadState()
         };
         
+        // Gamepad polling; padCursorEnabled lets the left stick drive the mouse in click-only menus
+        this.gamepad = new GamepadInput();
+        this.padCursorEnabled = false;
+        
+        // Action bindings (rebindable from the pause menu)
+        this.bindings = new InputBindings();
+        
         // Camera
         this.camera = new Camera(this.canvas);
         
@@ -148,11 +221,24 @@ export class Engine {
         this.customUpdate = null;
         this.customRender = null;
         
-        this.setupInputListeners();
+        // Input replays - while playing back, DOM input is ignored and frames come from the file
+        this.replayRecorder = null;
+        this.replayPlayer = null;
+        this.onReplayEnd = null;
+        
+        if (!this.headless) {
+            this.setupInputListeners();
+        }
     }
     
     setupInputListeners() {
         window.addEventListener('keydown', (e) => {
+            if (this.replayPlayer) {
+                // Escape is the only live key during playback - it stops the replay
+                if (e.code === 'Escape') this.stopPlayback();
+                e.preventDefault();
+                return;
+            }
             if (!this.input.keys.has(e.code)) {
                 this.input.keysJustPressed.add(e.code);
             }
@@ -161,23 +247,27 @@ export class Engine {
         });
         
         window.addEventListener('keyup', (e) => {
+            if (this.replayPlayer) return;
             this.input.keys.delete(e.code);
             this.input.keysJustReleased.add(e.code);
             e.preventDefault();
         });
         
         this.canvas.addEventListener('mousemove', (e) => {
+            if (this.replayPlayer) return;
             const rect = this.canvas.getBoundingClientRect();
             this.input.mouse.x = e.clientX - rect.left;
             this.input.mouse.y = e.clientY - rect.top;
         });
         
         this.canvas.addEventListener('mousedown', (e) => {
+            if (this.replayPlayer) return;
             this.input.mouse.buttons.add(e.button);
             this.input.mouseJustPressed.add(e.button);
         });
         
         this.canvas.addEventListener('mouseup', (e) => {
+            if (this.replayPlayer) return;
             this.input.mouse.buttons.delete(e.button);
             this.input.mouseJustReleased.add(e.button);
         });
@@ -222,6 +312,129 @@ export class Engine {
         return { x: this.input.mouse.x, y: this.input.mouse.y };
     }
     
+    // Gamepad helpers
+    isPadButtonDown(button) {
+        return this.input.gamepad.buttons.has(button);
+    }
+    
+    wasPadButtonJustPressed(button) {
+        return this.input.gamepad.justPressed.has(button);
+    }
+    
+    // Menu keys also fire from the d-pad / face buttons (see PAD_MENU_KEYS)
+    wasMenuKeyJustPressed(key) {
+        if (this.input.keysJustPressed.has(key)) return true;
+        for (const button of this.input.gamepad.justPressed) {
+            if (PAD_MENU_KEYS[button] === key) return true;
+        }
+        return false;
+    }
+    
+    // Move the mouse cursor with the left stick and click with A
+    applyPadCursor(dt) {
+        const pad = this.input.gamepad;
+        if (!this.padCursorEnabled || !pad.connected) return;
+        
+        const mouse = this.input.mouse;
+        mouse.x = Math.max(0, Math.min(this.canvas.width, mouse.x + pad.leftStick.x * PAD_CURSOR_SPEED * dt));
+        mouse.y = Math.max(0, Math.min(this.canvas.height, mouse.y + pad.leftStick.y * PAD_CURSOR_SPEED * dt));
+        
+        if (pad.justPressed.has(PAD_BUTTONS.A)) {
+            mouse.buttons.add(0);
+            this.input.mouseJustPressed.add(0);
+        }
+        if (pad.justReleased.has(PAD_BUTTONS.A)) {
+            mouse.buttons.delete(0);
+            this.input.mouseJustReleased.add(0);
+        }
+    }
+    
+    // Action helpers - gameplay should use these rather than raw key codes
+    isActionDown(action) {
+        return this.bindings.isDown(action, this.input);
+    }
+    
+    wasActionJustPressed(action, inMenu = false) {
+        return this.bindings.wasJustPressed(action, this.input, inMenu);
+    }
+    
+    getActionLabel(action) {
+        return this.bindings.getLabel(action);
+    }
+    
+    // Replays
+    // header describes how to rebuild the run (seed, class, ...); frames are added every game loop
+    startRecording(header = {}) {
+        if (this.replayPlayer) return;
+        this.resetSimulationTime();
+        this.replayRecorder = new ReplayRecorder(header);
+    }
+    
+    stopRecording() {
+        if (!this.replayRecorder) return null;
+        const replay = this.replayRecorder.finish();
+        this.replayRecorder = null;
+        return replay;
+    }
+    
+    startPlayback(replay, onEnd = null) {
+        this.resetSimulationTime();
+        this.replayRecorder = null;
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.onReplayEnd = onEnd;
+    }
+    
+    stopPlayback() {
+        if (!this.replayPlayer) return;
+        this.replayPlayer = null;
+        this.clearInput();
+        
+        const onEnd = this.onReplayEnd;
+        this.onReplayEnd = null;
+        if (onEnd) onEnd();
+    }
+    
+    isPlayingReplay() {
+        return this.replayPlayer !== null;
+    }
+    
+    clearInput() {
+        this.input.keys.clear();
+        this.input.mouse.buttons.clear();
+        this.input.gamepad.buttons.clear();
+        this.clearFrameInput();
+    }
+    
+    clearFrameInput() {
+        this.input.keysJustPressed.clear();
+        this.input.keysJustReleased.clear();
+        this.input.mouseJustPressed.clear();
+        this.input.mouseJustReleased.clear();
+        this.input.gamepad.justPressed.clear();
+        this.input.gamepad.justReleased.clear();
+    }
+    
+    // Time scale
+    // Combined scale the simulation runs at: base scale, camera slow motion and hit stop
+    getTimeScale() {
+        if (this.hitStopTime > 0) return 0;
+        return this.timeScale * this.camera.getTimeScale();
+    }
+    
+    // Freeze the simulation for a short real-time duration (rendering keeps going)
+    hitStop(duration) {
+        this.hitStopTime = Math.max(this.hitStopTime, duration);
+    }
+    
+    // Start recordings and playback from a clean step boundary so they line up exactly
+    resetSimulationTime() {
+        Utils.resetClock();
+        this.accumulator = 0;
+        this.hitStopTime = 0;
+        this.camera.slowMotion = 1;
+        this.camera.slowMotionDuration = 0;
+    }
+    
     // Camera methods
     setCameraPosition(x, y) {
         this.camera.x = x;
@@ -270,12 +483,38 @@ export class Engine {
     gameLoop(currentTime = performance.now()) {
         if (!this.running) return;
         
-        this.deltaTime = (currentTime - this.lastTime) / 1000;
+        const frameTime = (currentTime - this.lastTime) / 1000;
         this.lastTime = currentTime;
+        this.tick(frameTime);
+        
+        requestAnimationFrame((t) => this.gameLoop(t));
+    }
+    
+    // One frame: input, as many fixed simulation steps as frameTime covers, then render
+    tick(frameTime) {
+        this.deltaTime = frameTime;
         
         // Cap delta time to prevent physics issues
         if (this.deltaTime > 0.1) this.deltaTime = 0.1;
         
+        // Poll the gamepad (replays carry their own pad state)
+        if (!this.replayPlayer) {
+            this.gamepad.poll(this.input.gamepad);
+            this.applyPadCursor(this.deltaTime);
+        }
+        
+        // Replays drive input and frame time; recordings capture what this frame will see
+        if (this.replayPlayer) {
+            const replayDt = this.replayPlayer.applyFrame(this.input);
+            if (replayDt === null) {
+                this.stopPlayback();
+            } else {
+                this.deltaTime = replayDt;
+            }
+        } else if (this.replayRecorder) {
+            this.replayRecorder.recordFrame(this.deltaTime, this.input);
+        }
+        
         // FPS calculation
         this.frameCount++;
         this.fpsTimer += this.deltaTime;
@@ -285,22 +524,38 @@ export class Engine {
             this.fpsTimer = 0;
         }
         
-        // Update
-        this.update(this.deltaTime);
+        // Time scale effects count down in real time
+        const timeScale = this.getTimeScale();
+        if (this.hitStopTime > 0) this.hitStopTime -= this.deltaTime;
+        this.camera.updateTimeScale(this.deltaTime);
         
-        // Render
-        this.render();
+        // Run as many fixed steps as the scaled frame time covers
+        this.accumulator += this.deltaTime * timeScale;
+        let steps = 0;
+        while (this.accumulator >= this.fixedStep && steps < MAX_STEPS_PER_FRAME) {
+            this.update(this.fixedStep);
+            this.accumulator -= this.fixedStep;
+            steps++;
+            
+            // Just-pressed input belongs to the first step only; with no step this frame
+            // it carries over so a quick tap is never lost
+            this.clearFrameInput();
+        }
         
-        // Clear just-pressed inputs
-        this.input.keysJustPressed.clear();
-        this.input.keysJustReleased.clear();
-        this.input.mouseJustPressed.clear();
-        this.input.mouseJustReleased.clear();
+        // Drop time we couldn't catch up on rather than spiralling
+        if (steps >= MAX_STEPS_PER_FRAME) this.accumulator = 0;
         
-        requestAnimationFrame((t) => this.gameLoop(t));
+        // Render
+        this.renderAlpha = this.accumulator / this.fixedStep;
+        if (this.renderFrames) {
+            this.render();
+        }
     }
     
     update(dt) {
+        // Advance the simulation clock used by gameplay timers
+        Utils.advanceClock(dt);
+        
         // Update camera shake
         this.camera.update(dt);
         
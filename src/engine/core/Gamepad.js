@@ -0,0 +1,141 @@
+/**
+ * Gamepad Input - Polls the Gamepad API into Engine.input.gamepad
+ * Uses the "standard" button layout (Xbox naming). A VirtualGamepad can stand in
+ * for real hardware so pad controls can be exercised from the console.
+ */
+
+export const PAD_BUTTONS = {
+    A: 0, B: 1, X: 2, Y: 3,
+    LB: 4, RB: 5, LT: 6, RT: 7,
+    BACK: 8, START: 9,
+    LS: 10, RS: 11,
+    UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15
+};
+
+const PAD_BUTTON_COUNT = 17;
+const STICK_DEADZONE = 0.2;
+const TRIGGER_THRESHOLD = 0.5; // Analog triggers count as pressed past this
+
+// D-pad and face buttons double as menu keys for keyboard-driven panels
+export const PAD_MENU_KEYS = {
+    [PAD_BUTTONS.UP]: 'ArrowUp',
+    [PAD_BUTTONS.DOWN]: 'ArrowDown',
+    [PAD_BUTTONS.LEFT]: 'ArrowLeft',
+    [PAD_BUTTONS.RIGHT]: 'ArrowRight',
+    [PAD_BUTTONS.A]: 'Enter',
+    [PAD_BUTTONS.B]: 'Escape',
+    [PAD_BUTTONS.LB]: 'Tab',
+    [PAD_BUTTONS.RB]: 'Tab'
+};
+
+export function createGamepadState() {
+    return {
+        connected: false,
+        buttons: new Set(),
+        justPressed: new Set(),
+        justReleased: new Set(),
+        leftStick: { x: 0, y: 0 },
+        rightStick: { x: 0, y: 0 }
+    };
+}
+
+// Radial deadzone, rescaled so output still reaches 1 at full tilt
+function readStick(axes, xIndex, yIndex) {
+    const x = axes[xIndex] || 0;
+    const y = axes[yIndex] || 0;
+    const magnitude = Math.sqrt(x * x + y * y);
+    if (magnitude < STICK_DEADZONE) return { x: 0, y: 0 };
+
+    const scaled = Math.min(1, (magnitude - STICK_DEADZONE) / (1 - STICK_DEADZONE));
+    return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+}
+
+// Stand-in for a Gamepad object with the same shape the browser hands back
+export class VirtualGamepad {
+    constructor() {
+        this.id = 'Virtual Gamepad';
+        this.index = 0;
+        this.connected = true;
+        this.mapping = 'standard';
+        this.buttons = [];
+        for (let i = 0; i < PAD_BUTTON_COUNT; i++) {
+            this.buttons.push({ pressed: false, value: 0 });
+        }
+        this.axes = [0, 0, 0, 0];
+    }
+
+    press(button) {
+        this.buttons[button] = { pressed: true, value: 1 };
+    }
+
+    release(button) {
+        this.buttons[button] = { pressed: false, value: 0 };
+    }
+
+    // stick: 'left' or 'right'; x/y in [-1, 1]
+    setStick(stick, x, y) {
+        const offset = stick === 'right' ? 2 : 0;
+        this.axes[offset] = x;
+        this.axes[offset + 1] = y;
+    }
+
+    reset() {
+        for (let i = 0; i < PAD_BUTTON_COUNT; i++) this.release(i);
+        this.axes = [0, 0, 0, 0];
+    }
+}
+
+export class GamepadInput {
+    constructor() {
+        this.virtualPad = null;
+    }
+
+    // Use a virtual pad instead of real hardware (pass null to go back)
+    attachVirtual(pad = new VirtualGamepad()) {
+        this.virtualPad = pad;
+        return pad;
+    }
+
+    getPad() {
+        if (this.virtualPad) return this.virtualPad;
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+
+        for (const pad of navigator.getGamepads()) {
+            if (pad && pad.connected) return pad;
+        }
+        return null;
+    }
+
+    // Read the pad into the engine's gamepad state. Just-pressed buttons accumulate
+    // until the engine clears them after a simulation step, like keyboard input.
+    poll(state) {
+        const pad = this.getPad();
+        if (!pad) {
+            if (state.connected) {
+                for (const button of state.buttons) state.justReleased.add(button);
+                state.buttons.clear();
+                state.leftStick = { x: 0, y: 0 };
+                state.rightStick = { x: 0, y: 0 };
+            }
+            state.connected = false;
+            return;
+        }
+
+        state.connected = true;
+        pad.buttons.forEach((button, index) => {
+            const pressed = button.pressed || button.value > TRIGGER_THRESHOLD;
+            if (pressed && !state.buttons.has(index)) {
+                state.buttons.add(index);
+                state.justPressed.add(index);
+            } else if (!pressed && state.buttons.has(index)) {
+                state.buttons.delete(index);
+                state.justReleased.add(index);
+            }
+        });
+
+        state.leftStick = readStick(pad.axes, 0, 1);
+        state.rightStick = readStick(pad.axes, 2, 3);
+    }
+}
+
+export default GamepadInput;
@@ -0,0 +1,99 @@
+/**
+ * Headless Support - Null canvas and 2D context for running the engine without a DOM
+ * Drawing calls are accepted and ignored, so render code can still run (or be skipped)
+ * under Node with nothing to draw to.
+ */
+
+const noop = () => {};
+
+// Objects the 2D context API hands back, with just enough shape for render code to use
+function createNullGradient() {
+    return { addColorStop: noop };
+}
+
+function createNullImageData(width = 1, height = 1) {
+    return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+}
+
+// A 2D context whose every method is a no-op. Properties (fillStyle, globalAlpha, ...)
+// keep whatever was last assigned, like on a real context.
+export function createNullContext(canvas) {
+    const state = {
+        canvas,
+        globalAlpha: 1,
+        globalCompositeOperation: 'source-over',
+        fillStyle: '#000000',
+        strokeStyle: '#000000',
+        lineWidth: 1,
+        lineCap: 'butt',
+        lineJoin: 'miter',
+        font: '10px sans-serif',
+        textAlign: 'start',
+        textBaseline: 'alphabetic',
+        shadowBlur: 0,
+        shadowColor: 'rgba(0, 0, 0, 0)',
+        shadowOffsetX: 0,
+        shadowOffsetY: 0,
+        imageSmoothingEnabled: true,
+        filter: 'none',
+
+        measureText: (text) => ({ width: String(text).length * 7 }),
+        createLinearGradient: createNullGradient,
+        createRadialGradient: createNullGradient,
+        createConicGradient: createNullGradient,
+        createPattern: () => ({}),
+        createImageData: createNullImageData,
+        getImageData: (x, y, width, height) => createNullImageData(width, height),
+        getTransform: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }),
+        isPointInPath: () => false,
+        getLineDash: () => []
+    };
+
+    return new Proxy(state, {
+        get(target, prop) {
+            return prop in target ? target[prop] : noop;
+        }
+    });
+}
+
+// Stand-in for an HTMLCanvasElement
+export function createNullCanvas(width = 1280, height = 720) {
+    const canvas = {
+        width,
+        height,
+        style: {},
+        addEventListener: noop,
+        removeEventListener: noop,
+        getBoundingClientRect() {
+            return { left: 0, top: 0, width: this.width, height: this.height };
+        }
+    };
+    const ctx = createNullContext(canvas);
+    canvas.getContext = () => ctx;
+    return canvas;
+}
+
+// In-memory localStorage replacement for saves and leaderboards in headless runs
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+export default createNullCanvas;
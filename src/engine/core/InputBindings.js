@@ -0,0 +1,174 @@
+/**
+ * Input Bindings - Maps game actions to keys and mouse buttons
+ * Gameplay code asks "is sprint held?" instead of checking raw key codes, so
+ * players can rebind controls from the pause menu.
+ */
+
+import { PAD_BUTTONS, PAD_MENU_KEYS } from './Gamepad.js';
+
+// Codes are KeyboardEvent.code values, or MouseN for mouse button N.
+// pad is the fixed gamepad button for the action (movement and aim use the sticks, and
+// pushing the left stick all the way sprints).
+export const INPUT_ACTIONS = {
+    moveUp:       { label: 'Move Up',        defaults: ['KeyW', 'ArrowUp'] },
+    moveDown:     { label: 'Move Down',      defaults: ['KeyS', 'ArrowDown'] },
+    moveLeft:     { label: 'Move Left',      defaults: ['KeyA', 'ArrowLeft'] },
+    moveRight:    { label: 'Move Right',     defaults: ['KeyD', 'ArrowRight'] },
+    sprint:       { label: 'Sprint (hold)',  defaults: ['ShiftLeft', 'ShiftRight'] },
+    dash:         { label: 'Dash / Teleport', defaults: ['Space'], pad: PAD_BUTTONS.LT },
+    parry:        { label: 'Parry',          defaults: ['Space'], pad: PAD_BUTTONS.LT },
+    attack:       { label: 'Attack',         defaults: ['Mouse0'], pad: PAD_BUTTONS.RT },
+    heavyAttack:  { label: 'Heavy Attack',   defaults: ['Mouse2'], pad: PAD_BUTTONS.RS },
+    interact:     { label: 'Interact',       defaults: ['KeyE'], pad: PAD_BUTTONS.A },
+    cycleSpell:   { label: 'Cycle Spell',    defaults: ['KeyQ'], pad: PAD_BUTTONS.RS },
+    healthPotion: { label: 'Health Potion',  defaults: ['KeyR'], pad: PAD_BUTTONS.LB },
+    manaPotion:   { label: 'Mana Potion',    defaults: ['KeyF'], pad: PAD_BUTTONS.RB },
+    useTorch:     { label: 'Light Torch',    defaults: ['KeyT'], pad: PAD_BUTTONS.LS },
+    inventory:    { label: 'Inventory',      defaults: ['KeyI'], pad: PAD_BUTTONS.BACK },
+    skillTree:    { label: 'Skill Tree',     defaults: ['KeyK'], pad: PAD_BUTTONS.UP },
+    map:          { label: 'Map',            defaults: ['KeyM'], pad: PAD_BUTTONS.DOWN },
+    console:      { label: 'Console',        defaults: ['Slash'] }
+};
+
+// Ability slots 1-5 sit on the remaining face buttons and d-pad
+const ABILITY_PAD_BUTTONS = [PAD_BUTTONS.X, PAD_BUTTONS.B, PAD_BUTTONS.Y, PAD_BUTTONS.LEFT, PAD_BUTTONS.RIGHT];
+
+export const ABILITY_SLOTS = 9;
+for (let i = 1; i <= ABILITY_SLOTS; i++) {
+    INPUT_ACTIONS[`ability${i}`] = { label: `Ability ${i}`, defaults: [`Digit${i}`], pad: ABILITY_PAD_BUTTONS[i - 1] };
+}
+
+// Each action can hold a primary and a secondary binding
+export const BINDINGS_PER_ACTION = 2;
+
+// Keys that always keep their meaning (menus, pause) and can't be bound to actions
+export const RESERVED_CODES = ['Escape', 'Enter', 'Backspace', 'Delete'];
+
+// Actions that may share a key because no class uses both (dash classes never parry;
+// only classes with projectile basic attacks cycle spells, only melee classes heavy attack)
+const SHARED_KEY_GROUPS = [['dash', 'parry'], ['cycleSpell', 'heavyAttack']];
+
+function canShareKey(a, b) {
+    return SHARED_KEY_GROUPS.some(group => group.includes(a) && group.includes(b));
+}
+
+const CODE_LABELS = {
+    Mouse0: 'Left Click', Mouse1: 'Middle Click', Mouse2: 'Right Click',
+    Space: 'Space', Slash: '/', Backslash: '\\', Comma: ',', Period: '.',
+    Semicolon: ';', Quote: "'", BracketLeft: '[', BracketRight: ']',
+    Minus: '-', Equal: '=', Backquote: '`', Tab: 'Tab', CapsLock: 'Caps',
+    ShiftLeft: 'L Shift', ShiftRight: 'R Shift', ControlLeft: 'L Ctrl', ControlRight: 'R Ctrl',
+    AltLeft: 'L Alt', AltRight: 'R Alt',
+    ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right'
+};
+
+// Short human-readable name for a key code
+export function formatInputCode(code) {
+    if (!code) return '-';
+    if (CODE_LABELS[code]) return CODE_LABELS[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+    if (code.startsWith('Mouse')) return `Mouse ${code.slice(5)}`;
+    return code;
+}
+
+export class InputBindings {
+    constructor(saved = null) {
+        this.bindings = {};
+        this.resetDefaults();
+        if (saved) this.load(saved);
+    }
+
+    resetDefaults() {
+        for (const [action, def] of Object.entries(INPUT_ACTIONS)) {
+            this.bindings[action] = [...def.defaults];
+        }
+    }
+
+    // Merge saved bindings over the defaults (unknown actions and codes are ignored)
+    load(saved) {
+        for (const [action, codes] of Object.entries(saved || {})) {
+            if (!INPUT_ACTIONS[action] || !Array.isArray(codes)) continue;
+            this.bindings[action] = codes
+                .filter(code => typeof code === 'string' && !RESERVED_CODES.includes(code))
+                .slice(0, BINDINGS_PER_ACTION);
+        }
+    }
+
+    toJSON() {
+        const data = {};
+        for (const [action, codes] of Object.entries(this.bindings)) {
+            data[action] = [...codes];
+        }
+        return data;
+    }
+
+    getCodes(action) {
+        return this.bindings[action] || [];
+    }
+
+    // Label of the primary binding, for prompts like "Press E to open chest"
+    getLabel(action) {
+        return formatInputCode(this.getCodes(action)[0]);
+    }
+
+    // Other actions already using this code (ignoring actions allowed to share it)
+    findConflicts(action, code) {
+        return Object.keys(this.bindings).filter(other =>
+            other !== action && !canShareKey(action, other) && this.bindings[other].includes(code)
+        );
+    }
+
+    hasConflict(action) {
+        return this.getCodes(action).some(code => this.findConflicts(action, code).length > 0);
+    }
+
+    // Bind a code to one of an action's slots; conflicting actions lose the code.
+    // Returns the actions that were unbound so the UI can report them.
+    setBinding(action, slot, code) {
+        if (!INPUT_ACTIONS[action] || RESERVED_CODES.includes(code)) return [];
+
+        const conflicts = this.findConflicts(action, code);
+        for (const other of conflicts) {
+            this.bindings[other] = this.bindings[other].filter(c => c !== code);
+        }
+
+        const codes = this.bindings[action].filter(c => c !== code);
+        codes.splice(Math.min(slot, codes.length), 0, code);
+        this.bindings[action] = codes.slice(0, BINDINGS_PER_ACTION);
+        return conflicts;
+    }
+
+    clearBinding(action, slot) {
+        if (!this.bindings[action]) return;
+        this.bindings[action] = this.bindings[action].filter((_, i) => i !== slot);
+    }
+
+    // Queries against Engine.input
+    isCodeDown(code, input) {
+        if (code.startsWith('Mouse')) return input.mouse.buttons.has(Number(code.slice(5)));
+        return input.keys.has(code);
+    }
+
+    isCodeJustPressed(code, input) {
+        if (code.startsWith('Mouse')) return input.mouseJustPressed.has(Number(code.slice(5)));
+        return input.keysJustPressed.has(code);
+    }
+
+    isDown(action, input) {
+        const pad = INPUT_ACTIONS[action]?.pad;
+        if (pad !== undefined && input.gamepad?.buttons.has(pad)) return true;
+        return this.getCodes(action).some(code => this.isCodeDown(code, input));
+    }
+
+    // inMenu: pad buttons that double as menu keys (PAD_MENU_KEYS) are left to the menu
+    wasJustPressed(action, input, inMenu = false) {
+        const pad = INPUT_ACTIONS[action]?.pad;
+        const padFree = pad !== undefined && !(inMenu && PAD_MENU_KEYS[pad]);
+        if (padFree && input.gamepad?.justPressed.has(pad)) return true;
+        return this.getCodes(action).some(code => this.isCodeJustPressed(code, input));
+    }
+}
+
+export default InputBindings;
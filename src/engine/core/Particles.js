@@ -0,0 +1,133 @@
+/**
+ * Particle Buffer - Fixed-capacity, struct-of-arrays particle storage
+ * Every particle field lives in its own typed array and dead particles are swapped
+ * out of the live range, so spawning and expiring particles never allocates.
+ */
+
+// Live particle cap for each "Particles" visual setting
+export const PARTICLE_BUDGETS = {
+    off: 0,
+    low: 400,
+    medium: 1200,
+    high: 3000
+};
+
+export const PARTICLE_QUALITY_LEVELS = Object.keys(PARTICLE_BUDGETS);
+
+const FLAG_SHRINK = 1;
+const FLAG_GLOW = 2;
+const FLAG_LIGHTNING = 4;
+
+export class ParticleBuffer {
+    constructor(capacity = PARTICLE_BUDGETS.high) {
+        this.capacity = capacity;
+        this.budget = capacity;
+        this.count = 0;
+
+        this.x = new Float32Array(capacity);
+        this.y = new Float32Array(capacity);
+        this.vx = new Float32Array(capacity);
+        this.vy = new Float32Array(capacity);
+        this.size = new Float32Array(capacity);
+        this.lifetime = new Float32Array(capacity);
+        this.maxLifetime = new Float32Array(capacity);
+        this.gravity = new Float32Array(capacity);
+        this.friction = new Float32Array(capacity);
+        this.targetX = new Float32Array(capacity); // Lightning bolt end point
+        this.targetY = new Float32Array(capacity);
+        this.flags = new Uint8Array(capacity);
+        this.color = new Array(capacity).fill('#ffffff');
+    }
+
+    get isFull() {
+        return this.count >= this.budget;
+    }
+
+    // Lower budgets drop the newest particles straight away
+    setBudget(budget) {
+        this.budget = Math.max(0, Math.min(this.capacity, budget));
+        this.count = Math.min(this.count, this.budget);
+    }
+
+    // Same config fields (and defaults) as CombatManager.addParticle; returns the slot or -1 when over budget
+    spawn(x, y, vx, vy, config) {
+        if (this.count >= this.budget) return -1;
+
+        const i = this.count++;
+        const lifetime = config.lifetime || 0.5;
+        this.x[i] = x;
+        this.y[i] = y;
+        this.vx[i] = vx;
+        this.vy[i] = vy;
+        this.size[i] = config.size || 4;
+        this.color[i] = config.color || '#ffffff';
+        this.lifetime[i] = lifetime;
+        this.maxLifetime[i] = lifetime;
+        this.gravity[i] = config.gravity || 0;
+        this.friction[i] = config.friction || 0.98;
+        this.flags[i] = (config.shrink !== false ? FLAG_SHRINK : 0) | (config.glow ? FLAG_GLOW : 0);
+        return i;
+    }
+
+    // Static jagged bolt from (x, y) to (targetX, targetY)
+    spawnLightning(x, y, targetX, targetY, config) {
+        const i = this.spawn(x, y, 0, 0, config);
+        if (i < 0) return -1;
+        this.targetX[i] = targetX;
+        this.targetY[i] = targetY;
+        this.flags[i] |= FLAG_LIGHTNING;
+        return i;
+    }
+
+    isShrinking(i) {
+        return (this.flags[i] & FLAG_SHRINK) !== 0;
+    }
+
+    isGlowing(i) {
+        return (this.flags[i] & FLAG_GLOW) !== 0;
+    }
+
+    isLightning(i) {
+        return (this.flags[i] & FLAG_LIGHTNING) !== 0;
+    }
+
+    update(dt) {
+        for (let i = this.count - 1; i >= 0; i--) {
+            this.x[i] += this.vx[i] * dt;
+            this.y[i] += this.vy[i] * dt;
+            this.vx[i] *= this.friction[i];
+            this.vy[i] *= this.friction[i];
+            this.vy[i] += this.gravity[i] * dt;
+            this.lifetime[i] -= dt;
+            if (this.lifetime[i] <= 0) {
+                this.remove(i);
+            }
+        }
+    }
+
+    // Move the last live particle into slot i
+    remove(i) {
+        const last = --this.count;
+        if (i === last) return;
+
+        this.x[i] = this.x[last];
+        this.y[i] = this.y[last];
+        this.vx[i] = this.vx[last];
+        this.vy[i] = this.vy[last];
+        this.size[i] = this.size[last];
+        this.color[i] = this.color[last];
+        this.lifetime[i] = this.lifetime[last];
+        this.maxLifetime[i] = this.maxLifetime[last];
+        this.gravity[i] = this.gravity[last];
+        this.friction[i] = this.friction[last];
+        this.targetX[i] = this.targetX[last];
+        this.targetY[i] = this.targetY[last];
+        this.flags[i] = this.flags[last];
+    }
+
+    clear() {
+        this.count = 0;
+    }
+}
+
+export default ParticleBuffer;
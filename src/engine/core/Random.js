@@ -0,0 +1,159 @@
+/**
+ * Seeded Random - Deterministic RNG service with independent streams
+ * Each system draws from its own stream so that, for example, extra particles
+ * on a fast machine never shift the dungeon layout or a boss's next pattern.
+ */
+
+// Stream names:
+//   layout   - dungeon generation, room hazards, puzzles
+//   loot     - drops, chests, weapon rolls, shop stock
+//   ai       - enemy and boss decisions
+//   combat   - hit rolls such as crits
+//   cosmetic - particles, screen shake, sounds, idle NPCs
+export const RNG_STREAMS = ['layout', 'loot', 'ai', 'combat', 'cosmetic'];
+
+// Streams that restart from the run seed on every floor so a floor replays identically
+const FLOOR_STREAMS = ['layout', 'loot', 'ai', 'combat'];
+
+// Characters used for human-readable seeds (no 0/O or 1/I to avoid typos)
+const SEED_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SEED_LENGTH = 8;
+
+// FNV-1a hash - turns any seed text plus salts into a 32-bit integer
+export function hashSeed(...parts) {
+    let hash = 0x811c9dc5;
+    const text = parts.join(':');
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Normalize user-entered seed text (case and whitespace insensitive)
+export function normalizeSeed(seed) {
+    return String(seed ?? '').trim().toUpperCase().replace(/\s+/g, '');
+}
+
+// A fresh random seed for a new run - the only place allowed to use Math.random
+export function generateSeed() {
+    let seed = '';
+    for (let i = 0; i < SEED_LENGTH; i++) {
+        seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+    }
+    return seed;
+}
+
+// mulberry32 - small, fast, good enough for games
+export class RandomStream {
+    constructor(state = 0) {
+        this.state = state >>> 0;
+    }
+
+    // Float in [0, 1) - drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    // Integer between min and max (inclusive)
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    choice(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    // Fisher-Yates shuffle in place
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+class RandomService {
+    constructor() {
+        this.streams = {};
+        this.floor = 0;
+        this.setSeed(generateSeed());
+    }
+
+    // Start a run from a seed; all streams restart deterministically
+    setSeed(seed) {
+        this.seed = normalizeSeed(seed) || generateSeed();
+        this.floor = 0;
+        for (const name of RNG_STREAMS) {
+            this.streams[name] = new RandomStream(hashSeed(this.seed, name));
+        }
+        return this.seed;
+    }
+
+    // Reseed the gameplay streams for a floor so it is identical no matter how earlier floors went
+    beginFloor(floor) {
+        this.floor = floor;
+        for (const name of FLOOR_STREAMS) {
+            this.streams[name].setState(hashSeed(this.seed, name, floor));
+        }
+    }
+
+    stream(name) {
+        const stream = this.streams[name];
+        if (!stream) {
+            throw new Error(`Unknown RNG stream: ${name}`);
+        }
+        return stream;
+    }
+
+    get layout() { return this.streams.layout; }
+    get loot() { return this.streams.loot; }
+    get ai() { return this.streams.ai; }
+    get combat() { return this.streams.combat; }
+    get cosmetic() { return this.streams.cosmetic; }
+
+    // Snapshot of every stream, e.g. for saves and replays
+    getState() {
+        const streams = {};
+        for (const name of RNG_STREAMS) {
+            streams[name] = this.streams[name].getState();
+        }
+        return { seed: this.seed, floor: this.floor, streams };
+    }
+
+    setState(state) {
+        this.setSeed(state.seed);
+        this.floor = state.floor || 0;
+        for (const name of RNG_STREAMS) {
+            if (state.streams?.[name] !== undefined) {
+                this.streams[name].setState(state.streams[name]);
+            }
+        }
+    }
+}
+
+// Shared RNG service used by every system
+export const RNG = new RandomService();
+
+export default RNG;
@@ -0,0 +1,184 @@
+/**
+ * Input Replays - Record and play back a run from its seed plus per-frame input
+ * The simulation is deterministic for a given seed, so feeding the same inputs and
+ * frame deltas back into Engine.input reproduces the run exactly.
+ */
+
+export const REPLAY_VERSION = 1;
+
+// Frames only store what changed since the previous frame to keep files small:
+//   d  - frame delta in seconds (always present)
+//   k  - held keys          p / r   - keys just pressed / released
+//   m  - mouse [x, y]       b       - held mouse buttons
+//   mp / mr - mouse buttons just pressed / released
+//   gc - gamepad connected     g       - held gamepad buttons
+//   gp / gr - pad buttons just pressed / released
+//   ls / rs - left / right stick [x, y]
+function sameList(a, b) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+function refill(set, values = []) {
+    set.clear();
+    for (const value of values) set.add(value);
+}
+
+export class ReplayRecorder {
+    constructor(header = {}) {
+        this.header = header;
+        this.frames = [];
+        this.lastKeys = [];
+        this.lastButtons = [];
+        this.lastMouse = null;
+        this.lastPadConnected = false;
+        this.lastPadButtons = [];
+        this.lastSticks = { ls: [0, 0], rs: [0, 0] };
+    }
+
+    // Capture the input state the upcoming update will see
+    recordFrame(dt, input) {
+        const frame = { d: dt };
+
+        const keys = [...input.keys];
+        if (!sameList(keys, this.lastKeys)) {
+            frame.k = keys;
+            this.lastKeys = keys;
+        }
+        if (input.keysJustPressed.size > 0) frame.p = [...input.keysJustPressed];
+        if (input.keysJustReleased.size > 0) frame.r = [...input.keysJustReleased];
+
+        const mouse = [input.mouse.x, input.mouse.y];
+        if (!this.lastMouse || !sameList(mouse, this.lastMouse)) {
+            frame.m = mouse;
+            this.lastMouse = mouse;
+        }
+
+        const buttons = [...input.mouse.buttons];
+        if (!sameList(buttons, this.lastButtons)) {
+            frame.b = buttons;
+            this.lastButtons = buttons;
+        }
+        if (input.mouseJustPressed.size > 0) frame.mp = [...input.mouseJustPressed];
+        if (input.mouseJustReleased.size > 0) frame.mr = [...input.mouseJustReleased];
+
+        const pad = input.gamepad;
+        if (pad) {
+            if (pad.connected !== this.lastPadConnected) {
+                frame.gc = pad.connected;
+                this.lastPadConnected = pad.connected;
+            }
+
+            const padButtons = [...pad.buttons];
+            if (!sameList(padButtons, this.lastPadButtons)) {
+                frame.g = padButtons;
+                this.lastPadButtons = padButtons;
+            }
+            if (pad.justPressed.size > 0) frame.gp = [...pad.justPressed];
+            if (pad.justReleased.size > 0) frame.gr = [...pad.justReleased];
+
+            for (const [field, stick] of [['ls', pad.leftStick], ['rs', pad.rightStick]]) {
+                const value = [stick.x, stick.y];
+                if (!sameList(value, this.lastSticks[field])) {
+                    frame[field] = value;
+                    this.lastSticks[field] = value;
+                }
+            }
+        }
+
+        this.frames.push(frame);
+    }
+
+    finish() {
+        return {
+            version: REPLAY_VERSION,
+            recordedAt: Date.now(),
+            ...this.header,
+            frames: this.frames
+        };
+    }
+}
+
+export class ReplayPlayer {
+    constructor(replay) {
+        if (replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version ${replay.version}`);
+        }
+        this.replay = replay;
+        this.frameIndex = 0;
+
+        // Running state rebuilt from the frame deltas
+        this.keys = [];
+        this.buttons = [];
+        this.mouse = [0, 0];
+        this.padConnected = false;
+        this.padButtons = [];
+        this.leftStick = [0, 0];
+        this.rightStick = [0, 0];
+    }
+
+    get finished() {
+        return this.frameIndex >= this.replay.frames.length;
+    }
+
+    get progress() {
+        return this.replay.frames.length > 0 ? this.frameIndex / this.replay.frames.length : 1;
+    }
+
+    // Overwrite the engine's input with the next frame; returns that frame's delta, or null when done
+    applyFrame(input) {
+        if (this.finished) return null;
+
+        const frame = this.replay.frames[this.frameIndex++];
+        if (frame.k) this.keys = frame.k;
+        if (frame.m) this.mouse = frame.m;
+        if (frame.b) this.buttons = frame.b;
+
+        // Sets are refilled in place since systems may hold references to them
+        refill(input.keys, this.keys);
+        refill(input.keysJustPressed, frame.p);
+        refill(input.keysJustReleased, frame.r);
+        input.mouse.x = this.mouse[0];
+        input.mouse.y = this.mouse[1];
+        refill(input.mouse.buttons, this.buttons);
+        refill(input.mouseJustPressed, frame.mp);
+        refill(input.mouseJustReleased, frame.mr);
+
+        if (input.gamepad) {
+            if (frame.gc !== undefined) this.padConnected = frame.gc;
+            if (frame.g) this.padButtons = frame.g;
+            if (frame.ls) this.leftStick = frame.ls;
+            if (frame.rs) this.rightStick = frame.rs;
+
+            const pad = input.gamepad;
+            pad.connected = this.padConnected;
+            refill(pad.buttons, this.padButtons);
+            refill(pad.justPressed, frame.gp);
+            refill(pad.justReleased, frame.gr);
+            pad.leftStick = { x: this.leftStick[0], y: this.leftStick[1] };
+            pad.rightStick = { x: this.rightStick[0], y: this.rightStick[1] };
+        }
+
+        return frame.d;
+    }
+}
+
+export function parseReplay(text) {
+    const replay = JSON.parse(text);
+    if (!Array.isArray(replay.frames)) {
+        throw new Error('Replay has no frames');
+    }
+    return replay;
+}
+
+// Offer the replay as a file download (browser only)
+export function downloadReplay(replay, filename = null) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename || `deluge-${replay.seed || 'run'}-${replay.recordedAt}.replay.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+export default ReplayRecorder;
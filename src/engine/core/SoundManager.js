@@ -2,6 +2,8 @@
  * Sound Manager - Handles all game audio with variations, heartbeat, and floor-specific sounds
  */
 
+import { RNG } from './Random.js';
+
 // Sound categories and their files
 const SOUND_LIBRARY = {
     // Chest sounds (variations)
@@ -187,7 +189,8 @@ export const FLOOR_THEMES = {
 export const FLOOR_ORDER = ['egypt', 'hades', 'jungle', 'light', 'cyber', 'stone'];
 
 export class SoundManager {
-    constructor() {
+    // options.silent: play nothing and never touch the DOM or Audio (headless runs)
+    constructor(options = {}) {
         this.sounds = new Map();
         this.musicVolume = 0.5;
         this.sfxVolume = 0.7;
@@ -227,6 +230,12 @@ export class SoundManager {
         this.audioUnlocked = false;
         this.pendingSounds = []; // Queue sounds if audio not yet unlocked
         
+        this.silent = options.silent || false;
+        if (this.silent) {
+            this.muted = true;
+            return;
+        }
+        
         // Initialize audio context on first user interaction
         this.initAudioContext();
         
@@ -381,7 +390,7 @@ export class SoundManager {
         }
         
         // Pick random variation
-        const audio = sounds[Math.floor(Math.random() * sounds.length)].cloneNode();
+        const audio = sounds[Math.floor(RNG.cosmetic.next() * sounds.length)].cloneNode();
         audio.volume = volume * this.sfxVolume * this.masterVolume;
         audio.loop = false; // Ensure no looping
         
@@ -481,7 +490,7 @@ export class SoundManager {
     }
     
     // Play random NPC sound (male or female)
-    playNPCInteract(isFemale = Math.random() > 0.5) {
+    playNPCInteract(isFemale = RNG.cosmetic.next() > 0.5) {
         if (isFemale) {
             this.playNPCFemale();
         } else {
@@ -524,7 +533,7 @@ export class SoundManager {
     // Play boss theme based on floor theme
     playBossTheme(floorTheme) {
         const theme = FLOOR_THEMES[floorTheme];
-        if (!theme) return;
+        if (!theme || this.silent) return;
         
         // Try to play the theme's boss music, with fallbacks
         const bossThemeKey = theme.bossTheme;
@@ -673,7 +682,7 @@ export class SoundManager {
     
     // Start ambient loop
     startAmbient() {
-        if (this.ambientPlaying) return;
+        if (this.ambientPlaying || this.silent) return;
         
         const sounds = this.sounds.get('ambience');
         if (!sounds || sounds.length === 0) {
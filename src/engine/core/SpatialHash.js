@@ -0,0 +1,130 @@
+/**
+ * Spatial Hash - Uniform grid broadphase for proximity queries
+ * Items are bucketed by position into fixed-size cells so a query only visits the
+ * cells around it. With world bounds set, the grid wraps at the edges the same way
+ * DungeonGenerator.wrapPosition does.
+ */
+
+export class SpatialHash {
+    constructor(cellSize = 64) {
+        this.cellSize = cellSize;
+        this.cellWidth = cellSize;
+        this.cellHeight = cellSize;
+        this.columns = 0; // 0 = unbounded, no wrapping
+        this.rows = 0;
+        this.worldWidth = 0;
+        this.worldHeight = 0;
+
+        this.cells = new Map();
+        this.usedCells = [];
+        this.count = 0;
+    }
+
+    // Wrap the grid at the world edges (pass 0 to go back to an unbounded grid).
+    // Cells are stretched slightly so a whole number of them spans the world.
+    setWorldSize(width, height) {
+        this.clear();
+        this.cells.clear();
+
+        if (width > 0 && height > 0) {
+            this.columns = Math.max(1, Math.round(width / this.cellSize));
+            this.rows = Math.max(1, Math.round(height / this.cellSize));
+            this.worldWidth = width;
+            this.worldHeight = height;
+            this.cellWidth = width / this.columns;
+            this.cellHeight = height / this.rows;
+        } else {
+            this.columns = 0;
+            this.rows = 0;
+            this.worldWidth = 0;
+            this.worldHeight = 0;
+            this.cellWidth = this.cellSize;
+            this.cellHeight = this.cellSize;
+        }
+    }
+
+    get wraps() {
+        return this.columns > 0;
+    }
+
+    // Number of distinct cells when bounded (cell keys run from 0 to cellCount - 1)
+    get cellCount() {
+        return this.columns * this.rows;
+    }
+
+    // Key for a cell coordinate, wrapped into the world when bounded
+    getKey(cx, cy) {
+        if (this.columns > 0) {
+            cx = ((cx % this.columns) + this.columns) % this.columns;
+            cy = ((cy % this.rows) + this.rows) % this.rows;
+            return cy * this.columns + cx;
+        }
+        // Unbounded: pack both coordinates into one number (fine for |cell| < 2^20)
+        return (cy + 0x100000) * 0x200000 + (cx + 0x100000);
+    }
+
+    getKeyAt(x, y) {
+        return this.getKey(Math.floor(x / this.cellWidth), Math.floor(y / this.cellHeight));
+    }
+
+    clear() {
+        for (const cell of this.usedCells) {
+            cell.length = 0;
+        }
+        this.usedCells.length = 0;
+        this.count = 0;
+    }
+
+    insert(item, x, y) {
+        const key = this.getKeyAt(x, y);
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        if (cell.length === 0) this.usedCells.push(cell);
+        cell.push(item);
+        this.count++;
+    }
+
+    // Push every item in the cells overlapping the square around (x, y) onto `out`.
+    // This is only a broadphase - callers still do their own exact distance test.
+    query(x, y, radius, out = []) {
+        if (this.count === 0) return out;
+
+        const minX = Math.floor((x - radius) / this.cellWidth);
+        const minY = Math.floor((y - radius) / this.cellHeight);
+        let maxX = Math.floor((x + radius) / this.cellWidth);
+        let maxY = Math.floor((y + radius) / this.cellHeight);
+
+        // A query wider than the world would otherwise visit wrapped cells twice
+        if (this.columns > 0) {
+            maxX = Math.min(maxX, minX + this.columns - 1);
+            maxY = Math.min(maxY, minY + this.rows - 1);
+        }
+
+        for (let cy = minY; cy <= maxY; cy++) {
+            for (let cx = minX; cx <= maxX; cx++) {
+                const cell = this.cells.get(this.getKey(cx, cy));
+                if (!cell) continue;
+                for (let i = 0; i < cell.length; i++) {
+                    out.push(cell[i]);
+                }
+            }
+        }
+        return out;
+    }
+
+    // Shortest signed distance along an axis when the world wraps
+    wrapDeltaX(dx) {
+        if (this.columns === 0) return dx;
+        return dx - Math.round(dx / this.worldWidth) * this.worldWidth;
+    }
+
+    wrapDeltaY(dy) {
+        if (this.rows === 0) return dy;
+        return dy - Math.round(dy / this.worldHeight) * this.worldHeight;
+    }
+}
+
+export default SpatialHash;
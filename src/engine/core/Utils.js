@@ -2,29 +2,45 @@
  * Utility Functions and Math Helpers
  */
 
+import { RNG } from './Random.js';
+
 export const Utils = {
+    // Simulation clock in ms - advanced by the engine each frame so gameplay timers
+    // follow game time (and replay identically) instead of wall-clock time
+    clockTime: 0,
+    
+    now() {
+        return this.clockTime;
+    },
+    
+    advanceClock(dt) {
+        this.clockTime += dt * 1000;
+    },
+    
+    resetClock() {
+        this.clockTime = 0;
+    },
+    
+    // Random helpers draw from the seeded RNG service (layout stream unless another is named)
+    
     // Random number between min and max
-    random(min, max) {
-        return Math.random() * (max - min) + min;
+    random(min, max, stream = 'layout') {
+        return RNG.stream(stream).range(min, max);
     },
     
     // Random integer between min and max (inclusive)
-    randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    randomInt(min, max, stream = 'layout') {
+        return RNG.stream(stream).int(min, max);
     },
     
     // Random item from array
-    randomChoice(array) {
-        return array[Math.floor(Math.random() * array.length)];
+    randomChoice(array, stream = 'layout') {
+        return RNG.stream(stream).choice(array);
     },
     
     // Shuffle array in place
-    shuffle(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
-        return array;
+    shuffle(array, stream = 'layout') {
+        return RNG.stream(stream).shuffle(array);
     },
     
     // Clamp value between min and max
@@ -186,8 +202,8 @@ export const Utils = {
         };
     },
     
-    // Object pool for performance
-    createPool(factory, initialSize = 10) {
+    // Object pool for performance - reset(obj) runs on each recycled object before it's handed out
+    createPool(factory, initialSize = 10, reset = null) {
         const pool = [];
         const active = [];
         
@@ -200,6 +216,8 @@ export const Utils = {
                 let obj = pool.pop();
                 if (!obj) {
                     obj = factory();
+                } else if (reset) {
+                    reset(obj);
                 }
                 active.push(obj);
                 return obj;
@@ -207,7 +225,9 @@ export const Utils = {
             release(obj) {
                 const index = active.indexOf(obj);
                 if (index > -1) {
-                    active.splice(index, 1);
+                    // Active order doesn't matter, so swap the last one in instead of splicing
+                    active[index] = active[active.length - 1];
+                    active.pop();
                     pool.push(obj);
                 }
             },
@@ -5,6 +5,8 @@
 
 import { Utils } from '../engine/core/Utils.js';
 import { ClassDefinitions } from '../classes/ClassDefinitions.js';
+import { RNG } from '../engine/core/Random.js';
+import { StatusEffects, renderStatusIcons } from '../combat/StatusEffects.js';
 
 // Market building types
 export const BUILDING_TYPES = {
@@ -127,18 +129,18 @@ export class MarketLayout {
     }
     
     spawnWanderingNPCs() {
-        const wandererCount = 8 + Math.floor(Math.random() * 5);
+        const wandererCount = 8 + Math.floor(RNG.cosmetic.next() * 5);
         const guardCount = 4;
         
         // Wanderers
         for (let i = 0; i < wandererCount; i++) {
             const npc = new MarketNPC(
                 NPC_TYPES.WANDERER,
-                15 + Math.random() * 30,
-                15 + Math.random() * 25,
-                Math.random() > 0.5 ? 'male' : 'female'
+                15 + RNG.cosmetic.next() * 30,
+                15 + RNG.cosmetic.next() * 25,
+                RNG.cosmetic.next() > 0.5 ? 'male' : 'female'
             );
-            npc.dialogue = WANDERER_DIALOGUES[Math.floor(Math.random() * WANDERER_DIALOGUES.length)];
+            npc.dialogue = WANDERER_DIALOGUES[Math.floor(RNG.cosmetic.next() * WANDERER_DIALOGUES.length)];
             this.npcs.push(npc);
         }
         
@@ -147,10 +149,10 @@ export class MarketLayout {
             const npc = new MarketNPC(
                 NPC_TYPES.GUARD,
                 5 + (i * 15),
-                20 + Math.random() * 10,
+                20 + RNG.cosmetic.next() * 10,
                 'male'
             );
-            npc.dialogue = GUARD_DIALOGUES[Math.floor(Math.random() * GUARD_DIALOGUES.length)];
+            npc.dialogue = GUARD_DIALOGUES[Math.floor(RNG.cosmetic.next() * GUARD_DIALOGUES.length)];
             this.npcs.push(npc);
         }
     }
@@ -272,15 +274,15 @@ export class MarketBuilding {
         const availableClasses = [...MERCENARY_CLASSES];
         
         for (let i = 0; i < 3; i++) {
-            const classIndex = Math.floor(Math.random() * availableClasses.length);
+            const classIndex = Math.floor(RNG.loot.next() * availableClasses.length);
             const mercClass = availableClasses.splice(classIndex, 1)[0];
             const names = ['Grok', 'Luna', 'Zephyr', 'Thorne', 'Iris', 'Rex', 'Maya', 'Draven'];
             
             this.mercenaries.push({
-                name: names[Math.floor(Math.random() * names.length)],
+                name: names[Math.floor(RNG.loot.next() * names.length)],
                 class: mercClass,
-                level: Math.floor(Math.random() * 5) + 1,
-                price: 500 + Math.floor(Math.random() * 500),
+                level: Math.floor(RNG.loot.next() * 5) + 1,
+                price: 500 + Math.floor(RNG.loot.next() * 500),
                 dialogues: this.generateMercenaryDialogues(mercClass)
             });
         }
@@ -369,16 +371,16 @@ export class MarketNPC {
         this.wanderTimer = 0;
         this.wanderTarget = null;
         this.velocity = { x: 0, y: 0 };
-        this.speed = 30 + Math.random() * 20;
+        this.speed = 30 + RNG.cosmetic.next() * 20;
         
         // Random appearance
         this.color = this.getRandomColor();
-        this.size = 28 + Math.random() * 8;
+        this.size = 28 + RNG.cosmetic.next() * 8;
     }
     
     getRandomColor() {
         const colors = ['#8B4513', '#D2691E', '#F4A460', '#DEB887', '#D2B48C', '#BC8F8F'];
-        return colors[Math.floor(Math.random() * colors.length)];
+        return colors[Math.floor(RNG.cosmetic.next() * colors.length)];
     }
     
     update(dt, bounds) {
@@ -398,11 +400,11 @@ export class MarketNPC {
                 // Pick new wander target
                 if (bounds) {
                     this.wanderTarget = {
-                        x: bounds.minX + Math.random() * (bounds.maxX - bounds.minX),
-                        y: bounds.minY + Math.random() * (bounds.maxY - bounds.minY)
+                        x: bounds.minX + RNG.cosmetic.next() * (bounds.maxX - bounds.minX),
+                        y: bounds.minY + RNG.cosmetic.next() * (bounds.maxY - bounds.minY)
                     };
                 }
-                this.wanderTimer = 2 + Math.random() * 4;
+                this.wanderTimer = 2 + RNG.cosmetic.next() * 4;
             }
             
             if (this.wanderTarget) {
@@ -457,7 +459,7 @@ export class FortuneReading {
         // Draw 3 cards
         const deck = [...TAROT_CARDS];
         for (let i = 0; i < 3; i++) {
-            const index = Math.floor(Math.random() * deck.length);
+            const index = Math.floor(RNG.loot.next() * deck.length);
             this.cards.push(deck.splice(index, 1)[0]);
         }
         
@@ -568,14 +570,20 @@ export class Mercenary {
         // Combat
         this.pendingAttack = null;
         this.active = true;
+        this.statusEffects = new StatusEffects(this, classData.statusImmunities);
         
         // Color based on class
         this.color = classData.color || '#888888';
     }
     
-    update(dt, player, enemies) {
+    // pathfinder (dungeon/Pathfinding.js) is optional; without one the mercenary walks straight
+    update(dt, player, enemies, pathfinder = null) {
         if (!this.active) return;
         
+        // Status effects tick first; a stunned mercenary just stands there
+        this.updateStatusEffects(dt);
+        if (!this.active || this.hasStatusEffect('stun')) return;
+        
         // Update cooldowns
         if (this.attackCooldown > 0) {
             this.attackCooldown -= dt;
@@ -583,9 +591,9 @@ export class Mercenary {
         
         // Random dialogue
         this.talkTimer -= dt;
-        if (this.talkTimer <= 0 && Math.random() < 0.01) {
+        if (this.talkTimer <= 0 && RNG.cosmetic.next() < 0.01) {
             this.speak();
-            this.talkTimer = 10 + Math.random() * 20;
+            this.talkTimer = 10 + RNG.cosmetic.next() * 20;
         }
         
         // Find nearest enemy
@@ -615,10 +623,7 @@ export class Mercenary {
             
             if (dist > this.attackRange) {
                 // Move closer
-                this.velocity.x = (dx / dist) * this.speed;
-                this.velocity.y = (dy / dist) * this.speed;
-                this.x += this.velocity.x * dt;
-                this.y += this.velocity.y * dt;
+                this.moveToward(nearestEnemy, this.speed, dt, pathfinder);
             } else if (this.attackCooldown <= 0) {
                 // Attack!
                 this.attack(nearestEnemy);
@@ -634,10 +639,7 @@ export class Mercenary {
             
             const followDistance = 60;
             if (dist > followDistance) {
-                this.velocity.x = (dx / dist) * this.speed * 0.8;
-                this.velocity.y = (dy / dist) * this.speed * 0.8;
-                this.x += this.velocity.x * dt;
-                this.y += this.velocity.y * dt;
+                this.moveToward(player, this.speed * 0.8, dt, pathfinder);
             } else {
                 this.velocity.x *= 0.9;
                 this.velocity.y *= 0.9;
@@ -645,6 +647,30 @@ export class Mercenary {
         }
     }
     
+    moveToward(target, speed, dt, pathfinder) {
+        speed *= this.statusEffects.getSpeedMultiplier();
+        let direction;
+        if (pathfinder) {
+            direction = pathfinder.getDirection(this, target);
+        } else {
+            const dx = target.x - this.x;
+            const dy = target.y - this.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            direction = dist > 0 ? { x: dx / dist, y: dy / dist } : null;
+        }
+        
+        if (!direction) {
+            this.velocity.x = 0;
+            this.velocity.y = 0;
+            return;
+        }
+        
+        this.velocity.x = direction.x * speed;
+        this.velocity.y = direction.y * speed;
+        this.x += this.velocity.x * dt;
+        this.y += this.velocity.y * dt;
+    }
+    
     attack(enemy) {
         this.attackCooldown = 1.0;
         
@@ -664,7 +690,7 @@ export class Mercenary {
     
     speak() {
         if (this.dialogues && this.dialogues.length > 0) {
-            this.currentDialogue = this.dialogues[Math.floor(Math.random() * this.dialogues.length)];
+            this.currentDialogue = this.dialogues[Math.floor(RNG.cosmetic.next() * this.dialogues.length)];
             setTimeout(() => {
                 this.currentDialogue = "";
             }, 3000);
@@ -686,6 +712,30 @@ export class Mercenary {
     heal(amount) {
         this.health = Math.min(this.maxHealth, this.health + amount);
     }
+    
+    updateStatusEffects(dt) {
+        this.statusEffects.update(dt);
+    }
+    
+    addStatusEffect(effect) {
+        return this.statusEffects.add(effect);
+    }
+    
+    hasStatusEffect(type) {
+        return this.statusEffects.has(type);
+    }
+    
+    getStatusEffectValue(type) {
+        return this.statusEffects.getValue(type);
+    }
+    
+    removeStatusEffect(type) {
+        return this.statusEffects.remove(type);
+    }
+    
+    renderStatusEffects(ctx) {
+        renderStatusIcons(ctx, this.statusEffects, this.x, this.y - 40);
+    }
 }
 
 // Arena challenge
@@ -716,7 +766,7 @@ export class ArenaChallenge {
         this.rewards = {
             gold: 200 * this.floor,
             exp: 100 * this.floor,
-            item: Math.random() < 0.3 ? { type: 'weapon', rarity: 'rare' } : null
+            item: RNG.loot.next() < 0.3 ? { type: 'weapon', rarity: 'rare' } : null
         };
     }
 }
@@ -737,7 +787,7 @@ export class GuildQuest {
     
     generate() {
         const questTypes = ['kill', 'collect', 'explore', 'boss'];
-        this.type = this.type || questTypes[Math.floor(Math.random() * questTypes.length)];
+        this.type = this.type || questTypes[Math.floor(RNG.loot.next() * questTypes.length)];
         
         switch (this.type) {
             case 'kill':
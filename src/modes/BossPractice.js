@@ -0,0 +1,389 @@
+/**
+ * Boss Practice - Loops a single boss pattern on demand
+ * Runs a normal GameScene with one boss and pins it to the chosen pattern and phase,
+ * so signature moves can be learned and patterns checked after balance changes.
+ * Hitbox overlays show where each hazard connects with the player, and hits taken
+ * are tallied per loop. Open from the class select screen, the `practice` console
+ * command or ?practice in the URL.
+ */
+
+import { Scene, renderInterpolated } from '../engine/core/Engine.js';
+import { FloorEnemies, BossTypes } from '../combat/Enemy.js';
+import { getPatternPool } from '../combat/BossPatterns.js';
+
+const SPEEDS = [0.25, 0.5, 0.75, 1, 1.5, 2];
+const PHASES = [1, 2, 3];
+
+// How far from the player the boss stands at the start of practice
+const SPAWN_DISTANCE = 200;
+
+// Pause before the first loop so the boss settles into the chosen phase
+const LEAD_IN = 0.5;
+
+// Hit distances from the player's position, matching the checks in CombatManager and Enemy
+const PROJECTILE_HIT_RADIUS = 30;
+const ORB_HIT_RADIUS = 20;
+
+const ROWS = ['boss', 'pattern', 'phase', 'speed', 'hitboxes', 'invulnerable'];
+
+// Every boss the game can spawn: floor bosses by theme, then the classic bosses
+function listBosses() {
+    const bosses = [];
+    for (const [theme, floorData] of Object.entries(FloorEnemies)) {
+        for (const [key, config] of Object.entries(floorData.boss || {})) {
+            bosses.push({ key, config, theme });
+        }
+    }
+    for (const [key, config] of Object.entries(BossTypes)) {
+        bosses.push({ key, config, theme: 'classic' });
+    }
+    return bosses;
+}
+
+export class BossPracticeScene extends Scene {
+    constructor(engine, scene) {
+        super();
+        this.engine = engine;
+        this.scene = scene;
+        this.scene.gameplaySettings.marketsEnabled = false;
+
+        this.bosses = listBosses();
+        this.bossIndex = 0;
+        this.patterns = [];
+        this.patternIndex = 0;
+        this.phase = 1;
+        this.speedIndex = SPEEDS.indexOf(1);
+        this.showHitboxes = true;
+        this.invulnerable = true;
+        this.selectedRow = 0;
+
+        this.boss = null;
+        this.home = null;
+        this.stats = null;
+        this.lastStartCount = 0;
+
+        this.resetStats();
+        this.spawnBoss();
+    }
+
+    get bossEntry() {
+        return this.bosses[this.bossIndex];
+    }
+
+    get patternName() {
+        return this.patterns[this.patternIndex] || null;
+    }
+
+    // Signature move first, then everything the boss draws from at the chosen phase
+    refreshPatterns() {
+        const previous = this.patternName;
+        const pool = getPatternPool(this.boss, this.phase);
+        const signature = this.boss.signaturePattern;
+        this.patterns = signature && pool.includes(signature)
+            ? [signature, ...pool.filter(name => name !== signature)]
+            : pool;
+
+        // Keep the selected pattern through phase changes when it is still available
+        const index = this.patterns.indexOf(previous);
+        this.patternIndex = index >= 0 ? index : 0;
+        this.boss.forcedPattern = this.patternName;
+    }
+
+    // A floor tile at spawn distance from the player, trying each direction in turn
+    findBossSpot() {
+        const player = this.scene.player;
+        const dungeon = this.scene.dungeon;
+        for (const distance of [SPAWN_DISTANCE, SPAWN_DISTANCE * 0.6]) {
+            for (let i = 0; i < 8; i++) {
+                const angle = (i / 8) * Math.PI * 2;
+                const x = player.x + Math.cos(angle) * distance;
+                const y = player.y + Math.sin(angle) * distance;
+                if (dungeon.isWalkable(Math.floor(x / 32), Math.floor(y / 32))) {
+                    return { x, y };
+                }
+            }
+        }
+        return { x: player.x + SPAWN_DISTANCE, y: player.y };
+    }
+
+    spawnBoss() {
+        const scene = this.scene;
+        const { key, config } = this.bossEntry;
+
+        // Only the practice boss is in the fight
+        scene.enemies.length = 0;
+        scene.combatManager.clear();
+
+        this.home = this.findBossSpot();
+        const boss = scene.createCoreBoss(key, config, this.home.x, this.home.y);
+        boss.prevX = boss.x;
+        boss.prevY = boss.y;
+        boss.maxMinions = 0;
+        boss.attackTimer = LEAD_IN;
+        scene.enemies.push(boss);
+
+        this.boss = boss;
+        this.lastStartCount = 0;
+        this.refreshPatterns();
+    }
+
+    // Put the boss back where it spawned and run the pattern again from a clean slate
+    restartLoop() {
+        const boss = this.boss;
+        boss.endBossPattern();
+        boss.x = boss.prevX = this.home.x;
+        boss.y = boss.prevY = this.home.y;
+        boss.velocity.x = 0;
+        boss.velocity.y = 0;
+        boss.trackingOrbs = [];
+        boss.lightningZones = [];
+        boss.attackTimer = LEAD_IN;
+        this.clearSummons();
+        // Shots still in flight from the last loop would count towards this one
+        this.scene.combatManager.clear();
+        this.resetStats();
+    }
+
+    resetStats() {
+        this.stats = { loops: 0, hits: 0, damage: 0, deaths: 0 };
+    }
+
+    clearSummons() {
+        this.scene.enemies = this.scene.enemies.filter(enemy => enemy === this.boss);
+    }
+
+    // Health-based phase changes never fire while the boss is topped up, so pin it here
+    applyPhase() {
+        const boss = this.boss;
+        boss.health = boss.maxHealth;
+        if (!boss.phasesTriggered) return; // Boss AI sets its state up on its first update
+        boss.bossPhase = this.phase;
+        boss.bossStage = this.phase;
+        boss.phasesTriggered = [0.66, 0.33];
+    }
+
+    changeSetting(row, step) {
+        const wrap = (index, length) => (index + step + length) % length;
+        switch (row) {
+            case 'boss':
+                this.bossIndex = wrap(this.bossIndex, this.bosses.length);
+                this.spawnBoss();
+                this.resetStats();
+                break;
+            case 'pattern':
+                this.patternIndex = wrap(this.patternIndex, this.patterns.length);
+                this.boss.forcedPattern = this.patternName;
+                this.restartLoop();
+                break;
+            case 'phase':
+                this.phase = PHASES[wrap(PHASES.indexOf(this.phase), PHASES.length)];
+                this.refreshPatterns();
+                this.restartLoop();
+                break;
+            case 'speed':
+                this.speedIndex = Math.max(0, Math.min(SPEEDS.length - 1, this.speedIndex + step));
+                break;
+            case 'hitboxes':
+                this.showHitboxes = !this.showHitboxes;
+                break;
+            case 'invulnerable':
+                this.invulnerable = !this.invulnerable;
+                break;
+        }
+    }
+
+    // Arrows and WASD move the player, so the panel uses Tab and the bracket keys
+    handleInput() {
+        const engine = this.engine;
+        if (this.scene.pauseMenu.visible || this.scene.commandMode) return;
+
+        if (engine.wasKeyJustPressed('Tab')) {
+            const step = engine.isKeyDown('ShiftLeft') || engine.isKeyDown('ShiftRight') ? -1 : 1;
+            this.selectedRow = (this.selectedRow + step + ROWS.length) % ROWS.length;
+        }
+        if (engine.wasKeyJustPressed('BracketLeft')) {
+            this.changeSetting(ROWS[this.selectedRow], -1);
+        }
+        if (engine.wasKeyJustPressed('BracketRight')) {
+            this.changeSetting(ROWS[this.selectedRow], 1);
+        }
+        if (engine.wasKeyJustPressed('Backspace')) {
+            this.restartLoop();
+        }
+    }
+
+    update(dt) {
+        const scene = this.scene;
+
+        // Quitting from the pause menu leaves practice
+        if (scene.quitToMenu) {
+            this.engine.timeScale = 1;
+            return 'exit';
+        }
+
+        this.handleInput();
+        this.engine.timeScale = SPEEDS[this.speedIndex];
+
+        // Practice never heads to the market, and a lost boss (killed, new floor) comes back
+        scene.goToMarket = false;
+        if (!scene.enemies.includes(this.boss)) {
+            this.spawnBoss();
+        }
+
+        this.applyPhase();
+        const player = scene.player;
+        const healthBefore = player.health;
+
+        scene.update(dt);
+
+        this.applyPhase();
+        this.trackPlayerHealth(healthBefore);
+
+        // Each new start of the pinned pattern is one loop
+        const started = this.boss.patternsStarted || 0;
+        if (started !== this.lastStartCount) {
+            this.stats.loops += started - this.lastStartCount;
+            this.lastStartCount = started;
+            this.clearSummons();
+        }
+
+        return null;
+    }
+
+    trackPlayerHealth(healthBefore) {
+        const player = this.scene.player;
+        if (player.health < healthBefore) {
+            this.stats.hits++;
+            this.stats.damage += healthBefore - player.health;
+        }
+
+        // Hits still count while invulnerable; the damage just doesn't stick
+        if (player.health <= 0 && !this.invulnerable) {
+            this.stats.deaths++;
+            player.health = player.maxHealth;
+        } else if (this.invulnerable) {
+            player.health = Math.max(player.health, healthBefore);
+        }
+    }
+
+    render(ctx) {
+        const scene = this.scene;
+        renderInterpolated(scene.getInterpolatedObjects(), this.engine.renderAlpha, () => {
+            scene.renderFrame(ctx);
+            if (this.showHitboxes && !scene.pauseMenu.visible) {
+                this.renderHitboxes(ctx);
+            }
+        });
+        if (!scene.pauseMenu.visible) {
+            this.renderPanel(ctx);
+        }
+    }
+
+    // Hazards are drawn as the area the player's position must stay out of
+    renderHitboxes(ctx) {
+        const scene = this.scene;
+        const camera = scene.camera;
+        const boss = this.boss;
+        const player = scene.player;
+
+        ctx.save();
+        ctx.translate(-camera.x + ctx.canvas.width / 2, -camera.y + ctx.canvas.height / 2);
+        ctx.lineWidth = 1;
+
+        const circle = (x, y, radius, color) => {
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            ctx.arc(x, y, Math.max(0, radius), 0, Math.PI * 2);
+            ctx.stroke();
+        };
+
+        // Bodies
+        ctx.strokeStyle = '#ffaa00';
+        ctx.strokeRect(boss.x - boss.width / 2, boss.y - boss.height / 2, boss.width, boss.height);
+        ctx.strokeStyle = '#00ff88';
+        ctx.strokeRect(player.x - player.width / 2, player.y - player.height / 2, player.width, player.height);
+        ctx.fillStyle = '#00ff88';
+        ctx.fillRect(player.x - 2, player.y - 2, 4, 4);
+
+        // Combat hazards owned by the boss side
+        const combat = scene.combatManager;
+        for (const proj of combat.projectiles) {
+            if (proj.owner === player) continue;
+            circle(proj.x, proj.y, PROJECTILE_HIT_RADIUS, '#ff4444');
+        }
+        for (const attack of combat.meleeAttacks) {
+            if (attack.owner === player) continue;
+            circle(attack.x, attack.y, attack.range, '#ff8844');
+        }
+        for (const zone of combat.aoeZones) {
+            if (zone.owner === player) continue;
+            if (zone.isDarkPulse) {
+                circle(zone.x, zone.y, zone.currentRadius, '#cc66ff');
+                circle(zone.x, zone.y, zone.currentRadius - zone.ringWidth * 2, '#cc66ff');
+            } else {
+                circle(zone.x, zone.y, zone.radius, '#ff44aa');
+            }
+        }
+
+        // Hazards the boss tracks itself
+        for (const orb of boss.trackingOrbs || []) {
+            circle(orb.x, orb.y, ORB_HIT_RADIUS, '#ffff44');
+        }
+        for (const zone of boss.lightningZones || []) {
+            circle(zone.x, zone.y, zone.radius, zone.struck ? '#ffffff' : '#ffff88');
+        }
+        if (boss.showTelegraph && boss.telegraphRadius) {
+            ctx.setLineDash([6, 6]);
+            circle(boss.x, boss.y, boss.telegraphRadius, '#ff4444');
+            ctx.setLineDash([]);
+        }
+
+        ctx.restore();
+    }
+
+    renderPanel(ctx) {
+        const boss = this.boss;
+        const entry = this.bossEntry;
+        const values = {
+            boss: `${boss.name || entry.key} (${entry.theme})`,
+            pattern: this.patternName
+                ? `${this.patternName}${this.patternName === boss.signaturePattern ? ' [signature]' : ''}`
+                : 'none',
+            phase: `${this.phase}`,
+            speed: `${SPEEDS[this.speedIndex]}x`,
+            hitboxes: this.showHitboxes ? 'on' : 'off',
+            invulnerable: this.invulnerable ? 'on' : 'off'
+        };
+
+        const x = 10;
+        const width = 360;
+        const height = 60 + ROWS.length * 20 + 40;
+        const y = Math.round(ctx.canvas.height / 2 - height / 2);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(x, y, width, height);
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 16px monospace';
+        ctx.fillText('Boss Practice', x + 10, y + 22);
+
+        ctx.font = '13px monospace';
+        ROWS.forEach((row, i) => {
+            const rowY = y + 48 + i * 20;
+            const selected = i === this.selectedRow;
+            ctx.fillStyle = selected ? '#ffdd66' : '#cccccc';
+            ctx.fillText(`${selected ? '>' : ' '} ${row.padEnd(12)} ${values[row]}`, x + 10, rowY);
+        });
+
+        const stats = this.stats;
+        const statsY = y + 48 + ROWS.length * 20 + 6;
+        ctx.fillStyle = '#88ccff';
+        ctx.fillText(`Loops ${stats.loops}   Hits ${stats.hits}   Damage ${Math.round(stats.damage)}   Deaths ${stats.deaths}`, x + 10, statsY);
+
+        ctx.fillStyle = '#888888';
+        ctx.fillText('Tab: row  [ ]: change  Backspace: restart  Esc: quit', x + 10, statsY + 20);
+    }
+}
+
+export default BossPracticeScene;
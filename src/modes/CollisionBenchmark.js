@@ -0,0 +1,267 @@
+/**
+ * Collision Benchmark - Stress scene for the CombatManager broadphase
+ * A turret sprays a bullet-hell spiral into a crowd of wandering dummies. The scene
+ * alternates between the spatial hash and full scans every few frames on the same
+ * live state and reports the average combat update time for each.
+ * Open with ?benchmark in the URL.
+ */
+
+import { Scene } from '../engine/core/Engine.js';
+import { CombatManager } from '../combat/Combat.js';
+import { RNG } from '../engine/core/Random.js';
+
+const ARENA_WIDTH = 60;  // tiles
+const ARENA_HEIGHT = 40;
+const PROJECTILE_LIFETIME = 2;
+const PROJECTILE_SPEED = 220;
+const SPIRAL_ARMS = 6;
+const SPIRAL_TURN_RATE = 1.5; // radians per second
+
+const PROJECTILE_COUNTS = [250, 500, 1000, 2000];
+const DUMMY_COUNTS = [25, 50, 100, 200];
+
+// Frames each mode runs before switching, and how many samples the averages cover
+const FRAMES_PER_MODE = 30;
+const SAMPLE_WINDOW = 240;
+
+// Open floor with a wall border, shaped like a generated dungeon
+function createArena(width, height) {
+    const tiles = [];
+    for (let y = 0; y < height; y++) {
+        const row = [];
+        for (let x = 0; x < width; x++) {
+            const edge = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+            row.push(edge ? 2 : 1);
+        }
+        tiles.push(row);
+    }
+
+    return {
+        tiles,
+        width,
+        height,
+        getTile(x, y) {
+            const wrappedX = ((x % width) + width) % width;
+            const wrappedY = ((y % height) + height) % height;
+            return tiles[wrappedY][wrappedX];
+        }
+    };
+}
+
+// Target that soaks hits without dying so the crowd size stays fixed
+function createDummy(x, y) {
+    return {
+        x,
+        y,
+        width: 32,
+        height: 32,
+        health: 100,
+        maxHealth: 100,
+        velocity: { x: 0, y: 0 },
+        takeDamage(amount) {
+            return amount;
+        }
+    };
+}
+
+export class CollisionBenchmarkScene extends Scene {
+    constructor(engine) {
+        super();
+        this.engine = engine;
+
+        this.arena = createArena(ARENA_WIDTH, ARENA_HEIGHT);
+        this.combatManager = new CombatManager(null);
+        this.combatManager.setDungeon(this.arena);
+
+        // Projectiles owned by a "player" so the dummies count as enemies
+        this.turret = {
+            x: ARENA_WIDTH * 16,
+            y: ARENA_HEIGHT * 16,
+            className: 'Benchmark'
+        };
+        this.spiralAngle = 0;
+        this.spawnCarry = 0;
+
+        this.frame = 0;
+        this.samples = { broadphase: [], fullScan: [] };
+        this.exitRequested = false;
+
+        this.projectileSetting = 2;
+        this.dummySetting = 2;
+        this.dummies = [];
+        this.resetDummies();
+    }
+
+    get projectileTarget() {
+        return PROJECTILE_COUNTS[this.projectileSetting];
+    }
+
+    resetDummies() {
+        this.dummies = [];
+        const count = DUMMY_COUNTS[this.dummySetting];
+        for (let i = 0; i < count; i++) {
+            const dummy = createDummy(
+                64 + RNG.cosmetic.next() * (ARENA_WIDTH * 32 - 128),
+                64 + RNG.cosmetic.next() * (ARENA_HEIGHT * 32 - 128)
+            );
+            const angle = RNG.cosmetic.next() * Math.PI * 2;
+            dummy.velocity.x = Math.cos(angle) * 60;
+            dummy.velocity.y = Math.sin(angle) * 60;
+            this.dummies.push(dummy);
+        }
+        this.resetSamples();
+    }
+
+    resetSamples() {
+        this.samples.broadphase.length = 0;
+        this.samples.fullScan.length = 0;
+    }
+
+    // Fire enough spiral shots to hold the projectile count near its target
+    spawnSpiral(dt) {
+        this.spiralAngle += SPIRAL_TURN_RATE * dt;
+        this.spawnCarry += (this.projectileTarget / PROJECTILE_LIFETIME) * dt;
+
+        while (this.spawnCarry >= 1) {
+            this.spawnCarry--;
+            const arm = Math.floor(RNG.cosmetic.next() * SPIRAL_ARMS);
+            const angle = this.spiralAngle + (arm / SPIRAL_ARMS) * Math.PI * 2;
+            this.combatManager.addAttack({
+                type: 'projectile',
+                x: this.turret.x,
+                y: this.turret.y,
+                targetX: this.turret.x + Math.cos(angle),
+                targetY: this.turret.y + Math.sin(angle),
+                speed: PROJECTILE_SPEED,
+                damage: 1
+            }, this.turret);
+
+            const projectile = this.combatManager.projectiles[this.combatManager.projectiles.length - 1];
+            projectile.lifetime = PROJECTILE_LIFETIME;
+        }
+    }
+
+    moveDummies(dt) {
+        const maxX = ARENA_WIDTH * 32 - 64;
+        const maxY = ARENA_HEIGHT * 32 - 64;
+        for (const dummy of this.dummies) {
+            dummy.x += dummy.velocity.x * dt;
+            dummy.y += dummy.velocity.y * dt;
+            if (dummy.x < 32 || dummy.x > maxX) dummy.velocity.x *= -1;
+            if (dummy.y < 32 || dummy.y > maxY) dummy.velocity.y *= -1;
+            dummy.x = Math.max(32, Math.min(maxX, dummy.x));
+            dummy.y = Math.max(32, Math.min(maxY, dummy.y));
+        }
+    }
+
+    handleInput() {
+        const engine = this.engine;
+        if (engine.wasMenuKeyJustPressed('Escape')) {
+            this.exitRequested = true;
+        }
+        if (engine.wasMenuKeyJustPressed('ArrowUp')) {
+            this.projectileSetting = Math.min(PROJECTILE_COUNTS.length - 1, this.projectileSetting + 1);
+            this.resetSamples();
+        }
+        if (engine.wasMenuKeyJustPressed('ArrowDown')) {
+            this.projectileSetting = Math.max(0, this.projectileSetting - 1);
+            this.resetSamples();
+        }
+        if (engine.wasMenuKeyJustPressed('ArrowRight')) {
+            this.dummySetting = Math.min(DUMMY_COUNTS.length - 1, this.dummySetting + 1);
+            this.resetDummies();
+        }
+        if (engine.wasMenuKeyJustPressed('ArrowLeft')) {
+            this.dummySetting = Math.max(0, this.dummySetting - 1);
+            this.resetDummies();
+        }
+    }
+
+    update(dt) {
+        this.handleInput();
+        if (this.exitRequested) return 'exit';
+
+        this.spawnSpiral(dt);
+        this.moveDummies(dt);
+
+        // Both modes run on the same live state, switching every few frames
+        const useBroadphase = Math.floor(this.frame / FRAMES_PER_MODE) % 2 === 0;
+        this.combatManager.useBroadphase = useBroadphase;
+        this.frame++;
+
+        // Particles aren't part of collision cost; drop them so they can't skew one mode
+        this.combatManager.particles.clear();
+
+        const start = performance.now();
+        this.combatManager.separateEnemies(this.dummies, dt);
+        this.combatManager.update(dt, this.dummies);
+        const elapsed = performance.now() - start;
+
+        const samples = useBroadphase ? this.samples.broadphase : this.samples.fullScan;
+        samples.push(elapsed);
+        if (samples.length > SAMPLE_WINDOW) samples.shift();
+
+        return null;
+    }
+
+    getAverage(samples) {
+        if (samples.length === 0) return 0;
+        let total = 0;
+        for (const sample of samples) total += sample;
+        return total / samples.length;
+    }
+
+    render(ctx) {
+        const canvas = ctx.canvas;
+        ctx.fillStyle = '#0a0a12';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Fit the whole arena on screen
+        const worldW = ARENA_WIDTH * 32;
+        const worldH = ARENA_HEIGHT * 32;
+        const scale = Math.min(canvas.width / worldW, (canvas.height - 120) / worldH);
+
+        ctx.save();
+        ctx.translate((canvas.width - worldW * scale) / 2, 110);
+        ctx.scale(scale, scale);
+
+        ctx.strokeStyle = '#444466';
+        ctx.lineWidth = 32;
+        ctx.strokeRect(16, 16, worldW - 32, worldH - 32);
+
+        ctx.fillStyle = '#aa4444';
+        for (const dummy of this.dummies) {
+            ctx.fillRect(dummy.x, dummy.y, dummy.width, dummy.height);
+        }
+
+        ctx.fillStyle = '#ffdd66';
+        for (const proj of this.combatManager.projectiles) {
+            ctx.fillRect(proj.x - 3, proj.y - 3, 6, 6);
+        }
+        ctx.restore();
+
+        this.renderStats(ctx);
+    }
+
+    renderStats(ctx) {
+        const broadphase = this.getAverage(this.samples.broadphase);
+        const fullScan = this.getAverage(this.samples.fullScan);
+        const speedup = broadphase > 0 ? fullScan / broadphase : 0;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 20px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText('Collision Benchmark', 20, 30);
+
+        ctx.font = '14px monospace';
+        ctx.fillText(`Projectiles: ${this.combatManager.projectiles.length} (target ${this.projectileTarget})   Dummies: ${this.dummies.length}`, 20, 54);
+        ctx.fillText(`Full scan:  ${fullScan.toFixed(3)} ms/frame`, 20, 74);
+        ctx.fillText(`Broadphase: ${broadphase.toFixed(3)} ms/frame   (${speedup.toFixed(1)}x faster)`, 20, 94);
+
+        ctx.fillStyle = '#888888';
+        ctx.textAlign = 'right';
+        ctx.fillText('Up/Down: projectiles   Left/Right: dummies   Esc: exit', ctx.canvas.width - 20, 30);
+    }
+}
+
+export default CollisionBenchmarkScene;
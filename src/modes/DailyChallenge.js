@@ -0,0 +1,137 @@
+/**
+ * Daily Challenge - One shared run per day
+ * The date picks the seed, the class and the run modifiers, so everyone playing
+ * on the same day gets identical dungeons. Results go to a local per-date leaderboard.
+ */
+
+import { ClassDefinitions } from '../classes/ClassDefinitions.js';
+import { RandomStream, hashSeed } from '../engine/core/Random.js';
+
+const LEADERBOARD_KEY_PREFIX = 'delugeDaily_';
+const LEADERBOARD_SIZE = 10;
+
+// Run modifiers - `gameplay` values are merged over GameScene.gameplaySettings and locked for the run
+export const DAILY_MODIFIERS = {
+    noMarkets: {
+        id: 'noMarkets',
+        name: 'No Markets',
+        description: 'Descend straight to the next floor',
+        gameplay: { marketsEnabled: false }
+    },
+    titans: {
+        id: 'titans',
+        name: 'Titans',
+        description: 'Bosses have double health',
+        gameplay: { bossHealthMultiplier: 2 }
+    },
+    brutal: {
+        id: 'brutal',
+        name: 'Brutal',
+        description: 'Enemies deal 50% more damage',
+        gameplay: { enemyDamageMultiplier: 1.5 }
+    },
+    greed: {
+        id: 'greed',
+        name: 'Greed',
+        description: 'Enemies drop double gold',
+        gameplay: { goldMultiplier: 2 }
+    },
+    frenzy: {
+        id: 'frenzy',
+        name: 'Frenzy',
+        description: 'Enemies move 25% faster',
+        gameplay: { enemySpeedMultiplier: 1.25 }
+    }
+};
+
+// Always on: markets are skipped so shop luck can't separate two runs of the same day
+const FIXED_MODIFIERS = ['noMarkets'];
+const ROTATING_MODIFIER_COUNT = 2;
+
+// Date key in UTC so every timezone shares the same daily run
+export function getDailyDateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+export function createDailyChallenge(date = new Date()) {
+    const dateKey = getDailyDateKey(date);
+    const picker = new RandomStream(hashSeed('daily', dateKey));
+
+    const classKeys = Object.keys(ClassDefinitions);
+    const classKey = picker.choice(classKeys);
+
+    const rotating = Object.keys(DAILY_MODIFIERS).filter(id => !FIXED_MODIFIERS.includes(id));
+    picker.shuffle(rotating);
+    const modifierIds = [...FIXED_MODIFIERS, ...rotating.slice(0, ROTATING_MODIFIER_COUNT)];
+
+    // Merge every modifier's gameplay overrides into one settings object
+    const gameplay = {};
+    for (const id of modifierIds) {
+        Object.assign(gameplay, DAILY_MODIFIERS[id].gameplay);
+    }
+
+    return {
+        dateKey,
+        seed: `DAILY${dateKey.replace(/-/g, '')}`,
+        classKey,
+        modifiers: modifierIds.map(id => DAILY_MODIFIERS[id]),
+        gameplay
+    };
+}
+
+// Better runs sort first: deeper floor, then more kills, then faster time
+function compareEntries(a, b) {
+    return (b.floor - a.floor) || (b.kills - a.kills) || (a.time - b.time);
+}
+
+export class DailyLeaderboard {
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+    }
+
+    getKey(dateKey) {
+        return `${LEADERBOARD_KEY_PREFIX}${dateKey}`;
+    }
+
+    getEntries(dateKey) {
+        if (!this.storage) return [];
+
+        try {
+            const raw = this.storage.getItem(this.getKey(dateKey));
+            return raw ? JSON.parse(raw) : [];
+        } catch (e) {
+            console.warn('Failed to load daily leaderboard:', e);
+            return [];
+        }
+    }
+
+    // entry: { floor, time, kills, className }; returns the entry's rank (1-based) or 0 if it didn't place
+    record(dateKey, entry) {
+        if (!this.storage) return 0;
+
+        const record = { ...entry, recordedAt: Date.now() };
+        const entries = this.getEntries(dateKey);
+        entries.push(record);
+        entries.sort(compareEntries);
+        entries.length = Math.min(entries.length, LEADERBOARD_SIZE);
+
+        try {
+            this.storage.setItem(this.getKey(dateKey), JSON.stringify(entries));
+        } catch (e) {
+            console.warn('Failed to save daily leaderboard:', e);
+            return 0;
+        }
+
+        return entries.indexOf(record) + 1;
+    }
+}
+
+// mm:ss for leaderboard display
+export function formatRunTime(seconds) {
+    const total = Math.floor(seconds);
+    const mins = Math.floor(total / 60);
+    const secs = total % 60;
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+export default DailyLeaderboard;
@@ -0,0 +1,299 @@
+/**
+ * Headless Game - Runs a GameScene in Node with a null renderer and scripted input
+ * Builds a headless Engine, seeds the run and drives whole engine frames from code,
+ * so automated tests can check gameplay without a browser:
+ *
+ *   const game = new HeadlessGame({ seed: 'SURVIVE', classKey: 'knight', level: 10, floor: 2 });
+ *   game.setController(HeadlessGame.fightNearestEnemy);
+ *   game.runFor(120);
+ *   assert(!game.isDead);
+ *
+ *   for (const type of Object.keys(BossTypes)) {
+ *       const game = new HeadlessGame({ seed: type });
+ *       const boss = game.spawnEnemy(type, { boss: true });
+ *       game.runUntil(() => boss.bossPhase >= 2, 30, () => boss.takeDamage(boss.maxHealth * 0.05));
+ *   }
+ */
+
+import { Engine, FIXED_TIMESTEP } from '../engine/core/Engine.js';
+import { createNullCanvas } from '../engine/core/Headless.js';
+import { RNG } from '../engine/core/Random.js';
+import { EnemyTypes, BossTypes, Enemy } from '../combat/Enemy.js';
+import { GameScene, GameState } from '../Game.js';
+
+// Distance a scripted aim or spawn sits from the player by default
+const DEFAULT_SPAWN_DISTANCE = 160;
+
+// Stats the harness spends level-up points on, weighted by the class's statGrowth
+const STATS = ['strength', 'agility', 'intelligence', 'vitality', 'luck'];
+
+export class HeadlessGame {
+    constructor(options = {}) {
+        const {
+            seed = 'HEADLESS',
+            classKey = 'knight',
+            floor = 1,
+            level = 1,
+            render = false,
+            markets = false,
+            width = 1280,
+            height = 720
+        } = options;
+
+        // Same order as a real run: seed first, then build the scene (which generates floor 1)
+        RNG.setSeed(seed);
+        this.engine = new Engine(createNullCanvas(width, height), width, height, { headless: true, render });
+        this.scene = new GameScene(this.engine, classKey);
+        this.scene.gameplaySettings.marketsEnabled = markets;
+
+        this.frame = 0;
+        this.lastResult = GameState.PLAYING;
+        this.controller = null;
+        this.aimTarget = null;
+
+        // Drive the scene the way IntoTheDeluge does so its return value isn't lost
+        this.engine.customUpdate = (dt) => this.updateScene(dt);
+        this.engine.customRender = (ctx) => this.scene.render(ctx);
+
+        if (level > 1) this.setLevel(level);
+        if (floor > 1) this.goToFloor(floor);
+    }
+
+    get player() {
+        return this.scene.player;
+    }
+
+    get enemies() {
+        return this.scene.enemies;
+    }
+
+    get time() {
+        return this.frame * FIXED_TIMESTEP;
+    }
+
+    get isDead() {
+        return this.lastResult === GameState.DEAD;
+    }
+
+    updateScene(dt) {
+        if (this.isDead) return;
+
+        // Without a market scene to visit, head straight down to the next floor
+        if (this.scene.goToMarket) {
+            this.scene.continueFromMarket();
+        }
+
+        this.lastResult = this.scene.update(dt);
+
+        // Spend level-up points automatically instead of waiting on the allocation screen
+        if (this.scene.levelUpScreenActive) {
+            this.allocateStatPoints();
+        }
+    }
+
+    // Scripted input - codes are KeyboardEvent.code values or MouseN, as in InputBindings
+    press(code) {
+        const input = this.engine.input;
+        if (code.startsWith('Mouse')) {
+            const button = Number(code.slice(5));
+            if (!input.mouse.buttons.has(button)) input.mouseJustPressed.add(button);
+            input.mouse.buttons.add(button);
+        } else {
+            if (!input.keys.has(code)) input.keysJustPressed.add(code);
+            input.keys.add(code);
+        }
+    }
+
+    release(code) {
+        const input = this.engine.input;
+        if (code.startsWith('Mouse')) {
+            const button = Number(code.slice(5));
+            if (input.mouse.buttons.delete(button)) input.mouseJustReleased.add(button);
+        } else if (input.keys.delete(code)) {
+            input.keysJustReleased.add(code);
+        }
+    }
+
+    // Press for a single frame
+    tap(code) {
+        this.press(code);
+        this.step();
+        this.release(code);
+    }
+
+    // Action helpers go through the current bindings (first bound code)
+    pressAction(action) {
+        const code = this.engine.bindings.getCodes(action)[0];
+        if (code) this.press(code);
+    }
+
+    releaseAction(action) {
+        for (const code of this.engine.bindings.getCodes(action)) {
+            this.release(code);
+        }
+    }
+
+    tapAction(action) {
+        this.pressAction(action);
+        this.step();
+        this.releaseAction(action);
+    }
+
+    releaseAll() {
+        this.engine.clearInput();
+    }
+
+    // Hold the movement keys for a direction (components are compared against 0)
+    move(x, y) {
+        const directions = { moveLeft: x < 0, moveRight: x > 0, moveUp: y < 0, moveDown: y > 0 };
+        for (const [action, held] of Object.entries(directions)) {
+            if (held) {
+                this.pressAction(action);
+            } else {
+                this.releaseAction(action);
+            }
+        }
+    }
+
+    // Aim at a world position or an entity; the mouse follows it as the camera moves
+    aimAt(target, y = null) {
+        this.aimTarget = y === null ? target : { x: target, y };
+        this.applyAim();
+    }
+
+    applyAim() {
+        if (!this.aimTarget) return;
+        const screen = this.scene.camera.worldToScreen(this.aimTarget.x, this.aimTarget.y);
+        this.engine.input.mouse.x = screen.x;
+        this.engine.input.mouse.y = screen.y;
+    }
+
+    // Called with this harness before every frame, for bots and scripted sequences
+    setController(controller) {
+        this.controller = controller;
+    }
+
+    // Stepping - each step is one engine frame covering exactly one fixed simulation step
+    step(frames = 1) {
+        for (let i = 0; i < frames && !this.isDead; i++) {
+            if (this.controller) this.controller(this);
+            this.applyAim();
+            this.engine.tick(FIXED_TIMESTEP);
+            this.frame++;
+        }
+        return this;
+    }
+
+    runFor(seconds) {
+        return this.step(Math.ceil(seconds / FIXED_TIMESTEP));
+    }
+
+    // Step until predicate(this) holds; onFrame runs before each frame. Returns whether it held.
+    runUntil(predicate, maxSeconds = 60, onFrame = null) {
+        const maxFrames = Math.ceil(maxSeconds / FIXED_TIMESTEP);
+        for (let i = 0; i < maxFrames; i++) {
+            if (predicate(this)) return true;
+            if (this.isDead) return false;
+            if (onFrame) onFrame(this);
+            this.step();
+        }
+        return predicate(this);
+    }
+
+    // Setup helpers
+    setLevel(level) {
+        while (this.player.level < level) {
+            this.player.experience = this.player.experienceToLevel;
+            this.player.levelUp();
+        }
+        this.allocateStatPoints();
+        this.player.justLeveledUp = false;
+    }
+
+    // Spread unspent stat points by the class's statGrowth, highest growth first
+    allocateStatPoints() {
+        const growth = this.player.classData?.statGrowth || {};
+        const spent = {};
+        for (const stat of STATS) spent[stat] = 0;
+
+        while (this.player.statPoints > 0) {
+            let best = STATS[0];
+            let bestScore = -Infinity;
+            for (const stat of STATS) {
+                const score = (growth[stat] || 1) / (spent[stat] + 1);
+                if (score > bestScore) {
+                    best = stat;
+                    bestScore = score;
+                }
+            }
+            if (!this.player.allocateStat(best)) break;
+            spent[best]++;
+        }
+
+        this.scene.levelUpScreenActive = false;
+        this.player.showLevelUpScreen = false;
+    }
+
+    // Jump to a floor the same way descending does (fresh dungeon, theme and enemies)
+    goToFloor(floor) {
+        this.scene.currentFloor = floor;
+        this.scene.generateDungeon();
+    }
+
+    // Spawn an enemy or boss by type key, DEFAULT_SPAWN_DISTANCE to the player's right unless x/y are given
+    spawnEnemy(type, options = {}) {
+        const { boss = false, floor = this.scene.currentFloor } = options;
+        const config = boss ? BossTypes[type] : EnemyTypes[type];
+        if (!config) {
+            throw new Error(`Unknown ${boss ? 'boss' : 'enemy'} type "${type}"`);
+        }
+
+        const enemy = new Enemy(type, config, floor, boss);
+        enemy.x = options.x ?? this.player.x + DEFAULT_SPAWN_DISTANCE;
+        enemy.y = options.y ?? this.player.y;
+        enemy.prevX = enemy.x;
+        enemy.prevY = enemy.y;
+
+        this.scene.applyEnemyModifiers(enemy);
+        this.scene.enemies.push(enemy);
+        return enemy;
+    }
+
+    clearEnemies() {
+        this.scene.enemies.length = 0;
+    }
+
+    getNearestEnemy() {
+        let nearest = null;
+        let nearestDist = Infinity;
+        for (const enemy of this.enemies) {
+            if (enemy.health <= 0) continue;
+            const dist = Math.hypot(enemy.x - this.player.x, enemy.y - this.player.y);
+            if (dist < nearestDist) {
+                nearest = enemy;
+                nearestDist = dist;
+            }
+        }
+        return nearest;
+    }
+
+    // Simple bot: close in on the nearest enemy, aim at it and hold attack
+    static fightNearestEnemy(game) {
+        const target = game.getNearestEnemy();
+        if (!target) {
+            game.move(0, 0);
+            game.releaseAction('attack');
+            return;
+        }
+
+        game.aimAt(target);
+        game.pressAction('attack');
+
+        const dx = target.x - game.player.x;
+        const dy = target.y - game.player.y;
+        const far = Math.hypot(dx, dy) > 48;
+        game.move(far ? Math.sign(Math.round(dx / 16)) : 0, far ? Math.sign(Math.round(dy / 16)) : 0);
+    }
+}
+
+export default HeadlessGame;
@@ -0,0 +1,262 @@
+/**
+ * Save System - Versioned run saves stored in localStorage slots
+ * Saves are plain JSON; every save carries a version and is migrated forward on load
+ */
+
+import { ClassDefinitions } from '../classes/ClassDefinitions.js';
+import { Weapon } from '../combat/Weapon.js';
+import { Mercenary } from '../market/Market.js';
+import { RNG, generateSeed } from '../engine/core/Random.js';
+
+// Bump this whenever the save layout changes and add a matching migration below
+export const SAVE_VERSION = 3;
+export const SAVE_SLOT_COUNT = 3;
+
+const SAVE_KEY_PREFIX = 'delugeSave_';
+
+// Migrations upgrade a save by exactly one version: SAVE_MIGRATIONS[n] turns a vN save into vN+1
+const SAVE_MIGRATIONS = {
+    // v1 -> v2: runs gained a seed; older saves continue on a fresh one
+    1: (data) => ({
+        ...data,
+        run: { ...data.run, seed: generateSeed() }
+    }),
+    // v2 -> v3: consumables (torches and other market buys) are saved; older saves had none
+    2: (data) => ({
+        ...data,
+        character: { ...data.character, consumables: [] }
+    })
+};
+
+// Scalar character fields copied as-is (derived stats are stored rather than recomputed,
+// since equipment and skill passives stack on top of recalculateStats())
+const CHARACTER_FIELDS = [
+    'level', 'experience', 'experienceToLevel',
+    'maxHealth', 'health', 'maxMana', 'mana', 'maxStamina', 'stamina',
+    'baseSpeed', 'maxSpeed',
+    'attackDamage', 'magicDamage', 'defense', 'critChance', 'critMultiplier',
+    'skillPoints', 'statPoints', 'canMulticlass', 'multiclassNotified',
+    'gold', 'maxInventorySize', 'activeSpellIndex'
+];
+
+// Find the ClassDefinitions key for a class data object or display name
+function findClassKey(classDataOrName) {
+    return Object.keys(ClassDefinitions).find(key =>
+        ClassDefinitions[key] === classDataOrName || ClassDefinitions[key].name === classDataOrName
+    ) || null;
+}
+
+// Items are mostly plain objects; Weapon instances are tagged so their prototype can be restored
+export function serializeItem(item) {
+    if (!item) return null;
+    const data = JSON.parse(JSON.stringify(item));
+    if (item instanceof Weapon) data.__kind = 'weapon';
+    return data;
+}
+
+export function deserializeItem(data) {
+    if (!data) return null;
+    const { __kind, ...fields } = data;
+    if (__kind === 'weapon') {
+        return Object.assign(Object.create(Weapon.prototype), fields);
+    }
+    return fields;
+}
+
+export function serializeCharacter(character) {
+    const data = {
+        classKey: findClassKey(character.classData),
+        stats: { ...character.stats },
+        unlockedSkills: [...character.unlockedSkills],
+        secondaryClass: character.secondaryClass ? findClassKey(character.secondaryClass) : null,
+        abilities: JSON.parse(JSON.stringify(character.abilities)),
+        equipment: {},
+        inventory: character.inventory.map(serializeItem),
+        consumables: (character.consumables || []).map(serializeItem),
+        potions: { ...character.potions },
+        mercenary: character.mercenary ? serializeMercenary(character.mercenary) : null
+    };
+
+    for (const field of CHARACTER_FIELDS) {
+        data[field] = character[field];
+    }
+
+    for (const [slot, item] of Object.entries(character.equipment)) {
+        data.equipment[slot] = serializeItem(item);
+    }
+
+    return data;
+}
+
+// Apply saved data onto a freshly constructed Character of the same class
+export function applyCharacterSave(character, data) {
+    for (const field of CHARACTER_FIELDS) {
+        if (data[field] !== undefined) character[field] = data[field];
+    }
+
+    character.stats = { ...character.stats, ...data.stats };
+    character.unlockedSkills = new Set(data.unlockedSkills || []);
+    character.abilities = data.abilities || character.abilities;
+    character.potions = { ...character.potions, ...data.potions };
+
+    if (data.secondaryClass && ClassDefinitions[data.secondaryClass]) {
+        character.secondaryClassData = ClassDefinitions[data.secondaryClass];
+        character.secondaryClass = character.secondaryClassData.name;
+    }
+
+    for (const slot of Object.keys(character.equipment)) {
+        character.equipment[slot] = deserializeItem(data.equipment?.[slot]);
+    }
+    character.inventory = (data.inventory || []).map(deserializeItem);
+    character.consumables = (data.consumables || []).map(deserializeItem);
+
+    // Rebuild spell cycling from the restored ability list
+    character.spellCycleList = character.abilities.filter(a =>
+        a.type === 'projectile' || a.type === 'instant'
+    );
+    if (character.spellCycleList.length > 0) {
+        character.activeSpellIndex = Math.min(character.activeSpellIndex, character.spellCycleList.length - 1);
+        if (character.classData.defaultAttackType === 'projectile') {
+            character.activeSpell = character.spellCycleList[character.activeSpellIndex];
+        }
+    }
+
+    character.mercenary = data.mercenary ? deserializeMercenary(data.mercenary) : null;
+
+    return character;
+}
+
+export function serializeMercenary(mercenary) {
+    return {
+        name: mercenary.name,
+        class: mercenary.className,
+        level: mercenary.level,
+        dialogues: mercenary.dialogues,
+        health: mercenary.health
+    };
+}
+
+export function deserializeMercenary(data) {
+    const mercenary = new Mercenary(data);
+    mercenary.health = Math.min(mercenary.maxHealth, data.health ?? mercenary.maxHealth);
+    return mercenary;
+}
+
+// Market stock is saved so reloading at the Inn can't reroll shops or mercenaries
+export function serializeMarket(marketLayout) {
+    return {
+        buildings: marketLayout.buildings.map(building => ({
+            type: building.type,
+            inventory: JSON.parse(JSON.stringify(building.inventory || [])),
+            mercenaries: building.mercenaries ? JSON.parse(JSON.stringify(building.mercenaries)) : null
+        }))
+    };
+}
+
+export function applyMarketSave(marketLayout, data) {
+    if (!data?.buildings) return;
+
+    for (const saved of data.buildings) {
+        const building = marketLayout.buildings.find(b => b.type === saved.type);
+        if (!building) continue;
+        building.inventory = saved.inventory || [];
+        if (saved.mercenaries) building.mercenaries = saved.mercenaries;
+    }
+}
+
+// Bring any older save up to SAVE_VERSION, one step at a time
+export function migrateSave(data) {
+    let version = data.version ?? 0;
+
+    if (version > SAVE_VERSION) {
+        throw new Error(`Save version ${version} is newer than supported version ${SAVE_VERSION}`);
+    }
+
+    while (version < SAVE_VERSION) {
+        const migration = SAVE_MIGRATIONS[version];
+        if (!migration) {
+            throw new Error(`No save migration from version ${version}`);
+        }
+        data = migration(data);
+        version++;
+        data.version = version;
+    }
+
+    return data;
+}
+
+export class SaveManager {
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+    }
+
+    getSlotKey(slot) {
+        return `${SAVE_KEY_PREFIX}${slot}`;
+    }
+
+    // Build a save from the run state at a save point
+    createSave({ player, floor, floorTheme, marketLayout = null }) {
+        return {
+            version: SAVE_VERSION,
+            savedAt: Date.now(),
+            run: {
+                seed: RNG.seed,
+                floor: floor,
+                floorTheme: floorTheme
+            },
+            character: serializeCharacter(player),
+            market: marketLayout ? serializeMarket(marketLayout) : null
+        };
+    }
+
+    save(slot, state) {
+        if (!this.storage) return false;
+
+        try {
+            const data = this.createSave(state);
+            this.storage.setItem(this.getSlotKey(slot), JSON.stringify(data));
+            return true;
+        } catch (e) {
+            console.warn('Failed to save game:', e);
+            return false;
+        }
+    }
+
+    load(slot) {
+        if (!this.storage) return null;
+
+        try {
+            const raw = this.storage.getItem(this.getSlotKey(slot));
+            if (!raw) return null;
+            return migrateSave(JSON.parse(raw));
+        } catch (e) {
+            console.warn(`Failed to load save slot ${slot}:`, e);
+            return null;
+        }
+    }
+
+    deleteSlot(slot) {
+        if (!this.storage) return;
+        this.storage.removeItem(this.getSlotKey(slot));
+    }
+
+    // Short summaries for the slot picker (null for empty or unreadable slots)
+    listSlots() {
+        const slots = [];
+        for (let slot = 1; slot <= SAVE_SLOT_COUNT; slot++) {
+            const data = this.load(slot);
+            slots.push({
+                slot,
+                summary: data ? {
+                    className: ClassDefinitions[data.character.classKey]?.name || data.character.classKey,
+                    level: data.character.level,
+                    floor: data.run.floor,
+                    savedAt: data.savedAt
+                } : null
+            });
+        }
+        return slots;
+    }
+}
+
+export default SaveManager;
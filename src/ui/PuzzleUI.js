@@ -12,6 +12,8 @@ export class PuzzleUI {
         this.height = 400;
         this.onComplete = null;
         this.onClose = null;
+        this.onFail = null;
+        this.resultTimer = 0; // Counts down after a solve or fail before the panel closes
         this.canvasWidth = 800;
         this.canvasHeight = 600;
         
@@ -25,12 +27,14 @@ export class PuzzleUI {
         this.handleMouseMove = this.handleMouseMove.bind(this);
     }
     
-    show(puzzle, onComplete, onClose, canvasWidth = 800, canvasHeight = 600) {
+    show(puzzle, onComplete, onClose, canvasWidth = 800, canvasHeight = 600, onFail = null) {
         this.puzzle = puzzle;
         this.visible = true;
         this.fadeIn = 0;
         this.onComplete = onComplete;
         this.onClose = onClose;
+        this.onFail = onFail;
+        this.resultTimer = 0;
         this.selectedIndex = -1;
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
@@ -64,12 +68,19 @@ export class PuzzleUI {
             this.puzzle.update();
         }
         
-        // Check if solved
-        if (this.puzzle.solved) {
-            setTimeout(() => {
-                if (this.onComplete) this.onComplete();
+        // Solved, or out of attempts: show the result briefly, then report it once
+        const failed = !this.puzzle.solved && (this.puzzle.phase === 'failed' || this.puzzle.attempts >= this.puzzle.maxAttempts);
+        if (this.puzzle.solved || failed) {
+            if (this.resultTimer <= 0) {
+                this.resultTimer = 0.5;
+                return;
+            }
+            this.resultTimer -= dt;
+            if (this.resultTimer <= 0) {
+                const callback = this.puzzle.solved ? this.onComplete : this.onFail;
                 this.hide();
-            }, 500);
+                if (callback) callback();
+            }
         }
     }
     
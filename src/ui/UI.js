@@ -2,6 +2,19 @@
  * UI System - HUD, Menus, and Interface elements
  */
 
+import { formatRunTime } from '../modes/DailyChallenge.js';
+import { INPUT_ACTIONS, BINDINGS_PER_ACTION, formatInputCode } from '../engine/core/InputBindings.js';
+import { PAD_BUTTONS } from '../engine/core/Gamepad.js';
+import { PARTICLE_QUALITY_LEVELS } from '../engine/core/Particles.js';
+import { KEY_COLORS, LOCK_STYLES } from '../dungeon/DungeonGenerator.js';
+import { getElementColor } from '../combat/Elements.js';
+
+// Labels over hits that struck a weakness or a resistance (see combat/Elements.js)
+const AFFINITY_LABELS = {
+    weak: { text: 'Weak!', color: '#ffdd33' },
+    resist: { text: 'Resist', color: '#9a9a9a' }
+};
+
 export class UIManager {
     constructor(ctx, canvas) {
         this.ctx = ctx;
@@ -12,19 +25,42 @@ export class UIManager {
         this.damageNumbers = [];
     }
     
-    // Add floating damage number
-    addDamageNumber(x, y, damage, isCrit = false, isHeal = false) {
+    // Add floating damage number; elemental hits are tinted and weak/resist hits labeled
+    addDamageNumber(x, y, damage, isCrit = false, isHeal = false, element = 'physical', affinity = null) {
+        let color = isCrit ? '#ffff00' : '#ff4444';
+        if (isHeal) color = '#44ff44';
+        else if (element && element !== 'physical') color = getElementColor(element);
+        
+        let scale = isCrit ? 1.5 : 1;
+        if (affinity === 'weak') scale *= 1.2;
+        else if (affinity === 'resist') scale *= 0.85;
+        
         this.damageNumbers.push({
             x, y,
             startY: y,
             text: Math.floor(damage).toString(),
-            color: isHeal ? '#44ff44' : (isCrit ? '#ffff00' : '#ff4444'),
-            scale: isCrit ? 1.5 : 1,
+            color,
+            label: isHeal ? null : AFFINITY_LABELS[affinity] || null,
+            scale,
             alpha: 1,
             lifetime: 1
         });
     }
     
+    // Floating text over the world, e.g. the name of an elemental reaction
+    addFloatingText(x, y, text, color = '#ffffff') {
+        this.damageNumbers.push({
+            x, y,
+            startY: y,
+            text,
+            color,
+            label: null,
+            scale: 1.1,
+            alpha: 1,
+            lifetime: 1.2
+        });
+    }
+    
     // Add notification message
     addNotification(message, type = 'info') {
         const colors = {
@@ -84,6 +120,11 @@ export class UIManager {
             ctx.font = `bold ${Math.floor(16 * dmg.scale)}px Arial`;
             ctx.textAlign = 'center';
             ctx.fillText(dmg.text, dmg.x, dmg.y);
+            if (dmg.label) {
+                ctx.fillStyle = dmg.label.color;
+                ctx.font = 'bold 11px Arial';
+                ctx.fillText(dmg.label.text, dmg.x, dmg.y - Math.floor(16 * dmg.scale));
+            }
             ctx.restore();
         }
     }
@@ -359,6 +400,14 @@ export class HUD {
                             ctx.fillStyle = '#ffcc00';
                         } else if (tile === 10 || tile === 11) { // TORCH
                             ctx.fillStyle = '#ff8800';
+                        } else if (tile === 14) { // LOCKED_DOOR
+                            ctx.fillStyle = LOCK_STYLES[this.dungeon.lockedDoors.get(key)]?.color || '#888';
+                        } else if (tile === 15) { // SHRINE
+                            ctx.fillStyle = '#b06cff';
+                        } else if (tile === 8 || tile === 16) { // WATER, ICE
+                            ctx.fillStyle = tile === 8 ? '#3a6ad0' : '#9ccfe6';
+                        } else if (tile === 9) { // LAVA
+                            ctx.fillStyle = '#dd5511';
                         } else {
                             ctx.fillStyle = '#555';
                         }
@@ -368,6 +417,23 @@ export class HUD {
                 }
             }
             
+            // Outline vaults once one of their doors has been seen
+            for (const vault of this.dungeon.vaults || []) {
+                if (!vault.doors.some(door => this.dungeon.discoveredTiles.has(`${door.x},${door.y}`))) continue;
+                const room = vault.room;
+                ctx.strokeStyle = LOCK_STYLES[vault.color].color;
+                ctx.lineWidth = 1;
+                ctx.strokeRect(offsetX + room.x * tileSize, offsetY + room.y * tileSize, room.width * tileSize, room.height * tileSize);
+            }
+            
+            // Keys held on this floor
+            let keyX = x + 6;
+            for (const color of this.dungeon.heldKeys || []) {
+                ctx.fillStyle = KEY_COLORS[color].color;
+                ctx.fillRect(keyX, y + mapSize - 10, 6, 6);
+                keyX += 9;
+            }
+            
             // Draw player position
             const playerTileX = Math.floor(this.player.x / 32);
             const playerTileY = Math.floor(this.player.y / 32);
@@ -680,8 +746,7 @@ export class SkillTreePanel {
                 return true;
                 
             case 'Escape':
-            case 'KeyK':
-                // Close the skill tree
+                // Close the skill tree (the Skill Tree action toggles it in GameScene)
                 this.hide();
                 return true;
         }
@@ -1221,7 +1286,7 @@ export class InventoryPanel {
                 return true;
                 
             case 'Escape':
-            case 'KeyI':
+                // The Inventory action toggles the panel in GameScene
                 this.toggle();
                 return true;
                 
@@ -2062,27 +2127,44 @@ export class PauseMenu {
             screenShake: true,
             hitFreeze: true,
             screenFlash: true,
-            particles: true,
+            particles: 'high', // Particle budget: 'off', 'low', 'medium' or 'high'
             // Gameplay
             difficulty: 1.0, // 1.0 = Normal, 0.0 = Little Bitch Mode
             marketsEnabled: true,
-            // Controls are just displayed, not changeable yet
+            // Controls (saved InputBindings, null = defaults)
+            bindings: null
         };
         
         // Load settings from localStorage if available
         this.loadSettings();
         
+        // Bindings live on the engine so every scene shares them
+        this.bindings = game.engine.bindings;
+        this.bindings.resetDefaults();
+        this.bindings.load(this.settings.bindings);
+        
+        // Controls tab rebinding state
+        this.rebinding = null; // { action, slot } while waiting for a key
+        this.bindingMessage = '';
+        
         // Button positions (calculated in render)
         this.buttons = [];
         this.sliders = [];
     }
     
     loadSettings() {
+        if (typeof localStorage === 'undefined') return;
+        
         try {
             const saved = localStorage.getItem('delugeSettings');
             if (saved) {
                 const parsed = JSON.parse(saved);
                 this.settings = { ...this.settings, ...parsed };
+                
+                // Particles used to be an on/off toggle
+                if (typeof this.settings.particles === 'boolean') {
+                    this.settings.particles = this.settings.particles ? 'high' : 'off';
+                }
             }
         } catch (e) {
             console.warn('Failed to load settings:', e);
@@ -2090,6 +2172,8 @@ export class PauseMenu {
     }
     
     saveSettings() {
+        if (typeof localStorage === 'undefined') return;
+        
         try {
             localStorage.setItem('delugeSettings', JSON.stringify(this.settings));
         } catch (e) {
@@ -2112,11 +2196,13 @@ export class PauseMenu {
             screenFlash: this.settings.screenFlash,
             particles: this.settings.particles
         };
+        this.game.combatManager?.setParticleQuality(this.settings.particles);
         
-        // Apply gameplay settings
+        // Apply gameplay settings (run modes like the daily challenge lock some of them)
         this.game.gameplaySettings = {
             difficulty: this.settings.difficulty,
-            marketsEnabled: this.settings.marketsEnabled
+            marketsEnabled: this.settings.marketsEnabled,
+            ...this.game.getLockedGameplaySettings?.()
         };
         
         this.saveSettings();
@@ -2129,6 +2215,8 @@ export class PauseMenu {
     
     hide() {
         this.visible = false;
+        this.rebinding = null;
+        this.bindingMessage = '';
         this.saveSettings();
     }
     
@@ -2153,9 +2241,23 @@ export class PauseMenu {
                     this.settings[btn.key] = !this.settings[btn.key];
                     this.applySettings();
                     return true;
+                } else if (btn.action === 'cycle') {
+                    const index = btn.options.indexOf(this.settings[btn.key]);
+                    this.settings[btn.key] = btn.options[(index + 1) % btn.options.length];
+                    this.applySettings();
+                    return true;
                 } else if (btn.action === 'resume') {
                     this.hide();
                     return true;
+                } else if (btn.action === 'bind') {
+                    this.rebinding = { action: btn.bindAction, slot: btn.slot };
+                    this.bindingMessage = `Press a key or mouse button for ${INPUT_ACTIONS[btn.bindAction].label} (Esc cancels, Backspace clears)`;
+                    return true;
+                } else if (btn.action === 'resetBindings') {
+                    this.bindings.resetDefaults();
+                    this.saveBindings();
+                    this.bindingMessage = 'Controls reset to defaults';
+                    return true;
                 } else if (btn.action === 'quit') {
                     // Return to main menu (class select)
                     this.hide();
@@ -2179,6 +2281,53 @@ export class PauseMenu {
         return false;
     }
     
+    isCapturingBinding() {
+        return this.visible && this.rebinding !== null;
+    }
+    
+    // Assign the first key or mouse button pressed this frame to the action being rebound
+    captureBinding(input) {
+        const { action, slot } = this.rebinding;
+        const label = INPUT_ACTIONS[action].label;
+        
+        let code = null;
+        for (const key of input.keysJustPressed) {
+            code = key;
+            break;
+        }
+        // Clicks made with the gamepad cursor (A) are for navigating, not binding
+        if (code === null && !input.gamepad.justPressed.has(PAD_BUTTONS.A)) {
+            for (const button of input.mouseJustPressed) {
+                code = `Mouse${button}`;
+                break;
+            }
+        }
+        if (code === null) return;
+        
+        this.rebinding = null;
+        
+        if (code === 'Escape') {
+            this.bindingMessage = '';
+        } else if (code === 'Backspace' || code === 'Delete') {
+            this.bindings.clearBinding(action, slot);
+            this.saveBindings();
+            this.bindingMessage = `${label} binding cleared`;
+        } else if (code === 'Enter') {
+            this.bindingMessage = 'Enter is reserved for menus';
+        } else {
+            const unbound = this.bindings.setBinding(action, slot, code);
+            this.saveBindings();
+            this.bindingMessage = unbound.length > 0
+                ? `${formatInputCode(code)} moved from ${unbound.map(a => INPUT_ACTIONS[a].label).join(', ')} to ${label}`
+                : `${label} bound to ${formatInputCode(code)}`;
+        }
+    }
+    
+    saveBindings() {
+        this.settings.bindings = this.bindings.toJSON();
+        this.saveSettings();
+    }
+    
     handleHover(x, y) {
         if (!this.visible) return;
         
@@ -2241,6 +2390,14 @@ export class PauseMenu {
         ctx.textAlign = 'center';
         ctx.fillText('PAUSED', this.canvas.width / 2, panelY + 40);
         
+        // Run seed so a layout can be shared or replayed
+        if (this.game.runSeed) {
+            ctx.fillStyle = '#888888';
+            ctx.font = '12px monospace';
+            ctx.textAlign = 'right';
+            ctx.fillText(`Seed: ${this.game.runSeed}`, panelX + panelW - 15, panelY + 25);
+        }
+        
         // Tab buttons
         const tabs = ['controls', 'visuals', 'audio', 'gameplay'];
         const tabW = 120;
@@ -2314,38 +2471,61 @@ export class PauseMenu {
     }
     
     renderControlsTab(ctx, panelX, startY, panelW) {
-        ctx.textAlign = 'left';
-        ctx.font = '15px Arial';
-        
-        const controls = [
-            { key: 'W A S D', action: 'Move' },
-            { key: 'Mouse', action: 'Aim' },
-            { key: 'Left Click', action: 'Attack' },
-            { key: 'Right Click', action: 'Dash' },
-            { key: 'E', action: 'Interact' },
-            { key: 'K', action: 'Skill Tree' },
-            { key: 'I', action: 'Inventory' },
-            { key: 'C', action: 'Crafting' },
-            { key: 'M', action: 'Fullscreen Map' },
-            { key: 'Shift', action: 'Sprint (hold)' },
-            { key: 'Escape', action: 'Pause Menu' },
-        ];
-        
-        controls.forEach((ctrl, i) => {
-            const y = startY + 10 + i * 24;
-            
-            // Key box
-            ctx.fillStyle = '#2a2a4a';
-            ctx.fillRect(panelX + 30, y, 100, 20);
-            ctx.fillStyle = '#aaccff';
-            ctx.textAlign = 'center';
-            ctx.fillText(ctrl.key, panelX + 80, y + 15);
+        const actions = Object.keys(INPUT_ACTIONS);
+        const rowsPerColumn = Math.ceil(actions.length / 2);
+        const rowH = 21;
+        const colW = (panelW - 60) / 2;
+        const slotW = 70;
+        
+        ctx.font = '13px Arial';
+        
+        actions.forEach((action, i) => {
+            const col = Math.floor(i / rowsPerColumn);
+            const x = panelX + 30 + col * colW;
+            const y = startY + (i % rowsPerColumn) * rowH;
+            const conflicted = this.bindings.hasConflict(action);
             
-            // Action
-            ctx.fillStyle = '#cccccc';
+            // Action label
+            ctx.fillStyle = conflicted ? '#ff7777' : '#cccccc';
             ctx.textAlign = 'left';
-            ctx.fillText(ctrl.action, panelX + 150, y + 15);
+            ctx.fillText(INPUT_ACTIONS[action].label, x, y + 14);
+            
+            // Primary and secondary binding slots
+            const codes = this.bindings.getCodes(action);
+            for (let slot = 0; slot < BINDINGS_PER_ACTION; slot++) {
+                const slotX = x + colW - 10 - (BINDINGS_PER_ACTION - slot) * (slotW + 6);
+                const isCapturing = this.rebinding?.action === action && this.rebinding.slot === slot;
+                const isHovered = this.hoveredButton?.action === 'bind' &&
+                                  this.hoveredButton.bindAction === action && this.hoveredButton.slot === slot;
+                
+                ctx.fillStyle = isCapturing ? '#5a5a2a' : (isHovered ? '#3a3a5a' : '#2a2a4a');
+                ctx.fillRect(slotX, y, slotW, rowH - 3);
+                
+                ctx.fillStyle = isCapturing ? '#ffff88' : '#aaccff';
+                ctx.textAlign = 'center';
+                ctx.fillText(isCapturing ? '...' : formatInputCode(codes[slot]), slotX + slotW / 2, y + 14);
+                
+                this.buttons.push({ x: slotX, y, w: slotW, h: rowH - 3, action: 'bind', bindAction: action, slot });
+            }
         });
+        
+        // Status line and reset button below the list
+        const footerY = startY + rowsPerColumn * rowH + 8;
+        
+        ctx.fillStyle = '#999999';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText(this.bindingMessage || 'Click a binding to change it', panelX + 30, footerY + 15);
+        
+        const resetW = 130;
+        const resetX = panelX + panelW - 30 - resetW;
+        ctx.fillStyle = this.hoveredButton?.action === 'resetBindings' ? '#4a4a6a' : '#2a2a4a';
+        ctx.fillRect(resetX, footerY, resetW, 22);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('RESET DEFAULTS', resetX + resetW / 2, footerY + 15);
+        this.buttons.push({ x: resetX, y: footerY, w: resetW, h: 22, action: 'resetBindings' });
     }
     
     renderVisualsTab(ctx, panelX, startY, panelW) {
@@ -2353,12 +2533,13 @@ export class PauseMenu {
             { key: 'screenShake', label: 'Screen Shake' },
             { key: 'hitFreeze', label: 'Hit Freeze' },
             { key: 'screenFlash', label: 'Screen Flash' },
-            { key: 'particles', label: 'Particles' },
+            { key: 'particles', label: 'Particles', options: PARTICLE_QUALITY_LEVELS },
         ];
         
         toggles.forEach((toggle, i) => {
             const y = startY + 20 + i * 45;
-            const enabled = this.settings[toggle.key];
+            const value = this.settings[toggle.key];
+            const enabled = toggle.options ? value !== 'off' : value;
             
             // Label
             ctx.fillStyle = '#cccccc';
@@ -2380,9 +2561,15 @@ export class PauseMenu {
             ctx.fillStyle = '#ffffff';
             ctx.font = 'bold 14px Arial';
             ctx.textAlign = 'center';
-            ctx.fillText(enabled ? 'ON' : 'OFF', btnX + btnW / 2, y + 7);
+            const text = toggle.options ? value.toUpperCase() : (enabled ? 'ON' : 'OFF');
+            ctx.fillText(text, btnX + btnW / 2, y + 7);
             
-            this.buttons.push({ x: btnX, y: y - 12, w: btnW, h: btnH, action: 'toggle', key: toggle.key });
+            // Multi-level settings cycle through their options instead of toggling
+            if (toggle.options) {
+                this.buttons.push({ x: btnX, y: y - 12, w: btnW, h: btnH, action: 'cycle', key: toggle.key, options: toggle.options });
+            } else {
+                this.buttons.push({ x: btnX, y: y - 12, w: btnW, h: btnH, action: 'toggle', key: toggle.key });
+            }
         });
     }
     
@@ -2493,7 +2680,8 @@ export class PauseMenu {
         
         // Markets toggle
         const marketsY = sliderY + 70;
-        const marketsEnabled = this.settings.marketsEnabled;
+        const marketsLocked = this.game.getLockedGameplaySettings?.().marketsEnabled !== undefined;
+        const marketsEnabled = marketsLocked ? this.game.gameplaySettings.marketsEnabled : this.settings.marketsEnabled;
         
         ctx.fillStyle = '#cccccc';
         ctx.font = '16px Arial';
@@ -2516,13 +2704,19 @@ export class PauseMenu {
         ctx.textAlign = 'center';
         ctx.fillText(marketsEnabled ? 'ON' : 'OFF', btnX + btnW / 2, marketsY + 7);
         
-        this.buttons.push({ x: btnX, y: marketsY - 12, w: btnW, h: btnH, action: 'toggle', key: 'marketsEnabled' });
+        if (!marketsLocked) {
+            this.buttons.push({ x: btnX, y: marketsY - 12, w: btnW, h: btnH, action: 'toggle', key: 'marketsEnabled' });
+        }
         
         // Markets description
         ctx.fillStyle = '#888888';
         ctx.font = '12px Arial';
         ctx.textAlign = 'left';
-        ctx.fillText(marketsEnabled ? 'Shop between floors' : 'Skip directly to next combat floor', panelX + 40, marketsY + 35);
+        if (marketsLocked) {
+            ctx.fillText('Locked by Daily Run', panelX + 40, marketsY + 35);
+        } else {
+            ctx.fillText(marketsEnabled ? 'Shop between floors' : 'Skip directly to next combat floor', panelX + 40, marketsY + 35);
+        }
     }
 }
 
@@ -2546,13 +2740,143 @@ export class ClassSelectionUI {
         this.pageFlipProgress = 0;
         this.isFlipping = false;
         this.flipDirection = 0;
+        
+        // Save slots - selected slot is used for new runs and for continuing
+        this.saveSlots = [];
+        this.selectedSlot = 1;
+        this.onContinue = null;
+        this.slotButtons = [];
+        
+        // Run seed entry - empty means a random seed
+        this.seedInput = '';
+        this.seedFocused = false;
+        this.maxSeedLength = 16;
+        
+        // Daily challenge - today's run info and local leaderboard
+        this.dailyChallenge = null;
+        this.dailyEntries = [];
+        this.onStartDaily = null;
+        this.hoverDaily = false;
+        
+        // Boss practice room, started with the shown class
+        this.onStartPractice = null;
+        this.hoverPractice = false;
     }
     
     setSoundManager(soundManager) {
         this.soundManager = soundManager;
     }
     
+    // slots: [{ slot, summary }] from SaveManager.listSlots()
+    setSaveSlots(slots, onContinue) {
+        this.saveSlots = slots;
+        this.onContinue = onContinue;
+    }
+    
+    getSelectedSlotSummary() {
+        return this.saveSlots.find(s => s.slot === this.selectedSlot)?.summary || null;
+    }
+    
+    getSeedFieldRect() {
+        return { x: 20, y: this.canvas.height - 66, w: 240, h: 36 };
+    }
+    
+    // Typing into the seed field; returns true if the key was consumed
+    handleKeyDown(key) {
+        if (!this.seedFocused) return false;
+        
+        if (key === 'Backspace') {
+            this.seedInput = this.seedInput.slice(0, -1);
+        } else if (key === 'Enter' || key === 'Escape') {
+            this.seedFocused = false;
+        } else if (this.seedInput.length < this.maxSeedLength) {
+            if (/^Key[A-Z]$/.test(key)) {
+                this.seedInput += key.slice(3);
+            } else if (/^Digit[0-9]$/.test(key)) {
+                this.seedInput += key.slice(5);
+            }
+        }
+        return true;
+    }
+    
+    // challenge from createDailyChallenge(), entries from DailyLeaderboard.getEntries()
+    setDailyChallenge(challenge, entries, onStart) {
+        this.dailyChallenge = challenge;
+        this.dailyEntries = entries;
+        this.onStartDaily = onStart;
+    }
+    
+    getDailyButtonRect() {
+        // Mirrors the seed field in the bottom-right corner
+        return { x: this.canvas.width - 260, y: this.canvas.height - 66, w: 240, h: 36 };
+    }
+    
+    setPracticeHandler(onStart) {
+        this.onStartPractice = onStart;
+    }
+    
+    getPracticeButtonRect() {
+        // Stacked above the seed field
+        return { x: 20, y: this.canvas.height - 130, w: 240, h: 36 };
+    }
+    
+    startPractice() {
+        if (this.onStartPractice) {
+            this.onStartPractice(this.classNames[this.currentIndex]);
+        }
+    }
+    
+    getContinueButtonRect() {
+        // Sits below the slot list in the top-right corner
+        return { x: this.canvas.width - 260, y: 24 + this.saveSlots.length * 46, w: 240, h: 36 };
+    }
+    
     handleClick(x, y) {
+        // Seed field gains focus on click and loses it on any other click
+        const seedRect = this.getSeedFieldRect();
+        this.seedFocused = x >= seedRect.x && x <= seedRect.x + seedRect.w &&
+                           y >= seedRect.y && y <= seedRect.y + seedRect.h;
+        if (this.seedFocused) return;
+        
+        // Save slot picker
+        for (const btn of this.slotButtons) {
+            if (x >= btn.x && x <= btn.x + btn.w && y >= btn.y && y <= btn.y + btn.h) {
+                this.selectedSlot = btn.slot;
+                return;
+            }
+        }
+        
+        // Daily challenge
+        if (this.dailyChallenge) {
+            const daily = this.getDailyButtonRect();
+            if (x >= daily.x && x <= daily.x + daily.w && y >= daily.y && y <= daily.y + daily.h) {
+                if (this.onStartDaily) {
+                    this.onStartDaily();
+                }
+                return;
+            }
+        }
+        
+        // Boss practice
+        if (this.onStartPractice) {
+            const practice = this.getPracticeButtonRect();
+            if (x >= practice.x && x <= practice.x + practice.w && y >= practice.y && y <= practice.y + practice.h) {
+                this.startPractice();
+                return;
+            }
+        }
+        
+        // Continue from the selected slot
+        if (this.getSelectedSlotSummary()) {
+            const cont = this.getContinueButtonRect();
+            if (x >= cont.x && x <= cont.x + cont.w && y >= cont.y && y <= cont.y + cont.h) {
+                if (this.onContinue) {
+                    this.onContinue(this.selectedSlot);
+                }
+                return;
+            }
+        }
+        
         const centerY = this.canvas.height / 2;
         const arrowY = centerY - 30;
         const arrowSize = 50;
@@ -2594,6 +2918,21 @@ export class ClassSelectionUI {
         const buttonX = this.canvas.width / 2 - 100;
         this.hoverButton = x >= buttonX && x <= buttonX + 200 &&
                            y >= buttonY && y <= buttonY + 50;
+        
+        const cont = this.getContinueButtonRect();
+        this.hoverContinue = !!this.getSelectedSlotSummary() &&
+                             x >= cont.x && x <= cont.x + cont.w &&
+                             y >= cont.y && y <= cont.y + cont.h;
+        
+        const daily = this.getDailyButtonRect();
+        this.hoverDaily = !!this.dailyChallenge &&
+                          x >= daily.x && x <= daily.x + daily.w &&
+                          y >= daily.y && y <= daily.y + daily.h;
+        
+        const practice = this.getPracticeButtonRect();
+        this.hoverPractice = !!this.onStartPractice &&
+                             x >= practice.x && x <= practice.x + practice.w &&
+                             y >= practice.y && y <= practice.y + practice.h;
     }
     
     previousClass() {
@@ -2616,6 +2955,44 @@ export class ClassSelectionUI {
         }
     }
     
+    // Gamepad: d-pad left/right flips classes, up/down picks a save slot,
+    // A descends, Y continues the selected slot, X starts the daily run, Start opens boss practice
+    handlePadButton(button) {
+        switch (button) {
+            case PAD_BUTTONS.LEFT:
+                this.previousClass();
+                break;
+            case PAD_BUTTONS.RIGHT:
+                this.nextClass();
+                break;
+            case PAD_BUTTONS.UP:
+            case PAD_BUTTONS.DOWN:
+                if (this.saveSlots.length > 0) {
+                    const step = button === PAD_BUTTONS.UP ? -1 : 1;
+                    const index = this.saveSlots.findIndex(s => s.slot === this.selectedSlot);
+                    const next = (index + step + this.saveSlots.length) % this.saveSlots.length;
+                    this.selectedSlot = this.saveSlots[next].slot;
+                }
+                break;
+            case PAD_BUTTONS.A:
+                this.selectCurrentClass();
+                break;
+            case PAD_BUTTONS.Y:
+                if (this.getSelectedSlotSummary() && this.onContinue) {
+                    this.onContinue(this.selectedSlot);
+                }
+                break;
+            case PAD_BUTTONS.X:
+                if (this.dailyChallenge && this.onStartDaily) {
+                    this.onStartDaily();
+                }
+                break;
+            case PAD_BUTTONS.START:
+                this.startPractice();
+                break;
+        }
+    }
+    
     selectCurrentClass() {
         const className = this.classNames[this.currentIndex];
         this.selectedClass = className;
@@ -2713,7 +3090,162 @@ export class ClassSelectionUI {
         ctx.font = 'bold 20px Arial';
         ctx.fillText('DESCEND', w / 2, buttonY + 32);
         
+        this.renderSaveSlots(ctx, w, h);
+        this.renderSeedField(ctx);
+        this.renderPracticeButton(ctx);
+        this.renderDailyChallenge(ctx);
+        
+        ctx.fillStyle = '#666666';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('Drop a replay file here to watch it', w / 2, h - 30);
+        
+        ctx.textAlign = 'left';
+    }
+    
+    renderSeedField(ctx) {
+        const rect = this.getSeedFieldRect();
+        
         ctx.textAlign = 'left';
+        ctx.fillStyle = '#d4b483';
+        ctx.font = 'bold 13px Arial';
+        ctx.fillText('RUN SEED', rect.x, rect.y - 8);
+        
+        ctx.fillStyle = this.seedFocused ? 'rgba(60, 48, 38, 0.95)' : 'rgba(30, 24, 20, 0.8)';
+        ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+        ctx.strokeStyle = this.seedFocused ? '#d4b483' : '#5a4a3a';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+        
+        ctx.font = '16px monospace';
+        if (this.seedInput) {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(this.seedInput, rect.x + 10, rect.y + 24);
+        } else if (!this.seedFocused) {
+            ctx.fillStyle = '#777777';
+            ctx.fillText('Random', rect.x + 10, rect.y + 24);
+        }
+        
+        // Blinking caret while typing
+        if (this.seedFocused && Math.floor(this.animTime * 2) % 2 === 0) {
+            const caretX = rect.x + 10 + ctx.measureText(this.seedInput).width + 1;
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(caretX, rect.y + 9, 2, 18);
+        }
+    }
+    
+    renderPracticeButton(ctx) {
+        if (!this.onStartPractice) return;
+        
+        const rect = this.getPracticeButtonRect();
+        ctx.fillStyle = this.hoverPractice ? '#5a4a3a' : '#2a2a4a';
+        ctx.beginPath();
+        ctx.roundRect(rect.x, rect.y, rect.w, rect.h, 8);
+        ctx.fill();
+        ctx.strokeStyle = '#d4b483';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.roundRect(rect.x, rect.y, rect.w, rect.h, 8);
+        ctx.stroke();
+        
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 16px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('BOSS PRACTICE', rect.x + rect.w / 2, rect.y + 24);
+        ctx.textAlign = 'left';
+    }
+    
+    renderDailyChallenge(ctx) {
+        if (!this.dailyChallenge) return;
+        
+        const rect = this.getDailyButtonRect();
+        const challenge = this.dailyChallenge;
+        const className = this.classes[challenge.classKey]?.name || challenge.classKey;
+        
+        // Info lines stack upward from the button: modifiers, then top runs
+        const lines = [`${className} - ${challenge.modifiers.map(m => m.name).join(', ')}`];
+        this.dailyEntries.slice(0, 3).forEach((entry, i) => {
+            lines.push(`${i + 1}. Floor ${entry.floor} - ${entry.kills} kills - ${formatRunTime(entry.time)}`);
+        });
+        
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#d4b483';
+        ctx.font = 'bold 13px Arial';
+        ctx.fillText(`DAILY ${challenge.dateKey}`, rect.x, rect.y - 8 - lines.length * 16);
+        
+        ctx.font = '12px Arial';
+        lines.forEach((line, i) => {
+            ctx.fillStyle = i === 0 ? '#ffffff' : '#aaaaaa';
+            ctx.fillText(line, rect.x, rect.y - 8 - (lines.length - 1 - i) * 16);
+        });
+        
+        ctx.fillStyle = this.hoverDaily ? '#5a4a3a' : '#2a2a4a';
+        ctx.beginPath();
+        ctx.roundRect(rect.x, rect.y, rect.w, rect.h, 8);
+        ctx.fill();
+        ctx.strokeStyle = '#d4b483';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.roundRect(rect.x, rect.y, rect.w, rect.h, 8);
+        ctx.stroke();
+        
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 16px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('DAILY RUN', rect.x + rect.w / 2, rect.y + 24);
+    }
+    
+    renderSaveSlots(ctx, w, h) {
+        this.slotButtons = [];
+        if (this.saveSlots.length === 0) return;
+        
+        const slotW = 240;
+        const slotH = 38;
+        const slotX = w - slotW - 20;
+        
+        this.saveSlots.forEach((entry, i) => {
+            const slotY = 20 + i * (slotH + 8);
+            const isSelected = entry.slot === this.selectedSlot;
+            
+            ctx.fillStyle = isSelected ? 'rgba(90, 74, 58, 0.9)' : 'rgba(30, 24, 20, 0.8)';
+            ctx.fillRect(slotX, slotY, slotW, slotH);
+            ctx.strokeStyle = isSelected ? '#d4b483' : '#5a4a3a';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(slotX, slotY, slotW, slotH);
+            
+            ctx.textAlign = 'left';
+            ctx.fillStyle = '#d4b483';
+            ctx.font = 'bold 13px Arial';
+            ctx.fillText(`SLOT ${entry.slot}`, slotX + 10, slotY + 16);
+            
+            ctx.fillStyle = entry.summary ? '#ffffff' : '#888888';
+            ctx.font = '12px Arial';
+            const label = entry.summary
+                ? `${entry.summary.className} - Lv ${entry.summary.level} - Floor ${entry.summary.floor}`
+                : 'Empty';
+            ctx.fillText(label, slotX + 10, slotY + 31);
+            
+            this.slotButtons.push({ x: slotX, y: slotY, w: slotW, h: slotH, slot: entry.slot });
+        });
+        
+        // Continue button for the selected slot
+        if (this.getSelectedSlotSummary()) {
+            const cont = this.getContinueButtonRect();
+            ctx.fillStyle = this.hoverContinue ? '#5a4a3a' : '#2a2a4a';
+            ctx.beginPath();
+            ctx.roundRect(cont.x, cont.y, cont.w, cont.h, 8);
+            ctx.fill();
+            ctx.strokeStyle = '#d4b483';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.roundRect(cont.x, cont.y, cont.w, cont.h, 8);
+            ctx.stroke();
+            
+            ctx.fillStyle = '#fff';
+            ctx.font = 'bold 16px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('CONTINUE', cont.x + cont.w / 2, cont.y + 24);
+        }
     }
     
     renderBrickBackground(ctx, w, h) {